@@ -3,13 +3,56 @@
 const { EventEmitter } = require('events')
 const { Multiaddr } = require('multiaddr')
 const PeerId = require('peer-id')
+const { toString: uint8ArrayToString } = require('uint8arrays/to-string')
+// @ts-ignore retimer does not have types
+const retimer = require('retimer')
+const { OBSERVED_ADDR_THRESHOLD, OBSERVED_ADDR_TTL, OBSERVED_ADDR_GC_INTERVAL } = require('../constants')
 
 /**
  * @typedef {Object} AddressManagerOptions
  * @property {string[]} [listen = []] - list of multiaddrs string representation to listen.
  * @property {string[]} [announce = []] - list of multiaddrs string representation to announce.
+ * @property {number} [observedAddrThreshold = OBSERVED_ADDR_THRESHOLD] - number of peers from distinct ip groups that must report an observed address before it is announced.
+ * @property {number} [observedAddrTtl = OBSERVED_ADDR_TTL] - how long in ms an observed address is kept once no peer reports it anymore.
+ * @property {number} [observedAddrGcInterval = OBSERVED_ADDR_GC_INTERVAL] - how often in ms the expired observed addresses are removed.
+ *
+ * @typedef {Object} Observer
+ * @property {PeerId} peerId - the peer that observed the address
+ * @property {Multiaddr} addr - the address we see the peer on
+ *
+ * @typedef {Object} Observation
+ * @property {string} group - the ip group of the observer
+ * @property {number} expires - when the observation expires
+ *
+ * @typedef {Object} ObservedAddrCandidate
+ * @property {Multiaddr} multiaddr
+ * @property {number} score - number of distinct ip groups the address was reported from
  */
 
+/**
+ * Get the network group of the address a peer was seen on, so that peers from the
+ * same network only count once towards the score of an observed address. IPv4
+ * addresses are grouped by /16 and IPv6 addresses by /32.
+ *
+ * @param {Multiaddr} addr
+ * @returns {string}
+ */
+function getIpGroup (addr) {
+  const [[code, bytes]] = addr.tuples()
+
+  if (code === 4 && bytes) {
+    return `ip4/${bytes.subarray(0, 2).join('.')}`
+  }
+
+  if (code === 41 && bytes) {
+    return `ip6/${uint8ArrayToString(bytes.subarray(0, 4), 'base16')}`
+  }
+
+  // other hosts, such as dns names, are their own group
+  const [[, host]] = addr.stringTuples()
+  return `${code}/${host}`
+}
+
 /**
  * @fires AddressManager#change:addresses Emitted when a addresses change.
  */
@@ -25,14 +68,54 @@ class AddressManager extends EventEmitter {
    * @param {object} [options]
    * @param {Array<string>} [options.listen = []] - list of multiaddrs string representation to listen.
    * @param {Array<string>} [options.announce = []] - list of multiaddrs string representation to announce.
+   * @param {number} [options.observedAddrThreshold = OBSERVED_ADDR_THRESHOLD] - number of peers from distinct ip groups that must report an observed address before it is announced.
+   * @param {number} [options.observedAddrTtl = OBSERVED_ADDR_TTL] - how long in ms an observed address is kept once no peer reports it anymore.
+   * @param {number} [options.observedAddrGcInterval = OBSERVED_ADDR_GC_INTERVAL] - how often in ms the expired observed addresses are removed.
    */
-  constructor (peerId, { listen = [], announce = [] } = {}) {
+  constructor (peerId, {
+    listen = [],
+    announce = [],
+    observedAddrThreshold = OBSERVED_ADDR_THRESHOLD,
+    observedAddrTtl = OBSERVED_ADDR_TTL,
+    observedAddrGcInterval = OBSERVED_ADDR_GC_INTERVAL
+  } = {}) {
     super()
 
     this.peerId = peerId
     this.listen = new Set(listen.map(ma => ma.toString()))
     this.announce = new Set(announce.map(ma => ma.toString()))
     this.observed = new Set()
+    this.confirmed = new Set()
+    this.observedAddrThreshold = observedAddrThreshold
+    this.observedAddrTtl = observedAddrTtl
+    this._observedAddrGcInterval = observedAddrGcInterval
+
+    /**
+     * Observations of the observed addresses reported by peers, per peer.
+     * Observed addresses added without an observer have no observations and
+     * are always announced.
+     *
+     * @type {Map<string, Map<string, Observation>>}
+     */
+    this._observations = new Map()
+
+    this._gc = this._gc.bind(this)
+    this._timer = null
+  }
+
+  /**
+   * Starts removing the expired observed addresses periodically
+   */
+  start () {
+    this._timer = this._timer || retimer(this._gc, this._observedAddrGcInterval)
+  }
+
+  /**
+   * Stops removing the expired observed addresses
+   */
+  stop () {
+    this._timer && this._timer.clear()
+    this._timer = null
   }
 
   /**
@@ -54,20 +137,63 @@ class AddressManager extends EventEmitter {
   }
 
   /**
-   * Get observed multiaddrs.
+   * Get observed multiaddrs that enough peers reported to be announced.
    *
    * @returns {Array<Multiaddr>}
    */
   getObservedAddrs () {
-    return Array.from(this.observed).map((a) => new Multiaddr(a))
+    return this.getObservedAddrCandidates()
+      .filter(({ score }) => score >= this.observedAddrThreshold)
+      .map(({ multiaddr }) => multiaddr)
+  }
+
+  /**
+   * Get all observed multiaddrs with their score, the number of distinct ip
+   * groups they were reported from. Addresses added without an observer have
+   * an infinite score.
+   *
+   * @returns {Array<ObservedAddrCandidate>}
+   */
+  getObservedAddrCandidates () {
+    return Array.from(this.observed, (a) => ({ multiaddr: new Multiaddr(a), score: this._getScore(a) }))
+  }
+
+  /**
+   * Get observed multiaddrs that were confirmed to be dialable.
+   *
+   * @returns {Array<Multiaddr>}
+   */
+  getConfirmedObservedAddrs () {
+    return Array.from(this.confirmed).map((a) => new Multiaddr(a))
+  }
+
+  /**
+   * Mark an observed address as dialable, so it can be announced when
+   * observed addresses need confirmation.
+   *
+   * @param {string | Multiaddr} addr
+   */
+  confirmObservedAddr (addr) {
+    const addrString = new Multiaddr(addr).toString()
+
+    // only observed addresses need confirmation
+    if (!this.observed.has(addrString) || this.confirmed.has(addrString)) {
+      return
+    }
+
+    this.confirmed.add(addrString)
+    this.emit('change:addresses')
   }
 
   /**
-   * Add peer observed addresses
+   * Add peer observed addresses. Addresses reported by peers are only
+   * announced once peers from enough distinct ip groups reported them, and are
+   * removed once no peer reported them for the observed address ttl.
    *
    * @param {string | Multiaddr} addr
+   * @param {Observer} [observer] - the peer that reported the address, if any
    */
-  addObservedAddr (addr) {
+  addObservedAddr (addr, observer) {
     let ma = new Multiaddr(addr)
     const remotePeer = ma.getPeerId()
 
@@ -83,13 +209,99 @@ class AddressManager extends EventEmitter {
 
     const addrString = ma.toString()
 
-    // do not trigger the change:addresses event if we already know about this address
-    if (this.observed.has(addrString)) {
+    if (!observer) {
+      const announced = this._isAnnounced(addrString)
+
+      this.observed.add(addrString)
+      this._observations.delete(addrString)
+
+      // do not trigger the change:addresses event if we already announce this address
+      !announced && this.emit('change:addresses')
+      return
+    }
+
+    // addresses added without an observer are already announced
+    if (this.observed.has(addrString) && !this._observations.has(addrString)) {
       return
     }
 
+    const announced = this._isAnnounced(addrString)
+    const observations = this._observations.get(addrString) || new Map()
+
+    observations.set(observer.peerId.toB58String(), {
+      group: getIpGroup(observer.addr),
+      expires: Date.now() + this.observedAddrTtl
+    })
     this.observed.add(addrString)
-    this.emit('change:addresses')
+    this._observations.set(addrString, observations)
+
+    // only trigger the change:addresses event once the address is announced
+    if (!announced && this._isAnnounced(addrString)) {
+      this.emit('change:addresses')
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} addrString
+   * @returns {boolean}
+   */
+  _isAnnounced (addrString) {
+    return this.observed.has(addrString) && this._getScore(addrString) >= this.observedAddrThreshold
+  }
+
+  /**
+   * @private
+   * @param {string} addrString
+   * @returns {number}
+   */
+  _getScore (addrString) {
+    const observations = this._observations.get(addrString)
+
+    if (!observations) {
+      return Infinity
+    }
+
+    return new Set(Array.from(observations.values(), ({ group }) => group)).size
+  }
+
+  /**
+   * @private
+   */
+  _gc () {
+    this._removeExpiredObservedAddrs()
+
+    if (this._timer) {
+      this._timer = retimer(this._gc, this._observedAddrGcInterval)
+    }
+  }
+
+  /**
+   * Forget the observations no peer renewed within the observed address ttl,
+   * and the addresses left without observations.
+   *
+   * @private
+   */
+  _removeExpiredObservedAddrs () {
+    const now = Date.now()
+    let removed = false
+
+    for (const [addrString, observations] of this._observations) {
+      for (const [peer, { expires }] of observations) {
+        if (expires <= now) {
+          observations.delete(peer)
+        }
+      }
+
+      if (!observations.size) {
+        this._observations.delete(addrString)
+        this.observed.delete(addrString)
+        this.confirmed.delete(addrString)
+        removed = true
+      }
+    }
+
+    removed && this.emit('change:addresses')
   }
 }
 
@@ -0,0 +1,19 @@
+'use strict'
+
+const second = 1000
+const minute = 60 * second
+
+module.exports = {
+  // https://github.com/libp2p/specs/blob/master/autonat/README.md
+  PROTOCOL: '/libp2p/autonat/1.0.0',
+  BOOT_DELAY: 15 * second, // Delay before reachability is first checked
+  INTERVAL: 15 * minute, // Delay between reachability checks
+  TIMEOUT: 30 * second, // How long a peer may take to dial us back
+  MAX_PEERS: 4, // Maximum number of peers asked to dial us back in each check
+  THRESHOLD: 3, // Number of peers that must agree before the reachability changes
+  Reachability: {
+    PUBLIC: 'public',
+    PRIVATE: 'private',
+    UNKNOWN: 'unknown'
+  }
+}
@@ -0,0 +1,382 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:autonat'), {
+  error: debug('libp2p:autonat:err')
+})
+const { EventEmitter } = require('events')
+const errCode = require('err-code')
+const PeerId = require('peer-id')
+const pSettle = require('p-settle')
+const { Multiaddr } = require('multiaddr')
+const { TimeoutController } = require('timeout-abort-controller')
+const {
+  setDelayedInterval,
+  clearDelayedInterval
+// @ts-ignore set-delayed-interval does not export types
+} = require('set-delayed-interval')
+const { Message } = require('./proto')
+const StreamHandler = require('../circuit/circuit/stream-handler')
+const { isRelayedAddr, abortOnTimeout } = require('../circuit/utils')
+const { codes } = require('../errors')
+const {
+  PROTOCOL,
+  BOOT_DELAY,
+  INTERVAL,
+  TIMEOUT,
+  MAX_PEERS,
+  THRESHOLD,
+  Reachability
+} = require('./constants')
+
+/**
+ * @typedef {import('../')} Libp2p
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
+ * @typedef {import('../resource-manager').StreamScope} StreamScope
+ * @typedef {import('./proto').IMessage} IMessage
+ * @typedef {import('./proto').Message.IDialResponse} IDialResponse
+ */
+
+/**
+ * @typedef {Object} AutoNATOptions
+ * @property {boolean} [enabled = false] - check our reachability and dial back peers that ask us to
+ * @property {number} [bootDelay = BOOT_DELAY] - delay before reachability is first checked, in ms
+ * @property {number} [interval = INTERVAL] - delay between reachability checks, in ms
+ * @property {number} [timeout = TIMEOUT] - how long a peer may take to dial us back, in ms
+ * @property {number} [maxPeers = MAX_PEERS] - maximum number of peers asked to dial us back in each check
+ * @property {number} [threshold = THRESHOLD] - number of peers that must agree before the reachability changes
+ */
+
+/**
+ * @fires AutoNAT#change:reachability Emitted when the reachability of the node changes.
+ */
+class AutoNAT extends EventEmitter {
+  /**
+   * Determines whether the node can be dialed from the public internet, by
+   * asking connected peers to dial it back on its addresses. It also dials
+   * back the peers that ask it to.
+   *
+   * @class
+   * @param {object} options
+   * @param {Libp2p} options.libp2p
+   * @param {number} [options.bootDelay = BOOT_DELAY]
+   * @param {number} [options.interval = INTERVAL]
+   * @param {number} [options.timeout = TIMEOUT]
+   * @param {number} [options.maxPeers = MAX_PEERS]
+   * @param {number} [options.threshold = THRESHOLD]
+   */
+  constructor ({
+    libp2p,
+    bootDelay = BOOT_DELAY,
+    interval = INTERVAL,
+    timeout = TIMEOUT,
+    maxPeers = MAX_PEERS,
+    threshold = THRESHOLD
+  }) {
+    super()
+
+    this._peerId = libp2p.peerId
+    this._peerStore = libp2p.peerStore
+    this._addressManager = libp2p.addressManager
+    this._connectionManager = libp2p.connectionManager
+    this._transportManager = libp2p.transportManager
+    this._connectionGater = libp2p.connectionGater
+
+    this._bootDelay = bootDelay
+    this._interval = interval
+    this._timeout = timeout
+    this._maxPeers = maxPeers
+    this._threshold = threshold
+
+    /** @type {string} */
+    this.reachability = Reachability.UNKNOWN
+
+    this.handleMessage = this.handleMessage.bind(this)
+    this._checkReachability = this._checkReachability.bind(this)
+  }
+
+  /**
+   * Start checking reachability periodically.
+   *
+   * @returns {void}
+   */
+  start () {
+    this._timer = setDelayedInterval(this._checkReachability, this._interval, this._bootDelay)
+  }
+
+  /**
+   * Stop checking reachability.
+   *
+   * @returns {void}
+   */
+  stop () {
+    clearDelayedInterval(this._timer)
+  }
+
+  /**
+   * Ask connected peers to dial us back, and update our reachability from their
+   * responses.
+   *
+   * @returns {Promise<string>} the reachability of the node
+   */
+  async checkReachability () {
+    const addrs = this._getCandidateAddrs()
+    const connections = await this._getServerConnections()
+
+    if (!addrs.length || !connections.length) {
+      log('no addresses to check or no peers to check them')
+      return this.reachability
+    }
+
+    log('asking %d peers to dial us back on %s', connections.length, addrs.join(', '))
+    const results = await pSettle(connections.map(connection => this._requestDialBack(connection, addrs)))
+
+    let dialed = 0
+    let failed = 0
+
+    for (const result of results) {
+      if (result.isFulfilled) {
+        const { status, addr } = result.value
+
+        if (status === Message.ResponseStatus.OK) {
+          dialed++
+          addr && this._addressManager.confirmObservedAddr(new Multiaddr(addr))
+        } else if (status === Message.ResponseStatus.E_DIAL_ERROR) {
+          failed++
+        }
+      } else {
+        log.error('could not ask peer to dial us back', result.reason)
+      }
+    }
+
+    if (dialed >= this._threshold) {
+      this._setReachability(Reachability.PUBLIC)
+    } else if (failed >= this._threshold) {
+      this._setReachability(Reachability.PRIVATE)
+    }
+
+    return this.reachability
+  }
+
+  /**
+   * Dials back a peer on the addresses it asks us to, reporting whether it is
+   * reachable on one of them.
+   *
+   * @param {object} options
+   * @param {Connection} options.connection
+   * @param {MuxedStream} options.stream
+   * @param {StreamScope} [options.scope]
+   * @returns {Promise<void>}
+   */
+  async handleMessage ({ connection, stream, scope }) {
+    const controller = new TimeoutController(this._timeout)
+    abortOnTimeout(stream, controller.signal)
+
+    /** @type {StreamHandler<IMessage>} */
+    const streamHandler = new StreamHandler({ stream, codec: Message, scope })
+
+    try {
+      const request = await streamHandler.read()
+
+      if (!request) {
+        return
+      }
+
+      const dialResponse = await this._handleDial(connection, request, controller.signal)
+
+      streamHandler.end({
+        type: Message.MessageType.DIAL_RESPONSE,
+        dialResponse
+      })
+    } catch (/** @type {any} */ err) {
+      log.error('could not handle dial back request from %s', connection.remotePeer.toB58String(), err)
+      streamHandler.close()
+    } finally {
+      controller.clear()
+    }
+  }
+
+  /**
+   * @private
+   * @param {Connection} connection
+   * @param {IMessage} request
+   * @param {AbortSignal} signal
+   * @returns {Promise<IDialResponse>}
+   */
+  async _handleDial (connection, request, signal) {
+    const remotePeer = connection.remotePeer
+
+    if (request.type !== Message.MessageType.DIAL || !request.dial || !request.dial.peer || !request.dial.peer.id) {
+      return { status: Message.ResponseStatus.E_BAD_REQUEST, statusText: 'Expected a DIAL message' }
+    }
+
+    // Only dial back the peer that asked us to
+    if (!remotePeer.equals(PeerId.createFromBytes(request.dial.peer.id))) {
+      return { status: Message.ResponseStatus.E_BAD_REQUEST, statusText: 'Peer id does not match the connection' }
+    }
+
+    if (isRelayedAddr(connection.remoteAddr)) {
+      return { status: Message.ResponseStatus.E_DIAL_REFUSED, statusText: 'Will not dial back over a relayed connection' }
+    }
+
+    const addrs = await this._getDialBackAddrs(connection, request.dial.peer.addrs)
+
+    if (!addrs.length) {
+      return { status: Message.ResponseStatus.E_DIAL_REFUSED, statusText: 'No addresses to dial back' }
+    }
+
+    for (const addr of addrs) {
+      try {
+        const dialBack = await this._transportManager.dial(addr.encapsulate(`/p2p/${remotePeer.toB58String()}`), { signal })
+        await dialBack.close()
+
+        log('dialed back %s on %s', remotePeer.toB58String(), addr)
+        return { status: Message.ResponseStatus.OK, addr: addr.bytes }
+      } catch (/** @type {any} */ err) {
+        log('could not dial back %s on %s', remotePeer.toB58String(), addr, err)
+      }
+    }
+
+    return { status: Message.ResponseStatus.E_DIAL_ERROR, statusText: 'Could not dial back on any address' }
+  }
+
+  /**
+   * The addresses a peer asked us to dial it back on that we are willing to
+   * dial. Only addresses on the ip address we observe the peer on are dialed,
+   * so we cannot be used to attack other hosts.
+   *
+   * @private
+   * @param {Connection} connection
+   * @param {Uint8Array[]|null} [addrs]
+   * @returns {Promise<Multiaddr[]>}
+   */
+  async _getDialBackAddrs (connection, addrs) {
+    const observedHost = connection.remoteAddr.toOptions().host
+    const dialBackAddrs = []
+
+    for (const bytes of addrs || []) {
+      try {
+        const addr = new Multiaddr(bytes)
+
+        if (!isRelayedAddr(addr) &&
+          addr.toOptions().host === observedHost &&
+          this._transportManager.transportForMultiaddr(addr) &&
+          !(await this._connectionGater.denyDialMultiaddr(connection.remotePeer, addr))) {
+          dialBackAddrs.push(addr)
+        }
+      } catch (/** @type {any} */ err) {
+        log.error('invalid dial back address', err)
+      }
+    }
+
+    return dialBackAddrs
+  }
+
+  /**
+   * @private
+   * @param {Connection} connection
+   * @param {Multiaddr[]} addrs
+   * @returns {Promise<IDialResponse>}
+   */
+  async _requestDialBack (connection, addrs) {
+    const controller = new TimeoutController(this._timeout)
+
+    try {
+      const { stream } = await connection.newStream(PROTOCOL)
+      abortOnTimeout(stream, controller.signal)
+
+      /** @type {StreamHandler<IMessage>} */
+      const streamHandler = new StreamHandler({ stream, codec: Message })
+      streamHandler.write({
+        type: Message.MessageType.DIAL,
+        dial: {
+          peer: {
+            id: this._peerId.toBytes(),
+            addrs: addrs.map(addr => addr.bytes)
+          }
+        }
+      })
+
+      const response = await streamHandler.read()
+      streamHandler.close()
+
+      if (!response || response.type !== Message.MessageType.DIAL_RESPONSE || !response.dialResponse) {
+        throw errCode(new Error('Expected a DIAL_RESPONSE message'), codes.ERR_INVALID_MESSAGE)
+      }
+
+      log('%s responded to dial back request with status %s', connection.remotePeer.toB58String(), response.dialResponse.status)
+      return response.dialResponse
+    } finally {
+      controller.clear()
+    }
+  }
+
+  /**
+   * The addresses we may be reachable on.
+   *
+   * @private
+   * @returns {Multiaddr[]}
+   */
+  _getCandidateAddrs () {
+    const addrs = new Set([
+      ...this._transportManager.getAddrs(),
+      ...this._addressManager.getAnnounceAddrs(),
+      ...this._addressManager.getObservedAddrCandidates().map(({ multiaddr }) => multiaddr)
+    ].filter(addr => !isRelayedAddr(addr)).map(addr => addr.toString()))
+
+    return Array.from(addrs).map(addr => new Multiaddr(addr))
+  }
+
+  /**
+   * Direct connections to peers that support AutoNAT.
+   *
+   * @private
+   * @returns {Promise<Connection[]>}
+   */
+  async _getServerConnections () {
+    const connections = []
+
+    for (const peerConnections of this._connectionManager.connections.values()) {
+      const connection = peerConnections.find(conn => conn.stat.status === 'open' && !isRelayedAddr(conn.remoteAddr))
+
+      if (connection && (await this._peerStore.protoBook.get(connection.remotePeer)).includes(PROTOCOL)) {
+        connections.push(connection)
+      }
+
+      if (connections.length >= this._maxPeers) {
+        break
+      }
+    }
+
+    return connections
+  }
+
+  /**
+   * @private
+   */
+  _checkReachability () {
+    this.checkReachability().catch(err => {
+      log.error('could not check reachability', err)
+    })
+  }
+
+  /**
+   * @private
+   * @param {string} reachability
+   */
+  _setReachability (reachability) {
+    if (this.reachability === reachability) {
+      return
+    }
+
+    log('reachability changed from %s to %s', this.reachability, reachability)
+    this.reachability = reachability
+    this.emit('change:reachability', reachability)
+  }
+}
+
+AutoNAT.PROTOCOL = PROTOCOL
+AutoNAT.Reachability = Reachability
+
+module.exports = AutoNAT
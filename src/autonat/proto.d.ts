@@ -0,0 +1,284 @@
+import * as $protobuf from "protobufjs";
+/** Properties of a Message. */
+export interface IMessage {
+
+    /** Message type */
+    type?: (Message.MessageType|null);
+
+    /** Message dial */
+    dial?: (Message.IDial|null);
+
+    /** Message dialResponse */
+    dialResponse?: (Message.IDialResponse|null);
+}
+
+/** Represents a Message. */
+export class Message implements IMessage {
+
+    /**
+     * Constructs a new Message.
+     * @param [p] Properties to set
+     */
+    constructor(p?: IMessage);
+
+    /** Message type. */
+    public type: Message.MessageType;
+
+    /** Message dial. */
+    public dial?: (Message.IDial|null);
+
+    /** Message dialResponse. */
+    public dialResponse?: (Message.IDialResponse|null);
+
+    /**
+     * Encodes the specified Message message. Does not implicitly {@link Message.verify|verify} messages.
+     * @param m Message message or plain object to encode
+     * @param [w] Writer to encode to
+     * @returns Writer
+     */
+    public static encode(m: IMessage, w?: $protobuf.Writer): $protobuf.Writer;
+
+    /**
+     * Decodes a Message message from the specified reader or buffer.
+     * @param r Reader or buffer to decode from
+     * @param [l] Message length if known beforehand
+     * @returns Message
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): Message;
+
+    /**
+     * Creates a Message message from a plain object. Also converts values to their respective internal types.
+     * @param d Plain object
+     * @returns Message
+     */
+    public static fromObject(d: { [k: string]: any }): Message;
+
+    /**
+     * Creates a plain object from a Message message. Also converts values to other types if specified.
+     * @param m Message
+     * @param [o] Conversion options
+     * @returns Plain object
+     */
+    public static toObject(m: Message, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+    /**
+     * Converts this Message to JSON.
+     * @returns JSON object
+     */
+    public toJSON(): { [k: string]: any };
+}
+
+export namespace Message {
+
+    /** MessageType enum. */
+    enum MessageType {
+        DIAL = 0,
+        DIAL_RESPONSE = 1
+    }
+
+    /** ResponseStatus enum. */
+    enum ResponseStatus {
+        OK = 0,
+        E_DIAL_ERROR = 100,
+        E_DIAL_REFUSED = 101,
+        E_BAD_REQUEST = 200,
+        E_INTERNAL_ERROR = 300
+    }
+
+    /** Properties of a PeerInfo. */
+    interface IPeerInfo {
+
+        /** PeerInfo id */
+        id?: (Uint8Array|null);
+
+        /** PeerInfo addrs */
+        addrs?: (Uint8Array[]|null);
+    }
+
+    /** Represents a PeerInfo. */
+    class PeerInfo implements IPeerInfo {
+
+        /**
+         * Constructs a new PeerInfo.
+         * @param [p] Properties to set
+         */
+        constructor(p?: Message.IPeerInfo);
+
+        /** PeerInfo id. */
+        public id: Uint8Array;
+
+        /** PeerInfo addrs. */
+        public addrs: Uint8Array[];
+
+        /**
+         * Encodes the specified PeerInfo message. Does not implicitly {@link Message.PeerInfo.verify|verify} messages.
+         * @param m PeerInfo message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: Message.IPeerInfo, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a PeerInfo message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns PeerInfo
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): Message.PeerInfo;
+
+        /**
+         * Creates a PeerInfo message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns PeerInfo
+         */
+        public static fromObject(d: { [k: string]: any }): Message.PeerInfo;
+
+        /**
+         * Creates a plain object from a PeerInfo message. Also converts values to other types if specified.
+         * @param m PeerInfo
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: Message.PeerInfo, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this PeerInfo to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a Dial. */
+    interface IDial {
+
+        /** Dial peer */
+        peer?: (Message.IPeerInfo|null);
+    }
+
+    /** Represents a Dial. */
+    class Dial implements IDial {
+
+        /**
+         * Constructs a new Dial.
+         * @param [p] Properties to set
+         */
+        constructor(p?: Message.IDial);
+
+        /** Dial peer. */
+        public peer?: (Message.IPeerInfo|null);
+
+        /**
+         * Encodes the specified Dial message. Does not implicitly {@link Message.Dial.verify|verify} messages.
+         * @param m Dial message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: Message.IDial, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a Dial message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns Dial
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): Message.Dial;
+
+        /**
+         * Creates a Dial message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns Dial
+         */
+        public static fromObject(d: { [k: string]: any }): Message.Dial;
+
+        /**
+         * Creates a plain object from a Dial message. Also converts values to other types if specified.
+         * @param m Dial
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: Message.Dial, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this Dial to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+
+    /** Properties of a DialResponse. */
+    interface IDialResponse {
+
+        /** DialResponse status */
+        status?: (Message.ResponseStatus|null);
+
+        /** DialResponse statusText */
+        statusText?: (string|null);
+
+        /** DialResponse addr */
+        addr?: (Uint8Array|null);
+    }
+
+    /** Represents a DialResponse. */
+    class DialResponse implements IDialResponse {
+
+        /**
+         * Constructs a new DialResponse.
+         * @param [p] Properties to set
+         */
+        constructor(p?: Message.IDialResponse);
+
+        /** DialResponse status. */
+        public status: Message.ResponseStatus;
+
+        /** DialResponse statusText. */
+        public statusText: string;
+
+        /** DialResponse addr. */
+        public addr: Uint8Array;
+
+        /**
+         * Encodes the specified DialResponse message. Does not implicitly {@link Message.DialResponse.verify|verify} messages.
+         * @param m DialResponse message or plain object to encode
+         * @param [w] Writer to encode to
+         * @returns Writer
+         */
+        public static encode(m: Message.IDialResponse, w?: $protobuf.Writer): $protobuf.Writer;
+
+        /**
+         * Decodes a DialResponse message from the specified reader or buffer.
+         * @param r Reader or buffer to decode from
+         * @param [l] Message length if known beforehand
+         * @returns DialResponse
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): Message.DialResponse;
+
+        /**
+         * Creates a DialResponse message from a plain object. Also converts values to their respective internal types.
+         * @param d Plain object
+         * @returns DialResponse
+         */
+        public static fromObject(d: { [k: string]: any }): Message.DialResponse;
+
+        /**
+         * Creates a plain object from a DialResponse message. Also converts values to other types if specified.
+         * @param m DialResponse
+         * @param [o] Conversion options
+         * @returns Plain object
+         */
+        public static toObject(m: Message.DialResponse, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+        /**
+         * Converts this DialResponse to JSON.
+         * @returns JSON object
+         */
+        public toJSON(): { [k: string]: any };
+    }
+}
@@ -0,0 +1,747 @@
+/*eslint-disable*/
+"use strict";
+
+var $protobuf = require("protobufjs/minimal");
+
+// Common aliases
+var $Reader = $protobuf.Reader, $Writer = $protobuf.Writer, $util = $protobuf.util;
+
+// Exported root namespace
+var $root = $protobuf.roots["libp2p-autonat"] || ($protobuf.roots["libp2p-autonat"] = {});
+
+$root.Message = (function() {
+
+    /**
+     * Properties of a Message.
+     * @exports IMessage
+     * @interface IMessage
+     * @property {Message.MessageType|null} [type] Message type
+     * @property {Message.IDial|null} [dial] Message dial
+     * @property {Message.IDialResponse|null} [dialResponse] Message dialResponse
+     */
+
+    /**
+     * Constructs a new Message.
+     * @exports Message
+     * @classdesc Represents a Message.
+     * @implements IMessage
+     * @constructor
+     * @param {IMessage=} [p] Properties to set
+     */
+    function Message(p) {
+        if (p)
+            for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                if (p[ks[i]] != null)
+                    this[ks[i]] = p[ks[i]];
+    }
+
+    /**
+     * Message type.
+     * @member {Message.MessageType} type
+     * @memberof Message
+     * @instance
+     */
+    Message.prototype.type = 0;
+
+    /**
+     * Message dial.
+     * @member {Message.IDial|null|undefined} dial
+     * @memberof Message
+     * @instance
+     */
+    Message.prototype.dial = null;
+
+    /**
+     * Message dialResponse.
+     * @member {Message.IDialResponse|null|undefined} dialResponse
+     * @memberof Message
+     * @instance
+     */
+    Message.prototype.dialResponse = null;
+
+    /**
+     * Encodes the specified Message message. Does not implicitly {@link Message.verify|verify} messages.
+     * @function encode
+     * @memberof Message
+     * @static
+     * @param {IMessage} m Message message or plain object to encode
+     * @param {$protobuf.Writer} [w] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Message.encode = function encode(m, w) {
+        if (!w)
+            w = $Writer.create();
+        if (m.type != null && Object.hasOwnProperty.call(m, "type"))
+            w.uint32(8).int32(m.type);
+        if (m.dial != null && Object.hasOwnProperty.call(m, "dial"))
+            $root.Message.Dial.encode(m.dial, w.uint32(18).fork()).ldelim();
+        if (m.dialResponse != null && Object.hasOwnProperty.call(m, "dialResponse"))
+            $root.Message.DialResponse.encode(m.dialResponse, w.uint32(26).fork()).ldelim();
+        return w;
+    };
+
+    /**
+     * Decodes a Message message from the specified reader or buffer.
+     * @function decode
+     * @memberof Message
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+     * @param {number} [l] Message length if known beforehand
+     * @returns {Message} Message
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Message.decode = function decode(r, l) {
+        if (!(r instanceof $Reader))
+            r = $Reader.create(r);
+        var c = l === undefined ? r.len : r.pos + l, m = new $root.Message();
+        while (r.pos < c) {
+            var t = r.uint32();
+            switch (t >>> 3) {
+            case 1:
+                m.type = r.int32();
+                break;
+            case 2:
+                m.dial = $root.Message.Dial.decode(r, r.uint32());
+                break;
+            case 3:
+                m.dialResponse = $root.Message.DialResponse.decode(r, r.uint32());
+                break;
+            default:
+                r.skipType(t & 7);
+                break;
+            }
+        }
+        return m;
+    };
+
+    /**
+     * Creates a Message message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Message
+     * @static
+     * @param {Object.<string,*>} d Plain object
+     * @returns {Message} Message
+     */
+    Message.fromObject = function fromObject(d) {
+        if (d instanceof $root.Message)
+            return d;
+        var m = new $root.Message();
+        switch (d.type) {
+        case "DIAL":
+        case 0:
+            m.type = 0;
+            break;
+        case "DIAL_RESPONSE":
+        case 1:
+            m.type = 1;
+            break;
+        }
+        if (d.dial != null) {
+            if (typeof d.dial !== "object")
+                throw TypeError(".Message.dial: object expected");
+            m.dial = $root.Message.Dial.fromObject(d.dial);
+        }
+        if (d.dialResponse != null) {
+            if (typeof d.dialResponse !== "object")
+                throw TypeError(".Message.dialResponse: object expected");
+            m.dialResponse = $root.Message.DialResponse.fromObject(d.dialResponse);
+        }
+        return m;
+    };
+
+    /**
+     * Creates a plain object from a Message message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Message
+     * @static
+     * @param {Message} m Message
+     * @param {$protobuf.IConversionOptions} [o] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Message.toObject = function toObject(m, o) {
+        if (!o)
+            o = {};
+        var d = {};
+        if (o.defaults) {
+            d.type = o.enums === String ? "DIAL" : 0;
+            d.dial = null;
+            d.dialResponse = null;
+        }
+        if (m.type != null && m.hasOwnProperty("type")) {
+            d.type = o.enums === String ? $root.Message.MessageType[m.type] : m.type;
+        }
+        if (m.dial != null && m.hasOwnProperty("dial")) {
+            d.dial = $root.Message.Dial.toObject(m.dial, o);
+        }
+        if (m.dialResponse != null && m.hasOwnProperty("dialResponse")) {
+            d.dialResponse = $root.Message.DialResponse.toObject(m.dialResponse, o);
+        }
+        return d;
+    };
+
+    /**
+     * Converts this Message to JSON.
+     * @function toJSON
+     * @memberof Message
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Message.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    /**
+     * MessageType enum.
+     * @name Message.MessageType
+     * @enum {number}
+     * @property {number} DIAL=0 DIAL value
+     * @property {number} DIAL_RESPONSE=1 DIAL_RESPONSE value
+     */
+    Message.MessageType = (function() {
+        var valuesById = {}, values = Object.create(valuesById);
+        values[valuesById[0] = "DIAL"] = 0;
+        values[valuesById[1] = "DIAL_RESPONSE"] = 1;
+        return values;
+    })();
+
+    /**
+     * ResponseStatus enum.
+     * @name Message.ResponseStatus
+     * @enum {number}
+     * @property {number} OK=0 OK value
+     * @property {number} E_DIAL_ERROR=100 E_DIAL_ERROR value
+     * @property {number} E_DIAL_REFUSED=101 E_DIAL_REFUSED value
+     * @property {number} E_BAD_REQUEST=200 E_BAD_REQUEST value
+     * @property {number} E_INTERNAL_ERROR=300 E_INTERNAL_ERROR value
+     */
+    Message.ResponseStatus = (function() {
+        var valuesById = {}, values = Object.create(valuesById);
+        values[valuesById[0] = "OK"] = 0;
+        values[valuesById[100] = "E_DIAL_ERROR"] = 100;
+        values[valuesById[101] = "E_DIAL_REFUSED"] = 101;
+        values[valuesById[200] = "E_BAD_REQUEST"] = 200;
+        values[valuesById[300] = "E_INTERNAL_ERROR"] = 300;
+        return values;
+    })();
+
+    Message.PeerInfo = (function() {
+
+        /**
+         * Properties of a PeerInfo.
+         * @memberof Message
+         * @interface IPeerInfo
+         * @property {Uint8Array|null} [id] PeerInfo id
+         * @property {Array.<Uint8Array>|null} [addrs] PeerInfo addrs
+         */
+
+        /**
+         * Constructs a new PeerInfo.
+         * @memberof Message
+         * @classdesc Represents a PeerInfo.
+         * @implements IPeerInfo
+         * @constructor
+         * @param {Message.IPeerInfo=} [p] Properties to set
+         */
+        function PeerInfo(p) {
+            this.addrs = [];
+            if (p)
+                for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                    if (p[ks[i]] != null)
+                        this[ks[i]] = p[ks[i]];
+        }
+
+        /**
+         * PeerInfo id.
+         * @member {Uint8Array} id
+         * @memberof Message.PeerInfo
+         * @instance
+         */
+        PeerInfo.prototype.id = $util.newBuffer([]);
+
+        /**
+         * PeerInfo addrs.
+         * @member {Array.<Uint8Array>} addrs
+         * @memberof Message.PeerInfo
+         * @instance
+         */
+        PeerInfo.prototype.addrs = $util.emptyArray;
+
+        /**
+         * Encodes the specified PeerInfo message. Does not implicitly {@link Message.PeerInfo.verify|verify} messages.
+         * @function encode
+         * @memberof Message.PeerInfo
+         * @static
+         * @param {Message.IPeerInfo} m PeerInfo message or plain object to encode
+         * @param {$protobuf.Writer} [w] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        PeerInfo.encode = function encode(m, w) {
+            if (!w)
+                w = $Writer.create();
+            if (m.id != null && Object.hasOwnProperty.call(m, "id"))
+                w.uint32(10).bytes(m.id);
+            if (m.addrs != null && m.addrs.length) {
+                for (var i = 0; i < m.addrs.length; ++i)
+                    w.uint32(18).bytes(m.addrs[i]);
+            }
+            return w;
+        };
+
+        /**
+         * Decodes a PeerInfo message from the specified reader or buffer.
+         * @function decode
+         * @memberof Message.PeerInfo
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+         * @param {number} [l] Message length if known beforehand
+         * @returns {Message.PeerInfo} PeerInfo
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        PeerInfo.decode = function decode(r, l) {
+            if (!(r instanceof $Reader))
+                r = $Reader.create(r);
+            var c = l === undefined ? r.len : r.pos + l, m = new $root.Message.PeerInfo();
+            while (r.pos < c) {
+                var t = r.uint32();
+                switch (t >>> 3) {
+                case 1:
+                    m.id = r.bytes();
+                    break;
+                case 2:
+                    if (!(m.addrs && m.addrs.length))
+                        m.addrs = [];
+                    m.addrs.push(r.bytes());
+                    break;
+                default:
+                    r.skipType(t & 7);
+                    break;
+                }
+            }
+            return m;
+        };
+
+        /**
+         * Creates a PeerInfo message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof Message.PeerInfo
+         * @static
+         * @param {Object.<string,*>} d Plain object
+         * @returns {Message.PeerInfo} PeerInfo
+         */
+        PeerInfo.fromObject = function fromObject(d) {
+            if (d instanceof $root.Message.PeerInfo)
+                return d;
+            var m = new $root.Message.PeerInfo();
+            if (d.id != null) {
+                if (typeof d.id === "string")
+                    $util.base64.decode(d.id, m.id = $util.newBuffer($util.base64.length(d.id)), 0);
+                else if (d.id.length)
+                    m.id = d.id;
+            }
+            if (d.addrs) {
+                if (!Array.isArray(d.addrs))
+                    throw TypeError(".Message.PeerInfo.addrs: array expected");
+                m.addrs = [];
+                for (var i = 0; i < d.addrs.length; ++i) {
+                    if (typeof d.addrs[i] === "string")
+                        $util.base64.decode(d.addrs[i], m.addrs[i] = $util.newBuffer($util.base64.length(d.addrs[i])), 0);
+                    else if (d.addrs[i].length)
+                        m.addrs[i] = d.addrs[i];
+                }
+            }
+            return m;
+        };
+
+        /**
+         * Creates a plain object from a PeerInfo message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof Message.PeerInfo
+         * @static
+         * @param {Message.PeerInfo} m PeerInfo
+         * @param {$protobuf.IConversionOptions} [o] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        PeerInfo.toObject = function toObject(m, o) {
+            if (!o)
+                o = {};
+            var d = {};
+            if (o.arrays || o.defaults) {
+                d.addrs = [];
+            }
+            if (o.defaults) {
+                if (o.bytes === String)
+                    d.id = "";
+                else {
+                    d.id = [];
+                    if (o.bytes !== Array)
+                        d.id = $util.newBuffer(d.id);
+                }
+            }
+            if (m.id != null && m.hasOwnProperty("id")) {
+                d.id = o.bytes === String ? $util.base64.encode(m.id, 0, m.id.length) : o.bytes === Array ? Array.prototype.slice.call(m.id) : m.id;
+            }
+            if (m.addrs && m.addrs.length) {
+                d.addrs = [];
+                for (var j = 0; j < m.addrs.length; ++j) {
+                    d.addrs[j] = o.bytes === String ? $util.base64.encode(m.addrs[j], 0, m.addrs[j].length) : o.bytes === Array ? Array.prototype.slice.call(m.addrs[j]) : m.addrs[j];
+                }
+            }
+            return d;
+        };
+
+        /**
+         * Converts this PeerInfo to JSON.
+         * @function toJSON
+         * @memberof Message.PeerInfo
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        PeerInfo.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return PeerInfo;
+    })();
+
+    Message.Dial = (function() {
+
+        /**
+         * Properties of a Dial.
+         * @memberof Message
+         * @interface IDial
+         * @property {Message.IPeerInfo|null} [peer] Dial peer
+         */
+
+        /**
+         * Constructs a new Dial.
+         * @memberof Message
+         * @classdesc Represents a Dial.
+         * @implements IDial
+         * @constructor
+         * @param {Message.IDial=} [p] Properties to set
+         */
+        function Dial(p) {
+            if (p)
+                for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                    if (p[ks[i]] != null)
+                        this[ks[i]] = p[ks[i]];
+        }
+
+        /**
+         * Dial peer.
+         * @member {Message.IPeerInfo|null|undefined} peer
+         * @memberof Message.Dial
+         * @instance
+         */
+        Dial.prototype.peer = null;
+
+        /**
+         * Encodes the specified Dial message. Does not implicitly {@link Message.Dial.verify|verify} messages.
+         * @function encode
+         * @memberof Message.Dial
+         * @static
+         * @param {Message.IDial} m Dial message or plain object to encode
+         * @param {$protobuf.Writer} [w] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Dial.encode = function encode(m, w) {
+            if (!w)
+                w = $Writer.create();
+            if (m.peer != null && Object.hasOwnProperty.call(m, "peer"))
+                $root.Message.PeerInfo.encode(m.peer, w.uint32(10).fork()).ldelim();
+            return w;
+        };
+
+        /**
+         * Decodes a Dial message from the specified reader or buffer.
+         * @function decode
+         * @memberof Message.Dial
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+         * @param {number} [l] Message length if known beforehand
+         * @returns {Message.Dial} Dial
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Dial.decode = function decode(r, l) {
+            if (!(r instanceof $Reader))
+                r = $Reader.create(r);
+            var c = l === undefined ? r.len : r.pos + l, m = new $root.Message.Dial();
+            while (r.pos < c) {
+                var t = r.uint32();
+                switch (t >>> 3) {
+                case 1:
+                    m.peer = $root.Message.PeerInfo.decode(r, r.uint32());
+                    break;
+                default:
+                    r.skipType(t & 7);
+                    break;
+                }
+            }
+            return m;
+        };
+
+        /**
+         * Creates a Dial message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof Message.Dial
+         * @static
+         * @param {Object.<string,*>} d Plain object
+         * @returns {Message.Dial} Dial
+         */
+        Dial.fromObject = function fromObject(d) {
+            if (d instanceof $root.Message.Dial)
+                return d;
+            var m = new $root.Message.Dial();
+            if (d.peer != null) {
+                if (typeof d.peer !== "object")
+                    throw TypeError(".Message.Dial.peer: object expected");
+                m.peer = $root.Message.PeerInfo.fromObject(d.peer);
+            }
+            return m;
+        };
+
+        /**
+         * Creates a plain object from a Dial message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof Message.Dial
+         * @static
+         * @param {Message.Dial} m Dial
+         * @param {$protobuf.IConversionOptions} [o] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Dial.toObject = function toObject(m, o) {
+            if (!o)
+                o = {};
+            var d = {};
+            if (o.defaults) {
+                d.peer = null;
+            }
+            if (m.peer != null && m.hasOwnProperty("peer")) {
+                d.peer = $root.Message.PeerInfo.toObject(m.peer, o);
+            }
+            return d;
+        };
+
+        /**
+         * Converts this Dial to JSON.
+         * @function toJSON
+         * @memberof Message.Dial
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Dial.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return Dial;
+    })();
+
+    Message.DialResponse = (function() {
+
+        /**
+         * Properties of a DialResponse.
+         * @memberof Message
+         * @interface IDialResponse
+         * @property {Message.ResponseStatus|null} [status] DialResponse status
+         * @property {string|null} [statusText] DialResponse statusText
+         * @property {Uint8Array|null} [addr] DialResponse addr
+         */
+
+        /**
+         * Constructs a new DialResponse.
+         * @memberof Message
+         * @classdesc Represents a DialResponse.
+         * @implements IDialResponse
+         * @constructor
+         * @param {Message.IDialResponse=} [p] Properties to set
+         */
+        function DialResponse(p) {
+            if (p)
+                for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                    if (p[ks[i]] != null)
+                        this[ks[i]] = p[ks[i]];
+        }
+
+        /**
+         * DialResponse status.
+         * @member {Message.ResponseStatus} status
+         * @memberof Message.DialResponse
+         * @instance
+         */
+        DialResponse.prototype.status = 0;
+
+        /**
+         * DialResponse statusText.
+         * @member {string} statusText
+         * @memberof Message.DialResponse
+         * @instance
+         */
+        DialResponse.prototype.statusText = "";
+
+        /**
+         * DialResponse addr.
+         * @member {Uint8Array} addr
+         * @memberof Message.DialResponse
+         * @instance
+         */
+        DialResponse.prototype.addr = $util.newBuffer([]);
+
+        /**
+         * Encodes the specified DialResponse message. Does not implicitly {@link Message.DialResponse.verify|verify} messages.
+         * @function encode
+         * @memberof Message.DialResponse
+         * @static
+         * @param {Message.IDialResponse} m DialResponse message or plain object to encode
+         * @param {$protobuf.Writer} [w] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        DialResponse.encode = function encode(m, w) {
+            if (!w)
+                w = $Writer.create();
+            if (m.status != null && Object.hasOwnProperty.call(m, "status"))
+                w.uint32(8).int32(m.status);
+            if (m.statusText != null && Object.hasOwnProperty.call(m, "statusText"))
+                w.uint32(18).string(m.statusText);
+            if (m.addr != null && Object.hasOwnProperty.call(m, "addr"))
+                w.uint32(26).bytes(m.addr);
+            return w;
+        };
+
+        /**
+         * Decodes a DialResponse message from the specified reader or buffer.
+         * @function decode
+         * @memberof Message.DialResponse
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+         * @param {number} [l] Message length if known beforehand
+         * @returns {Message.DialResponse} DialResponse
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        DialResponse.decode = function decode(r, l) {
+            if (!(r instanceof $Reader))
+                r = $Reader.create(r);
+            var c = l === undefined ? r.len : r.pos + l, m = new $root.Message.DialResponse();
+            while (r.pos < c) {
+                var t = r.uint32();
+                switch (t >>> 3) {
+                case 1:
+                    m.status = r.int32();
+                    break;
+                case 2:
+                    m.statusText = r.string();
+                    break;
+                case 3:
+                    m.addr = r.bytes();
+                    break;
+                default:
+                    r.skipType(t & 7);
+                    break;
+                }
+            }
+            return m;
+        };
+
+        /**
+         * Creates a DialResponse message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof Message.DialResponse
+         * @static
+         * @param {Object.<string,*>} d Plain object
+         * @returns {Message.DialResponse} DialResponse
+         */
+        DialResponse.fromObject = function fromObject(d) {
+            if (d instanceof $root.Message.DialResponse)
+                return d;
+            var m = new $root.Message.DialResponse();
+            switch (d.status) {
+            case "OK":
+            case 0:
+                m.status = 0;
+                break;
+            case "E_DIAL_ERROR":
+            case 100:
+                m.status = 100;
+                break;
+            case "E_DIAL_REFUSED":
+            case 101:
+                m.status = 101;
+                break;
+            case "E_BAD_REQUEST":
+            case 200:
+                m.status = 200;
+                break;
+            case "E_INTERNAL_ERROR":
+            case 300:
+                m.status = 300;
+                break;
+            }
+            if (d.statusText != null) {
+                m.statusText = String(d.statusText);
+            }
+            if (d.addr != null) {
+                if (typeof d.addr === "string")
+                    $util.base64.decode(d.addr, m.addr = $util.newBuffer($util.base64.length(d.addr)), 0);
+                else if (d.addr.length)
+                    m.addr = d.addr;
+            }
+            return m;
+        };
+
+        /**
+         * Creates a plain object from a DialResponse message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof Message.DialResponse
+         * @static
+         * @param {Message.DialResponse} m DialResponse
+         * @param {$protobuf.IConversionOptions} [o] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        DialResponse.toObject = function toObject(m, o) {
+            if (!o)
+                o = {};
+            var d = {};
+            if (o.defaults) {
+                d.status = o.enums === String ? "OK" : 0;
+                d.statusText = "";
+                if (o.bytes === String)
+                    d.addr = "";
+                else {
+                    d.addr = [];
+                    if (o.bytes !== Array)
+                        d.addr = $util.newBuffer(d.addr);
+                }
+            }
+            if (m.status != null && m.hasOwnProperty("status")) {
+                d.status = o.enums === String ? $root.Message.ResponseStatus[m.status] : m.status;
+            }
+            if (m.statusText != null && m.hasOwnProperty("statusText")) {
+                d.statusText = m.statusText;
+            }
+            if (m.addr != null && m.hasOwnProperty("addr")) {
+                d.addr = o.bytes === String ? $util.base64.encode(m.addr, 0, m.addr.length) : o.bytes === Array ? Array.prototype.slice.call(m.addr) : m.addr;
+            }
+            return d;
+        };
+
+        /**
+         * Converts this DialResponse to JSON.
+         * @function toJSON
+         * @memberof Message.DialResponse
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        DialResponse.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return DialResponse;
+    })();
+
+    return Message;
+})();
+
+module.exports = $root;
@@ -9,8 +9,9 @@ const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
 const { toString: uint8ArrayToString } = require('uint8arrays/to-string')
 const { Multiaddr } = require('multiaddr')
 const all = require('it-all')
+const PeerId = require('peer-id')
 
-const { relay: multicodec } = require('./multicodec')
+const { relay: multicodec, relayV2Hop } = require('./multicodec')
 const { canHop } = require('./circuit/hop')
 const { namespaceToCid } = require('./utils')
 const {
@@ -19,11 +20,13 @@ const {
   HOP_METADATA_VALUE,
   RELAY_RENDEZVOUS_NS
 } = require('./constants')
+const { Reachability } = require('../autonat/constants')
+const { DIAL_PRIORITY } = require('../constants')
+const { RELAY_TAG } = require('../connection-manager/constants')
 
 /**
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  * @typedef {import('../peer-store/types').Address} Address
- * @typedef {import('peer-id')} PeerId
  */
 
 /**
@@ -49,6 +52,7 @@ class AutoRelay {
     this._connectionManager = libp2p.connectionManager
     this._transportManager = libp2p.transportManager
     this._addressSorter = libp2p.dialer.addressSorter
+    this._autoNat = libp2p.autoNat
 
     this.maxListeners = maxListeners
 
@@ -59,9 +63,11 @@ class AutoRelay {
 
     this._onProtocolChange = this._onProtocolChange.bind(this)
     this._onPeerDisconnected = this._onPeerDisconnected.bind(this)
+    this._onReachabilityChange = this._onReachabilityChange.bind(this)
 
     this._peerStore.on('change:protocols', this._onProtocolChange)
     this._connectionManager.on('peer:disconnect', this._onPeerDisconnected)
+    this._autoNat && this._autoNat.on('change:reachability', this._onReachabilityChange)
 
     /**
      * @param {Error} error
@@ -77,7 +83,8 @@ class AutoRelay {
    * Check if a peer supports the relay protocol.
    * If the protocol is not supported, check if it was supported before and remove it as a listen relay.
    * If the protocol is supported, check if the peer supports **HOP** and add it as a listener if
-   * inside the threshold.
+   * inside the threshold. Peers that speak the v2 HOP protocol are relays, so they need no
+   * CAN_HOP request.
    *
    * @param {Object} props
    * @param {PeerId} props.peerId
@@ -88,7 +95,8 @@ class AutoRelay {
     const id = peerId.toB58String()
 
     // Check if it has the protocol
-    const hasProtocol = protocols.find(protocol => protocol === multicodec)
+    const supportsV2 = protocols.includes(relayV2Hop)
+    const hasProtocol = supportsV2 || protocols.includes(multicodec)
 
     // If no protocol, check if we were keeping the peer before as a listenRelay
     if (!hasProtocol && this._listenRelays.has(id)) {
@@ -111,7 +119,7 @@ class AutoRelay {
         return
       }
 
-      const supportsHop = await canHop({ connection })
+      const supportsHop = supportsV2 || await canHop({ connection })
 
       if (supportsHop) {
         await this._peerStore.metadataBook.setValue(peerId, HOP_METADATA_KEY, uint8ArrayFromString(HOP_METADATA_VALUE))
@@ -141,6 +149,40 @@ class AutoRelay {
     })
   }
 
+  /**
+   * Start listening on relays once we know we are not publicly reachable, and
+   * release them once we know we are.
+   *
+   * @param {string} reachability
+   */
+  _onReachabilityChange (reachability) {
+    if (reachability === Reachability.PUBLIC) {
+      this._releaseListenRelays().catch(err => {
+        this._onError(err, 'could not release hop relays')
+      })
+      return
+    }
+
+    if (reachability !== Reachability.PRIVATE) {
+      return
+    }
+
+    this._listenOnAvailableHopRelays().catch(err => {
+      this._onError(err, 'could not listen on hop relays')
+    })
+  }
+
+  /**
+   * Relays are only needed if we are not publicly reachable. Without AutoNAT,
+   * the reachability is unknown and relays are always used.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  _needsRelays () {
+    return !this._autoNat || this._autoNat.reachability === Reachability.PRIVATE
+  }
+
   /**
    * Attempt to listen on the given relay connection.
    *
@@ -151,8 +193,8 @@ class AutoRelay {
    */
   async _addListenRelay (connection, id) {
     try {
-      // Check if already listening on enough relays
-      if (this._listenRelays.size >= this.maxListeners) {
+      // Check if already listening on enough relays, or not needing them
+      if (this._listenRelays.size >= this.maxListeners || !this._needsRelays()) {
         return
       }
 
@@ -178,6 +220,13 @@ class AutoRelay {
 
       if (result.includes(true)) {
         this._listenRelays.add(id)
+        // Do not let the connection manager prune the connection we listen on
+        this._connectionManager.protect(connection.remotePeer, RELAY_TAG)
+
+        // Reachability may have turned public while listening
+        if (!this._needsRelays()) {
+          await this._releaseListenRelays()
+        }
       }
     } catch (/** @type {any} */ err) {
       this._onError(err)
@@ -193,29 +242,54 @@ class AutoRelay {
    */
   async _removeListenRelay (id) {
     if (this._listenRelays.delete(id)) {
+      this._connectionManager.unprotect(PeerId.createFromB58String(id), RELAY_TAG)
+
       // TODO: this should be responsibility of the connMgr
       await this._listenOnAvailableHopRelays([id])
     }
   }
 
+  /**
+   * Stop listening on every relay. Closing the connection to a relay drops the
+   * reservation we hold with it and removes its circuit listen address.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _releaseListenRelays () {
+    const ids = Array.from(this._listenRelays)
+    this._listenRelays.clear()
+
+    await Promise.all(ids.map(async id => {
+      const peerId = PeerId.createFromB58String(id)
+
+      log('releasing hop relay %s', id)
+      this._connectionManager.unprotect(peerId, RELAY_TAG)
+      await this._libp2p.hangUp(peerId)
+    }))
+  }
+
   /**
    * Try to listen on available hop relay connections.
    * The following order will happen while we do not have enough relays.
    * 1. Check the metadata store for known relays, try to listen on the ones we are already connected.
    * 2. Dial and try to listen on the peers we know that support hop but are not connected.
    * 3. Search the network.
+   * Within the first two steps, relays that speak the v2 HOP protocol are preferred.
    *
    * @param {string[]} [peersToIgnore]
    */
   async _listenOnAvailableHopRelays (peersToIgnore = []) {
     // TODO: The peer redial issue on disconnect should be handled by connection gating
-    // Check if already listening on enough relays
-    if (this._listenRelays.size >= this.maxListeners) {
+    // Check if already listening on enough relays, or not needing them
+    if (this._listenRelays.size >= this.maxListeners || !this._needsRelays()) {
       return
     }
 
     const knownHopsToDial = []
-    const peers = await all(this._peerStore.getPeers())
+    const peers = (await all(this._peerStore.getPeers()))
+      // Sort v2 relays first, Array.prototype.sort is stable so the store order is kept otherwise
+      .sort((a, b) => Number(b.protocols.includes(relayV2Hop)) - Number(a.protocols.includes(relayV2Hop)))
 
     // Check if we have known hop peers to use and attempt to listen on the already connected
     for await (const { id, metadata } of peers) {
@@ -272,7 +346,7 @@ class AutoRelay {
         }
 
         const peerId = provider.id
-        await this._peerStore.addressBook.add(peerId, provider.multiaddrs)
+        await this._peerStore.addressBook.add(peerId, provider.multiaddrs, { source: 'discovered' })
 
         await this._tryToListenOnRelay(peerId)
 
@@ -291,7 +365,7 @@ class AutoRelay {
    */
   async _tryToListenOnRelay (peerId) {
     try {
-      const connection = await this._libp2p.dial(peerId)
+      const connection = await this._libp2p.dial(peerId, { priority: DIAL_PRIORITY.LOW })
       await this._addListenRelay(connection, peerId.toB58String())
     } catch (/** @type {any} */ err) {
       this._onError(err, `could not connect and listen on known hop relay ${peerId.toB58String()}`)
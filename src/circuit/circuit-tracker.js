@@ -0,0 +1,180 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:circuit:circuit-tracker'), {
+  error: debug('libp2p:circuit:circuit-tracker:err')
+})
+
+const trackedMap = require('../metrics/tracked-map')
+const {
+  MAX_CIRCUITS,
+  MAX_CIRCUITS_PER_PEER,
+  MAX_CIRCUITS_PER_IP
+} = require('./constants')
+
+const METRICS_COMPONENT = 'relay'
+const METRICS_CIRCUITS = 'circuits'
+const METRICS_CIRCUIT_PEERS = 'circuit-peers'
+const METRICS_CIRCUIT_IPS = 'circuit-ips'
+
+/**
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('multiaddr').Multiaddr} Multiaddr
+ *
+ * @typedef {Object} Circuit
+ * @property {string} peer - the source peer of the circuit
+ * @property {string} [ip] - the source ip address of the circuit
+ *
+ * @typedef {Object} CircuitTrackerOptions
+ * @property {number} [maxCircuits = MAX_CIRCUITS] - maximum number of circuits relayed at once
+ * @property {number} [maxCircuitsPerPeer = MAX_CIRCUITS_PER_PEER] - maximum number of circuits relayed at once for a source peer
+ * @property {number} [maxCircuitsPerIp = MAX_CIRCUITS_PER_IP] - maximum number of circuits relayed at once for a source ip address
+ * @property {import('../metrics')} [metrics]
+ */
+
+/**
+ * Get the ip address of a multiaddr, if it has one.
+ *
+ * @param {Multiaddr} addr
+ * @returns {string|undefined}
+ */
+function getIp (addr) {
+  const protos = addr.protoNames()
+
+  if (!protos.includes('ip4') && !protos.includes('ip6')) {
+    return
+  }
+
+  try {
+    return addr.nodeAddress().address
+  } catch (/** @type {any} */ err) {
+    log.error('could not get the ip address of %s', addr, err)
+  }
+}
+
+class CircuitTracker {
+  /**
+   * Keeps track of the circuits a relay is relaying, so the relay can refuse
+   * new circuits once it is over its limits.
+   *
+   * @class
+   * @param {CircuitTrackerOptions} [options]
+   */
+  constructor ({
+    maxCircuits = MAX_CIRCUITS,
+    maxCircuitsPerPeer = MAX_CIRCUITS_PER_PEER,
+    maxCircuitsPerIp = MAX_CIRCUITS_PER_IP,
+    metrics
+  } = {}) {
+    this.maxCircuits = maxCircuits
+    this.maxCircuitsPerPeer = maxCircuitsPerPeer
+    this.maxCircuitsPerIp = maxCircuitsPerIp
+
+    /** @type {Map<number, Circuit>} */
+    this._circuits = trackedMap({
+      component: METRICS_COMPONENT,
+      metric: METRICS_CIRCUITS,
+      metrics
+    })
+
+    /**
+     * Number of open circuits per source peer
+     *
+     * @type {Map<string, number>}
+     */
+    this._peers = trackedMap({
+      component: METRICS_COMPONENT,
+      metric: METRICS_CIRCUIT_PEERS,
+      metrics
+    })
+
+    /**
+     * Number of open circuits per source ip address
+     *
+     * @type {Map<string, number>}
+     */
+    this._ips = trackedMap({
+      component: METRICS_COMPONENT,
+      metric: METRICS_CIRCUIT_IPS,
+      metrics
+    })
+
+    this._nextId = 0
+  }
+
+  /**
+   * The number of circuits currently open
+   *
+   * @type {number}
+   */
+  get size () {
+    return this._circuits.size
+  }
+
+  /**
+   * Track a new circuit requested over the given connection.
+   *
+   * @param {Connection} connection - the connection the circuit was requested over
+   * @returns {number|undefined} the id of the circuit, or undefined if a limit was reached
+   */
+  open (connection) {
+    const peer = connection.remotePeer.toB58String()
+    const ip = getIp(connection.remoteAddr)
+
+    if (this._circuits.size >= this.maxCircuits) {
+      log('refusing circuit for %s, %d circuits open', peer, this._circuits.size)
+      return
+    }
+
+    if ((this._peers.get(peer) || 0) >= this.maxCircuitsPerPeer) {
+      log('refusing circuit for %s, too many circuits open for peer', peer)
+      return
+    }
+
+    if (ip && (this._ips.get(ip) || 0) >= this.maxCircuitsPerIp) {
+      log('refusing circuit for %s, too many circuits open for ip %s', peer, ip)
+      return
+    }
+
+    const id = this._nextId++
+    this._circuits.set(id, { peer, ip })
+    this._peers.set(peer, (this._peers.get(peer) || 0) + 1)
+    ip && this._ips.set(ip, (this._ips.get(ip) || 0) + 1)
+
+    return id
+  }
+
+  /**
+   * Stop tracking a circuit once it is closed.
+   *
+   * @param {number} id - the id of the circuit
+   * @returns {void}
+   */
+  close (id) {
+    const circuit = this._circuits.get(id)
+
+    if (!circuit) {
+      return
+    }
+
+    this._circuits.delete(id)
+    decrement(this._peers, circuit.peer)
+    circuit.ip && decrement(this._ips, circuit.ip)
+  }
+}
+
+/**
+ * @param {Map<string, number>} counts
+ * @param {string} key
+ */
+function decrement (counts, key) {
+  const count = (counts.get(key) || 0) - 1
+
+  if (count > 0) {
+    counts.set(key, count)
+  } else {
+    counts.delete(key)
+  }
+}
+
+module.exports = CircuitTracker
@@ -7,11 +7,13 @@ const log = Object.assign(debug('libp2p:circuit:hop'), {
 const errCode = require('err-code')
 
 const PeerId = require('peer-id')
+const { Multiaddr } = require('multiaddr')
 const { validateAddrs } = require('./utils')
 const StreamHandler = require('./stream-handler')
 const { CircuitRelay: CircuitPB } = require('../protocol')
-const { pipe } = require('it-pipe')
 const { codes: Errors } = require('../../errors')
+const { CIRCUIT_PROTO_CODE } = require('../constants')
+const { createLimitedRelay } = require('../utils')
 
 const { stop } = require('./stop')
 
@@ -22,14 +24,16 @@ const multicodec = require('./../multicodec')
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
  * @typedef {import('../transport')} Transport
+ * @typedef {import('../circuit-tracker')} CircuitTracker
  */
 
 /**
  * @typedef {Object} HopRequest
  * @property {Connection} connection
  * @property {ICircuitRelay} request
- * @property {StreamHandler} streamHandler
+ * @property {StreamHandler<ICircuitRelay>} streamHandler
  * @property {Transport} circuit
+ * @property {CircuitTracker} circuitTracker
  */
 
 /**
@@ -40,10 +44,11 @@ async function handleHop ({
   connection,
   request,
   streamHandler,
-  circuit
+  circuit,
+  circuitTracker
 }) {
   // Ensure hop is enabled
-  if (!circuit._options.hop.enabled) {
+  if (!circuit._options.hop.enabled || !circuit._options.hop.v1.enabled) {
     log('HOP request received but we are not acting as a relay')
     return streamHandler.end({
       type: CircuitPB.Type.STATUS,
@@ -63,10 +68,54 @@ async function handleHop ({
     return
   }
 
+  // Ensure we are within our circuit limits
+  const circuitId = circuitTracker.open(connection)
+  if (circuitId === undefined) {
+    // v1 has no status for resource limits, this is the closest one that
+    // does not tell the source peer we are not a relay
+    log('HOP request received but the circuit limit is reached')
+    return streamHandler.end({
+      type: CircuitPB.Type.STATUS,
+      code: CircuitPB.Status.HOP_CANT_OPEN_DST_STREAM
+    })
+  }
+
+  try {
+    return await relayToDestination({
+      connection,
+      request,
+      dstPeer: request.dstPeer,
+      streamHandler,
+      circuit
+    })
+  } finally {
+    circuitTracker.close(circuitId)
+  }
+}
+
+/**
+ * Open a STOP stream to the destination peer of a HOP request, dialing it
+ * first if we are an active relay, and short circuit it with the source stream.
+ *
+ * @param {object} options
+ * @param {Connection} options.connection
+ * @param {ICircuitRelay} options.request
+ * @param {import('../protocol').CircuitRelay.IPeer} options.dstPeer
+ * @param {StreamHandler<ICircuitRelay>} options.streamHandler
+ * @param {Transport} options.circuit
+ * @returns {Promise<void>}
+ */
+async function relayToDestination ({
+  connection,
+  request,
+  dstPeer,
+  streamHandler,
+  circuit
+}) {
   // Get the connection to the destination (stop) peer
-  const destinationPeer = new PeerId(request.dstPeer.id)
+  const destinationPeer = new PeerId(dstPeer.id)
 
-  const destinationConnection = circuit._connectionManager.get(destinationPeer)
+  let destinationConnection = circuit._connectionManager.get(destinationPeer)
   if (!destinationConnection && !circuit._options.hop.active) {
     log('HOP request received but we are not connected to the destination peer')
     return streamHandler.end({
@@ -75,9 +124,21 @@ async function handleHop ({
     })
   }
 
-  // TODO: Handle being an active relay
+  // As an active relay, dial the destination peer if we are not connected to it
   if (!destinationConnection) {
-    return
+    try {
+      destinationConnection = await dialDestination({
+        circuit,
+        peerId: destinationPeer,
+        addrs: dstPeer.addrs
+      })
+    } catch (/** @type {any} */ err) {
+      log.error('HOP request received but we could not dial the destination peer %s', destinationPeer.toB58String(), err)
+      return streamHandler.end({
+        type: CircuitPB.Type.STATUS,
+        code: CircuitPB.Status.HOP_CANT_DIAL_DST
+      })
+    }
   }
 
   // Handle the incoming HOP request by performing a STOP request
@@ -94,7 +155,19 @@ async function handleHop ({
       request: stopRequest
     })
   } catch (/** @type {any} */ err) {
-    return log.error(err)
+    log.error('HOP request received but the STOP request to the destination peer failed', err)
+    return streamHandler.end({
+      type: CircuitPB.Type.STATUS,
+      code: CircuitPB.Status.HOP_CANT_OPEN_DST_STREAM
+    })
+  }
+
+  if (!destinationStream) {
+    log('HOP request received but the destination peer refused the STOP request')
+    return streamHandler.end({
+      type: CircuitPB.Type.STATUS,
+      code: CircuitPB.Status.HOP_CANT_OPEN_DST_STREAM
+    })
   }
 
   log('hop request from %s is valid', connection.remotePeer.toB58String())
@@ -105,11 +178,28 @@ async function handleHop ({
   const sourceStream = streamHandler.rest()
 
   // Short circuit the two streams to create the relayed connection
-  return pipe(
-    sourceStream,
-    destinationStream,
-    sourceStream
-  )
+  return createLimitedRelay(sourceStream, destinationStream, circuit._options.hop.limit)
+}
+
+/**
+ * Dial the destination peer of a HOP request, using the addresses known by the
+ * PeerStore as well as the ones it was sent with. The latter come from the
+ * source peer and are not trusted, so they are not stored.
+ *
+ * @param {object} options
+ * @param {Transport} options.circuit
+ * @param {PeerId} options.peerId - the destination peer
+ * @param {Uint8Array[]|null} [options.addrs] - the destination addresses of the HOP request
+ * @returns {Promise<Connection>}
+ */
+async function dialDestination ({ circuit, peerId, addrs }) {
+  const multiaddrs = (addrs || [])
+    .map((addr) => new Multiaddr(addr))
+    // Do not relay through another relay
+    .filter((addr) => !addr.protoCodes().includes(CIRCUIT_PROTO_CODE))
+
+  log('dialing destination peer %s as an active relay', peerId.toB58String())
+  return circuit._dialer.connectToPeer(peerId, { multiaddrs })
 }
 
 /**
@@ -128,6 +218,7 @@ async function hop ({
   // Create a new stream to the relay
   const { stream } = await connection.newStream([multicodec.relay])
   // Send the HOP request
+  /** @type {StreamHandler<ICircuitRelay>} */
   const streamHandler = new StreamHandler({ stream })
   streamHandler.write(request)
 
@@ -160,6 +251,7 @@ async function canHop ({
   // Create a new stream to the relay
   const { stream } = await connection.newStream([multicodec.relay])
   // Send the HOP request
+  /** @type {StreamHandler<ICircuitRelay>} */
   const streamHandler = new StreamHandler({ stream })
   streamHandler.write({
     type: CircuitPB.Type.CAN_HOP
@@ -180,7 +272,7 @@ async function canHop ({
  *
  * @param {Object} options
  * @param {Connection} options.connection
- * @param {StreamHandler} options.streamHandler
+ * @param {StreamHandler<ICircuitRelay>} options.streamHandler
  * @param {Transport} options.circuit
  * @private
  */
@@ -189,7 +281,7 @@ function handleCanHop ({
   streamHandler,
   circuit
 }) {
-  const canHop = circuit._options.hop.enabled
+  const canHop = circuit._options.hop.enabled && circuit._options.hop.v1.enabled
   log('can hop (%s) request from %s', canHop, connection.remotePeer.toB58String())
   streamHandler.end({
     type: CircuitPB.Type.STATUS,
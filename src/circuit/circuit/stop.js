@@ -23,7 +23,7 @@ const { validateAddrs } = require('./utils')
  * @param {Object} options
  * @param {Connection} options.connection
  * @param {ICircuitRelay} options.request - The CircuitRelay protobuf request (unencoded)
- * @param {StreamHandler} options.streamHandler
+ * @param {StreamHandler<ICircuitRelay>} options.streamHandler
  * @returns {Promise<MuxedStream>|void} Resolves a duplex iterable
  */
 module.exports.handleStop = function handleStop ({
@@ -62,6 +62,7 @@ module.exports.stop = async function stop ({
 }) {
   const { stream } = await connection.newStream([multicodec.relay])
   log('starting stop request to %s', connection.remotePeer.toB58String())
+  /** @type {StreamHandler<ICircuitRelay>} */
   const streamHandler = new StreamHandler({ stream })
 
   streamHandler.write(request)
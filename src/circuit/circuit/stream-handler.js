@@ -12,9 +12,19 @@ const { CircuitRelay } = require('../protocol')
 
 /**
  * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
- * @typedef {import('../protocol').ICircuitRelay} ICircuitRelay
+ * @typedef {import('../../resource-manager').StreamScope} StreamScope
  */
 
+/**
+ * @template T
+ * @typedef {Object} MessageCodec
+ * @property {(message: T) => { finish: () => Uint8Array }} encode - message type is inferred from here
+ * @property {(buf: Uint8Array) => any} decode
+ */
+
+/**
+ * @template T
+ */
 class StreamHandler {
   /**
    * Create a stream handler for connection
@@ -22,10 +32,16 @@ class StreamHandler {
    * @class
    * @param {object} options
    * @param {MuxedStream} options.stream - A duplex iterable
+   * @param {MessageCodec<T>} [options.codec = CircuitRelay] - The protobuf message exchanged on the stream, the v1 circuit relay message by default
    * @param {number} [options.maxLength = 4096] - max bytes length of message
+   * @param {StreamScope} [options.scope] - The resource manager scope of an inbound stream, the memory of the messages is reserved in it while reading them
    */
-  constructor ({ stream, maxLength = 4096 }) {
+  constructor ({ stream, codec, maxLength = 4096, scope }) {
     this.stream = stream
+    this.maxLength = maxLength
+    this.scope = scope
+    /** @type {MessageCodec<T>} */
+    this.codec = codec || /** @type {MessageCodec<any>} */ (CircuitRelay)
 
     this.shake = handshake(this.stream)
     // @ts-ignore options are not optional
@@ -36,11 +52,26 @@ class StreamHandler {
    * Read and decode message
    *
    * @async
+   * @returns {Promise<T | undefined>}
    */
   async read () {
-    const msg = await this.decoder.next()
+    try {
+      this.scope && this.scope.reserveMemory(this.maxLength)
+    } catch (/** @type {any} */ err) {
+      log.error('could not reserve memory to read a message, resetting the stream', err)
+      this.stream.abort()
+      return
+    }
+
+    let msg
+    try {
+      msg = await this.decoder.next()
+    } finally {
+      this.scope && this.scope.releaseMemory(this.maxLength)
+    }
+
     if (msg.value) {
-      const value = CircuitRelay.decode(msg.value.slice())
+      const value = this.codec.decode(msg.value.slice())
       log('read message type', value.type)
       return value
     }
@@ -53,13 +84,14 @@ class StreamHandler {
   /**
    * Encode and write array of buffers
    *
-   * @param {ICircuitRelay} msg - An unencoded CircuitRelay protobuf message
+   * @param {T} msg - An unencoded protobuf message
    * @returns {void}
    */
   write (msg) {
+    // @ts-ignore the messages exchanged by the circuit protocols all have a type
     log('write message type %s', msg.type)
     // @ts-ignore lp.encode expects type type 'Buffer | BufferList', not 'Uint8Array'
-    this.shake.write(lp.encode.single(CircuitRelay.encode(msg).finish()))
+    this.shake.write(lp.encode.single(this.codec.encode(msg).finish()))
   }
 
   /**
@@ -73,7 +105,7 @@ class StreamHandler {
   }
 
   /**
-   * @param {ICircuitRelay} msg - An unencoded CircuitRelay protobuf message
+   * @param {T} msg - An unencoded protobuf message
    */
   end (msg) {
     this.write(msg)
@@ -4,7 +4,7 @@ const { Multiaddr } = require('multiaddr')
 const { CircuitRelay } = require('../protocol')
 
 /**
- * @typedef {import('./stream-handler')} StreamHandler
+ * @typedef {import('./stream-handler')<ICircuitRelay>} StreamHandler
  * @typedef {import('../protocol').ICircuitRelay} ICircuitRelay
  */
 
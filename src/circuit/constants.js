@@ -8,5 +8,14 @@ module.exports = {
   CIRCUIT_PROTO_CODE: 290, // Multicodec code
   HOP_METADATA_KEY: 'hop_relay', // PeerStore metadaBook key for HOP relay service
   HOP_METADATA_VALUE: 'true', // PeerStore metadaBook value for HOP relay service
-  RELAY_RENDEZVOUS_NS: '/libp2p/relay' // Relay HOP relay service namespace for discovery
+  RELAY_RENDEZVOUS_NS: '/libp2p/relay', // Relay HOP relay service namespace for discovery
+  MAX_RESERVATIONS: 15, // Maximum number of v2 reservations a relay will hold at once
+  RESERVATION_TTL: 2 * 60 * minute, // How long a v2 reservation is valid for
+  RESERVATION_CLEAR_INTERVAL: 5 * minute, // How often expired v2 reservations are removed
+  RESERVATION_REFRESH_MARGIN: 5 * minute, // How long before expiry a v2 reservation is renewed
+  DEFAULT_DURATION_LIMIT: 2 * minute, // Maximum duration of a v2 relayed connection
+  DEFAULT_DATA_LIMIT: 1 << 17, // Maximum bytes relayed in each direction of a v2 relayed connection
+  MAX_CIRCUITS: 256, // Maximum number of circuits a relay will relay at once
+  MAX_CIRCUITS_PER_PEER: 16, // Maximum number of circuits a relay will relay at once for a source peer
+  MAX_CIRCUITS_PER_IP: 64 // Maximum number of circuits a relay will relay at once for a source ip address
 }
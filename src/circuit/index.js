@@ -12,22 +12,47 @@ const {
 } = require('set-delayed-interval')
 
 const AutoRelay = require('./auto-relay')
-const { namespaceToCid } = require('./utils')
+const CircuitTracker = require('./circuit-tracker')
+const ReservationStore = require('./v2/reservation-store')
+const StreamHandler = require('./circuit/stream-handler')
+const { HopMessage } = require('./v2/protocol')
+const { handleHop } = require('./v2/hop')
+const { relayV2Hop } = require('./multicodec')
+const { namespaceToCid, minLimit } = require('./utils')
 const {
   RELAY_RENDEZVOUS_NS
 } = require('./constants')
 
 /**
  * @typedef {import('../')} Libp2p
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
+ * @typedef {import('../resource-manager').StreamScope} StreamScope
  *
  * @typedef {Object} RelayAdvertiseOptions
  * @property {number} [bootDelay = ADVERTISE_BOOT_DELAY]
  * @property {boolean} [enabled = true]
  * @property {number} [ttl = ADVERTISE_TTL]
  *
+ * @typedef {Object} HopV1Options
+ * @property {boolean} [enabled = true] - speak the v1 HOP protocol to relay for other peers
+ *
+ * @typedef {Object} HopV2Options
+ * @property {boolean} [enabled = true] - speak the v2 HOP protocol to relay for other peers
+ * @property {number} [maxReservations = MAX_RESERVATIONS] - maximum number of reservations held at once
+ * @property {number} [reservationTtl = RESERVATION_TTL] - how long a reservation is valid for, in ms
+ * @property {number} [reservationClearInterval = RESERVATION_CLEAR_INTERVAL] - how often expired reservations are removed, in ms
+ * @property {import('./v2/reservation-store').RelayLimit} [limit] - limits applied to each relayed connection
+ *
  * @typedef {Object} HopOptions
  * @property {boolean} [enabled = false]
  * @property {boolean} [active = false]
+ * @property {number} [maxCircuits = MAX_CIRCUITS] - maximum number of circuits relayed at once
+ * @property {number} [maxCircuitsPerPeer = MAX_CIRCUITS_PER_PEER] - maximum number of circuits relayed at once for a source peer
+ * @property {number} [maxCircuitsPerIp = MAX_CIRCUITS_PER_IP] - maximum number of circuits relayed at once for a source ip address
+ * @property {import('./v2/reservation-store').RelayLimit} [limit] - limits applied to every relayed circuit
+ * @property {HopV1Options} [v1]
+ * @property {HopV2Options} [v2]
  *
  * @typedef {Object} AutoRelayOptions
  * @property {number} [maxListeners = 2] - maximum number of relays to listen.
@@ -51,6 +76,35 @@ class Relay {
     this._autoRelay = this._options.autoRelay.enabled && new AutoRelay({ libp2p, ...this._options.autoRelay })
 
     this._advertiseService = this._advertiseService.bind(this)
+
+    // Keep track of the circuits relayed for other peers if enabled
+    if (this._options.hop.enabled) {
+      const { maxCircuits, maxCircuitsPerPeer, maxCircuitsPerIp } = this._options.hop
+
+      this.circuitTracker = new CircuitTracker({
+        maxCircuits,
+        maxCircuitsPerPeer,
+        maxCircuitsPerIp,
+        metrics: libp2p.metrics
+      })
+    }
+
+    // Relay for other peers over v2 if enabled
+    if (this._options.hop.enabled && this._options.hop.v2.enabled) {
+      const { limit, maxReservations, reservationTtl, reservationClearInterval } = this._options.hop.v2
+
+      this.reservationStore = new ReservationStore({
+        maxReservations,
+        reservationTtl,
+        reservationClearInterval,
+        // Reserving peers are told about the limits that apply to all circuits too
+        limit: minLimit(limit, this._options.hop.limit),
+        metrics: libp2p.metrics
+      })
+
+      this._onPeerDisconnected = this._onPeerDisconnected.bind(this)
+      this._libp2p.registrar.handle(relayV2Hop, this._onHopV2.bind(this))
+    }
   }
 
   /**
@@ -59,6 +113,11 @@ class Relay {
    * @returns {void}
    */
   start () {
+    if (this.reservationStore) {
+      this.reservationStore.start()
+      this._libp2p.connectionManager.on('peer:disconnect', this._onPeerDisconnected)
+    }
+
     // Advertise service if HOP enabled
     const canHop = this._options.hop.enabled
 
@@ -76,6 +135,56 @@ class Relay {
    */
   stop () {
     clearDelayedInterval(this._timeout)
+
+    if (this.reservationStore) {
+      this._libp2p.connectionManager.removeListener('peer:disconnect', this._onPeerDisconnected)
+      this.reservationStore.stop()
+    }
+  }
+
+  /**
+   * Handle an incoming v2 HOP request.
+   *
+   * @param {Object} props
+   * @param {Connection} props.connection
+   * @param {MuxedStream} props.stream
+   * @param {StreamScope} [props.scope]
+   */
+  async _onHopV2 ({ connection, stream, scope }) {
+    const streamHandler = new StreamHandler({ stream, codec: HopMessage, scope })
+
+    try {
+      const request = await streamHandler.read()
+
+      if (!request) {
+        return
+      }
+
+      await handleHop({
+        connection,
+        request,
+        streamHandler,
+        relay: this,
+        reservationStore: /** @type {ReservationStore} */ (this.reservationStore),
+        circuitTracker: /** @type {CircuitTracker} */ (this.circuitTracker)
+      })
+    } catch (/** @type {any} */ err) {
+      log.error('could not handle the HOP request of %s', connection.remotePeer.toB58String(), err)
+      streamHandler.close()
+    }
+  }
+
+  /**
+   * Drop the reservation of a peer once it disconnects, as it can no longer be relayed to.
+   *
+   * @param {Connection} connection
+   */
+  _onPeerDisconnected (connection) {
+    const reservationStore = /** @type {ReservationStore} */ (this.reservationStore)
+
+    if (reservationStore.removeReservation(connection.remotePeer)) {
+      log('removed reservation of disconnected peer %s', connection.remotePeer.toB58String())
+    }
   }
 
   /**
@@ -1,10 +1,21 @@
 'use strict'
 
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:circuit:listener'), {
+  error: debug('libp2p:circuit:listener:err')
+})
+
 const { EventEmitter } = require('events')
 const { Multiaddr } = require('multiaddr')
+// @ts-ignore retimer does not have types
+const retimer = require('retimer')
+const { reserve } = require('./v2/hop')
+const { codes } = require('../errors')
+const { RESERVATION_REFRESH_MARGIN } = require('./constants')
 
 /**
  * @typedef {import('libp2p-interfaces/src/transport/types').Listener} Listener
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  */
 
 /**
@@ -13,6 +24,49 @@ const { Multiaddr } = require('multiaddr')
  */
 module.exports = (libp2p) => {
   const listeningAddrs = new Map()
+  const reservationTimers = new Map()
+
+  /**
+   * Make a reservation with a v2 relay. Relays that only speak v1 need no
+   * reservation, so they are listened on as before.
+   *
+   * @param {Connection} relayConn
+   * @returns {Promise<void>}
+   */
+  async function reserveSlot (relayConn) {
+    const id = relayConn.remotePeer.toB58String()
+    let reservation
+
+    try {
+      reservation = await reserve({ connection: relayConn })
+    } catch (/** @type {any} */ err) {
+      if (err.code === codes.ERR_UNSUPPORTED_PROTOCOL) {
+        log('relay %s does not support v2, no reservation needed', id)
+        return
+      }
+
+      throw err
+    }
+
+    // Renew the reservation before it expires
+    const remaining = reservation.expire - Date.now()
+    const delay = remaining > RESERVATION_REFRESH_MARGIN ? remaining - RESERVATION_REFRESH_MARGIN : remaining / 2
+
+    const timer = reservationTimers.get(id)
+    timer && timer.clear()
+    reservationTimers.set(id, retimer(() => {
+      reserveSlot(relayConn).catch(err => {
+        log.error('could not renew reservation with relay %s', id, err)
+        reservationTimers.delete(id)
+
+        if (listeningAddrs.delete(id)) {
+          // Announce listen addresses change
+          listener.emit('close')
+        }
+      })
+    }, delay))
+    log('reserved a slot on relay %s until %d', id, reservation.expire)
+  }
 
   /**
    * Add swarm handler and listen for incoming connections
@@ -24,6 +78,8 @@ module.exports = (libp2p) => {
     const addrString = String(addr).split('/p2p-circuit').find(a => a !== '')
 
     const relayConn = await libp2p.dial(new Multiaddr(addrString))
+    await reserveSlot(relayConn)
+
     const relayedAddr = relayConn.remoteAddr.encapsulate('/p2p-circuit')
 
     listeningAddrs.set(relayConn.remotePeer.toB58String(), relayedAddr)
@@ -54,16 +110,38 @@ module.exports = (libp2p) => {
     return addrs
   }
 
+  /**
+   * Stop renewing reservations
+   *
+   * @returns {Promise<void>}
+   */
+  function close () {
+    for (const timer of reservationTimers.values()) {
+      timer.clear()
+    }
+    reservationTimers.clear()
+
+    return Promise.resolve()
+  }
+
   /** @type Listener */
   const listener = Object.assign(new EventEmitter(), {
-    close: () => Promise.resolve(),
+    close,
     listen,
     getAddrs
   })
 
   // Remove listeningAddrs when a peer disconnects
   libp2p.connectionManager.on('peer:disconnect', (connection) => {
-    const deleted = listeningAddrs.delete(connection.remotePeer.toB58String())
+    const id = connection.remotePeer.toB58String()
+    const timer = reservationTimers.get(id)
+
+    if (timer) {
+      timer.clear()
+      reservationTimers.delete(id)
+    }
+
+    const deleted = listeningAddrs.delete(id)
 
     if (deleted) {
       // Announce listen addresses change
@@ -1,5 +1,7 @@
 'use strict'
 
 module.exports = {
-  relay: '/libp2p/circuit/relay/0.1.0'
+  relay: '/libp2p/circuit/relay/0.1.0',
+  relayV2Hop: '/libp2p/circuit/relay/0.2.0/hop',
+  relayV2Stop: '/libp2p/circuit/relay/0.2.0/stop'
 }
@@ -14,17 +14,21 @@ const { codes } = require('../errors')
 
 const toConnection = require('libp2p-utils/src/stream-to-ma-conn')
 
-const { relay: multicodec } = require('./multicodec')
+const { relay: multicodec, relayV2Hop, relayV2Stop } = require('./multicodec')
 const createListener = require('./listener')
 const { handleCanHop, handleHop, hop } = require('./circuit/hop')
 const { handleStop } = require('./circuit/stop')
 const StreamHandler = require('./circuit/stream-handler')
+const { hop: hopV2 } = require('./v2/hop')
+const { handleStop: handleStopV2 } = require('./v2/stop')
+const { HopMessage, StopMessage, Status } = require('./v2/protocol')
 
 const transportSymbol = Symbol.for('@libp2p/js-libp2p-circuit/circuit')
 
 /**
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
+ * @typedef {import('../resource-manager').StreamScope} StreamScope
  */
 
 class Circuit {
@@ -46,16 +50,18 @@ class Circuit {
     this.peerId = libp2p.peerId
 
     this._registrar.handle(multicodec, this._onProtocol.bind(this))
+    this._registrar.handle(relayV2Stop, this._onStopV2.bind(this))
   }
 
   /**
    * @param {Object} props
    * @param {Connection} props.connection
    * @param {MuxedStream} props.stream
+   * @param {StreamScope} [props.scope]
    */
-  async _onProtocol ({ connection, stream }) {
-    /** @type {import('./circuit/stream-handler')} */
-    const streamHandler = new StreamHandler({ stream })
+  async _onProtocol ({ connection, stream, scope }) {
+    /** @type {StreamHandler<import('./protocol').ICircuitRelay>} */
+    const streamHandler = new StreamHandler({ stream, scope })
     const request = await streamHandler.read()
 
     if (!request) {
@@ -77,7 +83,9 @@ class Circuit {
           connection,
           request,
           streamHandler,
-          circuit
+          circuit,
+          // The relay service tracks circuits when hop is enabled
+          circuitTracker: /** @type {import('./circuit-tracker')} */ (this._libp2p.relay && this._libp2p.relay.circuitTracker)
         })
         break
       }
@@ -96,10 +104,15 @@ class Circuit {
     }
 
     if (virtualConnection) {
-      // @ts-ignore dst peer will not be undefined
-      const remoteAddr = new Multiaddr(request.dstPeer.addrs[0])
-      // @ts-ignore src peer will not be undefined
-      const localAddr = new Multiaddr(request.srcPeer.addrs[0])
+      // The addresses of a STOP request come from the source peer, use the relay ones instead
+      const { remoteAddr, localAddr } = request.type === CircuitPB.Type.STOP && request.srcPeer
+        ? this._getRelayedAddrs(connection, PeerId.createFromBytes(request.srcPeer.id))
+        : {
+            // @ts-ignore dst peer will not be undefined
+            remoteAddr: new Multiaddr(request.dstPeer.addrs[0]),
+            // @ts-ignore src peer will not be undefined
+            localAddr: new Multiaddr(request.srcPeer.addrs[0])
+          }
       const maConn = toConnection({
         stream: virtualConnection,
         remoteAddr,
@@ -114,6 +127,78 @@ class Circuit {
     }
   }
 
+  /**
+   * The addresses of a connection relayed to us from the source peer, through
+   * the relay of the given connection.
+   *
+   * @param {Connection} connection - the connection to the relay
+   * @param {PeerId} sourcePeer
+   * @returns {{ remoteAddr: Multiaddr, localAddr: Multiaddr }}
+   */
+  _getRelayedAddrs (connection, sourcePeer) {
+    const relayAddr = connection.remoteAddr.getPeerId()
+      ? connection.remoteAddr
+      : connection.remoteAddr.encapsulate(`/p2p/${connection.remotePeer.toB58String()}`)
+
+    return {
+      remoteAddr: relayAddr.encapsulate(`/p2p-circuit/p2p/${sourcePeer.toB58String()}`),
+      localAddr: relayAddr.encapsulate(`/p2p-circuit/p2p/${this.peerId.toB58String()}`)
+    }
+  }
+
+  /**
+   * Handle an incoming v2 STOP request from a relay we hold a reservation with.
+   *
+   * @param {Object} props
+   * @param {Connection} props.connection
+   * @param {MuxedStream} props.stream
+   * @param {StreamScope} [props.scope]
+   */
+  async _onStopV2 ({ connection, stream, scope }) {
+    const streamHandler = new StreamHandler({ stream, codec: StopMessage, scope })
+    let maConn
+
+    try {
+      const request = await streamHandler.read()
+
+      if (!request) {
+        return
+      }
+
+      log('received STOP request from %s', connection.remotePeer.toB58String())
+      const virtualConnection = handleStopV2({
+        connection,
+        request,
+        streamHandler,
+        peerScoring: this._libp2p.peerScoring
+      })
+
+      if (!virtualConnection || !request.peer) {
+        return
+      }
+
+      maConn = toConnection({
+        stream: virtualConnection,
+        ...this._getRelayedAddrs(connection, PeerId.createFromBytes(request.peer.id))
+      })
+    } catch (/** @type {any} */ err) {
+      log.error('could not handle the STOP request of %s', connection.remotePeer.toB58String(), err)
+      streamHandler.close()
+      return
+    }
+
+    log('new inbound connection %s', maConn.remoteAddr)
+
+    try {
+      const conn = await this._upgrader.upgradeInbound(maConn)
+      log('inbound connection %s upgraded', maConn.remoteAddr)
+      this.handler && this.handler(conn)
+    } catch (/** @type {any} */ err) {
+      // the upgrader closes the connection it failed to upgrade
+      log.error('could not upgrade inbound connection %s', maConn.remoteAddr, err)
+    }
+  }
+
   /**
    * Dial a peer over a relay
    *
@@ -147,19 +232,10 @@ class Circuit {
     }
 
     try {
-      const virtualConnection = await hop({
-        connection: relayConnection,
-        request: {
-          type: CircuitPB.Type.HOP,
-          srcPeer: {
-            id: this.peerId.toBytes(),
-            addrs: this._libp2p.multiaddrs.map(addr => addr.bytes)
-          },
-          dstPeer: {
-            id: destinationPeer.toBytes(),
-            addrs: [new Multiaddr(destinationAddr).bytes]
-          }
-        }
+      const virtualConnection = await this._hop({
+        relayConnection,
+        destinationPeer,
+        destinationAddr
       })
 
       const localAddr = relayAddr.encapsulate(`/p2p-circuit/p2p/${this.peerId.toB58String()}`)
@@ -178,6 +254,59 @@ class Circuit {
     }
   }
 
+  /**
+   * Ask the relay to open a circuit to the destination peer. The v2 protocol is
+   * used unless the relay is known to only speak v1. Destinations without a v2
+   * reservation may still listen through the relay with v1, so v1 is tried too.
+   *
+   * @param {Object} options
+   * @param {Connection} options.relayConnection
+   * @param {PeerId} options.destinationPeer
+   * @param {Multiaddr} options.destinationAddr
+   * @returns {Promise<MuxedStream>}
+   */
+  async _hop ({ relayConnection, destinationPeer, destinationAddr }) {
+    const protocols = await this._libp2p.peerStore.protoBook.get(relayConnection.remotePeer)
+
+    if (!protocols.length || protocols.includes(relayV2Hop)) {
+      try {
+        return await hopV2({
+          connection: relayConnection,
+          request: {
+            type: HopMessage.Type.CONNECT,
+            peer: {
+              id: destinationPeer.toBytes(),
+              addrs: []
+            }
+          }
+        })
+      } catch (/** @type {any} */ err) {
+        if (err.code === codes.ERR_UNSUPPORTED_PROTOCOL) {
+          log('relay %s does not support v2, falling back to v1', relayConnection.remotePeer.toB58String())
+        } else if (err.status === Status.NO_RESERVATION && (!protocols.length || protocols.includes(multicodec))) {
+          log('%s has no reservation with relay %s, falling back to v1', destinationPeer.toB58String(), relayConnection.remotePeer.toB58String())
+        } else {
+          throw err
+        }
+      }
+    }
+
+    return hop({
+      connection: relayConnection,
+      request: {
+        type: CircuitPB.Type.HOP,
+        srcPeer: {
+          id: this.peerId.toBytes(),
+          addrs: this._libp2p.multiaddrs.map(addr => addr.bytes)
+        },
+        dstPeer: {
+          id: destinationPeer.toBytes(),
+          addrs: [new Multiaddr(destinationAddr).bytes]
+        }
+      }
+    })
+  }
+
   /**
    * Create a listener
    *
@@ -219,7 +348,7 @@ class Circuit {
    * Checks if the given value is a Transport instance.
    *
    * @param {any} other
-   * @returns {other is Transport}
+   * @returns {other is Circuit}
    */
   static isTransport (other) {
     return Boolean(other && other[transportSymbol])
@@ -2,6 +2,15 @@
 
 const { CID } = require('multiformats/cid')
 const { sha256 } = require('multiformats/hashes/sha2')
+const { pipe } = require('it-pipe')
+const { source: abortableSource } = require('abortable-iterator')
+const { CIRCUIT_PROTO_CODE } = require('./constants')
+
+/**
+ * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
+ * @typedef {import('multiaddr').Multiaddr} Multiaddr
+ * @typedef {import('./v2/reservation-store').RelayLimit} RelayLimit
+ */
 
 /**
  * Convert a namespace string into a cid.
@@ -15,3 +24,149 @@ module.exports.namespaceToCid = async (namespace) => {
 
   return CID.createV0(hash)
 }
+
+/**
+ * Combine two limits, keeping the most restrictive value of each.
+ *
+ * @param {RelayLimit} [a]
+ * @param {RelayLimit} [b]
+ * @returns {RelayLimit}
+ */
+module.exports.minLimit = (a = {}, b = {}) => {
+  /**
+   * @param {number} [x]
+   * @param {number} [y]
+   */
+  const min = (x, y) => {
+    if (x === undefined || y === undefined) {
+      return x === undefined ? y : x
+    }
+
+    return Math.min(x, y)
+  }
+
+  return {
+    duration: min(a.duration, b.duration),
+    data: min(a.data, b.data),
+    rate: min(a.rate, b.rate)
+  }
+}
+
+/**
+ * Short circuit two streams to create a relayed connection. Both directions
+ * are ended once the circuit has been open for `limit.duration` ms, or once
+ * either direction has relayed `limit.data` bytes. Each direction relays at
+ * most `limit.rate` bytes per second.
+ *
+ * @param {MuxedStream} src
+ * @param {MuxedStream} dst
+ * @param {RelayLimit} [limit]
+ * @returns {Promise<void>}
+ */
+module.exports.createLimitedRelay = async (src, dst, limit = {}) => {
+  const controller = new AbortController()
+  const timeout = limit.duration ? setTimeout(() => controller.abort(), limit.duration) : undefined
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  async function * limitData (source) {
+    let remaining = limit.data
+
+    for await (const buf of source) {
+      if (remaining !== undefined && buf.length >= remaining) {
+        yield buf.slice(0, remaining)
+        controller.abort()
+        return
+      }
+
+      if (remaining !== undefined) {
+        remaining -= buf.length
+      }
+
+      yield buf
+    }
+  }
+
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  async function * limitRate (source) {
+    const rate = limit.rate
+    const start = Date.now()
+    let relayed = 0
+
+    for await (const buf of source) {
+      yield buf
+
+      if (rate !== undefined) {
+        // Wait until the relayed bytes are within the rate
+        relayed += buf.length
+        const wait = start + relayed * 1000 / rate - Date.now()
+        wait > 0 && await sleep(wait, controller.signal)
+      }
+    }
+  }
+
+  /**
+   * @param {MuxedStream} from
+   * @param {MuxedStream} to
+   */
+  const relay = (from, to) => pipe(
+    abortableSource(from.source, controller.signal, { returnOnAbort: true }),
+    limitData,
+    limitRate,
+    to.sink
+  )
+
+  try {
+    await Promise.all([
+      relay(src, dst),
+      relay(dst, src)
+    ])
+  } finally {
+    timeout && clearTimeout(timeout)
+  }
+}
+
+/**
+ * Wait for the given time, or until the signal is aborted.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function sleep (ms, signal) {
+  return new Promise(resolve => {
+    const timeout = setTimeout(done, ms)
+    signal.addEventListener('abort', done)
+
+    function done () {
+      clearTimeout(timeout)
+      signal.removeEventListener('abort', done)
+      resolve()
+    }
+  })
+}
+
+/**
+ * Whether the multiaddr goes through a relay.
+ *
+ * @param {Multiaddr} addr
+ * @returns {boolean}
+ */
+module.exports.isRelayedAddr = (addr) => {
+  return addr.protoCodes().includes(CIRCUIT_PROTO_CODE)
+}
+
+/**
+ * Abort the stream if the exchange has not completed once the signal is aborted.
+ *
+ * @param {MuxedStream} stream
+ * @param {AbortSignal} signal
+ */
+module.exports.abortOnTimeout = (stream, signal) => {
+  signal.addEventListener('abort', () => {
+    stream.abort()
+  })
+}
@@ -0,0 +1,356 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:circuit:v2:hop'), {
+  error: debug('libp2p:circuit:v2:hop:err')
+})
+const errCode = require('err-code')
+
+const PeerId = require('peer-id')
+const { Multiaddr } = require('multiaddr')
+const Envelope = require('../../record/envelope')
+const ReservationVoucherRecord = require('./reservation-voucher')
+const StreamHandler = require('../circuit/stream-handler')
+const { HopMessage, StopMessage, Status } = require('./protocol')
+const { createLimitedRelay } = require('../utils')
+const { CIRCUIT_PROTO_CODE } = require('../constants')
+const { codes: Errors } = require('../../errors')
+
+const { stop } = require('./stop')
+
+const multicodec = require('../multicodec')
+
+/**
+ * @typedef {import('./protocol').IHopMessage} IHopMessage
+ * @typedef {import('./protocol').ILimit} ILimit
+ * @typedef {import('./reservation-store')} ReservationStore
+ * @typedef {import('../circuit-tracker')} CircuitTracker
+ * @typedef {import('./reservation-store').RelayLimit} RelayLimit
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
+ * @typedef {import('../')} Relay
+ */
+
+/**
+ * @typedef {Object} HopRequest
+ * @property {Connection} connection
+ * @property {IHopMessage} request
+ * @property {StreamHandler<IHopMessage>} streamHandler
+ * @property {Relay} relay
+ * @property {ReservationStore} reservationStore
+ * @property {CircuitTracker} circuitTracker
+ *
+ * @typedef {Object} ReservationResult
+ * @property {number} expire - unix expiration time of the reservation in ms
+ * @property {Multiaddr[]} addrs - the relay addresses the reservation can be reached on
+ * @property {RelayLimit} [limit] - limits the relay applies to relayed connections
+ */
+
+/**
+ * Convert a limit in ms and bytes to its protobuf representation.
+ *
+ * @param {RelayLimit} [limit]
+ * @returns {ILimit|undefined}
+ */
+function toLimitMessage (limit) {
+  if (!limit) {
+    return
+  }
+
+  return {
+    duration: limit.duration ? Math.ceil(limit.duration / 1000) : undefined,
+    data: limit.data
+  }
+}
+
+/**
+ * Convert a protobuf limit to ms and bytes.
+ *
+ * @param {ILimit|null} [limit]
+ * @returns {RelayLimit|undefined}
+ */
+function fromLimitMessage (limit) {
+  if (!limit) {
+    return
+  }
+
+  return {
+    duration: limit.duration ? limit.duration * 1000 : undefined,
+    data: limit.data ? Number(limit.data) : undefined
+  }
+}
+
+/**
+ * Handles an incoming v2 HOP request on a relay.
+ *
+ * @param {HopRequest} options
+ * @returns {Promise<void>}
+ */
+async function handleHop ({
+  connection,
+  request,
+  streamHandler,
+  relay,
+  reservationStore,
+  circuitTracker
+}) {
+  switch (request.type) {
+    case HopMessage.Type.RESERVE: {
+      log('received RESERVE request from %s', connection.remotePeer.toB58String())
+      return handleReserve({ connection, request, streamHandler, relay, reservationStore, circuitTracker })
+    }
+    case HopMessage.Type.CONNECT: {
+      log('received CONNECT request from %s', connection.remotePeer.toB58String())
+
+      // Ensure we are within our circuit limits
+      const circuitId = circuitTracker.open(connection)
+      if (circuitId === undefined) {
+        return streamHandler.end({
+          type: HopMessage.Type.STATUS,
+          status: Status.RESOURCE_LIMIT_EXCEEDED
+        })
+      }
+
+      try {
+        return await handleConnect({ connection, request, streamHandler, relay, reservationStore, circuitTracker })
+      } finally {
+        circuitTracker.close(circuitId)
+      }
+    }
+    default: {
+      log('HOP request of type %s not supported', request.type)
+      streamHandler.end({
+        type: HopMessage.Type.STATUS,
+        status: Status.UNEXPECTED_MESSAGE
+      })
+    }
+  }
+}
+
+/**
+ * @param {HopRequest} options
+ * @returns {Promise<void>}
+ */
+async function handleReserve ({
+  connection,
+  streamHandler,
+  relay,
+  reservationStore
+}) {
+  const remotePeer = connection.remotePeer
+
+  // Do not accept reservations over a relayed connection
+  if (connection.remoteAddr.protoCodes().includes(CIRCUIT_PROTO_CODE)) {
+    log('refusing reservation from %s over a relayed connection', remotePeer.toB58String())
+    return streamHandler.end({
+      type: HopMessage.Type.STATUS,
+      status: Status.PERMISSION_DENIED
+    })
+  }
+
+  const { status, expire } = reservationStore.reserve(remotePeer)
+
+  if (status !== Status.OK || !expire) {
+    return streamHandler.end({
+      type: HopMessage.Type.STATUS,
+      status
+    })
+  }
+
+  const relayPeer = relay._libp2p.peerId
+  const expiration = Math.floor(expire / 1000)
+
+  try {
+    const voucher = await Envelope.seal(new ReservationVoucherRecord({
+      relay: relayPeer,
+      peer: remotePeer,
+      expiration
+    }), relayPeer)
+
+    streamHandler.end({
+      type: HopMessage.Type.STATUS,
+      status: Status.OK,
+      reservation: {
+        expire: expiration,
+        addrs: relay._libp2p.multiaddrs
+          .map(ma => ma.getPeerId() ? ma : ma.encapsulate(`/p2p/${relayPeer.toB58String()}`))
+          .map(ma => ma.bytes),
+        voucher: voucher.marshal()
+      },
+      limit: toLimitMessage(reservationStore.limit)
+    })
+  } catch (/** @type {any} */ err) {
+    log.error('could not create reservation for %s', remotePeer.toB58String(), err)
+    reservationStore.removeReservation(remotePeer)
+    streamHandler.end({
+      type: HopMessage.Type.STATUS,
+      status: Status.RESERVATION_REFUSED
+    })
+  }
+}
+
+/**
+ * @param {HopRequest} options
+ * @returns {Promise<void>}
+ */
+async function handleConnect ({
+  connection,
+  request,
+  streamHandler,
+  relay,
+  reservationStore
+}) {
+  let destinationPeer
+  try {
+    // @ts-ignore peer may be undefined, this will throw
+    destinationPeer = PeerId.createFromBytes(request.peer.id)
+  } catch (/** @type {any} */ err) {
+    log.error('invalid hop request via peer %s', connection.remotePeer.toB58String(), err)
+    relay._libp2p.peerScoring && relay._libp2p.peerScoring.penalize(connection.remotePeer, 'malformedMessage')
+    return streamHandler.end({
+      type: HopMessage.Type.STATUS,
+      status: Status.MALFORMED_MESSAGE
+    })
+  }
+
+  const reservation = reservationStore.get(destinationPeer)
+  const destinationConnection = relay._libp2p.connectionManager.get(destinationPeer)
+
+  if (!reservation || !destinationConnection) {
+    log('HOP request received but the destination peer has no reservation')
+    return streamHandler.end({
+      type: HopMessage.Type.STATUS,
+      status: Status.NO_RESERVATION
+    })
+  }
+
+  const limit = toLimitMessage(reservation.limit)
+
+  let destinationStream
+  try {
+    destinationStream = await stop({
+      connection: destinationConnection,
+      request: {
+        type: StopMessage.Type.CONNECT,
+        peer: {
+          id: connection.remotePeer.toBytes(),
+          addrs: []
+        },
+        limit
+      }
+    })
+  } catch (/** @type {any} */ err) {
+    log.error(err)
+  }
+
+  if (!destinationStream) {
+    return streamHandler.end({
+      type: HopMessage.Type.STATUS,
+      status: Status.CONNECTION_FAILED
+    })
+  }
+
+  log('hop request from %s is valid', connection.remotePeer.toB58String())
+  streamHandler.write({
+    type: HopMessage.Type.STATUS,
+    status: Status.OK,
+    limit
+  })
+  const sourceStream = streamHandler.rest()
+
+  // Short circuit the two streams to create the relayed connection
+  return createLimitedRelay(sourceStream, destinationStream, reservation.limit)
+}
+
+/**
+ * Performs a v2 RESERVE request to a relay peer, asking it to relay
+ * connections to us until the reservation expires.
+ *
+ * @param {object} options
+ * @param {Connection} options.connection - Connection to the relay
+ * @returns {Promise<ReservationResult>}
+ */
+async function reserve ({
+  connection
+}) {
+  // Create a new stream to the relay
+  const { stream } = await connection.newStream([multicodec.relayV2Hop])
+  const streamHandler = new StreamHandler({ stream, codec: HopMessage })
+  streamHandler.write({
+    type: HopMessage.Type.RESERVE
+  })
+
+  const response = await streamHandler.read()
+  streamHandler.close()
+
+  if (!response) {
+    throw errCode(new Error('RESERVE request had no response'), Errors.ERR_HOP_REQUEST_FAILED)
+  }
+
+  if (response.status !== Status.OK || !response.reservation) {
+    log('reservation failed with status %d', response.status)
+    throw errCode(new Error(`RESERVE request failed with status ${response.status}`), Errors.ERR_HOP_REQUEST_FAILED)
+  }
+
+  const { expire, addrs, voucher } = response.reservation
+
+  if (voucher && voucher.length) {
+    const envelope = await Envelope.openAndCertify(voucher, ReservationVoucherRecord.DOMAIN)
+    const record = ReservationVoucherRecord.createFromProtobuf(envelope.payload)
+
+    if (!envelope.peerId.equals(connection.remotePeer) ||
+      !record.relay.equals(connection.remotePeer) ||
+      !record.peer.equals(connection.localPeer)) {
+      throw errCode(new Error('reservation voucher was not issued by the relay for us'), Errors.ERR_INVALID_VOUCHER)
+    }
+  }
+
+  log('reservation with %s was successful', connection.remotePeer.toB58String())
+
+  return {
+    expire: Number(expire) * 1000,
+    addrs: (addrs || []).map(addr => new Multiaddr(addr)),
+    limit: fromLimitMessage(response.limit)
+  }
+}
+
+/**
+ * Performs a v2 CONNECT request to a relay peer, to request a connection to another
+ * peer. A new, virtual, connection will be created between the two via the relay.
+ *
+ * @param {object} options
+ * @param {Connection} options.connection - Connection to the relay
+ * @param {IHopMessage} options.request
+ * @returns {Promise<MuxedStream>}
+ */
+async function hop ({
+  connection,
+  request
+}) {
+  // Create a new stream to the relay
+  const { stream } = await connection.newStream([multicodec.relayV2Hop])
+  // Send the HOP request
+  const streamHandler = new StreamHandler({ stream, codec: HopMessage })
+  streamHandler.write(request)
+
+  const response = await streamHandler.read()
+
+  if (!response) {
+    throw errCode(new Error('HOP request had no response'), Errors.ERR_HOP_REQUEST_FAILED)
+  }
+
+  if (response.status === Status.OK) {
+    log('hop request was successful')
+    return streamHandler.rest()
+  }
+
+  log('hop request failed with status %d, closing stream', response.status)
+  streamHandler.close()
+  throw errCode(new Error(`HOP request failed with status ${response.status}`), Errors.ERR_HOP_REQUEST_FAILED, { status: response.status })
+}
+
+module.exports = {
+  handleHop,
+  reserve,
+  hop
+}
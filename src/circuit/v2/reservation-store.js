@@ -0,0 +1,168 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:circuit:v2:reservation-store'), {
+  error: debug('libp2p:circuit:v2:reservation-store:err')
+})
+
+const trackedMap = require('../../metrics/tracked-map')
+const { Status } = require('./protocol')
+const {
+  MAX_RESERVATIONS,
+  RESERVATION_TTL,
+  RESERVATION_CLEAR_INTERVAL
+} = require('../constants')
+
+const METRICS_COMPONENT = 'relay'
+const METRICS_RESERVATIONS = 'reservations'
+
+/**
+ * @typedef {import('peer-id')} PeerId
+ *
+ * @typedef {Object} RelayLimit
+ * @property {number} [duration] - maximum duration of a relayed connection in ms
+ * @property {number} [data] - maximum bytes relayed in each direction of a relayed connection
+ * @property {number} [rate] - maximum bytes per second relayed in each direction of a relayed connection
+ *
+ * @typedef {Object} Reservation
+ * @property {number} expire - unix expiration time of the reservation in ms
+ * @property {RelayLimit} [limit]
+ *
+ * @typedef {Object} ReservationStoreOptions
+ * @property {number} [maxReservations = MAX_RESERVATIONS] - maximum number of reservations held at once
+ * @property {number} [reservationTtl = RESERVATION_TTL] - how long a reservation is valid for, in ms
+ * @property {number} [reservationClearInterval = RESERVATION_CLEAR_INTERVAL] - how often expired reservations are removed, in ms
+ * @property {RelayLimit} [limit] - limits applied to connections relayed to reserving peers
+ * @property {import('../../metrics')} [metrics]
+ */
+
+class ReservationStore {
+  /**
+   * Keeps track of the peers that hold a reservation with this relay.
+   *
+   * @class
+   * @param {ReservationStoreOptions} [options]
+   */
+  constructor ({
+    maxReservations = MAX_RESERVATIONS,
+    reservationTtl = RESERVATION_TTL,
+    reservationClearInterval = RESERVATION_CLEAR_INTERVAL,
+    limit,
+    metrics
+  } = {}) {
+    this.maxReservations = maxReservations
+    this.reservationTtl = reservationTtl
+    this.reservationClearInterval = reservationClearInterval
+    this.limit = limit
+
+    /** @type {Map<string, Reservation>} */
+    this._reservations = trackedMap({
+      component: METRICS_COMPONENT,
+      metric: METRICS_RESERVATIONS,
+      metrics
+    })
+
+    /** @type {ReturnType<typeof setInterval> | undefined} */
+    this._interval = undefined
+  }
+
+  /**
+   * Start periodically removing expired reservations.
+   *
+   * @returns {void}
+   */
+  start () {
+    if (this._interval) {
+      return
+    }
+
+    this._interval = setInterval(() => this._clearExpired(), this.reservationClearInterval)
+  }
+
+  /**
+   * Stop removing expired reservations and forget all current ones.
+   *
+   * @returns {void}
+   */
+  stop () {
+    this._interval && clearInterval(this._interval)
+    this._interval = undefined
+    this._reservations.clear()
+  }
+
+  /**
+   * Reserve a slot for the given peer, or renew its existing reservation.
+   *
+   * @param {PeerId} peerId
+   * @returns {{ status: Status, expire?: number }}
+   */
+  reserve (peerId) {
+    const id = peerId.toB58String()
+
+    if (!this._reservations.has(id) && this._reservations.size >= this.maxReservations) {
+      // Expired reservations are only cleared periodically, they do not count
+      this._clearExpired()
+
+      if (this._reservations.size >= this.maxReservations) {
+        log('refusing reservation for %s, %d reservations held', id, this._reservations.size)
+        return { status: Status.RESOURCE_LIMIT_EXCEEDED }
+      }
+    }
+
+    const expire = Date.now() + this.reservationTtl
+    this._reservations.set(id, { expire, limit: this.limit })
+    log('reserved slot for %s until %d', id, expire)
+
+    return { status: Status.OK, expire }
+  }
+
+  /**
+   * Returns true if the given peer holds a reservation that has not expired.
+   *
+   * @param {PeerId} peerId
+   * @returns {boolean}
+   */
+  hasReservation (peerId) {
+    return Boolean(this.get(peerId))
+  }
+
+  /**
+   * Get the reservation held by the given peer, if it has not expired.
+   *
+   * @param {PeerId} peerId
+   * @returns {Reservation | undefined}
+   */
+  get (peerId) {
+    const reservation = this._reservations.get(peerId.toB58String())
+
+    if (reservation && reservation.expire > Date.now()) {
+      return reservation
+    }
+  }
+
+  /**
+   * Remove the reservation held by the given peer.
+   *
+   * @param {PeerId} peerId
+   * @returns {boolean}
+   */
+  removeReservation (peerId) {
+    return this._reservations.delete(peerId.toB58String())
+  }
+
+  /**
+   * @private
+   */
+  _clearExpired () {
+    const now = Date.now()
+
+    for (const [id, reservation] of this._reservations.entries()) {
+      if (reservation.expire <= now) {
+        log('reservation for %s expired', id)
+        this._reservations.delete(id)
+      }
+    }
+  }
+}
+
+module.exports = ReservationStore
@@ -0,0 +1,98 @@
+'use strict'
+
+const PeerId = require('peer-id')
+const { ReservationVoucher: Protobuf } = require('./protocol')
+
+/**
+ * @typedef {import('libp2p-interfaces/src/record/types').Record} Record
+ */
+
+// The domain string used for reservation vouchers contained in a Envelope.
+const ENVELOPE_DOMAIN_RESERVATION_VOUCHER = 'libp2p-relay-rsvp'
+
+// The type hint used to identify reservation vouchers in a Envelope.
+// Defined in https://github.com/multiformats/multicodec/blob/master/table.csv
+// with name "libp2p-relay-rsvp"
+const ENVELOPE_PAYLOAD_TYPE_RESERVATION_VOUCHER = Uint8Array.from([3, 2])
+
+/**
+ * @implements {Record}
+ */
+class ReservationVoucherRecord {
+  /**
+   * The ReservationVoucherRecord is issued by a v2 relay when it accepts a reservation.
+   * Signed by the relay, it proves that the reserving peer can be reached through it.
+   *
+   * @class
+   * @param {Object} params
+   * @param {PeerId} params.relay - the relay that accepted the reservation.
+   * @param {PeerId} params.peer - the peer that made the reservation.
+   * @param {number} params.expiration - unix expiration time of the reservation, in seconds.
+   */
+  constructor ({ relay, peer, expiration }) {
+    this.domain = ENVELOPE_DOMAIN_RESERVATION_VOUCHER
+    this.codec = ENVELOPE_PAYLOAD_TYPE_RESERVATION_VOUCHER
+
+    this.relay = relay
+    this.peer = peer
+    this.expiration = expiration
+
+    // Cache
+    this._marshal = undefined
+  }
+
+  /**
+   * Marshal a record to be used in an envelope.
+   *
+   * @returns {Uint8Array}
+   */
+  marshal () {
+    if (this._marshal) {
+      return this._marshal
+    }
+
+    this._marshal = Protobuf.encode({
+      relay: this.relay.toBytes(),
+      peer: this.peer.toBytes(),
+      expiration: this.expiration
+    }).finish()
+
+    return this._marshal
+  }
+
+  /**
+   * Returns true if `this` record equals the `other`.
+   *
+   * @param {unknown} other
+   * @returns {boolean}
+   */
+  equals (other) {
+    if (!(other instanceof ReservationVoucherRecord)) {
+      return false
+    }
+
+    return this.relay.equals(other.relay) &&
+      this.peer.equals(other.peer) &&
+      this.expiration === other.expiration
+  }
+}
+
+/**
+ * Unmarshal Reservation Voucher Protobuf.
+ *
+ * @param {Uint8Array} buf - marshaled reservation voucher.
+ * @returns {ReservationVoucherRecord}
+ */
+ReservationVoucherRecord.createFromProtobuf = (buf) => {
+  const voucher = Protobuf.decode(buf)
+
+  return new ReservationVoucherRecord({
+    relay: PeerId.createFromBytes(voucher.relay),
+    peer: PeerId.createFromBytes(voucher.peer),
+    expiration: Number(voucher.expiration)
+  })
+}
+
+ReservationVoucherRecord.DOMAIN = ENVELOPE_DOMAIN_RESERVATION_VOUCHER
+
+module.exports = ReservationVoucherRecord
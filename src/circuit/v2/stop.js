@@ -0,0 +1,96 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:circuit:v2:stop'), {
+  error: debug('libp2p:circuit:v2:stop:err')
+})
+
+const PeerId = require('peer-id')
+const { StopMessage, Status } = require('./protocol')
+const multicodec = require('../multicodec')
+const StreamHandler = require('../circuit/stream-handler')
+
+/**
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
+ * @typedef {import('./protocol').IStopMessage} IStopMessage
+ */
+
+/**
+ * Handles incoming v2 STOP requests from a relay
+ *
+ * @private
+ * @param {Object} options
+ * @param {Connection} options.connection
+ * @param {IStopMessage} options.request - The StopMessage protobuf request (unencoded)
+ * @param {StreamHandler<IStopMessage>} options.streamHandler
+ * @param {import('../../peer-scoring')} [options.peerScoring] - Penalizes the relays sending malformed requests
+ * @returns {MuxedStream|void} A duplex iterable
+ */
+module.exports.handleStop = function handleStop ({
+  connection,
+  request,
+  streamHandler,
+  peerScoring
+}) {
+  if (request.type !== StopMessage.Type.CONNECT) {
+    log.error('invalid stop request type %s via peer %s', request.type, connection.remotePeer.toB58String())
+    return streamHandler.end({
+      type: StopMessage.Type.STATUS,
+      status: Status.UNEXPECTED_MESSAGE
+    })
+  }
+
+  try {
+    // @ts-ignore peer may be undefined, this will throw
+    PeerId.createFromBytes(request.peer.id)
+  } catch (/** @type {any} */ err) {
+    log.error('invalid stop request via peer %s', connection.remotePeer.toB58String(), err)
+    peerScoring && peerScoring.penalize(connection.remotePeer, 'malformedMessage')
+    return streamHandler.end({
+      type: StopMessage.Type.STATUS,
+      status: Status.MALFORMED_MESSAGE
+    })
+  }
+
+  // The request is valid
+  log('stop request is valid')
+  streamHandler.write({
+    type: StopMessage.Type.STATUS,
+    status: Status.OK
+  })
+  return streamHandler.rest()
+}
+
+/**
+ * Creates a v2 STOP request
+ *
+ * @private
+ * @param {Object} options
+ * @param {Connection} options.connection
+ * @param {IStopMessage} options.request - The StopMessage protobuf request (unencoded)
+ * @returns {Promise<MuxedStream|void>} Resolves a duplex iterable
+ */
+module.exports.stop = async function stop ({
+  connection,
+  request
+}) {
+  const { stream } = await connection.newStream([multicodec.relayV2Stop])
+  log('starting stop request to %s', connection.remotePeer.toB58String())
+  const streamHandler = new StreamHandler({ stream, codec: StopMessage })
+
+  streamHandler.write(request)
+  const response = await streamHandler.read()
+
+  if (!response) {
+    return streamHandler.close()
+  }
+
+  if (response.type === StopMessage.Type.STATUS && response.status === Status.OK) {
+    log('stop request to %s was successful', connection.remotePeer.toB58String())
+    return streamHandler.rest()
+  }
+
+  log('stop request failed with status %d', response.status)
+  streamHandler.close()
+}
@@ -3,10 +3,13 @@
 const mergeOptions = require('merge-options')
 // @ts-ignore no types in multiaddr path
 const { dnsaddrResolver } = require('multiaddr/src/resolvers')
+const { dnsResolver, dns4Resolver, dns6Resolver } = require('./dialer/resolvers')
 
 const Constants = require('./constants')
 const { AGENT_VERSION } = require('./identify/consts')
 const RelayConstants = require('./circuit/constants')
+const DCUtRConstants = require('./dcutr/constants')
+const AutoNATConstants = require('./autonat/constants')
 
 const { publicAddressesFirst } = require('libp2p-utils/src/address-sort')
 const { FaultTolerance } = require('./transport-manager')
@@ -23,7 +26,10 @@ const DefaultConfig = {
     listen: [],
     announce: [],
     noAnnounce: [],
-    announceFilter: (/** @type {Multiaddr[]} */ multiaddrs) => multiaddrs
+    announceFilter: (/** @type {Multiaddr[]} */ multiaddrs) => multiaddrs,
+    observedAddrThreshold: Constants.OBSERVED_ADDR_THRESHOLD,
+    observedAddrTtl: Constants.OBSERVED_ADDR_TTL,
+    observedAddrGcInterval: Constants.OBSERVED_ADDR_GC_INTERVAL
   },
   connectionManager: {
     minConnections: 25
@@ -36,8 +42,17 @@ const DefaultConfig = {
     maxParallelDials: Constants.MAX_PARALLEL_DIALS,
     maxDialsPerPeer: Constants.MAX_PER_PEER_DIALS,
     dialTimeout: Constants.DIAL_TIMEOUT,
+    dialStaggerDelay: 0,
+    backoffBase: Constants.BACKOFF_BASE,
+    backoffMax: Constants.BACKOFF_MAX,
+    resolverCacheTtl: Constants.RESOLVER_CACHE_TTL,
+    resolverCacheNegativeTtl: Constants.RESOLVER_CACHE_NEGATIVE_TTL,
     resolvers: {
-      dnsaddr: dnsaddrResolver
+      // TXT lookups do not report the ttl of the records, dnsaddr resolutions are cached for resolverCacheTtl
+      dnsaddr: dnsaddrResolver,
+      dns: dnsResolver,
+      dns4: dns4Resolver,
+      dns6: dns6Resolver
     },
     addressSorter: publicAddressesFirst
   },
@@ -51,6 +66,12 @@ const DefaultConfig = {
     persistence: false,
     threshold: 5
   },
+  peerScoring: {
+    enabled: false
+  },
+  resourceManager: {
+    limits: {}
+  },
   peerRouting: {
     refreshManager: {
       enabled: true,
@@ -89,13 +110,43 @@ const DefaultConfig = {
       },
       hop: {
         enabled: false,
-        active: false
+        active: false,
+        maxCircuits: RelayConstants.MAX_CIRCUITS,
+        maxCircuitsPerPeer: RelayConstants.MAX_CIRCUITS_PER_PEER,
+        maxCircuitsPerIp: RelayConstants.MAX_CIRCUITS_PER_IP,
+        limit: {},
+        v1: {
+          enabled: true
+        },
+        v2: {
+          enabled: true,
+          maxReservations: RelayConstants.MAX_RESERVATIONS,
+          reservationTtl: RelayConstants.RESERVATION_TTL,
+          reservationClearInterval: RelayConstants.RESERVATION_CLEAR_INTERVAL,
+          limit: {
+            duration: RelayConstants.DEFAULT_DURATION_LIMIT,
+            data: RelayConstants.DEFAULT_DATA_LIMIT
+          }
+        }
       },
       autoRelay: {
         enabled: false,
         maxListeners: 2
       }
     },
+    autoNat: {
+      enabled: false,
+      bootDelay: AutoNATConstants.BOOT_DELAY,
+      interval: AutoNATConstants.INTERVAL,
+      timeout: AutoNATConstants.TIMEOUT,
+      maxPeers: AutoNATConstants.MAX_PEERS,
+      threshold: AutoNATConstants.THRESHOLD
+    },
+    dcutr: {
+      enabled: false,
+      timeout: DCUtRConstants.TIMEOUT,
+      maxRetries: DCUtRConstants.MAX_RETRIES
+    },
     transport: {}
   }
 }
@@ -0,0 +1,149 @@
+'use strict'
+
+const errcode = require('err-code')
+const { Multiaddr } = require('multiaddr')
+
+const { codes } = require('../errors')
+
+const IP4_CODE = Multiaddr.protocols.names.ip4.code
+const IP6_CODE = Multiaddr.protocols.names.ip6.code
+
+/**
+ * @typedef {Object} Cidr
+ * @property {Uint8Array} bytes - The bytes of the network address, 4 for IPv4 and 16 for IPv6
+ * @property {number} prefix - The number of leading bits of the network address
+ */
+
+/**
+ * @param {string} address
+ * @returns {number[]|undefined}
+ */
+function parseIp4 (address) {
+  const parts = address.split('.')
+
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return
+  }
+
+  return parts.map(Number)
+}
+
+/**
+ * @param {string} address
+ * @returns {number[]|undefined}
+ */
+function parseIp6 (address) {
+  const halves = address.split('::')
+
+  if (halves.length > 2) {
+    return
+  }
+
+  /** @type {number[][]} */
+  const parsed = []
+  for (const half of halves) {
+    const groups = half ? half.split(':') : []
+    /** @type {number[]} */
+    const bytes = []
+
+    for (const [index, group] of groups.entries()) {
+      // an IPv4 address can end an IPv6 address, like ::ffff:1.2.3.4
+      const ip4 = index === groups.length - 1 && group.includes('.') && parseIp4(group)
+
+      if (ip4) {
+        bytes.push(...ip4)
+      } else if (/^[0-9a-f]{1,4}$/i.test(group)) {
+        const value = parseInt(group, 16)
+        bytes.push(value >> 8, value & 0xff)
+      } else {
+        return
+      }
+    }
+
+    parsed.push(bytes)
+  }
+
+  const [head, tail = []] = parsed
+  const missing = 16 - head.length - tail.length
+
+  if (missing < 0 || (halves.length === 1 && missing !== 0) || (halves.length === 2 && missing === 0)) {
+    return
+  }
+
+  return [...head, ...new Array(missing).fill(0), ...tail]
+}
+
+/**
+ * The bytes of an IPv4 or IPv6 address.
+ *
+ * @param {string} address
+ * @returns {Uint8Array|undefined}
+ */
+function parseIp (address) {
+  const bytes = address.includes(':') ? parseIp6(address) : parseIp4(address)
+
+  return bytes && Uint8Array.from(bytes)
+}
+
+/**
+ * Parses a CIDR range like `10.0.0.0/8` or `2001:db8::/32`. An IP address
+ * without prefix length is a range of its own.
+ *
+ * @param {string} cidr
+ * @returns {Cidr}
+ */
+function parseCidr (cidr) {
+  const [address, prefix, ...rest] = cidr.split('/')
+  const bytes = parseIp(address)
+  const maxPrefix = bytes ? bytes.length * 8 : 0
+  const prefixLength = prefix === undefined ? maxPrefix : Number(prefix)
+
+  if (!bytes || rest.length || !/^\d*$/.test(prefix || '') || prefix === '' || prefixLength > maxPrefix) {
+    throw errcode(new Error(`${cidr} is not a valid CIDR range`), codes.ERR_INVALID_PARAMETERS)
+  }
+
+  return { bytes, prefix: prefixLength }
+}
+
+/**
+ * Whether the IP address is in the CIDR range.
+ *
+ * @param {Cidr} cidr
+ * @param {string} address
+ * @returns {boolean}
+ */
+function cidrContains ({ bytes, prefix }, address) {
+  const ip = parseIp(address)
+
+  if (!ip || ip.length !== bytes.length) {
+    return false
+  }
+
+  for (let bit = 0; bit < prefix; bit += 8) {
+    const mask = (0xff << (8 - Math.min(prefix - bit, 8))) & 0xff
+
+    if ((ip[bit / 8] & mask) !== (bytes[bit / 8] & mask)) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * The IP address of a multiaddr, if it has one.
+ *
+ * @param {Multiaddr} multiaddr
+ * @returns {string|undefined}
+ */
+function getIpAddress (multiaddr) {
+  const tuple = multiaddr.stringTuples().find(([code]) => code === IP4_CODE || code === IP6_CODE)
+
+  return tuple && tuple[1]
+}
+
+module.exports = {
+  parseCidr,
+  cidrContains,
+  getIpAddress
+}
@@ -0,0 +1,439 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:connection-gater'), {
+  error: debug('libp2p:connection-gater:err')
+})
+
+const errcode = require('err-code')
+const PeerId = require('peer-id')
+const { Key } = require('interface-datastore/key')
+const { base32 } = require('multiformats/bases/base32')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+const { toString: uint8ArrayToString } = require('uint8arrays/to-string')
+
+const { parseCidr, cidrContains, getIpAddress } = require('./cidr')
+const { codes } = require('../errors')
+
+/**
+ * @typedef {import('../')} Libp2p
+ * @typedef {import('../types').ConnectionGater} ConnectionGaterCallbacks
+ * @typedef {import('multiaddr').Multiaddr} Multiaddr
+ * @typedef {import('libp2p-interfaces/src/transport/types').MultiaddrConnection} MultiaddrConnection
+ * @typedef {import('./cidr').Cidr} Cidr
+ */
+
+/**
+ * @typedef {Object} ConnectionGaterRules
+ * @property {string[]} [allowPeers] - When set, only these peers are allowed.
+ * @property {string[]} [denyPeers = []] - Peers that are denied.
+ * @property {string[]} [allowCidrs] - When set, only IP addresses in these CIDR ranges are allowed.
+ * @property {string[]} [denyCidrs = []] - CIDR ranges whose IP addresses are denied.
+ * @property {string[]} [allowTransports] - When set, only multiaddrs with one of these protocols, like `tcp`, `ws` or `p2p-circuit`, are allowed.
+ * @property {string[]} [denyTransports = []] - Multiaddrs with one of these protocols are denied.
+ * @property {boolean} [persistBans = false] - Whether bans are stored in the libp2p datastore, to survive restarts.
+ *
+ * @typedef {ConnectionGaterRules & Partial<ConnectionGaterCallbacks>} ConnectionGaterOptions
+ *
+ * @typedef {Object} Ban
+ * @property {'peer'|'cidr'} type
+ * @property {string} target - The id of the banned peer, or the banned CIDR range
+ * @property {number} expires - When the ban expires, in milliseconds since the epoch
+ */
+
+const NAMESPACE_BANS = '/bans/'
+
+class ConnectionGater {
+  /**
+   * Denies connections according to rules on peer ids, IP addresses and
+   * transports, and to bans, before calling the configured callbacks.
+   *
+   * @class
+   * @param {Libp2p} libp2p
+   * @param {ConnectionGaterOptions} [options]
+   */
+  constructor (libp2p, options = {}) {
+    const {
+      allowPeers,
+      denyPeers = [],
+      allowCidrs,
+      denyCidrs = [],
+      allowTransports,
+      denyTransports = [],
+      persistBans = false,
+      ...callbacks
+    } = options
+
+    this._libp2p = libp2p
+    this._allowPeers = allowPeers && new Set(allowPeers)
+    this._denyPeers = new Set(denyPeers)
+    this._allowCidrs = allowCidrs && allowCidrs.map(parseCidr)
+    this._denyCidrs = denyCidrs.map(parseCidr)
+    this._allowTransports = allowTransports
+    this._denyTransports = denyTransports
+    this._persistBans = persistBans
+
+    /** @type {ConnectionGaterCallbacks} */
+    this._callbacks = {
+      denyDialPeer: async () => Promise.resolve(false),
+      denyDialMultiaddr: async () => Promise.resolve(false),
+      denyInboundConnection: async () => Promise.resolve(false),
+      denyOutboundConnection: async () => Promise.resolve(false),
+      denyInboundEncryptedConnection: async () => Promise.resolve(false),
+      denyOutboundEncryptedConnection: async () => Promise.resolve(false),
+      denyInboundUpgradedConnection: async () => Promise.resolve(false),
+      denyOutboundUpgradedConnection: async () => Promise.resolve(false),
+      filterMultiaddrForPeer: async () => Promise.resolve(true),
+      ...callbacks
+    }
+
+    /**
+     * Expiry of the banned peers, by peer id.
+     *
+     * @type {Map<string, number>}
+     */
+    this._peerBans = new Map()
+
+    /**
+     * The banned CIDR ranges and their expiry, by CIDR string.
+     *
+     * @type {Map<string, { cidr: Cidr, expires: number }>}
+     */
+    this._cidrBans = new Map()
+
+    // The gater functions are handed to other components
+    this.denyDialPeer = this.denyDialPeer.bind(this)
+    this.denyDialMultiaddr = this.denyDialMultiaddr.bind(this)
+    this.denyInboundConnection = this.denyInboundConnection.bind(this)
+    this.denyOutboundConnection = this.denyOutboundConnection.bind(this)
+    this.denyInboundEncryptedConnection = this.denyInboundEncryptedConnection.bind(this)
+    this.denyOutboundEncryptedConnection = this.denyOutboundEncryptedConnection.bind(this)
+    this.denyInboundUpgradedConnection = this.denyInboundUpgradedConnection.bind(this)
+    this.denyOutboundUpgradedConnection = this.denyOutboundUpgradedConnection.bind(this)
+    this.filterMultiaddrForPeer = this.filterMultiaddrForPeer.bind(this)
+  }
+
+  /**
+   * Loads the persisted bans that did not expire.
+   */
+  async start () {
+    const datastore = this._getDatastore()
+
+    if (!datastore) {
+      return
+    }
+
+    for await (const { key, value } of datastore.query({ prefix: NAMESPACE_BANS })) {
+      try {
+        /** @type {Ban} */
+        const ban = JSON.parse(uint8ArrayToString(value))
+        const expires = ban.expires === null ? Infinity : ban.expires
+
+        if (expires <= Date.now()) {
+          await datastore.delete(key)
+        } else if (ban.type === 'peer') {
+          this._peerBans.set(ban.target, expires)
+        } else {
+          this._cidrBans.set(ban.target, { cidr: parseCidr(ban.target), expires })
+        }
+      } catch (/** @type {any} */ err) {
+        log.error('could not load ban %s', key.toString(), err)
+      }
+    }
+  }
+
+  /**
+   * Forgets the persisted bans, they are loaded again on start. Bans that are
+   * not persisted are kept.
+   */
+  stop () {
+    if (!this._getDatastore()) {
+      return
+    }
+
+    this._peerBans.clear()
+    this._cidrBans.clear()
+  }
+
+  /**
+   * Bans a peer, or the IP addresses of a CIDR range, for the given duration,
+   * and closes the existing connections to them.
+   *
+   * @param {PeerId|string} target - A peer, or a CIDR range like `10.0.0.0/8`, or an IP address
+   * @param {number} [duration = Infinity] - How long the ban lasts, in milliseconds
+   * @returns {Promise<void>}
+   */
+  async ban (target, duration = Infinity) {
+    if (!(duration > 0)) {
+      throw errcode(new Error('the ban duration must be positive'), codes.ERR_INVALID_PARAMETERS)
+    }
+
+    const expires = Date.now() + duration
+    /** @type {Ban} */
+    let ban
+
+    if (PeerId.isPeerId(target)) {
+      ban = { type: 'peer', target: target.toB58String(), expires }
+      this._peerBans.set(ban.target, expires)
+    } else {
+      ban = { type: 'cidr', target, expires }
+      this._cidrBans.set(target, { cidr: parseCidr(target), expires })
+    }
+
+    log('banned %s %s for %dms', ban.type, ban.target, duration)
+
+    await this._persist(ban)
+    await this._closeBannedConnections()
+  }
+
+  /**
+   * Lifts the ban of a peer or CIDR range.
+   *
+   * @param {PeerId|string} target
+   * @returns {Promise<void>}
+   */
+  async unban (target) {
+    const id = PeerId.isPeerId(target) ? target.toB58String() : target
+
+    this._peerBans.delete(id)
+    this._cidrBans.delete(id)
+    await this._unpersist(id)
+  }
+
+  /**
+   * The bans that did not expire.
+   *
+   * @returns {Ban[]}
+   */
+  getBans () {
+    this._expireBans()
+
+    return [
+      ...Array.from(this._peerBans, ([target, expires]) => ({ type: /** @type {'peer'} */ ('peer'), target, expires })),
+      ...Array.from(this._cidrBans, ([target, { expires }]) => ({ type: /** @type {'cidr'} */ ('cidr'), target, expires }))
+    ]
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @returns {Promise<boolean>}
+   */
+  async denyDialPeer (peerId) {
+    return this._isPeerDenied(peerId) || this._callbacks.denyDialPeer(peerId)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {Multiaddr} multiaddr
+   * @returns {Promise<boolean>}
+   */
+  async denyDialMultiaddr (peerId, multiaddr) {
+    return this._isPeerDenied(peerId) || this._isMultiaddrDenied(multiaddr) || this._callbacks.denyDialMultiaddr(peerId, multiaddr)
+  }
+
+  /**
+   * @param {MultiaddrConnection} maConn
+   * @returns {Promise<boolean>}
+   */
+  async denyInboundConnection (maConn) {
+    return this._isMultiaddrDenied(maConn.remoteAddr) || this._callbacks.denyInboundConnection(maConn)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {MultiaddrConnection} maConn
+   * @returns {Promise<boolean>}
+   */
+  async denyOutboundConnection (peerId, maConn) {
+    return this._isPeerDenied(peerId) || this._isMultiaddrDenied(maConn.remoteAddr) || this._callbacks.denyOutboundConnection(peerId, maConn)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {MultiaddrConnection} maConn
+   * @returns {Promise<boolean>}
+   */
+  async denyInboundEncryptedConnection (peerId, maConn) {
+    return this._isPeerDenied(peerId) || this._callbacks.denyInboundEncryptedConnection(peerId, maConn)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {MultiaddrConnection} maConn
+   * @returns {Promise<boolean>}
+   */
+  async denyOutboundEncryptedConnection (peerId, maConn) {
+    return this._isPeerDenied(peerId) || this._callbacks.denyOutboundEncryptedConnection(peerId, maConn)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {MultiaddrConnection} maConn
+   * @returns {Promise<boolean>}
+   */
+  async denyInboundUpgradedConnection (peerId, maConn) {
+    return this._callbacks.denyInboundUpgradedConnection(peerId, maConn)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {MultiaddrConnection} maConn
+   * @returns {Promise<boolean>}
+   */
+  async denyOutboundUpgradedConnection (peerId, maConn) {
+    return this._callbacks.denyOutboundUpgradedConnection(peerId, maConn)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {Multiaddr} multiaddr
+   * @returns {Promise<boolean>}
+   */
+  async filterMultiaddrForPeer (peerId, multiaddr) {
+    return this._callbacks.filterMultiaddrForPeer(peerId, multiaddr)
+  }
+
+  /**
+   * @private
+   * @param {PeerId} peerId
+   * @returns {boolean}
+   */
+  _isPeerDenied (peerId) {
+    const id = peerId.toB58String()
+    this._expireBans()
+
+    return this._peerBans.has(id) ||
+      this._denyPeers.has(id) ||
+      Boolean(this._allowPeers && !this._allowPeers.has(id))
+  }
+
+  /**
+   * @private
+   * @param {Multiaddr} [multiaddr]
+   * @returns {boolean}
+   */
+  _isMultiaddrDenied (multiaddr) {
+    if (!multiaddr) {
+      return false
+    }
+
+    const protocols = multiaddr.protoNames()
+    if (this._denyTransports.some(transport => protocols.includes(transport)) ||
+      (this._allowTransports && !this._allowTransports.some(transport => protocols.includes(transport)))) {
+      return true
+    }
+
+    // Multiaddrs without IP address, like dns ones, are not subject to the CIDR rules
+    const address = getIpAddress(multiaddr)
+    if (!address) {
+      return false
+    }
+
+    this._expireBans()
+
+    return this._isAddressBanned(address) ||
+      this._denyCidrs.some(cidr => cidrContains(cidr, address)) ||
+      Boolean(this._allowCidrs && !this._allowCidrs.some(cidr => cidrContains(cidr, address)))
+  }
+
+  /**
+   * Forgets the expired bans.
+   *
+   * @private
+   */
+  _expireBans () {
+    const now = Date.now()
+
+    for (const [target, expires] of this._peerBans) {
+      expires <= now && this._forget(target)
+    }
+
+    for (const [target, { expires }] of this._cidrBans) {
+      expires <= now && this._forget(target)
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} target
+   */
+  _forget (target) {
+    log('ban of %s expired', target)
+    this._peerBans.delete(target)
+    this._cidrBans.delete(target)
+    this._unpersist(target).catch(err => log.error(err))
+  }
+
+  /**
+   * Closes the connections to banned peers and IP addresses.
+   *
+   * @private
+   */
+  async _closeBannedConnections () {
+    const connectionManager = this._libp2p.connectionManager
+    const tasks = []
+
+    for (const connections of connectionManager.connections.values()) {
+      for (const connection of connections) {
+        const address = getIpAddress(connection.remoteAddr)
+
+        if (this._peerBans.has(connection.remotePeer.toB58String()) || (address && this._isAddressBanned(address))) {
+          log('closing connection %s to banned peer %s', connection.id, connection.remotePeer.toB58String())
+          tasks.push(connection.close().catch(err => log.error(err)))
+        }
+      }
+    }
+
+    await Promise.all(tasks)
+  }
+
+  /**
+   * @private
+   * @param {string} address
+   * @returns {boolean}
+   */
+  _isAddressBanned (address) {
+    return Array.from(this._cidrBans.values()).some(({ cidr }) => cidrContains(cidr, address))
+  }
+
+  /**
+   * @private
+   */
+  _getDatastore () {
+    return this._persistBans ? this._libp2p.datastore : undefined
+  }
+
+  /**
+   * @private
+   * @param {Ban} ban
+   */
+  async _persist (ban) {
+    const datastore = this._getDatastore()
+
+    if (datastore) {
+      await datastore.put(banKey(ban.target), uint8ArrayFromString(JSON.stringify(ban)))
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} target
+   */
+  async _unpersist (target) {
+    const datastore = this._getDatastore()
+
+    if (datastore) {
+      await datastore.delete(banKey(target))
+    }
+  }
+}
+
+/**
+ * @param {string} target
+ * @returns {Key}
+ */
+function banKey (target) {
+  return new Key(`${NAMESPACE_BANS}${base32.encode(uint8ArrayFromString(target))}`)
+}
+
+module.exports = ConnectionGater
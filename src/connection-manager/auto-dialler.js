@@ -4,10 +4,9 @@ const debug = require('debug')
 const mergeOptions = require('merge-options')
 // @ts-ignore retimer does not have types
 const retimer = require('retimer')
-const all = require('it-all')
-const { pipe } = require('it-pipe')
-const filter = require('it-filter')
-const sort = require('it-sort')
+const { toString: uint8ArrayToString } = require('uint8arrays/to-string')
+const { DIAL_PRIORITY } = require('../constants')
+const { namespaceToCid } = require('../circuit/utils')
 
 const log = Object.assign(debug('libp2p:connection-manager:auto-dialler'), {
   error: debug('libp2p:connection-manager:auto-dialler:err')
@@ -16,12 +15,17 @@ const log = Object.assign(debug('libp2p:connection-manager:auto-dialler'), {
 const defaultOptions = {
   enabled: true,
   minConnections: 0,
-  autoDialInterval: 10000
+  autoDialInterval: 10000,
+  autoDialConcurrency: 4,
+  autoDialProtocols: {}
 }
 
+const RECENT_CONNECTION = 24 * 60 * 60e3
+
 /**
  * @typedef {import('../index')} Libp2p
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('../peer-store/types').Peer} Peer
  */
 
 /**
@@ -29,13 +33,23 @@ const defaultOptions = {
  * @property {boolean} [enabled = true] - Should preemptively guarantee connections are above the low watermark
  * @property {number} [minConnections = 0] - The minimum number of connections to avoid pruning
  * @property {number} [autoDialInterval = 10000] - How often, in milliseconds, it should preemptively guarantee connections are above the low watermark
+ * @property {number} [autoDialConcurrency = 4] - How many peers are dialed at once
+ * @property {Record<string, ProtocolDialTarget>} [autoDialProtocols = {}] - The minimum connections to peers speaking given protocols
+ *
+ * @typedef {Object} ProtocolDialTarget
+ * @property {number} minConnections - The minimum number of connected peers speaking the protocol
+ * @property {Record<string, string>} [metadata] - Metadata values the peers must also have in the MetadataBook, like `{ hop_relay: 'true' }`
+ * @property {string} [namespace = protocol] - The content routing namespace the peers speaking the protocol provide, to find more of them when the stored ones run out
  */
 
 class AutoDialler {
   /**
    * Proactively tries to connect to known peers stored in the PeerStore.
-   * It will keep the number of connections below the upper limit and sort
-   * the peers to connect based on wether we know their keys and protocols.
+   * It will keep the number of connections below the upper limit and rank
+   * the peers to connect by their score, see `scorePeer`. Peers with equal
+   * scores are dialed in random order, so the same peers are not retried
+   * first every time. Beyond `minConnections`, it keeps enough connections
+   * to peers speaking the protocols of `autoDialProtocols`.
    *
    * @class
    * @param {Libp2p} libp2p
@@ -47,6 +61,14 @@ class AutoDialler {
     this._running = false
     this._autoDialTimeout = null
     this._autoDial = this._autoDial.bind(this)
+    this._onConnect = this._onConnect.bind(this)
+
+    /**
+     * When the peers were last connected to, by peer id.
+     *
+     * @type {Map<string, number>}
+     */
+    this._lastConnected = new Map()
 
     log('options: %j', this._options)
   }
@@ -61,6 +83,7 @@ class AutoDialler {
     }
 
     this._running = true
+    this._libp2p.connectionManager.on('peer:connect', this._onConnect)
     this._autoDial().catch(err => {
       log.error('could start autodial', err)
     })
@@ -77,47 +100,33 @@ class AutoDialler {
     }
 
     this._running = false
+    this._libp2p.connectionManager.removeListener('peer:connect', this._onConnect)
     this._autoDialTimeout && this._autoDialTimeout.clear()
     log('stopped')
   }
 
   async _autoDial () {
     const minConnections = this._options.minConnections
+    const protocols = Object.entries(this._options.autoDialProtocols)
 
     // Already has enough connections
-    if (this._libp2p.connections.size >= minConnections) {
+    if (this._libp2p.connections.size >= minConnections && !protocols.length) {
       this._autoDialTimeout = retimer(this._autoDial, this._options.autoDialInterval)
       return
     }
 
-    // Sort peers on whether we know protocols of public keys for them
-    // TODO: assuming the `peerStore.getPeers()` order is stable this will mean
-    // we keep trying to connect to the same peers?
-    const peers = await pipe(
-      this._libp2p.peerStore.getPeers(),
-      (source) => filter(source, (peer) => !peer.id.equals(this._libp2p.peerId)),
-      (source) => sort(source, (a, b) => {
-        if (b.protocols && b.protocols.length && (!a.protocols || !a.protocols.length)) {
-          return 1
-        } else if (b.id.pubKey && !a.id.pubKey) {
-          return 1
-        }
-        return -1
-      }),
-      (source) => all(source)
-    )
+    const peers = await this._getPeers()
+    const candidates = this._rankCandidates(peers)
 
-    for (let i = 0; this._running && i < peers.length && this._libp2p.connections.size < minConnections; i++) {
-      const peer = peers[i]
+    const missing = minConnections - this._libp2p.connections.size
+    await this._dialPeers(candidates, (dialed) => missing - dialed)
 
-      if (!this._libp2p.connectionManager.get(peer.id)) {
-        log('connecting to a peerStore stored peer %s', peer.id.toB58String())
-        try {
-          await this._libp2p.dialer.connectToPeer(peer.id)
-        } catch (/** @type {any} */ err) {
-          log.error('could not connect to peerStore stored peer', err)
-        }
+    for (const [protocol, target] of protocols) {
+      if (!this._running) {
+        break
       }
+
+      await this._dialProtocol(protocol, target, peers, candidates)
     }
 
     // Connection Manager was stopped
@@ -127,6 +136,218 @@ class AutoDialler {
 
     this._autoDialTimeout = retimer(this._autoDial, this._options.autoDialInterval)
   }
+
+  /**
+   * Dials peers speaking the protocol until there are enough connections to
+   * such peers. Stored peers known to speak it are dialed first, then the
+   * providers of its namespace found through content routing.
+   *
+   * @private
+   * @param {string} protocol
+   * @param {ProtocolDialTarget} target
+   * @param {Peer[]} peers - The stored peers
+   * @param {Peer[]} candidates - The stored peers to dial, ranked
+   */
+  async _dialProtocol (protocol, target, peers, candidates) {
+    const connected = peers.filter(peer => this._libp2p.connectionManager.get(peer.id) && speaksProtocol(peer, protocol, target)).length
+    let missing = target.minConnections - connected
+
+    if (missing <= 0) {
+      return
+    }
+
+    log('%d connections to peers speaking %s are missing', missing, protocol)
+
+    missing -= await this._dialPeers(
+      candidates.filter(peer => speaksProtocol(peer, protocol, target) && !this._libp2p.connectionManager.get(peer.id)),
+      (dialed) => missing - dialed
+    )
+
+    if (missing <= 0 || !this._running) {
+      return
+    }
+
+    // The stored peers ran out, find more on the network
+    /** @type {Peer[]} */
+    const providers = []
+
+    try {
+      const cid = await namespaceToCid(target.namespace || protocol)
+
+      for await (const provider of this._libp2p.contentRouting.findProviders(cid, { timeout: this._options.autoDialInterval })) {
+        const dialable = !provider.id.equals(this._libp2p.peerId) && provider.multiaddrs.length &&
+          !this._libp2p.connectionManager.get(provider.id) && !this._libp2p.dialer.isBackedOff(provider.id)
+
+        if (dialable) {
+          await this._libp2p.peerStore.addressBook.add(provider.id, provider.multiaddrs, { source: 'discovered' })
+          providers.push(/** @type {Peer} */ ({ id: provider.id }))
+        }
+
+        // Some dials are expected to fail
+        if (providers.length >= missing * 2) {
+          break
+        }
+      }
+    } catch (/** @type {any} */ err) {
+      log.error('could not find providers of %s', protocol, err)
+    }
+
+    await this._dialPeers(providers, (dialed) => missing - dialed)
+  }
+
+  /**
+   * Dials the peers in order, up to `autoDialConcurrency` at once, until no
+   * connections are missing.
+   *
+   * @private
+   * @param {Peer[]} peers
+   * @param {(dialed: number) => number} getMissing - How many connections are missing once `dialed` peers are connected to
+   * @returns {Promise<number>} How many peers were connected to
+   */
+  async _dialPeers (peers, getMissing) {
+    let next = 0
+    let dialed = 0
+    let pending = 0
+
+    const dialNext = async () => {
+      // Pending dials are expected to succeed, if they fail other peers are dialed instead
+      while (this._running && next < peers.length && getMissing(dialed + pending) > 0) {
+        const peer = peers[next++]
+
+        // Peers may have been connected to since they were ranked
+        if (!this._libp2p.connectionManager.get(peer.id)) {
+          log('connecting to a peerStore stored peer %s', peer.id.toB58String())
+          pending++
+          try {
+            await this._libp2p.dialer.connectToPeer(peer.id, { priority: DIAL_PRIORITY.LOW })
+            dialed++
+          } catch (/** @type {any} */ err) {
+            log.error('could not connect to peerStore stored peer', err)
+          } finally {
+            pending--
+          }
+        }
+      }
+    }
+
+    // Do not dial more peers at once than connections are missing
+    const concurrency = Math.min(this._options.autoDialConcurrency, getMissing(0))
+    await Promise.all(Array.from({ length: Math.max(concurrency, 0) }, dialNext))
+
+    return dialed
+  }
+
+  /**
+   * The stored peers, except for self.
+   *
+   * @private
+   * @returns {Promise<Peer[]>}
+   */
+  async _getPeers () {
+    /** @type {Peer[]} */
+    const peers = []
+
+    for await (const peer of this._libp2p.peerStore.getPeers()) {
+      !peer.id.equals(this._libp2p.peerId) && peers.push(peer)
+    }
+
+    // Forget the peers removed from the peer store
+    const known = new Set(peers.map(peer => peer.id.toB58String()))
+    for (const id of this._lastConnected.keys()) {
+      !known.has(id) && this._lastConnected.delete(id)
+    }
+
+    return peers
+  }
+
+  /**
+   * The peers to dial, from the highest score to the lowest. Peers already
+   * connected or whose dials are backed off are skipped.
+   *
+   * @private
+   * @param {Peer[]} peers
+   * @returns {Peer[]}
+   */
+  _rankCandidates (peers) {
+    const candidates = peers.filter(peer => !this._libp2p.connectionManager.get(peer.id) && !this._libp2p.dialer.isBackedOff(peer.id))
+
+    const now = Date.now()
+    const scores = new Map(candidates.map(peer => [peer, scorePeer(peer, {
+      lastConnected: this._lastConnected.get(peer.id.toB58String()),
+      failedDials: this._libp2p.dialer.getFailedDials(peer.id),
+      now
+    })]))
+
+    // Shuffle the peers, the sort is stable so peers with equal scores stay shuffled
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      const peer = candidates[i]
+      candidates[i] = candidates[j]
+      candidates[j] = peer
+    }
+
+    return candidates.sort((a, b) => (scores.get(b) || 0) - (scores.get(a) || 0))
+  }
+
+  /**
+   * @private
+   * @param {Connection} connection
+   */
+  _onConnect (connection) {
+    this._lastConnected.set(connection.remotePeer.toB58String(), Date.now())
+  }
+}
+
+/**
+ * Whether the stored peer speaks the protocol, and has the metadata values
+ * required by the target.
+ *
+ * @param {Peer} peer
+ * @param {string} protocol
+ * @param {ProtocolDialTarget} target
+ * @returns {boolean}
+ */
+function speaksProtocol (peer, protocol, target) {
+  return Boolean(peer.protocols && peer.protocols.includes(protocol)) &&
+    Object.entries(target.metadata || {}).every(([key, value]) => {
+      const stored = peer.metadata && peer.metadata.get(key)
+      return stored !== undefined && uint8ArrayToString(stored) === value
+    })
+}
+
+/**
+ * Scores a peer to dial. Peers whose protocols, public key or certified
+ * addresses are known, and peers recently connected to, score higher. Every
+ * consecutive failed dial lowers the score.
+ *
+ * @param {Peer} peer
+ * @param {object} context
+ * @param {number} [context.lastConnected] - When the peer was last connected to
+ * @param {number} context.failedDials - How many dials to the peer failed in a row
+ * @param {number} context.now
+ * @returns {number}
+ */
+function scorePeer (peer, { lastConnected, failedDials, now }) {
+  let score = 0
+
+  if (peer.protocols && peer.protocols.length) {
+    score += 1
+  }
+
+  if (peer.id.pubKey) {
+    score += 1
+  }
+
+  if (peer.addresses && peer.addresses.some(address => address.isCertified)) {
+    score += 2
+  }
+
+  if (lastConnected !== undefined) {
+    score += now - lastConnected < RECENT_CONNECTION ? 2 : 1
+  }
+
+  return score - failedDials
 }
 
 module.exports = AutoDialler
+module.exports.scorePeer = scorePeer
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = {
+  RELAY_TAG: 'relay', // Protects the relays AutoRelay listens on
+  BOOTSTRAP_TAG: 'bootstrap', // Tags the peers found by the bootstrap discovery service
+  BOOTSTRAP_TAG_VALUE: 50,
+  PUBSUB_MESH_TAG: 'pubsub-mesh', // Tags the peers in the pubsub mesh of one of our topics
+  PUBSUB_MESH_TAG_VALUE: 20
+}
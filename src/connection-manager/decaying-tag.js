@@ -0,0 +1,183 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:connection-manager:decaying-tag'), {
+  error: debug('libp2p:connection-manager:decaying-tag:err')
+})
+
+const errcode = require('err-code')
+// @ts-ignore retimer does not have types
+const retimer = require('retimer')
+
+const {
+  codes: { ERR_INVALID_PARAMETERS }
+} = require('../errors')
+
+/**
+ * @typedef {import('peer-id')} PeerId
+ * @typedef {import('./')} ConnectionManager
+ */
+
+/**
+ * @typedef {(value: number) => number} DecayFunction
+ *
+ * @typedef {Object} DecayingTagOptions
+ * @property {number} interval - How often, in milliseconds, the values of the tag decay.
+ * @property {DecayFunction} decay - Computes the value of the tag after an interval.
+ * @property {number} [cap = Infinity] - The maximum value of the tag.
+ */
+
+const decayFunctions = {
+  /**
+   * Subtracts the given amount from the value every interval.
+   *
+   * @param {number} amount
+   * @returns {DecayFunction}
+   */
+  linear: (amount) => (value) => value - amount,
+
+  /**
+   * Multiplies the value by the given factor, between 0 and 1, every interval.
+   *
+   * @param {number} factor
+   * @returns {DecayFunction}
+   */
+  exponential: (factor) => (value) => value * factor,
+
+  /**
+   * The value does not decay, it is only changed by bumps.
+   *
+   * @returns {DecayFunction}
+   */
+  fixed: () => (value) => value
+}
+
+class DecayingTag {
+  /**
+   * A peer tag whose values decay over time, unless bumped by new activity.
+   * A peer loses the tag once its value decays to 0.
+   *
+   * @class
+   * @param {object} props
+   * @param {string} props.name
+   * @param {ConnectionManager} props.connectionManager
+   * @param {DecayingTagOptions} options
+   */
+  constructor ({ name, connectionManager }, { interval, decay, cap = Infinity }) {
+    if (!(interval > 0) || typeof decay !== 'function' || !(cap > 0)) {
+      throw errcode(new Error('decaying tags need a positive interval and cap, and a decay function'), ERR_INVALID_PARAMETERS)
+    }
+
+    this.name = name
+    this.interval = interval
+    this.cap = cap
+    this._decayValue = decay
+    this._connectionManager = connectionManager
+
+    /**
+     * The tagged peers, by peer identifier.
+     *
+     * @type {Map<string, PeerId>}
+     */
+    this._peers = new Map()
+    this._timer = null
+
+    this._decay = this._decay.bind(this)
+  }
+
+  /**
+   * Starts decaying the values of the tag.
+   */
+  start () {
+    this._timer = this._timer || retimer(this._decay, this.interval)
+  }
+
+  /**
+   * Stops decaying the values of the tag.
+   */
+  stop () {
+    this._timer && this._timer.clear()
+    this._timer = null
+  }
+
+  /**
+   * Adds the given delta to the value of the tag of the peer, up to the cap.
+   *
+   * @param {PeerId} peerId
+   * @param {number} delta
+   * @returns {number} the new value of the tag
+   */
+  bump (peerId, delta) {
+    const value = Math.min(this.cap, this.value(peerId) + delta)
+    this._set(peerId, value)
+
+    return Math.max(value, 0)
+  }
+
+  /**
+   * The value of the tag of the peer, 0 when the peer is not tagged.
+   *
+   * @param {PeerId} peerId
+   * @returns {number}
+   */
+  value (peerId) {
+    return this._connectionManager.getPeerTags(peerId).get(this.name) || 0
+  }
+
+  /**
+   * Removes the tag from the peer.
+   *
+   * @param {PeerId} peerId
+   */
+  remove (peerId) {
+    this._set(peerId, 0)
+  }
+
+  /**
+   * Removes the tag from every peer and unregisters it.
+   */
+  close () {
+    this.stop()
+
+    for (const peerId of this._peers.values()) {
+      this._connectionManager.untagPeer(peerId, this.name)
+    }
+
+    this._peers.clear()
+    this._connectionManager._decayingTags.delete(this.name)
+  }
+
+  /**
+   * @private
+   * @param {PeerId} peerId
+   * @param {number} value
+   */
+  _set (peerId, value) {
+    if (value > 0) {
+      this._connectionManager.tagPeer(peerId, this.name, value)
+      this._peers.set(peerId.toB58String(), peerId)
+    } else {
+      this._connectionManager.untagPeer(peerId, this.name)
+      this._peers.delete(peerId.toB58String())
+    }
+  }
+
+  /**
+   * @private
+   */
+  _decay () {
+    try {
+      for (const peerId of this._peers.values()) {
+        this._set(peerId, Math.min(this.cap, this._decayValue(this.value(peerId))))
+      }
+    } catch (/** @type {any} */ err) {
+      log.error(err)
+    } finally {
+      this._timer = retimer(this._decay, this.interval)
+    }
+  }
+}
+
+DecayingTag.decayFunctions = decayFunctions
+
+module.exports = DecayingTag
@@ -8,12 +8,15 @@ const log = Object.assign(debug('libp2p:connection-manager'), {
 const errcode = require('err-code')
 const mergeOptions = require('merge-options')
 const LatencyMonitor = require('./latency-monitor')
+const DecayingTag = require('./decaying-tag')
+const TokenBucket = require('./token-bucket')
 // @ts-ignore retimer does not have types
 const retimer = require('retimer')
 
 const { EventEmitter } = require('events')
 const trackedMap = require('../metrics/tracked-map')
 const PeerId = require('peer-id')
+const { Multiaddr } = require('multiaddr')
 
 const {
   codes: { ERR_INVALID_PARAMETERS }
@@ -28,23 +31,64 @@ const defaultOptions = {
   maxEventLoopDelay: Infinity,
   pollInterval: 2000,
   autoDialInterval: 10000,
+  autoDialConcurrency: 4,
+  autoDialProtocols: {},
   movingAverageInterval: 60000,
-  defaultPeerValue: 1
+  defaultPeerValue: 1,
+  gracePeriod: 20000,
+  maxInboundConnectionsPerIp: Infinity,
+  maxInboundConnectionsPerSubnet: Infinity,
+  inboundAllowlist: [],
+  inboundConnectionRate: Infinity,
+  inboundConnectionRatePerIp: Infinity,
+  connectionIdleTimeout: Infinity,
+  streamIdleTimeout: Infinity
 }
 
 const METRICS_COMPONENT = 'connection-manager'
 const METRICS_PEER_CONNECTIONS = 'peer-connections'
 const METRICS_PEER_VALUES = 'peer-values'
+const METRICS_PEER_TAGS = 'peer-tags'
+const METRICS_PROTECTED_PEERS = 'protected-peers'
+const METRICS_INBOUND_RATE_LIMITED = 'inbound-connections-rate-limited'
+
+const IP4_CODE = Multiaddr.protocols.names.ip4.code
+const IP6_CODE = Multiaddr.protocols.names.ip6.code
+const CIRCUIT_CODE = Multiaddr.protocols.names['p2p-circuit'].code
 
 /**
  * @typedef {import('../')} Libp2p
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('libp2p-interfaces/src/transport/types').MultiaddrConnection} MultiaddrConnection
+ * @typedef {import('./decaying-tag').DecayingTagOptions} DecayingTagOptions
+ */
+
+/**
+ * @typedef {Object} TrimmedPeer
+ * @property {PeerId} peerId
+ * @property {number} value - The value of the peer when it was trimmed
+ * @property {number} connections - How many connections to the peer were closed
+ *
+ * @typedef {Object} TrimEvent
+ * @property {string} reason - The name of the exceeded limit, like `maxConnections`
+ * @property {TrimmedPeer[]} peers - The peers whose connections were closed, lowest valued first
  */
 
 /**
  * @typedef {Object} ConnectionManagerOptions
  * @property {number} [maxConnections = Infinity] - The maximum number of connections allowed.
  * @property {number} [minConnections = 0] - The minimum number of connections to avoid pruning.
+ * @property {number} [lowWatermark = maxConnections] - The number of connections to trim down to when there are more than maxConnections.
+ * @property {number} [gracePeriod = 20000] - How long, in milliseconds, new connections are not trimmed.
+ * @property {number} [maxInboundConnectionsPerIp = Infinity] - The maximum number of inbound connections from an IP address.
+ * @property {number} [maxInboundConnectionsPerSubnet = Infinity] - The maximum number of inbound connections from a /24 IPv4 or /48 IPv6 subnet.
+ * @property {Array<string|Multiaddr>} [inboundAllowlist = []] - Multiaddrs whose IP addresses are not subject to the inbound limits.
+ * @property {number} [inboundConnectionRate = Infinity] - How many new inbound connections are accepted per second.
+ * @property {number} [inboundConnectionBurst = inboundConnectionRate] - How many new inbound connections are accepted at once, after a quiet period.
+ * @property {number} [inboundConnectionRatePerIp = Infinity] - How many new inbound connections from an IP address are accepted per second.
+ * @property {number} [inboundConnectionBurstPerIp = inboundConnectionRatePerIp] - How many new inbound connections from an IP address are accepted at once.
+ * @property {number} [connectionIdleTimeout = Infinity] - How long, in milliseconds, a connection to an unprotected peer can have no open streams before it is closed.
+ * @property {number} [streamIdleTimeout = Infinity] - How long, in milliseconds, a stream can go without traffic before it is aborted.
  * @property {number} [maxData = Infinity] - The max data (in and out), per average interval to allow.
  * @property {number} [maxSentData = Infinity] - The max outgoing data, per average interval to allow.
  * @property {number} [maxReceivedData = Infinity] - The max incoming data, per average interval to allow.
@@ -54,13 +98,57 @@ const METRICS_PEER_VALUES = 'peer-values'
  * @property {number} [defaultPeerValue = 1] - The value of the peer.
  * @property {boolean} [autoDial = true] - Should preemptively guarantee connections are above the low watermark.
  * @property {number} [autoDialInterval = 10000] - How often, in milliseconds, it should preemptively guarantee connections are above the low watermark.
+ * @property {number} [autoDialConcurrency = 4] - How many peers are auto dialed at once.
+ * @property {Record<string, import('./auto-dialler').ProtocolDialTarget>} [autoDialProtocols = {}] - The minimum number of connections to peers speaking given protocols, kept by auto dialing.
  */
 
 /**
  *
  * @fires ConnectionManager#peer:connect Emitted when a new peer is connected.
  * @fires ConnectionManager#peer:disconnect Emitted when a peer is disconnected.
+ * @fires ConnectionManager#trim Emitted with a TrimEvent when connections are closed because a limit was exceeded.
  */
+/**
+ * The IP address of a multiaddr, if it has one. Relayed addresses have none, the
+ * IP address they contain is the one of the relay, not of the remote peer.
+ *
+ * @param {Multiaddr} ma
+ * @returns {{ family: 'ip4'|'ip6', address: string }|undefined}
+ */
+function getIp (ma) {
+  if (ma.protoCodes().includes(CIRCUIT_CODE)) {
+    return undefined
+  }
+
+  const tuple = ma.stringTuples().find(([code]) => code === IP4_CODE || code === IP6_CODE)
+
+  return tuple && { family: tuple[0] === IP4_CODE ? 'ip4' : 'ip6', address: tuple[1] || '' }
+}
+
+/**
+ * The /24 subnet of an IPv4 address, or the /48 subnet of an IPv6 address.
+ *
+ * @param {{ family: 'ip4'|'ip6', address: string }} ip
+ * @returns {string}
+ */
+function getSubnet ({ family, address }) {
+  if (family === 'ip4') {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`
+  }
+
+  // expand the :: of the address to get its first three groups
+  const [head, tail] = address.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const groups = [
+    ...headGroups,
+    ...new Array(Math.max(8 - headGroups.length - tailGroups.length, 0)).fill('0'),
+    ...tailGroups
+  ]
+
+  return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`
+}
+
 class ConnectionManager extends EventEmitter {
   /**
    * Responsible for managing known connections.
@@ -80,8 +168,42 @@ class ConnectionManager extends EventEmitter {
       throw errcode(new Error('Connection Manager maxConnections must be greater than minConnections'), ERR_INVALID_PARAMETERS)
     }
 
+    if (this._options.lowWatermark !== undefined &&
+      (this._options.lowWatermark < this._options.minConnections || this._options.lowWatermark > this._options.maxConnections)) {
+      throw errcode(new Error('Connection Manager lowWatermark must be between minConnections and maxConnections'), ERR_INVALID_PARAMETERS)
+    }
+
     log('options: %j', this._options)
 
+    /**
+     * IP addresses not subject to the inbound connection limits.
+     *
+     * @type {Set<string>}
+     */
+    this._inboundAllowlist = new Set()
+    for (const ma of this._options.inboundAllowlist) {
+      const ip = getIp(new Multiaddr(ma))
+      ip && this._inboundAllowlist.add(ip.address)
+    }
+
+    /**
+     * Number of inbound connections being upgraded, by IP address and subnet.
+     *
+     * @type {Map<string, number>}
+     */
+    this._pendingInbound = new Map()
+
+    /**
+     * Rate limits the new inbound connections, globally and by IP address.
+     *
+     * @type {TokenBucket|undefined}
+     */
+    this._inboundBucket = this._createTokenBucket(this._options.inboundConnectionRate, this._options.inboundConnectionBurst)
+    /** @type {Map<string, TokenBucket>} */
+    this._inboundBucketsPerIp = new Map()
+    this._inboundBucketsSweptAt = 0
+    this._inboundRateLimited = 0
+
     /**
      * Map of peer identifiers to their peer value for pruning connections.
      *
@@ -93,6 +215,36 @@ class ConnectionManager extends EventEmitter {
       metrics: this._libp2p.metrics
     })
 
+    /**
+     * Map of peer identifiers to their tags, which add to their peer value.
+     * Tags are kept when the peer disconnects.
+     *
+     * @type {Map<string, Map<string, number>>}
+     */
+    this._peerTags = trackedMap({
+      component: METRICS_COMPONENT,
+      metric: METRICS_PEER_TAGS,
+      metrics: this._libp2p.metrics
+    })
+
+    /**
+     * Map of peer identifiers to the tags protecting them from pruning.
+     *
+     * @type {Map<string, Set<string>>}
+     */
+    this._protectedPeers = trackedMap({
+      component: METRICS_COMPONENT,
+      metric: METRICS_PROTECTED_PEERS,
+      metrics: this._libp2p.metrics
+    })
+
+    /**
+     * Map of the registered decaying tags, by name.
+     *
+     * @type {Map<string, DecayingTag>}
+     */
+    this._decayingTags = new Map()
+
     /**
      * Map of connections per peer
      *
@@ -104,9 +256,18 @@ class ConnectionManager extends EventEmitter {
       metrics: this._libp2p.metrics
     })
 
+    /**
+     * When a stream of the connections was last opened or closed, by connection id.
+     *
+     * @type {Map<string, number>}
+     */
+    this._lastActive = new Map()
+
     this._started = false
     this._timer = null
     this._checkMetrics = this._checkMetrics.bind(this)
+    this._idleTimer = null
+    this._closeIdleConnections = this._closeIdleConnections.bind(this)
 
     this._latencyMonitor = new LatencyMonitor({
       latencyCheckIntervalMs: this._options.pollInterval,
@@ -134,11 +295,19 @@ class ConnectionManager extends EventEmitter {
       this._timer = this._timer || retimer(this._checkMetrics, this._options.pollInterval)
     }
 
+    if (this._options.connectionIdleTimeout !== Infinity) {
+      this._idleTimer = this._idleTimer || retimer(this._closeIdleConnections, this._getIdleCheckInterval())
+    }
+
     // latency monitor
     this._latencyMonitor.start()
     this._onLatencyMeasure = this._onLatencyMeasure.bind(this)
     this._latencyMonitor.on('data', this._onLatencyMeasure)
 
+    for (const tag of this._decayingTags.values()) {
+      tag.start()
+    }
+
     this._started = true
     log('started')
   }
@@ -150,12 +319,19 @@ class ConnectionManager extends EventEmitter {
    */
   async stop () {
     this._timer && this._timer.clear()
+    this._idleTimer && this._idleTimer.clear()
+    this._idleTimer = null
 
     this._latencyMonitor.removeListener('data', this._onLatencyMeasure)
     this._latencyMonitor.stop()
 
+    for (const tag of this._decayingTags.values()) {
+      tag.stop()
+    }
+
     this._started = false
     await this._close()
+    this._lastActive.clear()
     log('stopped')
   }
 
@@ -192,6 +368,136 @@ class ConnectionManager extends EventEmitter {
     this._peerValues.set(peerId.toB58String(), value)
   }
 
+  /**
+   * Tags a peer. The tags of a peer add to its value, so subsystems can
+   * value a peer without overwriting each other. Tagging a peer again with
+   * the same tag replaces the value of the tag.
+   *
+   * @param {PeerId} peerId
+   * @param {string} tag
+   * @param {number} value
+   * @returns {void}
+   */
+  tagPeer (peerId, tag, value) {
+    if (typeof tag !== 'string' || typeof value !== 'number' || isNaN(value)) {
+      throw errcode(new Error('tag should be a string and value a number'), ERR_INVALID_PARAMETERS)
+    }
+
+    const id = peerId.toB58String()
+    const tags = this._peerTags.get(id) || new Map()
+    tags.set(tag, value)
+    this._peerTags.set(id, tags)
+  }
+
+  /**
+   * Removes a tag of a peer.
+   *
+   * @param {PeerId} peerId
+   * @param {string} tag
+   * @returns {void}
+   */
+  untagPeer (peerId, tag) {
+    const id = peerId.toB58String()
+    const tags = this._peerTags.get(id)
+
+    if (tags && tags.delete(tag) && !tags.size) {
+      this._peerTags.delete(id)
+    }
+  }
+
+  /**
+   * Get the tags of a peer.
+   *
+   * @param {PeerId} peerId
+   * @returns {Map<string, number>}
+   */
+  getPeerTags (peerId) {
+    return new Map(this._peerTags.get(peerId.toB58String()) || [])
+  }
+
+  /**
+   * Registers a tag whose values decay over time, for signals that should
+   * fade unless renewed, like recent useful activity of a peer. Values are
+   * set with `bump` on the returned tag, and count in the value of a peer
+   * like the values of other tags.
+   *
+   * @param {string} name
+   * @param {DecayingTagOptions} options
+   * @returns {DecayingTag}
+   */
+  registerDecayingTag (name, options) {
+    if (typeof name !== 'string') {
+      throw errcode(new Error('name should be a string'), ERR_INVALID_PARAMETERS)
+    }
+
+    if (this._decayingTags.has(name)) {
+      throw errcode(new Error(`decaying tag ${name} is already registered`), ERR_INVALID_PARAMETERS)
+    }
+
+    const tag = new DecayingTag({ name, connectionManager: this }, options)
+    this._decayingTags.set(name, tag)
+    this._started && tag.start()
+
+    return tag
+  }
+
+  /**
+   * Get the value of a peer, which is the sum of its peer value and of the
+   * values of its tags.
+   *
+   * @param {PeerId} peerId
+   * @returns {number}
+   */
+  getPeerValue (peerId) {
+    return this._getPeerValue(peerId.toB58String())
+  }
+
+  /**
+   * Protects the connections of a peer from being pruned, until all the tags
+   * protecting it are removed.
+   *
+   * @param {PeerId} peerId
+   * @param {string} tag - Who protects the peer
+   * @returns {void}
+   */
+  protect (peerId, tag) {
+    const id = peerId.toB58String()
+    const tags = this._protectedPeers.get(id) || new Set()
+    tags.add(tag)
+    this._protectedPeers.set(id, tags)
+  }
+
+  /**
+   * Removes a tag protecting a peer.
+   *
+   * @param {PeerId} peerId
+   * @param {string} tag
+   * @returns {boolean} whether the peer is still protected by other tags
+   */
+  unprotect (peerId, tag) {
+    const id = peerId.toB58String()
+    const tags = this._protectedPeers.get(id)
+
+    if (tags && tags.delete(tag) && !tags.size) {
+      this._protectedPeers.delete(id)
+    }
+
+    return this._protectedPeers.has(id)
+  }
+
+  /**
+   * Whether a peer is protected, by the given tag or by any tag.
+   *
+   * @param {PeerId} peerId
+   * @param {string} [tag]
+   * @returns {boolean}
+   */
+  isProtected (peerId, tag) {
+    const tags = this._protectedPeers.get(peerId.toB58String())
+
+    return Boolean(tags && (tag === undefined || tags.has(tag)))
+  }
+
   /**
    * Checks the libp2p metrics to determine if any values have exceeded
    * the configured maximums.
@@ -217,6 +523,44 @@ class ConnectionManager extends EventEmitter {
     }
   }
 
+  /**
+   * How often idle connections are looked for: every poll interval, or more
+   * often for shorter idle timeouts.
+   *
+   * @private
+   * @returns {number}
+   */
+  _getIdleCheckInterval () {
+    return Math.min(this._options.pollInterval, this._options.connectionIdleTimeout)
+  }
+
+  /**
+   * Closes the connections to unprotected peers that had no open streams for
+   * `connectionIdleTimeout`.
+   *
+   * @private
+   */
+  _closeIdleConnections () {
+    const now = Date.now()
+
+    try {
+      for (const [peerIdStr, connections] of this.connections) {
+        const isProtected = this._protectedPeers.has(peerIdStr)
+
+        for (const connection of connections) {
+          if (!isProtected && !connection.streams.length && now - (this._lastActive.get(connection.id) || connection.stat.timeline.open) >= this._options.connectionIdleTimeout) {
+            log('closing idle connection %s to %s', connection.id, peerIdStr)
+            connection.close().catch(err => log.error(err))
+          }
+        }
+      }
+    } catch (/** @type {any} */ err) {
+      log.error(err)
+    } finally {
+      this._idleTimer = retimer(this._closeIdleConnections, this._getIdleCheckInterval())
+    }
+  }
+
   /**
    * Tracks the incoming connection and check the connection limit
    *
@@ -250,6 +594,186 @@ class ConnectionManager extends EventEmitter {
     await this._checkMaxLimit('maxConnections', this.size)
   }
 
+  /**
+   * Whether to accept an inbound connection, before it is upgraded. Connections
+   * from an IP address or subnet which already has the maximum number of
+   * inbound connections are denied, unless the IP address is in the allowlist.
+   * Every accepted connection must be followed by a call to
+   * `afterUpgradeInbound` once its upgrade is over.
+   *
+   * @param {MultiaddrConnection} maConn
+   * @returns {boolean}
+   */
+  acceptIncomingConnection (maConn) {
+    const ip = getIp(maConn.remoteAddr)
+
+    if (ip && this._inboundAllowlist.has(ip.address)) {
+      return true
+    }
+
+    if (ip && !this._isWithinInboundLimits(ip)) {
+      return false
+    }
+
+    if (!this._takeInboundToken(ip)) {
+      log('%s: denying inbound connection from %s, rate limited', this._peerId, ip ? ip.address : maConn.remoteAddr)
+      this._inboundRateLimited++
+      this._libp2p.metrics && this._libp2p.metrics.updateComponentMetric({
+        component: METRICS_COMPONENT,
+        metric: METRICS_INBOUND_RATE_LIMITED,
+        value: this._inboundRateLimited
+      })
+      return false
+    }
+
+    if (ip) {
+      for (const key of [ip.address, getSubnet(ip)]) {
+        this._pendingInbound.set(key, (this._pendingInbound.get(key) || 0) + 1)
+      }
+    }
+
+    return true
+  }
+
+  /**
+   * @private
+   * @param {{ family: 'ip4'|'ip6', address: string }} ip
+   * @returns {boolean}
+   */
+  _isWithinInboundLimits (ip) {
+    const subnet = getSubnet(ip)
+    let ipCount = this._pendingInbound.get(ip.address) || 0
+    let subnetCount = this._pendingInbound.get(subnet) || 0
+
+    for (const connections of this.connections.values()) {
+      for (const connection of connections) {
+        const remoteIp = connection.stat.direction === 'inbound' && getIp(connection.remoteAddr)
+
+        if (remoteIp && remoteIp.address === ip.address) {
+          ipCount++
+        }
+
+        if (remoteIp && remoteIp.family === ip.family && getSubnet(remoteIp) === subnet) {
+          subnetCount++
+        }
+      }
+    }
+
+    if (ipCount >= this._options.maxInboundConnectionsPerIp) {
+      log('%s: denying inbound connection from %s, too many connections from the ip address', this._peerId, ip.address)
+      return false
+    }
+
+    if (subnetCount >= this._options.maxInboundConnectionsPerSubnet) {
+      log('%s: denying inbound connection from %s, too many connections from the subnet %s', this._peerId, ip.address, subnet)
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Takes a token from the global and the IP address inbound rate limits, if
+   * both have one.
+   *
+   * @private
+   * @param {{ address: string }} [ip]
+   * @returns {boolean}
+   */
+  _takeInboundToken (ip) {
+    const now = Date.now()
+    let ipBucket
+
+    if (ip && this._options.inboundConnectionRatePerIp !== Infinity) {
+      ipBucket = this._inboundBucketsPerIp.get(ip.address)
+
+      if (!ipBucket) {
+        this._sweepInboundBuckets(now)
+        ipBucket = this._createTokenBucket(this._options.inboundConnectionRatePerIp, this._options.inboundConnectionBurstPerIp)
+        ipBucket && this._inboundBucketsPerIp.set(ip.address, ipBucket)
+      }
+    }
+
+    if ((this._inboundBucket && !this._inboundBucket.hasToken(now)) || (ipBucket && !ipBucket.hasToken(now))) {
+      return false
+    }
+
+    this._inboundBucket && this._inboundBucket.take()
+    ipBucket && ipBucket.take()
+
+    return true
+  }
+
+  /**
+   * Drops the full IP address buckets, as new ones would be the same, at most
+   * once per second.
+   *
+   * @private
+   * @param {number} now
+   */
+  _sweepInboundBuckets (now) {
+    if (now - this._inboundBucketsSweptAt < 1000) {
+      return
+    }
+
+    for (const [address, bucket] of this._inboundBucketsPerIp) {
+      bucket.isFull(now) && this._inboundBucketsPerIp.delete(address)
+    }
+
+    this._inboundBucketsSweptAt = now
+  }
+
+  /**
+   * @private
+   * @param {number} rate
+   * @param {number} [burst]
+   * @returns {TokenBucket|undefined}
+   */
+  _createTokenBucket (rate, burst) {
+    if (rate === Infinity) {
+      return undefined
+    }
+
+    if (!(rate > 0) || (burst !== undefined && !(burst >= 1))) {
+      throw errcode(new Error('Connection Manager inbound connection rates must be positive and bursts at least 1'), ERR_INVALID_PARAMETERS)
+    }
+
+    return new TokenBucket({ rate, burst: burst === undefined ? Math.max(rate, 1) : burst })
+  }
+
+  /**
+   * Called once the upgrade of an inbound connection accepted by
+   * `acceptIncomingConnection` is over, whether it succeeded or not.
+   *
+   * @param {MultiaddrConnection} maConn
+   * @returns {void}
+   */
+  afterUpgradeInbound (maConn) {
+    const ip = getIp(maConn.remoteAddr)
+
+    if (!ip || this._inboundAllowlist.has(ip.address)) {
+      return
+    }
+
+    for (const key of [ip.address, getSubnet(ip)]) {
+      const count = (this._pendingInbound.get(key) || 0) - 1
+      count > 0 ? this._pendingInbound.set(key, count) : this._pendingInbound.delete(key)
+    }
+  }
+
+  /**
+   * Called by the upgrader when a stream of the connection is opened or
+   * closed. Connections are idle from when their last stream closed.
+   *
+   * @param {Connection} connection
+   * @returns {void}
+   */
+  onStreamActivity (connection) {
+    if (this._started && this._options.connectionIdleTimeout !== Infinity) {
+      this._lastActive.set(connection.id, Date.now())
+    }
+  }
+
   /**
    * Removes the connection from tracking
    *
@@ -264,6 +788,7 @@ class ConnectionManager extends EventEmitter {
 
     const peerId = connection.remotePeer.toB58String()
     let storedConn = this.connections.get(peerId)
+    this._lastActive.delete(connection.id)
 
     if (storedConn && storedConn.length > 1) {
       storedConn = storedConn.filter((conn) => conn.id !== connection.id)
@@ -326,7 +851,7 @@ class ConnectionManager extends EventEmitter {
   }
 
   /**
-   * If the `value` of `name` has exceeded its limit, maybe close a connection
+   * If the `value` of `name` has exceeded its limit, trim connections
    *
    * @private
    * @param {string} name - The name of the field to check limits for
@@ -337,37 +862,92 @@ class ConnectionManager extends EventEmitter {
     log('checking limit of %s. current value: %d of %d', name, value, limit)
     if (value > limit) {
       log('%s: limit exceeded: %s, %d', this._peerId, name, value)
-      await this._maybeDisconnectOne()
+      await this._maybeDisconnectOne(name)
     }
   }
 
   /**
-   * If we have more connections than our maximum, close a connection
-   * to the lowest valued peer.
+   * @private
+   * @param {string} id
+   * @returns {number}
+   */
+  _getPeerValue (id) {
+    const value = this._peerValues.has(id) ? this._peerValues.get(id) : this._options.defaultPeerValue
+    const tags = this._peerTags.get(id)
+
+    return Array.from(tags ? tags.values() : []).reduce((sum, tagValue) => sum + tagValue, value || 0)
+  }
+
+  /**
+   * Trims connections because the given limit was exceeded. Exceeding
+   * `maxConnections` trims down to the low watermark in one pass, other limits
+   * close one connection. The connections of the lowest valued peers are
+   * closed first, skipping protected peers and connections opened less than
+   * the grace period ago, and never going below `minConnections`.
    *
    * @private
+   * @param {string} reason - The name of the exceeded limit
    */
-  async _maybeDisconnectOne () {
-    if (this._options.minConnections < this.connections.size) {
-      const peerValues = Array.from(new Map([...this._peerValues.entries()].sort((a, b) => a[1] - b[1])))
-      log('%s: sorted peer values: %j', this._peerId, peerValues)
-      const disconnectPeer = peerValues[0]
-      if (disconnectPeer) {
-        const peerId = disconnectPeer[0]
-        log('%s: lowest value peer is %s', this._peerId, peerId)
-        log('%s: closing a connection to %j', this._peerId, peerId)
-        for (const connections of this.connections.values()) {
-          if (connections[0].remotePeer.toB58String() === peerId) {
-            connections[0].close().catch(err => {
-              log.error(err)
-            })
-            // TODO: should not need to invoke this manually
-            this.onDisconnect(connections[0])
-            break
-          }
+  async _maybeDisconnectOne (reason = 'maxConnections') {
+    const size = this.size
+    const target = Math.max(
+      this._options.minConnections,
+      reason === 'maxConnections' ? this._getLowWatermark() : size - 1
+    )
+
+    if (size <= target) {
+      return
+    }
+
+    const openedBefore = Date.now() - this._options.gracePeriod
+    const peerValues = Array.from(this._peerValues.keys())
+      .filter(id => !this._protectedPeers.has(id))
+      .map(id => /** @type {[string, number]} */ ([id, this._getPeerValue(id)]))
+      .sort((a, b) => a[1] - b[1])
+    log('%s: sorted peer values: %j', this._peerId, peerValues)
+
+    /** @type {TrimmedPeer[]} */
+    const trimmed = []
+    let toClose = size - target
+
+    for (const [id, value] of peerValues) {
+      if (toClose === 0) {
+        break
+      }
+
+      const connections = (this.connections.get(id) || [])
+        .filter(connection => connection.stat.timeline.open <= openedBefore)
+        .slice(0, toClose)
+
+      if (connections.length) {
+        log('%s: closing %d connections to %s of value %d', this._peerId, connections.length, id, value)
+        for (const connection of connections) {
+          connection.close().catch(err => {
+            log.error(err)
+          })
+          // TODO: should not need to invoke this manually
+          this.onDisconnect(connection)
         }
+
+        toClose -= connections.length
+        trimmed.push({ peerId: connections[0].remotePeer, value, connections: connections.length })
       }
     }
+
+    if (trimmed.length) {
+      log('%s: trimmed %d peers, %s exceeded', this._peerId, trimmed.length, reason)
+      /** @type {TrimEvent} */
+      const event = { reason, peers: trimmed }
+      this.emit('trim', event)
+    }
+  }
+
+  /**
+   * @private
+   * @returns {number}
+   */
+  _getLowWatermark () {
+    return this._options.lowWatermark === undefined ? this._options.maxConnections : this._options.lowWatermark
   }
 }
 
@@ -0,0 +1,63 @@
+'use strict'
+
+class TokenBucket {
+  /**
+   * A token bucket holding up to `burst` tokens, refilled with `rate` tokens
+   * per second.
+   *
+   * @class
+   * @param {object} options
+   * @param {number} options.rate - Tokens added per second
+   * @param {number} options.burst - The maximum number of tokens
+   */
+  constructor ({ rate, burst }) {
+    this.rate = rate
+    this.burst = burst
+    this._tokens = burst
+    this._updated = Date.now()
+  }
+
+  /**
+   * Whether a token can be taken from the bucket.
+   *
+   * @param {number} [now = Date.now()]
+   * @returns {boolean}
+   */
+  hasToken (now = Date.now()) {
+    this._refill(now)
+
+    return this._tokens >= 1
+  }
+
+  /**
+   * Takes a token from the bucket, it should have one.
+   *
+   * @returns {void}
+   */
+  take () {
+    this._tokens -= 1
+  }
+
+  /**
+   * Whether the bucket is full, so it can be dropped until it is used again.
+   *
+   * @param {number} [now = Date.now()]
+   * @returns {boolean}
+   */
+  isFull (now = Date.now()) {
+    this._refill(now)
+
+    return this._tokens >= this.burst
+  }
+
+  /**
+   * @private
+   * @param {number} now
+   */
+  _refill (now) {
+    this._tokens = Math.min(this.burst, this._tokens + (now - this._updated) * this.rate / 1000)
+    this._updated = now
+  }
+}
+
+module.exports = TokenBucket
@@ -5,6 +5,25 @@ module.exports = {
   MAX_PARALLEL_DIALS: 100, // Maximum allowed concurrent dials
   MAX_PER_PEER_DIALS: 4, // Allowed parallel dials per DialRequest
   MAX_ADDRS_TO_DIAL: 25, // Maximum number of allowed addresses to attempt to dial
+  BACKOFF_BASE: 5e3, // How long in ms a peer or address is not dialed after a first failed dial
+  BACKOFF_MAX: 300e3, // Maximum time in ms a peer or address is not dialed after consecutive failed dials
+  RESOLVER_CACHE_TTL: 5 * 60e3, // How long in ms resolved multiaddrs are cached when the resolver does not report a ttl
+  RESOLVER_CACHE_NEGATIVE_TTL: 30e3, // How long in ms failed resolutions are cached
+  DIAL_PRIORITY: {
+    LOW: 10, // Background dials, like the ones of the auto dialler or to discovered peers
+    NORMAL: 50, // Default priority of a dial
+    HIGH: 100
+  },
+  OBSERVED_ADDR_THRESHOLD: 4, // Number of peers from distinct ip groups that must report an observed address before it is announced
+  OBSERVED_ADDR_TTL: 30 * 60e3, // How long in ms an observed address is kept once no peer reports it anymore
+  OBSERVED_ADDR_GC_INTERVAL: 60e3, // How often in ms the expired observed addresses are removed
+  ADDRESS_TTL: { // How long in ms the PeerStore keeps the addresses of peers, by where they were learnt from
+    certified: 24 * 60 * 60e3,
+    observed: 2 * 60 * 60e3,
+    discovered: 60 * 60e3,
+    manual: 12 * 60 * 60e3
+  },
+  ADDRESS_GC_INTERVAL: 10 * 60e3, // How often in ms the PeerStore removes the expired addresses
   METRICS: {
     computeThrottleMaxQueueSize: 1000,
     computeThrottleTimeout: 2000,
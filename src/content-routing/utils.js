@@ -19,7 +19,7 @@ const take = require('it-take')
 async function * storeAddresses (source, peerStore) {
   yield * map(source, async (peer) => {
     // ensure we have the addresses for a given peer
-    await peerStore.addressBook.add(peer.id, peer.multiaddrs)
+    await peerStore.addressBook.add(peer.id, peer.multiaddrs, { source: 'discovered' })
 
     return peer
   })
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  // https://github.com/libp2p/specs/blob/master/relay/DCUtR.md
+  PROTOCOL: '/libp2p/dcutr',
+  TIMEOUT: 10000, // How long the address exchange and the direct dials may take
+  MAX_RETRIES: 3 // How many times an upgrade is attempted before giving up
+}
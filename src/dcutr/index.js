@@ -0,0 +1,319 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:dcutr'), {
+  error: debug('libp2p:dcutr:err')
+})
+const errCode = require('err-code')
+const pAny = require('p-any')
+const { Multiaddr } = require('multiaddr')
+const { TimeoutController } = require('timeout-abort-controller')
+const { anySignal } = require('any-signal')
+const { HolePunch } = require('./proto')
+const StreamHandler = require('../circuit/circuit/stream-handler')
+const { isRelayedAddr, abortOnTimeout } = require('../circuit/utils')
+const { codes } = require('../errors')
+const { PROTOCOL, TIMEOUT, MAX_RETRIES } = require('./constants')
+
+/**
+ * @typedef {import('../')} Libp2p
+ * @typedef {import('peer-id')} PeerId
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
+ * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
+ * @typedef {import('../resource-manager').StreamScope} StreamScope
+ * @typedef {import('./proto').IHolePunch} IHolePunch
+ */
+
+/**
+ * @typedef {Object} DCUtROptions
+ * @property {boolean} [enabled = false] - upgrade relayed connections to direct ones
+ * @property {number} [timeout = TIMEOUT] - how long the address exchange and the direct dials may take, in ms
+ * @property {number} [maxRetries = MAX_RETRIES] - how many times an upgrade is attempted before giving up
+ */
+
+/**
+ * Direct Connection Upgrade through Relay. Once two peers are connected through
+ * a relay, they exchange their addresses over the relayed connection and dial
+ * each other at the same time, in order to punch a hole through their NATs.
+ * Once a direct connection is established, the relayed one is closed.
+ */
+class DCUtR {
+  /**
+   * @param {object} options
+   * @param {Libp2p} options.libp2p
+   * @param {number} [options.timeout = TIMEOUT]
+   * @param {number} [options.maxRetries = MAX_RETRIES]
+   */
+  constructor ({ libp2p, timeout = TIMEOUT, maxRetries = MAX_RETRIES }) {
+    this._libp2p = libp2p
+    this._connectionManager = libp2p.connectionManager
+    this._transportManager = libp2p.transportManager
+    this._connectionGater = libp2p.connectionGater
+    this._timeout = timeout
+    this._maxRetries = maxRetries
+
+    this.handleMessage = this.handleMessage.bind(this)
+    this._onPeerConnect = this._onPeerConnect.bind(this)
+  }
+
+  /**
+   * Start upgrading relayed connections.
+   *
+   * @returns {void}
+   */
+  start () {
+    this._connectionManager.on('peer:connect', this._onPeerConnect)
+  }
+
+  /**
+   * Stop upgrading relayed connections.
+   *
+   * @returns {void}
+   */
+  stop () {
+    this._connectionManager.removeListener('peer:connect', this._onPeerConnect)
+  }
+
+  /**
+   * The peer that was dialed through the relay initiates the upgrade.
+   *
+   * @param {Connection} connection
+   */
+  _onPeerConnect (connection) {
+    if (connection.stat.direction !== 'inbound' || !isRelayed(connection) || this._hasDirectConnection(connection.remotePeer)) {
+      return
+    }
+
+    this.upgrade(connection).catch(err => {
+      log.error('could not upgrade relayed connection to %s', connection.remotePeer.toB58String(), err)
+    })
+  }
+
+  /**
+   * Attempt to replace a relayed connection with a direct one.
+   *
+   * @param {Connection} connection - the relayed connection
+   * @returns {Promise<Connection>} the direct connection
+   */
+  async upgrade (connection) {
+    const peerId = connection.remotePeer
+
+    for (let attempt = 1; attempt <= this._maxRetries; attempt++) {
+      log('attempting to upgrade relayed connection to %s (%d/%d)', peerId.toB58String(), attempt, this._maxRetries)
+
+      try {
+        const directConnection = await this._initiate(connection)
+        await connection.close()
+
+        return directConnection
+      } catch (/** @type {any} */ err) {
+        log.error('attempt %d to upgrade relayed connection to %s failed', attempt, peerId.toB58String(), err)
+
+        if (err.code === codes.ERR_UNSUPPORTED_PROTOCOL || connection.stat.status !== 'open') {
+          throw err
+        }
+      }
+    }
+
+    throw errCode(new Error(`Could not upgrade relayed connection to ${peerId.toB58String()}`), codes.ERR_HOLE_PUNCH_FAILED)
+  }
+
+  /**
+   * Send our addresses over the relayed connection and synchronize our dial
+   * with the dial of the remote peer.
+   *
+   * @private
+   * @param {Connection} connection - the relayed connection
+   * @returns {Promise<Connection>}
+   */
+  async _initiate (connection) {
+    const peerId = connection.remotePeer
+    const controller = new TimeoutController(this._timeout)
+
+    try {
+      const { stream } = await connection.newStream(PROTOCOL)
+      abortOnTimeout(stream, controller.signal)
+      /** @type {StreamHandler<IHolePunch>} */
+      const streamHandler = new StreamHandler({ stream, codec: HolePunch })
+
+      const start = Date.now()
+      streamHandler.write({
+        type: HolePunch.Type.CONNECT,
+        ObsAddrs: this._getAddrs().map(addr => addr.bytes)
+      })
+
+      const response = await streamHandler.read()
+      if (!response || response.type !== HolePunch.Type.CONNECT) {
+        throw errCode(new Error('Unexpected response to CONNECT'), codes.ERR_INVALID_MESSAGE)
+      }
+
+      const rtt = Date.now() - start
+      streamHandler.end({
+        type: HolePunch.Type.SYNC
+      })
+
+      // The remote peer dials as soon as it receives the SYNC message, so we
+      // wait for it to arrive before dialing too
+      await new Promise(resolve => setTimeout(resolve, rtt / 2))
+
+      return await this._dialDirect(peerId, response.ObsAddrs, controller.signal)
+    } finally {
+      controller.clear()
+    }
+  }
+
+  /**
+   * Responds to a hole punching request from a peer connected to us through a relay.
+   *
+   * @param {object} options
+   * @param {Connection} options.connection
+   * @param {MuxedStream} options.stream
+   * @param {StreamScope} [options.scope]
+   * @returns {Promise<void>}
+   */
+  async handleMessage ({ connection, stream, scope }) {
+    const peerId = connection.remotePeer
+
+    if (!isRelayed(connection)) {
+      log('received hole punching request from %s over a direct connection', peerId.toB58String())
+      stream.close()
+      return
+    }
+
+    const controller = new TimeoutController(this._timeout)
+
+    try {
+      abortOnTimeout(stream, controller.signal)
+      /** @type {StreamHandler<IHolePunch>} */
+      const streamHandler = new StreamHandler({ stream, codec: HolePunch, scope })
+
+      const request = await streamHandler.read()
+      if (!request || request.type !== HolePunch.Type.CONNECT) {
+        log('received unexpected hole punching request from %s', peerId.toB58String())
+        return streamHandler.close()
+      }
+
+      streamHandler.write({
+        type: HolePunch.Type.CONNECT,
+        ObsAddrs: this._getAddrs().map(addr => addr.bytes)
+      })
+
+      const sync = await streamHandler.read()
+      if (!sync || sync.type !== HolePunch.Type.SYNC) {
+        log('received unexpected hole punching message from %s', peerId.toB58String())
+        return streamHandler.close()
+      }
+      streamHandler.close()
+
+      await this._dialDirect(peerId, request.ObsAddrs, controller.signal)
+      await connection.close()
+    } catch (/** @type {any} */ err) {
+      log.error('hole punching with %s failed', peerId.toB58String(), err)
+
+      // The dial of the remote peer may have succeeded
+      if (this._hasDirectConnection(peerId)) {
+        await connection.close()
+      }
+    } finally {
+      controller.clear()
+    }
+  }
+
+  /**
+   * Dial the given addresses of a peer in parallel, resolving with the first
+   * direct connection established.
+   *
+   * @private
+   * @param {PeerId} peerId
+   * @param {Uint8Array[]|null} [addrs]
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Connection>}
+   */
+  async _dialDirect (peerId, addrs, signal) {
+    const id = peerId.toB58String()
+    const multiaddrs = []
+
+    for (const bytes of addrs || []) {
+      const addr = new Multiaddr(bytes)
+
+      // Only dial addresses we can dial directly
+      if (!isRelayedAddr(addr) && this._transportManager.transportForMultiaddr(addr)) {
+        const peerAddr = addr.getPeerId() ? addr : addr.encapsulate(`/p2p/${id}`)
+
+        if (!(await this._connectionGater.denyDialMultiaddr(peerId, peerAddr))) {
+          multiaddrs.push(peerAddr)
+        }
+      }
+    }
+
+    if (!multiaddrs.length) {
+      throw errCode(new Error(`No addresses to dial ${id} directly`), codes.ERR_NO_VALID_ADDRESSES)
+    }
+
+    log('dialing %s directly on %s', id, multiaddrs.join(', '))
+
+    const dialAbortControllers = multiaddrs.map(() => new AbortController())
+    /** @type {Connection[]} */
+    const connections = []
+    const dials = multiaddrs.map(async (addr, i) => {
+      const dialSignal = dialAbortControllers[i].signal
+      connections[i] = await this._transportManager.dial(addr, { signal: signal ? anySignal([dialSignal, signal]) : dialSignal })
+
+      return connections[i]
+    })
+    /** @type {Connection|undefined} */
+    let connection
+
+    try {
+      connection = await pAny(dials)
+
+      return connection
+    } finally {
+      // Abort the dials that lost, and close the connections they established anyway
+      dials.forEach((dial, i) => {
+        if (connections[i] !== connection) {
+          dialAbortControllers[i].abort()
+        }
+
+        dial.then(extraConnection => {
+          if (extraConnection !== connection) {
+            log('closing extra direct connection to %s', id)
+            extraConnection.close().catch(err => log.error(err))
+          }
+        }, () => {})
+      })
+    }
+  }
+
+  /**
+   * The addresses we can be dialed on directly, including the ones observed
+   * by other peers.
+   *
+   * @private
+   * @returns {Multiaddr[]}
+   */
+  _getAddrs () {
+    return this._libp2p.multiaddrs.filter(addr => !isRelayedAddr(addr))
+  }
+
+  /**
+   * @private
+   * @param {PeerId} peerId
+   * @returns {boolean}
+   */
+  _hasDirectConnection (peerId) {
+    return this._connectionManager.getAll(peerId).some(connection => !isRelayed(connection))
+  }
+}
+
+/**
+ * @param {Connection} connection
+ * @returns {boolean}
+ */
+function isRelayed (connection) {
+  return isRelayedAddr(connection.remoteAddr)
+}
+
+DCUtR.PROTOCOL = PROTOCOL
+
+module.exports = DCUtR
@@ -0,0 +1,74 @@
+import * as $protobuf from "protobufjs";
+/** Properties of a HolePunch. */
+export interface IHolePunch {
+
+    /** HolePunch type */
+    type: HolePunch.Type;
+
+    /** HolePunch ObsAddrs */
+    ObsAddrs?: (Uint8Array[]|null);
+}
+
+/** Represents a HolePunch. */
+export class HolePunch implements IHolePunch {
+
+    /**
+     * Constructs a new HolePunch.
+     * @param [p] Properties to set
+     */
+    constructor(p?: IHolePunch);
+
+    /** HolePunch type. */
+    public type: HolePunch.Type;
+
+    /** HolePunch ObsAddrs. */
+    public ObsAddrs: Uint8Array[];
+
+    /**
+     * Encodes the specified HolePunch message. Does not implicitly {@link HolePunch.verify|verify} messages.
+     * @param m HolePunch message or plain object to encode
+     * @param [w] Writer to encode to
+     * @returns Writer
+     */
+    public static encode(m: IHolePunch, w?: $protobuf.Writer): $protobuf.Writer;
+
+    /**
+     * Decodes a HolePunch message from the specified reader or buffer.
+     * @param r Reader or buffer to decode from
+     * @param [l] Message length if known beforehand
+     * @returns HolePunch
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    public static decode(r: ($protobuf.Reader|Uint8Array), l?: number): HolePunch;
+
+    /**
+     * Creates a HolePunch message from a plain object. Also converts values to their respective internal types.
+     * @param d Plain object
+     * @returns HolePunch
+     */
+    public static fromObject(d: { [k: string]: any }): HolePunch;
+
+    /**
+     * Creates a plain object from a HolePunch message. Also converts values to other types if specified.
+     * @param m HolePunch
+     * @param [o] Conversion options
+     * @returns Plain object
+     */
+    public static toObject(m: HolePunch, o?: $protobuf.IConversionOptions): { [k: string]: any };
+
+    /**
+     * Converts this HolePunch to JSON.
+     * @returns JSON object
+     */
+    public toJSON(): { [k: string]: any };
+}
+
+export namespace HolePunch {
+
+    /** Type enum. */
+    enum Type {
+        CONNECT = 100,
+        SYNC = 300
+    }
+}
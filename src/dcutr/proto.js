@@ -0,0 +1,205 @@
+/*eslint-disable*/
+"use strict";
+
+var $protobuf = require("protobufjs/minimal");
+
+// Common aliases
+var $Reader = $protobuf.Reader, $Writer = $protobuf.Writer, $util = $protobuf.util;
+
+// Exported root namespace
+var $root = $protobuf.roots["libp2p-dcutr"] || ($protobuf.roots["libp2p-dcutr"] = {});
+
+$root.HolePunch = (function() {
+
+    /**
+     * Properties of a HolePunch.
+     * @exports IHolePunch
+     * @interface IHolePunch
+     * @property {HolePunch.Type} type HolePunch type
+     * @property {Array.<Uint8Array>|null} [ObsAddrs] HolePunch ObsAddrs
+     */
+
+    /**
+     * Constructs a new HolePunch.
+     * @exports HolePunch
+     * @classdesc Represents a HolePunch.
+     * @implements IHolePunch
+     * @constructor
+     * @param {IHolePunch=} [p] Properties to set
+     */
+    function HolePunch(p) {
+        this.ObsAddrs = [];
+        if (p)
+            for (var ks = Object.keys(p), i = 0; i < ks.length; ++i)
+                if (p[ks[i]] != null)
+                    this[ks[i]] = p[ks[i]];
+    }
+
+    /**
+     * HolePunch type.
+     * @member {HolePunch.Type} type
+     * @memberof HolePunch
+     * @instance
+     */
+    HolePunch.prototype.type = 100;
+
+    /**
+     * HolePunch ObsAddrs.
+     * @member {Array.<Uint8Array>} ObsAddrs
+     * @memberof HolePunch
+     * @instance
+     */
+    HolePunch.prototype.ObsAddrs = $util.emptyArray;
+
+    /**
+     * Encodes the specified HolePunch message. Does not implicitly {@link HolePunch.verify|verify} messages.
+     * @function encode
+     * @memberof HolePunch
+     * @static
+     * @param {IHolePunch} m HolePunch message or plain object to encode
+     * @param {$protobuf.Writer} [w] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    HolePunch.encode = function encode(m, w) {
+        if (!w)
+            w = $Writer.create();
+        w.uint32(8).int32(m.type);
+        if (m.ObsAddrs != null && m.ObsAddrs.length) {
+            for (var i = 0; i < m.ObsAddrs.length; ++i)
+                w.uint32(18).bytes(m.ObsAddrs[i]);
+        }
+        return w;
+    };
+
+    /**
+     * Decodes a HolePunch message from the specified reader or buffer.
+     * @function decode
+     * @memberof HolePunch
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} r Reader or buffer to decode from
+     * @param {number} [l] Message length if known beforehand
+     * @returns {HolePunch} HolePunch
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    HolePunch.decode = function decode(r, l) {
+        if (!(r instanceof $Reader))
+            r = $Reader.create(r);
+        var c = l === undefined ? r.len : r.pos + l, m = new $root.HolePunch();
+        while (r.pos < c) {
+            var t = r.uint32();
+            switch (t >>> 3) {
+            case 1:
+                m.type = r.int32();
+                break;
+            case 2:
+                if (!(m.ObsAddrs && m.ObsAddrs.length))
+                    m.ObsAddrs = [];
+                m.ObsAddrs.push(r.bytes());
+                break;
+            default:
+                r.skipType(t & 7);
+                break;
+            }
+        }
+        if (!m.hasOwnProperty("type"))
+            throw $util.ProtocolError("missing required 'type'", { instance: m });
+        return m;
+    };
+
+    /**
+     * Creates a HolePunch message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof HolePunch
+     * @static
+     * @param {Object.<string,*>} d Plain object
+     * @returns {HolePunch} HolePunch
+     */
+    HolePunch.fromObject = function fromObject(d) {
+        if (d instanceof $root.HolePunch)
+            return d;
+        var m = new $root.HolePunch();
+        switch (d.type) {
+        case "CONNECT":
+        case 100:
+            m.type = 100;
+            break;
+        case "SYNC":
+        case 300:
+            m.type = 300;
+            break;
+        }
+        if (d.ObsAddrs) {
+            if (!Array.isArray(d.ObsAddrs))
+                throw TypeError(".HolePunch.ObsAddrs: array expected");
+            m.ObsAddrs = [];
+            for (var i = 0; i < d.ObsAddrs.length; ++i) {
+                if (typeof d.ObsAddrs[i] === "string")
+                    $util.base64.decode(d.ObsAddrs[i], m.ObsAddrs[i] = $util.newBuffer($util.base64.length(d.ObsAddrs[i])), 0);
+                else if (d.ObsAddrs[i].length)
+                    m.ObsAddrs[i] = d.ObsAddrs[i];
+            }
+        }
+        return m;
+    };
+
+    /**
+     * Creates a plain object from a HolePunch message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof HolePunch
+     * @static
+     * @param {HolePunch} m HolePunch
+     * @param {$protobuf.IConversionOptions} [o] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    HolePunch.toObject = function toObject(m, o) {
+        if (!o)
+            o = {};
+        var d = {};
+        if (o.arrays || o.defaults) {
+            d.ObsAddrs = [];
+        }
+        if (o.defaults) {
+            d.type = o.enums === String ? "CONNECT" : 100;
+        }
+        if (m.type != null && m.hasOwnProperty("type")) {
+            d.type = o.enums === String ? $root.HolePunch.Type[m.type] : m.type;
+        }
+        if (m.ObsAddrs && m.ObsAddrs.length) {
+            d.ObsAddrs = [];
+            for (var j = 0; j < m.ObsAddrs.length; ++j) {
+                d.ObsAddrs[j] = o.bytes === String ? $util.base64.encode(m.ObsAddrs[j], 0, m.ObsAddrs[j].length) : o.bytes === Array ? Array.prototype.slice.call(m.ObsAddrs[j]) : m.ObsAddrs[j];
+            }
+        }
+        return d;
+    };
+
+    /**
+     * Converts this HolePunch to JSON.
+     * @function toJSON
+     * @memberof HolePunch
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    HolePunch.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    /**
+     * Type enum.
+     * @name HolePunch.Type
+     * @enum {number}
+     * @property {number} CONNECT=100 CONNECT value
+     * @property {number} SYNC=300 SYNC value
+     */
+    HolePunch.Type = (function() {
+        var valuesById = {}, values = Object.create(valuesById);
+        values[valuesById[100] = "CONNECT"] = 100;
+        values[valuesById[300] = "SYNC"] = 300;
+        return values;
+    })();
+
+    return HolePunch;
+})();
+
+module.exports = $root;
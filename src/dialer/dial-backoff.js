@@ -0,0 +1,113 @@
+'use strict'
+
+const trackedMap = require('../metrics/tracked-map')
+const { BACKOFF_BASE, BACKOFF_MAX } = require('../constants')
+
+const METRICS_COMPONENT = 'dialler'
+
+/**
+ * @typedef {Object} Backoff
+ * @property {number} attempts - number of consecutive failed dials
+ * @property {number} until - when dials are allowed again
+ *
+ * @typedef {Object} DialBackoffOptions
+ * @property {number} [base = BACKOFF_BASE] - backoff after the first failed dial, in ms
+ * @property {number} [max = BACKOFF_MAX] - maximum backoff, in ms
+ * @property {string} [metric] - name of the metric tracking the number of backed off keys
+ * @property {import('../metrics')} [metrics]
+ */
+
+class DialBackoff {
+  /**
+   * Keeps track of failed dials, so peers or addresses that fail to be dialed
+   * are not dialed again until their backoff expires. The backoff doubles
+   * with each consecutive failure, and is jittered so dials to peers that
+   * failed together are spread out.
+   *
+   * @class
+   * @param {DialBackoffOptions} [options]
+   */
+  constructor ({ base = BACKOFF_BASE, max = BACKOFF_MAX, metric = 'backoff', metrics } = {}) {
+    this.base = base
+    this.max = max
+
+    /** @type {Map<string, Backoff>} */
+    this._backoffs = trackedMap({
+      component: METRICS_COMPONENT,
+      metric,
+      metrics
+    })
+  }
+
+  /**
+   * Whether dials to the given key are backed off.
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isBackedOff (key) {
+    const backoff = this._backoffs.get(key)
+
+    return Boolean(backoff && backoff.until > Date.now())
+  }
+
+  /**
+   * The number of consecutive failed dials of the given key, 0 once its
+   * failures are forgotten.
+   *
+   * @param {string} key
+   * @returns {number}
+   */
+  attempts (key) {
+    const backoff = this._backoffs.get(key)
+
+    return backoff ? backoff.attempts : 0
+  }
+
+  /**
+   * Record a failed dial, backing off further dials.
+   *
+   * @param {string} key
+   * @returns {void}
+   */
+  fail (key) {
+    const now = Date.now()
+    this._removeExpired(now)
+
+    const attempts = (this._backoffs.get(key) || { attempts: 0 }).attempts + 1
+    const backoff = Math.min(this.max, this.base * 2 ** (attempts - 1))
+
+    this._backoffs.set(key, {
+      attempts,
+      // wait between half and all of the backoff
+      until: now + backoff / 2 + Math.random() * backoff / 2
+    })
+  }
+
+  /**
+   * Forget the failed dials of the given key once it was dialed successfully.
+   *
+   * @param {string} key
+   * @returns {void}
+   */
+  clear (key) {
+    this._backoffs.delete(key)
+  }
+
+  /**
+   * Forget keys whose backoff expired long enough ago for another failure to
+   * start over from the base backoff.
+   *
+   * @private
+   * @param {number} now
+   */
+  _removeExpired (now) {
+    for (const [key, { until }] of this._backoffs) {
+      if (until + this.max < now) {
+        this._backoffs.delete(key)
+      }
+    }
+  }
+}
+
+module.exports = DialBackoff
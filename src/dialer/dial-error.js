@@ -0,0 +1,49 @@
+'use strict'
+
+const AggregateError = require('aggregate-error')
+
+/**
+ * @typedef {import('multiaddr').Multiaddr} Multiaddr
+ */
+
+/**
+ * @typedef {Object} DialAttempt
+ * @property {Multiaddr} multiaddr
+ * @property {'failed'|'denied'|'unsupported'|'backed-off'|'not-dialed'} status - `failed` if the dial failed,
+ * `denied` if the ConnectionGater denied the dial, `unsupported` if no transport can dial the multiaddr,
+ * `backed-off` if the multiaddr recently failed to be dialed and `not-dialed` if the dial ended before the
+ * multiaddr was dialed
+ * @property {string} [code] - The error code of a failed dial
+ * @property {Error} [error] - The error of a failed dial
+ * @property {number} [duration] - How long a failed dial took, in ms
+ */
+
+/**
+ * Thrown when a peer could not be dialed. It tells why each of the multiaddrs
+ * of the peer was not connected to, and aggregates the errors of the dials
+ * that failed. It is an `AggregateError`, so its name is `AggregateError`.
+ */
+class DialError extends AggregateError {
+  /**
+   * @param {string} message
+   * @param {object} options
+   * @param {string} options.code
+   * @param {DialAttempt[]} options.attempts
+   * @param {Error[]} [options.errors] - Defaults to the errors of the failed attempts
+   */
+  constructor (message, { code, attempts, errors }) {
+    super(errors || /** @type {Error[]} */ (attempts.map(attempt => attempt.error).filter(Boolean)))
+
+    this.message = [
+      message,
+      ...attempts.map(({ multiaddr, status, code, duration }) => {
+        const details = [code, duration !== undefined && `${duration}ms`].filter(Boolean).join(', ')
+        return `    ${multiaddr}: ${status}${details ? ` (${details})` : ''}`
+      })
+    ].join('\n')
+    this.code = code
+    this.attempts = attempts
+  }
+}
+
+module.exports = DialError
@@ -8,6 +8,7 @@ const pAny = require('p-any')
 // @ts-expect-error setMaxListeners is missing from the types
 const { setMaxListeners } = require('events')
 const { codes } = require('../errors')
+const { CIRCUIT_PROTO_CODE } = require('../circuit/constants')
 
 /**
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
@@ -23,15 +24,56 @@ const { codes } = require('../errors')
  * @property {Multiaddr[]} addrs
  * @property {(m: Multiaddr, options: DialOptions) => Promise<Connection>} dialAction
  * @property {Dialer} dialer
+ * @property {number} [staggerDelay = 0] - when set, each dial only starts once the previous one failed or after this delay in ms
  */
 
+/**
+ * Sort addresses for staggered dials in the spirit of happy eyeballs (RFC 8305),
+ * keeping the given order otherwise: QUIC addresses are dialed first, IPv6 and
+ * other addresses are interleaved, and relayed addresses are dialed last.
+ *
+ * @param {Multiaddr[]} addrs
+ * @returns {Multiaddr[]}
+ */
+function interleaveAddrs (addrs) {
+  /**
+   * @param {Multiaddr[]} list
+   */
+  const quicFirst = (list) => [
+    ...list.filter(addr => addr.protoNames().includes('quic')),
+    ...list.filter(addr => !addr.protoNames().includes('quic'))
+  ]
+  /**
+   * @param {Multiaddr[]} list
+   */
+  const interleave = (list) => {
+    const ip6 = quicFirst(list.filter(addr => addr.protoNames().includes('ip6')))
+    const others = quicFirst(list.filter(addr => !addr.protoNames().includes('ip6')))
+    const interleaved = []
+
+    for (let i = 0; i < Math.max(ip6.length, others.length); i++) {
+      i < ip6.length && interleaved.push(ip6[i])
+      i < others.length && interleaved.push(others[i])
+    }
+
+    return interleaved
+  }
+
+  return [
+    ...interleave(addrs.filter(addr => !addr.protoCodes().includes(CIRCUIT_PROTO_CODE))),
+    ...interleave(addrs.filter(addr => addr.protoCodes().includes(CIRCUIT_PROTO_CODE)))
+  ]
+}
+
 class DialRequest {
   /**
    * Manages running the `dialAction` on multiple provided `addrs` in parallel
    * up to a maximum determined by the number of tokens returned
-   * from `dialer.getTokens`. Once a DialRequest is created, it can be
+   * from `dialer.acquireTokens`. Once a DialRequest is created, it can be
    * started using `DialRequest.run(options)`. Once a single dial has succeeded,
    * all other dials in the request will be cancelled.
+   * When dials are staggered, the addresses are dialed one after the other,
+   * each starting once the previous dial failed or after the stagger delay.
    *
    * @class
    * @param {DialRequestOptions} options
@@ -39,21 +81,24 @@ class DialRequest {
   constructor ({
     addrs,
     dialAction,
-    dialer
+    dialer,
+    staggerDelay = 0
   }) {
-    this.addrs = addrs
+    this.addrs = staggerDelay > 0 ? interleaveAddrs(addrs) : addrs
     this.dialer = dialer
     this.dialAction = dialAction
+    this.staggerDelay = staggerDelay
   }
 
   /**
    * @async
    * @param {object} [options]
    * @param {AbortSignal} [options.signal] - An AbortController signal
+   * @param {number} [options.priority] - The priority of the dial when waiting for dial tokens
    * @returns {Promise<Connection>}
    */
   async run (options = {}) {
-    const tokens = this.dialer.getTokens(this.addrs.length)
+    const tokens = await this.dialer.acquireTokens(this.addrs.length, options)
     // If no tokens are available, throw
     if (tokens.length < 1) {
       throw errCode(new Error('No dial tokens available'), codes.ERR_NO_DIAL_TOKENS)
@@ -72,15 +117,43 @@ class DialRequest {
     })
     let completedDials = 0
 
+    // With staggered dials, each dial waits for its turn
+    /** @type {(() => void)[]} */
+    const startNextDial = []
+    const turns = this.addrs.map((_, i) => i === 0 ? Promise.resolve() : new Promise(resolve => { startNextDial[i - 1] = () => resolve(undefined) }))
+    /** @type {ReturnType<typeof setTimeout>[]} */
+    const staggerTimers = []
+
     try {
       return await pAny(this.addrs.map(async (addr, i) => {
+        const controller = dialAbortControllers[i]
+
+        if (this.staggerDelay > 0) {
+          await turns[i]
+
+          if (controller.signal.aborted || (options.signal && options.signal.aborted)) {
+            // Let the next dials end too
+            startNextDial[i] && startNextDial[i]()
+            throw errCode(new Error('already aborted'), codes.ERR_ALREADY_ABORTED)
+          }
+        }
+
         const token = await tokenHolder.shift() // get token
         let conn
+
+        if (this.staggerDelay > 0 && startNextDial[i]) {
+          staggerTimers.push(setTimeout(startNextDial[i], this.staggerDelay))
+        }
+
         try {
           const signal = dialAbortControllers[i].signal
           conn = await this.dialAction(addr, { ...options, signal: options.signal ? anySignal([signal, options.signal]) : signal })
           // Remove the successful AbortController so it is not aborted
           dialAbortControllers.splice(i, 1)
+        } catch (/** @type {any} */ err) {
+          // Do not wait for the stagger delay once the dial failed
+          startNextDial[i] && startNextDial[i]()
+          throw err
         } finally {
           completedDials++
           // If we have more or equal dials remaining than tokens, recycle the token, otherwise release it
@@ -94,7 +167,9 @@ class DialRequest {
         return conn
       }))
     } finally {
+      staggerTimers.forEach(timer => clearTimeout(timer))
       dialAbortControllers.map(c => c.abort()) // success/failure happened, abort everything else
+      startNextDial.forEach(start => start()) // let staggered dials that did not start end
       tokens.forEach(token => this.dialer.releaseToken(token)) // release tokens back to the dialer
     }
   }
@@ -8,6 +8,7 @@ const log = Object.assign(debug('libp2p:dialer'), {
   error: debug('libp2p:dialer:err')
 })
 const errCode = require('err-code')
+const AggregateError = require('aggregate-error')
 const { Multiaddr } = require('multiaddr')
 const { TimeoutController } = require('timeout-abort-controller')
 const { AbortError } = require('abortable-iterator')
@@ -15,6 +16,9 @@ const { anySignal } = require('any-signal')
 // @ts-expect-error setMaxListeners is missing from the types
 const { setMaxListeners } = require('events')
 const DialRequest = require('./dial-request')
+const DialBackoff = require('./dial-backoff')
+const DialError = require('./dial-error')
+const ResolverCache = require('./resolver-cache')
 const { publicAddressesFirst } = require('libp2p-utils/src/address-sort')
 const getPeer = require('../get-peer')
 const trackedMap = require('../metrics/tracked-map')
@@ -23,12 +27,24 @@ const {
   DIAL_TIMEOUT,
   MAX_PARALLEL_DIALS,
   MAX_PER_PEER_DIALS,
-  MAX_ADDRS_TO_DIAL
+  MAX_ADDRS_TO_DIAL,
+  BACKOFF_BASE,
+  BACKOFF_MAX,
+  DIAL_PRIORITY,
+  RESOLVER_CACHE_TTL,
+  RESOLVER_CACHE_NEGATIVE_TTL
 } = require('../constants')
 
+// Protocols that need the hostname of the multiaddr, so dns multiaddrs using them are not resolved
+const HOSTNAME_PROTOCOLS = ['wss', 'tls', 'https']
+
 const METRICS_COMPONENT = 'dialler'
 const METRICS_PENDING_DIALS = 'pending-dials'
 const METRICS_PENDING_DIAL_TARGETS = 'pending-dial-targets'
+const METRICS_BACKOFF_PEERS = 'backoff-peers'
+const METRICS_BACKOFF_ADDRS = 'backoff-addrs'
+const METRICS_DIAL_QUEUE = 'dial-queue'
+const METRICS_DIAL_QUEUE_WAIT = 'dial-queue-wait'
 
 /**
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
@@ -37,6 +53,7 @@ const METRICS_PENDING_DIAL_TARGETS = 'pending-dial-targets'
  * @typedef {import('../peer-store/types').Address} Address
  * @typedef {import('../transport-manager')} TransportManager
  * @typedef {import('../types').ConnectionGater} ConnectionGater
+ * @typedef {import('./dial-error').DialAttempt} DialAttempt
  */
 
 /**
@@ -53,18 +70,32 @@ const METRICS_PENDING_DIAL_TARGETS = 'pending-dial-targets'
  * @property {number} [maxAddrsToDial = MAX_ADDRS_TO_DIAL] - Number of max addresses to dial for a given peer.
  * @property {number} [maxDialsPerPeer = MAX_PER_PEER_DIALS] - Number of max concurrent dials per peer.
  * @property {number} [dialTimeout = DIAL_TIMEOUT] - How long a dial attempt is allowed to take.
+ * @property {number} [dialStaggerDelay = 0] - When set, the addresses of a peer are dialed one after the other, each dial starting once the previous one failed or after this delay.
+ * @property {number} [backoffBase = BACKOFF_BASE] - How long a peer or address that failed to be dialed is not dialed again.
+ * @property {number} [backoffMax = BACKOFF_MAX] - Maximum backoff of a peer or address after consecutive failed dials.
  * @property {Record<string, Resolver>} [resolvers = {}] - multiaddr resolvers to use when dialing
+ * @property {number} [resolverCacheTtl = RESOLVER_CACHE_TTL] - How long resolved multiaddrs are cached when the resolver does not report a ttl, like the dnsaddr one, in ms.
+ * @property {number} [resolverCacheNegativeTtl = RESOLVER_CACHE_NEGATIVE_TTL] - How long failed resolutions are cached, in ms.
  * @property {import('../metrics')} [metrics]
+ * @property {import('../resource-manager')} [resourceManager] - Reserves an outbound connection for every dialed peer
  *
  * @typedef DialTarget
  * @property {string} id
  * @property {Multiaddr[]} addrs
+ * @property {DialAttempt[]} skipped - multiaddrs of the peer that will not be dialed
  *
  * @typedef PendingDial
  * @property {import('./dial-request')} dialRequest
  * @property {import('timeout-abort-controller').TimeoutController} controller
  * @property {Promise<Connection>} promise
+ * @property {DialAttempt[]} attempts - the dials that failed
  * @property {function():void} destroy
+ *
+ * @typedef QueuedDial
+ * @property {number} num - number of tokens requested
+ * @property {number} queuedAt
+ * @property {(tokens: number[]) => void} resolve
+ * @property {(err: Error) => void} reject
  */
 
 class Dialer {
@@ -81,10 +112,17 @@ class Dialer {
     maxAddrsToDial = MAX_ADDRS_TO_DIAL,
     dialTimeout = DIAL_TIMEOUT,
     maxDialsPerPeer = MAX_PER_PEER_DIALS,
+    dialStaggerDelay = 0,
+    backoffBase = BACKOFF_BASE,
+    backoffMax = BACKOFF_MAX,
     resolvers = {},
-    metrics
+    resolverCacheTtl = RESOLVER_CACHE_TTL,
+    resolverCacheNegativeTtl = RESOLVER_CACHE_NEGATIVE_TTL,
+    metrics,
+    resourceManager
   }) {
     this.connectionGater = connectionGater
+    this.resourceManager = resourceManager
     this.transportManager = transportManager
     this.peerStore = peerStore
     this.addressSorter = addressSorter
@@ -92,7 +130,17 @@ class Dialer {
     this.maxAddrsToDial = maxAddrsToDial
     this.timeout = dialTimeout
     this.maxDialsPerPeer = maxDialsPerPeer
+    this.dialStaggerDelay = dialStaggerDelay
     this.tokens = [...new Array(maxParallelDials)].map((_, index) => index)
+    this._metrics = metrics
+
+    /**
+     * Dials waiting for tokens, by priority
+     *
+     * @type {Map<number, Map<number, QueuedDial>>}
+     */
+    this._dialQueues = new Map()
+    this._queuedDialId = 0
 
     /** @type {Map<string, PendingDial>} */
     this._pendingDials = trackedMap({
@@ -108,6 +156,26 @@ class Dialer {
       metrics
     })
 
+    this._peerBackoff = new DialBackoff({
+      base: backoffBase,
+      max: backoffMax,
+      metric: METRICS_BACKOFF_PEERS,
+      metrics
+    })
+
+    this._addrBackoff = new DialBackoff({
+      base: backoffBase,
+      max: backoffMax,
+      metric: METRICS_BACKOFF_ADDRS,
+      metrics
+    })
+
+    this.resolverCache = new ResolverCache({
+      ttl: resolverCacheTtl,
+      negativeTtl: resolverCacheNegativeTtl,
+      metrics
+    })
+
     for (const [key, value] of Object.entries(resolvers)) {
       Multiaddr.resolvers.set(key, value)
     }
@@ -130,57 +198,140 @@ class Dialer {
       pendingTarget.reject(new AbortError('Dialer was destroyed'))
     }
     this._pendingDialTargets.clear()
+
+    for (const queue of this._dialQueues.values()) {
+      for (const queuedDial of queue.values()) {
+        queuedDial.reject(new AbortError('Dialer was destroyed'))
+      }
+      queue.clear()
+    }
   }
 
   /**
    * Connects to a given `peer` by dialing all of its known addresses.
    * The dial to the first address that is successfully able to upgrade a connection
    * will be used.
+   * Peers and addresses that recently failed to be dialed are backed off,
+   * unless the dial is forced.
+   * When all dial tokens are in use, dials wait for tokens to be released and
+   * the ones with the highest priority are started first.
+   * If the peer cannot be dialed, a `DialError` tells why each of its
+   * multiaddrs was not connected to.
    *
    * @param {PeerId|Multiaddr|string} peer - The peer to dial
    * @param {object} [options]
    * @param {AbortSignal} [options.signal] - An AbortController signal
+   * @param {boolean} [options.force = false] - Dial even if the peer or its addresses are backed off
+   * @param {number} [options.priority = DIAL_PRIORITY.NORMAL] - Dials with a higher priority get dial tokens first
+   * @param {Multiaddr[]} [options.multiaddrs] - Addresses of the peer to dial besides the known ones, that are not stored in the PeerStore
    * @returns {Promise<Connection>}
    */
   async connectToPeer (peer, options = {}) {
     const { id } = getPeer(peer)
+    const peerIdStr = id.toB58String()
 
     if (await this.connectionGater.denyDialPeer(id)) {
       throw errCode(new Error('The dial request is blocked by gater.allowDialPeer'), codes.ERR_PEER_DIAL_INTERCEPTED)
     }
 
-    const dialTarget = await this._createCancellableDialTarget(peer)
+    if (!options.force && this._peerBackoff.isBackedOff(peerIdStr)) {
+      throw errCode(new Error(`The dial to ${peerIdStr} is backed off after failed dials`), codes.ERR_DIAL_BACKOFF)
+    }
+
+    const dialTarget = await this._createCancellableDialTarget(peer, options.multiaddrs)
 
     if (!dialTarget.addrs.length) {
-      throw errCode(new Error('The dial request has no valid addresses'), codes.ERR_NO_VALID_ADDRESSES)
+      throw new DialError(`The dial request to ${peerIdStr} has no valid addresses`, {
+        code: codes.ERR_NO_VALID_ADDRESSES,
+        attempts: dialTarget.skipped
+      })
+    }
+
+    if (!options.force) {
+      const addrs = dialTarget.addrs
+      dialTarget.addrs = addrs.filter(addr => !this._addrBackoff.isBackedOff(addr.toString()))
+      addrs.filter(addr => !dialTarget.addrs.includes(addr))
+        .forEach(multiaddr => dialTarget.skipped.push({ multiaddr, status: 'backed-off' }))
+
+      if (!dialTarget.addrs.length) {
+        throw new DialError(`The dials to all addresses of ${peerIdStr} are backed off after failed dials`, {
+          code: codes.ERR_DIAL_BACKOFF,
+          attempts: dialTarget.skipped
+        })
+      }
     }
-    const pendingDial = this._pendingDials.get(dialTarget.id) || this._createPendingDial(dialTarget, options)
+
+    const pendingDial = this._pendingDials.get(dialTarget.id) || this._createPendingDial(dialTarget, options, id)
 
     try {
       const connection = await pendingDial.promise
       log('dial succeeded to %s', dialTarget.id)
       return connection
     } catch (/** @type {any} */ err) {
+      let code = err instanceof AggregateError ? codes.ERR_DIAL_FAILED : err.code || codes.ERR_DIAL_FAILED
+
       // Error is a timeout
       if (pendingDial.controller.signal.aborted) {
-        err.code = codes.ERR_TIMEOUT
+        code = codes.ERR_TIMEOUT
       }
-      log.error(err)
-      throw err
+
+      const dialError = new DialError(`The dial to ${peerIdStr} failed`, {
+        code,
+        attempts: [
+          ...dialTarget.skipped,
+          ...pendingDial.attempts,
+          ...dialTarget.addrs
+            .filter(addr => !pendingDial.attempts.some(attempt => attempt.multiaddr === addr))
+            .map(multiaddr => ({ multiaddr, status: /** @type {'not-dialed'} */ ('not-dialed') }))
+        ],
+        errors: err instanceof AggregateError ? [...err] : [err]
+      })
+      log.error(dialError)
+      throw dialError
     } finally {
       pendingDial.destroy()
     }
   }
 
+  /**
+   * Whether dials to a peer are backed off after failed dials.
+   *
+   * @param {PeerId} peerId
+   * @returns {boolean}
+   */
+  isBackedOff (peerId) {
+    return this._peerBackoff.isBackedOff(peerId.toB58String())
+  }
+
+  /**
+   * The number of consecutive failed dials to a peer.
+   *
+   * @param {PeerId} peerId
+   * @returns {number}
+   */
+  getFailedDials (peerId) {
+    return this._peerBackoff.attempts(peerId.toB58String())
+  }
+
+  /**
+   * Clears the backoff of a peer once it is connected, so it can be dialed again.
+   *
+   * @param {PeerId} peerId
+   */
+  clearBackoff (peerId) {
+    this._peerBackoff.clear(peerId.toB58String())
+  }
+
   /**
    * Connects to a given `peer` by dialing all of its known addresses.
    * The dial to the first address that is successfully able to upgrade a connection
    * will be used.
    *
    * @param {PeerId|Multiaddr|string} peer - The peer to dial
+   * @param {Multiaddr[]} [multiaddrs] - Addresses to dial besides the known ones
    * @returns {Promise<DialTarget>}
    */
-  async _createCancellableDialTarget (peer) {
+  async _createCancellableDialTarget (peer, multiaddrs) {
     // Make dial target promise cancellable
     const id = `${(parseInt(String(Math.random() * 1e9), 10)).toString() + Date.now()}`
     const cancellablePromise = new Promise((resolve, reject) => {
@@ -189,7 +340,7 @@ class Dialer {
 
     try {
       const dialTarget = await Promise.race([
-        this._createDialTarget(peer),
+        this._createDialTarget(peer, multiaddrs),
         cancellablePromise
       ])
 
@@ -204,26 +355,48 @@ class Dialer {
    * the DialRequest to a given peer.
    * If a multiaddr is received it should be the first address attempted.
    * Multiaddrs not supported by the available transports will be filtered out.
+   * Multiaddrs are resolved to ip addresses before the ConnectionGater checks
+   * them and they are sorted.
    *
    * @private
    * @param {PeerId|Multiaddr|string} peer - A PeerId or Multiaddr
+   * @param {Multiaddr[]} [extraMultiaddrs] - Addresses to dial after the known ones, without storing them
    * @returns {Promise<DialTarget>}
    */
-  async _createDialTarget (peer) {
+  async _createDialTarget (peer, extraMultiaddrs = []) {
     const { id, multiaddrs } = getPeer(peer)
 
     if (multiaddrs) {
       await this.peerStore.addressBook.add(id, multiaddrs)
     }
 
+    /** @type {DialAttempt[]} */
+    const skipped = []
+
+    /**
+     * @param {Multiaddr} multiaddr
+     */
+    const isAllowed = async (multiaddr) => {
+      if (await this.connectionGater.denyDialMultiaddr(id, multiaddr)) {
+        skipped.push({ multiaddr, status: 'denied' })
+        return false
+      }
+
+      return true
+    }
+
     let knownAddrs = await pipe(
-      await this.peerStore.addressBook.getMultiaddrsForPeer(id, this.addressSorter),
-      (source) => filter(source, async (multiaddr) => {
-        return !(await this.connectionGater.denyDialMultiaddr(id, multiaddr))
-      }),
+      await this.peerStore.addressBook.getMultiaddrsForPeer(id, (addresses) => sortKnownAddresses(addresses, this.addressSorter)),
+      (source) => filter(source, isAllowed),
       (source) => all(source)
     )
 
+    for (const multiaddr of extraMultiaddrs) {
+      if (!knownAddrs.some(addr => addr.equals(multiaddr)) && await isAllowed(multiaddr)) {
+        knownAddrs.push(multiaddr)
+      }
+    }
+
     // If received a multiaddr to dial, it should be the first to use
     // But, if we know other multiaddrs for the peer, we should try them too.
     if (Multiaddr.isMultiaddr(peer)) {
@@ -233,13 +406,38 @@ class Dialer {
 
     /** @type {Multiaddr[]} */
     const addrs = []
-    for (const a of knownAddrs) {
-      const resolvedAddrs = await this._resolve(a)
-      resolvedAddrs.forEach(ra => addrs.push(ra))
+    let firstAddrsCount = 0
+    let resolved = false
+    for (const [index, a] of knownAddrs.entries()) {
+      // Resolved multiaddrs are checked again, now that their ip addresses are known
+      for (const ra of await this._resolve(a)) {
+        if (ra === a || await isAllowed(ra)) {
+          addrs.push(ra)
+        }
+        resolved = resolved || ra !== a
+      }
+
+      if (Multiaddr.isMultiaddr(peer) && index === 0) {
+        firstAddrsCount = addrs.length
+      }
+    }
+
+    // Sort the multiaddrs again once their ip addresses are known, the
+    // multiaddrs resolved from the multiaddr received stay first
+    if (resolved) {
+      const sortedAddrs = this.addressSorter(addrs.slice(firstAddrsCount).map(multiaddr => ({ multiaddr, isCertified: false })))
+      addrs.splice(firstAddrsCount, addrs.length, ...sortedAddrs.map(({ multiaddr }) => multiaddr))
     }
 
     // Multiaddrs not supported by the available transports will be filtered out.
-    const supportedAddrs = addrs.filter(a => this.transportManager.transportForMultiaddr(a))
+    const supportedAddrs = addrs.filter(a => {
+      if (!this.transportManager.transportForMultiaddr(a)) {
+        skipped.push({ multiaddr: a, status: 'unsupported' })
+        return false
+      }
+
+      return true
+    })
 
     if (supportedAddrs.length > this.maxAddrsToDial) {
       await this.peerStore.delete(id)
@@ -248,7 +446,8 @@ class Dialer {
 
     return {
       id: id.toB58String(),
-      addrs: supportedAddrs
+      addrs: supportedAddrs,
+      skipped
     }
   }
 
@@ -259,22 +458,52 @@ class Dialer {
    * @param {DialTarget} dialTarget
    * @param {object} [options]
    * @param {AbortSignal} [options.signal] - An AbortController signal
+   * @param {number} [options.priority]
+   * @param {PeerId} [peerId] - The dialed peer, to reserve an outbound connection to in the resource manager
    * @returns {PendingDial}
    */
-  _createPendingDial (dialTarget, options = {}) {
+  _createPendingDial (dialTarget, options = {}, peerId) {
+    const resourceManager = this.resourceManager
+    const reservation = peerId && resourceManager && resourceManager.reserveDial(peerId)
+
+    /** @type {DialAttempt[]} */
+    const attempts = []
+
     /**
      * @param {Multiaddr} addr
      * @param {{ signal: { aborted: any; }; }} options
      */
-    const dialAction = (addr, options) => {
+    const dialAction = async (addr, options) => {
       if (options.signal.aborted) throw errCode(new Error('already aborted'), codes.ERR_ALREADY_ABORTED)
-      return this.transportManager.dial(addr, options)
+
+      const start = Date.now()
+
+      try {
+        const connection = await this.transportManager.dial(addr, options)
+        this._addrBackoff.clear(addr.toString())
+        return connection
+      } catch (/** @type {any} */ err) {
+        // Dials aborted because another address succeeded, or the dial timed out, did not fail
+        if (!options.signal.aborted) {
+          this._addrBackoff.fail(addr.toString())
+        }
+
+        attempts.push({
+          multiaddr: addr,
+          status: 'failed',
+          code: err.code,
+          error: err,
+          duration: Date.now() - start
+        })
+        throw err
+      }
     }
 
     const dialRequest = new DialRequest({
       addrs: dialTarget.addrs,
       dialAction,
-      dialer: this
+      dialer: this,
+      staggerDelay: this.dialStaggerDelay
     })
 
     // Combine the timeout signal and options.signal, if provided
@@ -291,13 +520,25 @@ class Dialer {
       setMaxListeners && setMaxListeners(Infinity, signal)
     } catch {}
 
+    const promise = dialRequest.run({ ...options, signal })
+
+    // Record the failure once for all the callers sharing this dial. Dials aborted
+    // by the caller that started them did not fail
+    peerId && promise.catch(() => {
+      if (!options.signal || !options.signal.aborted) {
+        this._peerBackoff.fail(peerId.toB58String())
+      }
+    })
+
     const pendingDial = {
       dialRequest,
       controller: timeoutController,
-      promise: dialRequest.run({ ...options, signal }),
+      promise,
+      attempts,
       destroy: () => {
         timeoutController.clear()
         this._pendingDials.delete(dialTarget.id)
+        peerId && reservation && resourceManager && resourceManager.releaseDial(peerId, reservation)
       }
     }
     this._pendingDials.set(dialTarget.id, pendingDial)
@@ -305,6 +546,57 @@ class Dialer {
     return pendingDial
   }
 
+  /**
+   * Waits for dial tokens to be available. Once tokens are released, they are
+   * given to the waiting dials with the highest priority first, and in the
+   * order the dials were queued for a given priority.
+   *
+   * @param {number} num
+   * @param {object} [options]
+   * @param {number} [options.priority = DIAL_PRIORITY.NORMAL]
+   * @param {AbortSignal} [options.signal] - An AbortController signal
+   * @returns {Promise<number[]>}
+   */
+  acquireTokens (num, options = {}) {
+    const { priority = DIAL_PRIORITY.NORMAL, signal } = options
+
+    if (signal && signal.aborted) {
+      return Promise.reject(errCode(new Error('already aborted'), codes.ERR_ALREADY_ABORTED))
+    }
+
+    // Do not jump the queue
+    if (this.tokens.length && !this._hasQueuedDials()) {
+      this._recordQueueWait(priority, 0)
+      return Promise.resolve(this.getTokens(num))
+    }
+
+    const id = this._queuedDialId++
+    const queue = this._getDialQueue(priority)
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        queue.delete(id)
+        reject(errCode(new Error('The dial was aborted while waiting for dial tokens'), codes.ERR_ALREADY_ABORTED))
+      }
+
+      signal && signal.addEventListener('abort', onAbort)
+      log('no dial tokens available, queueing dial with priority %d', priority)
+
+      queue.set(id, {
+        num,
+        queuedAt: Date.now(),
+        resolve: (tokens) => {
+          signal && signal.removeEventListener('abort', onAbort)
+          resolve(tokens)
+        },
+        reject: (err) => {
+          signal && signal.removeEventListener('abort', onAbort)
+          reject(err)
+        }
+      })
+    })
+  }
+
   /**
    * @param {number} num
    */
@@ -323,6 +615,77 @@ class Dialer {
     if (this.tokens.indexOf(token) > -1) return
     log('token %d released', token)
     this.tokens.push(token)
+    this._processDialQueue()
+  }
+
+  /**
+   * Give the available tokens to the queued dials with the highest priority.
+   *
+   * @private
+   */
+  _processDialQueue () {
+    const priorities = Array.from(this._dialQueues.keys()).sort((a, b) => b - a)
+
+    for (const priority of priorities) {
+      const queue = this._getDialQueue(priority)
+
+      for (const [id, queuedDial] of queue) {
+        if (!this.tokens.length) {
+          return
+        }
+
+        queue.delete(id)
+        this._recordQueueWait(priority, Date.now() - queuedDial.queuedAt)
+        queuedDial.resolve(this.getTokens(queuedDial.num))
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {boolean}
+   */
+  _hasQueuedDials () {
+    return Array.from(this._dialQueues.values()).some(queue => queue.size > 0)
+  }
+
+  /**
+   * The queue of dials waiting for tokens with the given priority. Its size is
+   * tracked in the metrics.
+   *
+   * @private
+   * @param {number} priority
+   * @returns {Map<number, QueuedDial>}
+   */
+  _getDialQueue (priority) {
+    let queue = this._dialQueues.get(priority)
+
+    if (!queue) {
+      /** @type {Map<number, QueuedDial>} */
+      queue = trackedMap({
+        component: METRICS_COMPONENT,
+        metric: `${METRICS_DIAL_QUEUE}-${priority}`,
+        metrics: this._metrics
+      })
+      this._dialQueues.set(priority, queue)
+    }
+
+    return queue
+  }
+
+  /**
+   * Track how long the last dial with the given priority waited for tokens.
+   *
+   * @private
+   * @param {number} priority
+   * @param {number} wait - in ms
+   */
+  _recordQueueWait (priority, wait) {
+    this._metrics && this._metrics.updateComponentMetric({
+      component: METRICS_COMPONENT,
+      metric: `${METRICS_DIAL_QUEUE_WAIT}-${priority}`,
+      value: wait
+    })
   }
 
   /**
@@ -332,12 +695,8 @@ class Dialer {
    * @returns {Promise<Multiaddr[]>}
    */
   async _resolve (ma) {
-    // TODO: recursive logic should live in multiaddr once dns4/dns6 support is in place
-    // Now only supporting resolve for dnsaddr
-    const resolvableProto = ma.protoNames().includes('dnsaddr')
-
     // Multiaddr is not resolvable? End recursion!
-    if (!resolvableProto) {
+    if (!isResolvable(ma)) {
       return [ma]
     }
 
@@ -356,7 +715,8 @@ class Dialer {
   }
 
   /**
-   * Resolve a given multiaddr. If this fails, an empty array will be returned
+   * Resolve a given multiaddr. If this fails, an empty array will be returned.
+   * Resolutions are cached in the resolver cache.
    *
    * @param {Multiaddr} ma
    * @returns {Promise<Multiaddr[]>}
@@ -364,8 +724,15 @@ class Dialer {
   async _resolveRecord (ma) {
     try {
       ma = new Multiaddr(ma.toString()) // Use current multiaddr module
-      const multiaddrs = await ma.resolve()
-      return multiaddrs
+      const resolvableProto = ma.protos().find(proto => proto.resolvable)
+      const resolver = resolvableProto && Multiaddr.resolvers.get(resolvableProto.name)
+
+      if (!resolver) {
+        throw errCode(new Error(`no available resolver for ${ma}`), codes.ERR_NO_AVAILABLE_RESOLVER)
+      }
+
+      const addrs = await this.resolverCache.resolve(ma, resolver)
+      return addrs.map(addr => new Multiaddr(addr))
     } catch (_) {
       log.error(`multiaddr ${ma} could not be resolved`)
       return []
@@ -373,4 +740,41 @@ class Dialer {
   }
 }
 
+/**
+ * Sorts the known addresses of a peer, except for the resolvable ones, that
+ * the address sorter may not be able to compare. They are kept last, and are
+ * sorted with the other addresses once resolved.
+ *
+ * @param {Address[]} addresses
+ * @param {(addresses: Address[]) => Address[]} addressSorter
+ * @returns {Address[]}
+ */
+function sortKnownAddresses (addresses, addressSorter) {
+  const resolvable = addresses.filter(({ multiaddr }) => isResolvable(multiaddr))
+
+  return [
+    ...addressSorter(addresses.filter(({ multiaddr }) => !isResolvable(multiaddr))),
+    ...resolvable
+  ]
+}
+
+/**
+ * Whether the multiaddr has a resolvable protocol with a resolver. Hostnames
+ * are kept when the transport needs them, to verify the certificate of the
+ * remote peer.
+ *
+ * @param {Multiaddr} ma
+ * @returns {boolean}
+ */
+function isResolvable (ma) {
+  const protoNames = ma.protoNames()
+  const resolvableProto = ma.protos().find(proto => proto.resolvable)
+
+  if (!resolvableProto || !Multiaddr.resolvers.has(resolvableProto.name)) {
+    return false
+  }
+
+  return resolvableProto.name === 'dnsaddr' || !HOSTNAME_PROTOCOLS.some(name => protoNames.includes(name))
+}
+
 module.exports = Dialer
@@ -0,0 +1,165 @@
+'use strict'
+
+const trackedMap = require('../metrics/tracked-map')
+const { RESOLVER_CACHE_TTL, RESOLVER_CACHE_NEGATIVE_TTL } = require('../constants')
+
+const METRICS_COMPONENT = 'dialler'
+const METRICS_RESOLVER_CACHE = 'resolver-cache'
+const METRICS_RESOLVER_CACHE_HITS = 'resolver-cache-hits'
+const METRICS_RESOLVER_CACHE_MISSES = 'resolver-cache-misses'
+
+/**
+ * @typedef {import('multiaddr').Multiaddr} Multiaddr
+ *
+ * A resolver may report how long its result may be cached with a `ttl`
+ * property, in seconds like DNS record TTLs.
+ *
+ * @typedef {string[] & { ttl?: number }} ResolvedAddrs
+ * @typedef {(addr: Multiaddr) => Promise<ResolvedAddrs>} Resolver
+ *
+ * @typedef {Object} CacheEntry
+ * @property {string[]} [addrs] - the resolved multiaddrs
+ * @property {Error} [error] - the error of a failed resolution
+ * @property {number} expires - when the entry expires
+ *
+ * @typedef {Object} ResolverCacheOptions
+ * @property {number} [ttl = RESOLVER_CACHE_TTL] - how long results without a ttl are cached, in ms
+ * @property {number} [negativeTtl = RESOLVER_CACHE_NEGATIVE_TTL] - how long failed resolutions are cached, in ms
+ * @property {import('../metrics')} [metrics]
+ */
+
+class ResolverCache {
+  /**
+   * Caches the multiaddrs resolved from multiaddrs, for the ttl reported by
+   * the resolver. Failed resolutions are cached too, for a shorter time.
+   * Concurrent resolutions of the same multiaddr are merged into one.
+   *
+   * @class
+   * @param {ResolverCacheOptions} [options]
+   */
+  constructor ({ ttl = RESOLVER_CACHE_TTL, negativeTtl = RESOLVER_CACHE_NEGATIVE_TTL, metrics } = {}) {
+    this.ttl = ttl
+    this.negativeTtl = negativeTtl
+    this._metrics = metrics
+    this._hits = 0
+    this._misses = 0
+
+    /** @type {Map<string, CacheEntry>} */
+    this._entries = trackedMap({
+      component: METRICS_COMPONENT,
+      metric: METRICS_RESOLVER_CACHE,
+      metrics
+    })
+
+    /** @type {Map<string, Promise<string[]>>} */
+    this._pending = new Map()
+  }
+
+  /**
+   * Resolve the multiaddr with the resolver, unless its resolution is cached
+   * or in progress.
+   *
+   * @param {Multiaddr} addr
+   * @param {Resolver} resolver
+   * @returns {Promise<string[]>}
+   */
+  resolve (addr, resolver) {
+    const key = addr.toString()
+    const now = Date.now()
+    this._removeExpired(now)
+
+    const entry = this._entries.get(key)
+    if (entry) {
+      this._recordHit()
+      return entry.error ? Promise.reject(entry.error) : Promise.resolve(entry.addrs || [])
+    }
+
+    const pending = this._pending.get(key)
+    if (pending) {
+      this._recordHit()
+      return pending
+    }
+
+    this._recordMiss()
+    const promise = (async () => {
+      try {
+        const addrs = await resolver(addr)
+        const ttl = typeof addrs.ttl === 'number' ? addrs.ttl * 1000 : this.ttl
+
+        this._entries.set(key, { addrs: [...addrs], expires: Date.now() + ttl })
+        return [...addrs]
+      } catch (/** @type {any} */ err) {
+        this._entries.set(key, { error: err, expires: Date.now() + this.negativeTtl })
+        throw err
+      } finally {
+        this._pending.delete(key)
+      }
+    })()
+    this._pending.set(key, promise)
+
+    return promise
+  }
+
+  /**
+   * The cached resolutions, by multiaddr.
+   *
+   * @returns {Map<string, CacheEntry>}
+   */
+  entries () {
+    this._removeExpired(Date.now())
+
+    return new Map(this._entries)
+  }
+
+  /**
+   * Forget the cached resolution of the given multiaddr, or all of them.
+   *
+   * @param {Multiaddr} [addr]
+   * @returns {void}
+   */
+  clear (addr) {
+    if (addr) {
+      this._entries.delete(addr.toString())
+    } else {
+      this._entries.clear()
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} now
+   */
+  _removeExpired (now) {
+    for (const [key, { expires }] of this._entries) {
+      if (expires <= now) {
+        this._entries.delete(key)
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordHit () {
+    this._hits++
+    this._metrics && this._metrics.updateComponentMetric({
+      component: METRICS_COMPONENT,
+      metric: METRICS_RESOLVER_CACHE_HITS,
+      value: this._hits
+    })
+  }
+
+  /**
+   * @private
+   */
+  _recordMiss () {
+    this._misses++
+    this._metrics && this._metrics.updateComponentMetric({
+      component: METRICS_COMPONENT,
+      metric: METRICS_RESOLVER_CACHE_MISSES,
+      value: this._misses
+    })
+  }
+}
+
+module.exports = ResolverCache
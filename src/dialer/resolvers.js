@@ -0,0 +1,91 @@
+'use strict'
+
+// @ts-ignore no types in multiaddr path
+const { stringTuplesToString } = require('multiaddr/src/codec')
+// @ts-ignore no types in multiaddr path
+const protocols = require('multiaddr/src/protocols-table')
+// @ts-ignore no types in multiaddr path
+const Resolver = require('multiaddr/src/resolvers/dns')
+
+/**
+ * @typedef {import('multiaddr').Multiaddr} Multiaddr
+ * @typedef {import('./resolver-cache').ResolvedAddrs} ResolvedAddrs
+ * @typedef {'ip4'|'ip6'} Family
+ * @typedef {string|{ address: string, ttl: number }} DnsRecord
+ */
+
+const DNS_CODES = ['dns', 'dns4', 'dns6'].map(name => protocols(name).code)
+
+// localhost always resolves to the loopback address, without asking a DNS server
+/** @type {Record<Family, string[]>} */
+const LOCALHOST = {
+  ip4: ['127.0.0.1'],
+  ip6: ['::1']
+}
+
+/**
+ * Creates a resolver replacing the hostname of a `/dns`, `/dns4` or `/dns6`
+ * multiaddr with the ip addresses of the given families it resolves to. The
+ * multiaddr fails to resolve only if none of the families resolve. The
+ * lowest ttl of the records is reported, when the DNS resolver provides it.
+ *
+ * @param {Family[]} families
+ * @returns {(addr: Multiaddr) => Promise<ResolvedAddrs>}
+ */
+function createDnsResolver (families) {
+  return async (addr) => {
+    const tuples = addr.stringTuples()
+    const index = tuples.findIndex(([code]) => DNS_CODES.includes(code))
+    const hostname = tuples[index][1] || ''
+    const resolver = new Resolver()
+
+    /** @type {Error|undefined} */
+    let error
+    /** @type {ResolvedAddrs} */
+    const addresses = []
+
+    for (const family of families) {
+      try {
+        /** @type {DnsRecord[]} */
+        const records = hostname === 'localhost'
+          ? LOCALHOST[family]
+          : await (family === 'ip6' ? resolver.resolve6(hostname, { ttl: true }) : resolver.resolve4(hostname, { ttl: true }))
+
+        for (const record of records) {
+          const resolvedTuples = [...tuples]
+          resolvedTuples[index] = [protocols(family).code, typeof record === 'string' ? record : record.address]
+          addresses.push(stringTuplesToString(resolvedTuples))
+
+          if (typeof record !== 'string') {
+            addresses.ttl = Math.min(addresses.ttl === undefined ? Infinity : addresses.ttl, record.ttl)
+          }
+        }
+      } catch (/** @type {any} */ err) {
+        error = err
+      }
+    }
+
+    if (!addresses.length && error) {
+      throw error
+    }
+
+    return addresses
+  }
+}
+
+module.exports = {
+  /**
+   * Resolver for dns addresses, to both ip6 and ip4 addresses.
+   */
+  dnsResolver: createDnsResolver(['ip6', 'ip4']),
+
+  /**
+   * Resolver for dns4 addresses.
+   */
+  dns4Resolver: createDnsResolver(['ip4']),
+
+  /**
+   * Resolver for dns6 addresses.
+   */
+  dns6Resolver: createDnsResolver(['ip6'])
+}
@@ -23,10 +23,15 @@ exports.codes = {
   ERR_NO_VALID_ADDRESSES: 'ERR_NO_VALID_ADDRESSES',
   ERR_RELAYED_DIAL: 'ERR_RELAYED_DIAL',
   ERR_DIALED_SELF: 'ERR_DIALED_SELF',
+  ERR_DIAL_BACKOFF: 'ERR_DIAL_BACKOFF',
+  ERR_DIAL_FAILED: 'ERR_DIAL_FAILED',
+  ERR_NO_AVAILABLE_RESOLVER: 'ERR_NO_AVAILABLE_RESOLVER',
   ERR_DISCOVERED_SELF: 'ERR_DISCOVERED_SELF',
   ERR_DUPLICATE_TRANSPORT: 'ERR_DUPLICATE_TRANSPORT',
   ERR_ENCRYPTION_FAILED: 'ERR_ENCRYPTION_FAILED',
   ERR_HOP_REQUEST_FAILED: 'ERR_HOP_REQUEST_FAILED',
+  ERR_INVALID_VOUCHER: 'ERR_INVALID_VOUCHER',
+  ERR_HOLE_PUNCH_FAILED: 'ERR_HOLE_PUNCH_FAILED',
   ERR_INVALID_KEY: 'ERR_INVALID_KEY',
   ERR_INVALID_MESSAGE: 'ERR_INVALID_MESSAGE',
   ERR_INVALID_PARAMETERS: 'ERR_INVALID_PARAMETERS',
@@ -62,5 +67,8 @@ exports.codes = {
   ERR_INVALID_NEW_PASS_TYPE: 'ERR_INVALID_NEW_PASS_TYPE',
   ERR_INVALID_PASS_LENGTH: 'ERR_INVALID_PASS_LENGTH',
   ERR_NOT_IMPLEMENTED: 'ERR_NOT_IMPLEMENTED',
-  ERR_WRONG_PING_ACK: 'ERR_WRONG_PING_ACK'
+  ERR_WRONG_PING_ACK: 'ERR_WRONG_PING_ACK',
+  ERR_RESOURCE_LIMIT_EXCEEDED: 'ERR_RESOURCE_LIMIT_EXCEEDED',
+  ERR_TOO_MANY_INBOUND_PROTOCOL_STREAMS: 'ERR_TOO_MANY_INBOUND_PROTOCOL_STREAMS',
+  ERR_TOO_MANY_OUTBOUND_PROTOCOL_STREAMS: 'ERR_TOO_MANY_OUTBOUND_PROTOCOL_STREAMS'
 }
@@ -16,6 +16,7 @@ const { PROTOCOL } = require('./constants')
  * @typedef {import('../')} Libp2p
  * @typedef {import('multiaddr').Multiaddr} Multiaddr
  * @typedef {import('peer-id')} PeerId
+ * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
  * @typedef {(key: string) => Promise<Uint8Array | null>} LookupFunction
  */
@@ -56,7 +57,14 @@ class FetchProtocol {
     shake.write(lp.encode.single(FetchRequest.encode(request).finish()))
 
     // read response
-    const response = FetchResponse.decode((await lp.decode.fromReader(shake.reader).next()).value.slice())
+    let response
+    try {
+      response = FetchResponse.decode((await lp.decode.fromReader(shake.reader).next()).value.slice())
+    } catch (/** @type {any} */ err) {
+      this._penalize(connection.remotePeer)
+      throw errCode(err, codes.ERR_INVALID_MESSAGE)
+    }
+
     switch (response.status) {
       case (FetchResponse.StatusCode.OK): {
         return response.data
@@ -69,6 +77,7 @@ class FetchProtocol {
         throw errCode(new Error('Error in fetch protocol response: ' + errmsg), codes.ERR_INVALID_PARAMETERS)
       }
       default: {
+        this._penalize(connection.remotePeer)
         throw errCode(new Error('Unknown response status'), codes.ERR_INVALID_MESSAGE)
       }
     }
@@ -80,13 +89,21 @@ class FetchProtocol {
    * to the key's prefix.
    *
    * @param {object} options
+   * @param {Connection} options.connection
    * @param {MuxedStream} options.stream
    * @param {string} options.protocol
    */
   async handleMessage (options) {
-    const { stream } = options
+    const { connection, stream } = options
     const shake = handshake(stream)
-    const request = FetchRequest.decode((await lp.decode.fromReader(shake.reader).next()).value.slice())
+
+    let request
+    try {
+      request = FetchRequest.decode((await lp.decode.fromReader(shake.reader).next()).value.slice())
+    } catch (/** @type {any} */ err) {
+      this._penalize(connection.remotePeer)
+      throw errCode(err, codes.ERR_INVALID_MESSAGE)
+    }
 
     let response
     const lookup = this._getLookupFunction(request.identifier)
@@ -105,6 +122,16 @@ class FetchProtocol {
     shake.write(lp.encode.single(FetchResponse.encode(response).finish()))
   }
 
+  /**
+   * Lowers the score of a peer that sent an invalid fetch message.
+   *
+   * @private
+   * @param {PeerId} peerId
+   */
+  _penalize (peerId) {
+    this._libp2p.peerScoring && this._libp2p.peerScoring.penalize(peerId, 'invalidFetch')
+  }
+
   /**
    * Given a key, finds the appropriate function for looking up its corresponding value, based on
    * the key's prefix.
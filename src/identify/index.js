@@ -31,6 +31,7 @@ const {
 } = require('./consts')
 
 const { codes } = require('../errors')
+const { CIRCUIT_PROTO_CODE } = require('../circuit/constants')
 
 /**
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
@@ -188,6 +189,7 @@ class IdentifyService {
     try {
       message = Message.Identify.decode(data)
     } catch (/** @type {any} */ err) {
+      this._penalize(connection)
       throw errCode(err, codes.ERR_INVALID_MESSAGE)
     }
 
@@ -202,12 +204,19 @@ class IdentifyService {
     const id = await PeerId.createFromPubKey(publicKey)
 
     if (connection.remotePeer.toB58String() !== id.toB58String()) {
+      this._penalize(connection)
       throw errCode(new Error('identified peer does not match the expected peer'), codes.ERR_INVALID_PEER)
     }
 
     // Get the observedAddr if there is one
     const cleanObservedAddr = IdentifyService.getCleanMultiaddr(observedAddr)
 
+    // Peers connected to us through a relay observe the address of the relay
+    if (cleanObservedAddr && !connection.remoteAddr.protoCodes().includes(CIRCUIT_PROTO_CODE)) {
+      log('received observed address of %s', cleanObservedAddr)
+      this.addressManager.addObservedAddr(cleanObservedAddr, { peerId: id, addr: connection.remoteAddr })
+    }
+
     try {
       const envelope = await Envelope.openAndCertify(signedPeerRecord, PeerRecord.DOMAIN)
       if (await this.peerStore.addressBook.consumePeerRecord(envelope)) {
@@ -222,7 +231,7 @@ class IdentifyService {
 
     // LEGACY: Update peers data in PeerStore
     try {
-      await this.peerStore.addressBook.set(id, listenAddrs.map((addr) => new Multiaddr(addr)))
+      await this.peerStore.addressBook.set(id, listenAddrs.map((addr) => new Multiaddr(addr)), { source: 'discovered' })
     } catch (/** @type {any} */ err) {
       log.error('received invalid addrs', err)
     }
@@ -230,10 +239,6 @@ class IdentifyService {
     await this.peerStore.protoBook.set(id, protocols)
     await this.peerStore.metadataBook.setValue(id, 'AgentVersion', uint8ArrayFromString(message.agentVersion))
     await this.peerStore.metadataBook.setValue(id, 'ProtocolVersion', uint8ArrayFromString(message.protocolVersion))
-
-    // TODO: Add and score our observed addr
-    log('received observed address of %s', cleanObservedAddr)
-    // this.addressManager.addObservedAddr(observedAddr)
   }
 
   /**
@@ -307,9 +312,9 @@ class IdentifyService {
    * @returns {Promise<void>}
    */
   async _handlePush ({ connection, stream }) {
-    let message
+    let data
     try {
-      const [data] = await pipe(
+      [data] = await pipe(
         [],
         stream,
         lp.decode(),
@@ -317,8 +322,19 @@ class IdentifyService {
         toBuffer,
         collect
       )
+    } catch (/** @type {any} */ err) {
+      return log.error('could not read identify push message', err)
+    }
+
+    if (!data) {
+      return log.error('received no identify push message')
+    }
+
+    let message
+    try {
       message = Message.Identify.decode(data)
     } catch (/** @type {any} */ err) {
+      this._penalize(connection)
       return log.error('received invalid message', err)
     }
 
@@ -337,7 +353,7 @@ class IdentifyService {
     // LEGACY: Update peers data in PeerStore
     try {
       await this.peerStore.addressBook.set(id,
-        message.listenAddrs.map((addr) => new Multiaddr(addr)))
+        message.listenAddrs.map((addr) => new Multiaddr(addr)), { source: 'discovered' })
     } catch (/** @type {any} */ err) {
       log.error('received invalid addrs', err)
     }
@@ -350,6 +366,16 @@ class IdentifyService {
     }
   }
 
+  /**
+   * Lowers the score of a peer that sent an invalid identify message.
+   *
+   * @private
+   * @param {Connection} connection
+   */
+  _penalize (connection) {
+    this._libp2p.peerScoring && this._libp2p.peerScoring.penalize(connection.remotePeer, 'invalidIdentify')
+  }
+
   /**
    * Takes the `addr` and converts it to a Multiaddr if possible
    *
@@ -15,9 +15,13 @@ const ContentRouting = require('./content-routing')
 const getPeer = require('./get-peer')
 const { validate: validateConfig } = require('./config')
 const { codes, messages } = require('./errors')
+const { DIAL_PRIORITY } = require('./constants')
+const { BOOTSTRAP_TAG, BOOTSTRAP_TAG_VALUE } = require('./connection-manager/constants')
 
 const AddressManager = require('./address-manager')
 const ConnectionManager = require('./connection-manager')
+const ConnectionGater = require('./connection-gater')
+const PeerScoring = require('./peer-scoring')
 const AutoDialler = require('./connection-manager/auto-dialler')
 const Circuit = require('./circuit/transport')
 const Relay = require('./circuit')
@@ -25,16 +29,22 @@ const Dialer = require('./dialer')
 const Keychain = require('./keychain')
 const Metrics = require('./metrics')
 const TransportManager = require('./transport-manager')
+const ResourceManager = require('./resource-manager')
 const Upgrader = require('./upgrader')
 const PeerStore = require('./peer-store')
 const PubsubAdapter = require('./pubsub-adapter')
 const Registrar = require('./registrar')
 const IdentifyService = require('./identify')
 const FetchService = require('./fetch')
+const DCUtR = require('./dcutr')
+const AutoNAT = require('./autonat')
 const PingService = require('./ping')
 const NatManager = require('./nat-manager')
 const { updateSelfPeerRecord } = require('./record/utils')
 
+const P2P_CODE = Multiaddr.protocols.names.p2p.code
+const CIRCUIT_CODE = Multiaddr.protocols.names['p2p-circuit'].code
+
 /**
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  * @typedef {import('libp2p-interfaces/src/stream-muxer/types').MuxedStream} MuxedStream
@@ -48,7 +58,6 @@ const { updateSelfPeerRecord } = require('./record/utils')
  * @typedef {import('libp2p-interfaces/src/pubsub').PubsubOptions} PubsubOptions
  * @typedef {import('interface-datastore').Datastore} Datastore
  * @typedef {import('./pnet')} Protector
- * @typedef {import('./types').ConnectionGater} ConnectionGater
  * @typedef {Object} PersistentPeerStoreOptions
  * @property {number} [threshold]
  */
@@ -58,6 +67,11 @@ const { updateSelfPeerRecord } = require('./record/utils')
  * @property {Connection} connection
  * @property {MuxedStream} stream
  * @property {string} protocol
+ * @property {import('./resource-manager').StreamScope} [scope] - The resource manager scope of the stream, to reserve the memory used to handle it
+ *
+ * @typedef {Object} HandlerOptions
+ * @property {number} [maxInboundStreams = Infinity] - How many inbound streams of the protocol a connection can have, further streams are reset
+ * @property {number} [maxOutboundStreams = Infinity] - How many outbound streams of the protocol a connection can have, opening further streams fails
  *
  * @typedef {Object} DhtOptions
  * @property {boolean} [enabled = false]
@@ -71,6 +85,8 @@ const { updateSelfPeerRecord } = require('./record/utils')
  *
  * @typedef {Object} PeerStoreOptions
  * @property {boolean} persistence
+ * @property {Partial<Record<import('./peer-store/types').AddressSource, number>>} [addressTtl] - How long in ms addresses are kept, by where they were learnt from
+ * @property {number} [gcInterval] - How often in ms the expired addresses are removed
  *
  * @typedef {Object} PubsubLocalOptions
  * @property {boolean} enabled
@@ -90,6 +106,8 @@ const { updateSelfPeerRecord } = require('./record/utils')
  * @property {Record<string, Object|boolean>} [peerDiscovery]
  * @property {PubsubLocalOptions & PubsubOptions} [pubsub] pubsub module options
  * @property {RelayOptions} [relay]
+ * @property {import('./autonat').AutoNATOptions} [autoNat] reachability detection options
+ * @property {import('./dcutr').DCUtROptions} [dcutr] direct connection upgrade through relay options
  * @property {Record<string, Object>} [transport] transport options indexed by transport key
  *
  * @typedef {Object} Libp2pModules
@@ -107,14 +125,16 @@ const { updateSelfPeerRecord } = require('./record/utils')
  * @property {Libp2pModules} modules libp2p modules to use
  * @property {import('./address-manager').AddressManagerOptions} [addresses]
  * @property {import('./connection-manager').ConnectionManagerOptions} [connectionManager]
- * @property {Partial<import('./types').ConnectionGater>} [connectionGater]
+ * @property {import('./connection-gater').ConnectionGaterOptions} [connectionGater]
  * @property {Datastore} [datastore]
  * @property {import('./dialer').DialerOptions} [dialer]
  * @property {import('./identify/index').HostProperties} [host] libp2p host
  * @property {KeychainOptions & import('./keychain/index').KeychainOptions} [keychain]
  * @property {MetricsOptions & import('./metrics').MetricsOptions} [metrics]
  * @property {import('./peer-routing').PeerRoutingOptions} [peerRouting]
+ * @property {import('./peer-scoring').PeerScoringOptions} [peerScoring]
  * @property {PeerStoreOptions} [peerStore]
+ * @property {import('./resource-manager').ResourceManagerOptions} [resourceManager]
  * @property {import('./transport-manager').TransportManagerOptions} [transportManager]
  * @property {Libp2pConfig} [config]
  *
@@ -174,25 +194,16 @@ class Libp2p extends EventEmitter {
       this.metrics = metrics
     }
 
-    /** @type {ConnectionGater} */
-    this.connectionGater = {
-      denyDialPeer: async () => Promise.resolve(false),
-      denyDialMultiaddr: async () => Promise.resolve(false),
-      denyInboundConnection: async () => Promise.resolve(false),
-      denyOutboundConnection: async () => Promise.resolve(false),
-      denyInboundEncryptedConnection: async () => Promise.resolve(false),
-      denyOutboundEncryptedConnection: async () => Promise.resolve(false),
-      denyInboundUpgradedConnection: async () => Promise.resolve(false),
-      denyOutboundUpgradedConnection: async () => Promise.resolve(false),
-      filterMultiaddrForPeer: async () => Promise.resolve(true),
-      ...this._options.connectionGater
-    }
+    this.connectionGater = new ConnectionGater(this, this._options.connectionGater)
+    this.peerScoring = new PeerScoring(this, this._options.peerScoring)
 
     /** @type {import('./peer-store/types').PeerStore} */
     this.peerStore = new PeerStore({
       peerId: this.peerId,
       datastore: (this.datastore && this._options.peerStore.persistence) ? this.datastore : new MemoryDatastore(),
-      addressFilter: this.connectionGater.filterMultiaddrForPeer
+      addressFilter: this.connectionGater.filterMultiaddrForPeer,
+      addressTtl: this._options.peerStore.addressTtl,
+      gcInterval: this._options.peerStore.gcInterval
     })
 
     // Addresses {listen, announce, noAnnounce}
@@ -208,6 +219,7 @@ class Libp2p extends EventEmitter {
 
     this._modules = this._options.modules
     this._config = this._options.config
+    /** @type {any[]} */
     this._transport = [] // Transport instances/references
     this._discovery = new Map() // Discovery service instances/references
 
@@ -218,7 +230,9 @@ class Libp2p extends EventEmitter {
     this._autodialler = new AutoDialler(this, {
       enabled: this._config.peerDiscovery.autoDial,
       minConnections: this._options.connectionManager.minConnections,
-      autoDialInterval: this._options.connectionManager.autoDialInterval
+      autoDialInterval: this._options.connectionManager.autoDialInterval,
+      autoDialConcurrency: this._options.connectionManager.autoDialConcurrency,
+      autoDialProtocols: this._options.connectionManager.autoDialProtocols
     })
 
     // Create keychain
@@ -235,11 +249,18 @@ class Libp2p extends EventEmitter {
       log('keychain constructed')
     }
 
+    // Create the Resource Manager
+    this.resourceManager = new ResourceManager(this._options.resourceManager)
+
     // Setup the Upgrader
     this.upgrader = new Upgrader({
       connectionGater: this.connectionGater,
       localPeer: this.peerId,
       metrics: this.metrics,
+      connectionManager: this.connectionManager,
+      resourceManager: this.resourceManager,
+      peerScoring: this.peerScoring,
+      streamIdleTimeout: this._options.connectionManager.streamIdleTimeout,
       onConnection: (connection) => this.connectionManager.onConnect(connection),
       onConnectionEnd: (connection) => this.connectionManager.onDisconnect(connection)
     })
@@ -283,19 +304,48 @@ class Libp2p extends EventEmitter {
       connectionGater: this.connectionGater,
       peerStore: this.peerStore,
       metrics: this.metrics,
+      resourceManager: this.resourceManager,
       ...this._options.dialer
     })
 
+    // Peers we are connected to can be dialed again, on the address we reached them on.
+    // Only direct outbound connections are on an address the peer listens on, the
+    // address is still subject to the connection gater through the AddressBook filter
+    this.connectionManager.on('peer:connect', (connection) => {
+      this.dialer.clearBackoff(connection.remotePeer)
+
+      if (connection.stat.direction === 'outbound' && !connection.remoteAddr.protoCodes().includes(CIRCUIT_CODE)) {
+        this.peerStore.addressBook.add(connection.remotePeer, [connection.remoteAddr.decapsulateCode(P2P_CODE)], { source: 'observed' })
+          .catch(err => log.error(err))
+      }
+    })
+
     this._modules.transport.forEach((Transport) => {
       const key = Transport.prototype[Symbol.toStringTag]
       const transportOptions = this._config.transport[key]
       this.transportManager.add(key, Transport, transportOptions)
     })
 
+    // Determine whether we are publicly reachable if enabled
+    if (this._config.autoNat.enabled) {
+      this.autoNat = new AutoNAT({
+        libp2p: this,
+        ...this._config.autoNat
+      })
+    }
+
     if (this._config.relay.enabled) {
       // @ts-ignore Circuit prototype
       this.transportManager.add(Circuit.prototype[Symbol.toStringTag], Circuit)
       this.relay = new Relay(this)
+
+      // Upgrade relayed connections to direct ones if enabled
+      if (this._config.dcutr.enabled) {
+        this.dcutr = new DCUtR({
+          libp2p: this,
+          ...this._config.dcutr
+        })
+      }
     }
 
     // Attach stream multiplexers
@@ -340,6 +390,7 @@ class Libp2p extends EventEmitter {
     this.contentRouting = new ContentRouting(this)
 
     this._onDiscoveryPeer = this._onDiscoveryPeer.bind(this)
+    this._onBootstrapPeer = this._onBootstrapPeer.bind(this)
 
     this.fetchService = new FetchService(this)
     this.pingService = new PingService(this)
@@ -384,6 +435,14 @@ class Libp2p extends EventEmitter {
       await this.handle(PingService.getProtocolStr(this), this.pingService.handleMessage)
     }
 
+    if (this.autoNat) {
+      await this.handle(AutoNAT.PROTOCOL, this.autoNat.handleMessage)
+    }
+
+    if (this.dcutr) {
+      await this.handle(DCUtR.PROTOCOL, this.dcutr.handleMessage)
+    }
+
     try {
       await this._onStarting()
       await this._onDidStart()
@@ -413,12 +472,19 @@ class Libp2p extends EventEmitter {
       }
 
       this.relay && this.relay.stop()
+      this.dcutr && this.dcutr.stop()
+      this.autoNat && this.autoNat.stop()
       this.peerRouting.stop()
+      this.peerScoring.stop()
+      this.connectionGater.stop()
+      this.peerStore.stop()
+      this.addressManager.stop()
       await this._autodialler.stop()
       await (this._dht && this._dht.stop())
 
       for (const service of this._discovery.values()) {
         service.removeListener('peer', this._onDiscoveryPeer)
+        service.removeListener('peer', this._onBootstrapPeer)
       }
 
       await Promise.all(Array.from(this._discovery.values(), s => s.stop()))
@@ -437,6 +503,8 @@ class Libp2p extends EventEmitter {
 
       await this.unhandle(FetchService.PROTOCOL)
       await this.unhandle(PingService.getProtocolStr(this))
+      this.dcutr && await this.unhandle(DCUtR.PROTOCOL)
+      this.autoNat && await this.unhandle(AutoNAT.PROTOCOL)
 
       this.dialer.destroy()
     } catch (/** @type {any} */ err) {
@@ -488,6 +556,8 @@ class Libp2p extends EventEmitter {
    * @param {PeerId|Multiaddr|string} peer - The peer to dial
    * @param {object} [options]
    * @param {AbortSignal} [options.signal]
+   * @param {boolean} [options.force] - dial even if the peer is backed off after failed dials
+   * @param {number} [options.priority] - dials with a higher priority are started first when all dial tokens are in use
    * @returns {Promise<Connection>}
    */
   dial (peer, options) {
@@ -504,6 +574,8 @@ class Libp2p extends EventEmitter {
    * @param {string[]|string} protocols
    * @param {object} [options]
    * @param {AbortSignal} [options.signal]
+   * @param {boolean} [options.force] - dial even if the peer is backed off after failed dials
+   * @param {number} [options.priority] - dials with a higher priority are started first when all dial tokens are in use
    */
   async dialProtocol (peer, protocols, options) {
     if (!protocols || !protocols.length) {
@@ -556,7 +628,9 @@ class Libp2p extends EventEmitter {
       addrs = this.transportManager.getAddrs().map(ma => ma.toString())
     }
 
-    addrs = addrs.concat(this.addressManager.getObservedAddrs().map(ma => ma.toString()))
+    // observed addresses are only announced once confirmed if AutoNAT is enabled
+    const observedAddrs = this.autoNat ? this.addressManager.getConfirmedObservedAddrs() : this.addressManager.getObservedAddrs()
+    addrs = addrs.concat(observedAddrs.map(ma => ma.toString()))
 
     const announceFilter = this._options.addresses.announceFilter
 
@@ -622,11 +696,13 @@ class Libp2p extends EventEmitter {
    *
    * @param {string[]|string} protocols
    * @param {(props: HandlerProps) => void} handler
+   * @param {HandlerOptions} [options]
    */
-  async handle (protocols, handler) {
+  async handle (protocols, handler, options = {}) {
     protocols = Array.isArray(protocols) ? protocols : [protocols]
     protocols.forEach(protocol => {
       this.upgrader.protocols.set(protocol, handler)
+      this.upgrader.protocolOptions.set(protocol, options)
     })
 
     // Add new protocols to self protocols in the Protobook
@@ -643,6 +719,7 @@ class Libp2p extends EventEmitter {
     protocols = Array.isArray(protocols) ? protocols : [protocols]
     protocols.forEach(protocol => {
       this.upgrader.protocols.delete(protocol)
+      this.upgrader.protocolOptions.delete(protocol)
     })
 
     // Remove protocols from self protocols in the Protobook
@@ -650,6 +727,16 @@ class Libp2p extends EventEmitter {
   }
 
   async _onStarting () {
+    // Load the persisted bans before accepting or making connections
+    await this.connectionGater.start()
+    this.peerScoring.start()
+    this.peerStore.start()
+    this.addressManager.start()
+
+    // Track connections before listening, as listening on relays opens
+    // connections to them that are used to make reservations
+    this.connectionManager.start()
+
     // Listen on the provided transports for the provided addresses
     const addrs = this.addressManager.getListenAddrs()
     await this.transportManager.listen(addrs)
@@ -699,7 +786,6 @@ class Libp2p extends EventEmitter {
       this.emit('peer:discovery', peer.id)
     }
 
-    this.connectionManager.start()
     await this._autodialler.start()
 
     // Peer discovery
@@ -707,6 +793,10 @@ class Libp2p extends EventEmitter {
 
     // Relay
     this.relay && this.relay.start()
+    this.dcutr && this.dcutr.start()
+
+    // Reachability
+    this.autoNat && this.autoNat.start()
 
     this.peerRouting.start()
   }
@@ -724,10 +814,25 @@ class Libp2p extends EventEmitter {
       return
     }
 
-    peer.multiaddrs && this.peerStore.addressBook.add(peer.id, peer.multiaddrs).catch(err => log.error(err))
+    peer.multiaddrs && this.peerStore.addressBook.add(peer.id, peer.multiaddrs, { source: 'discovered' }).catch(err => log.error(err))
     peer.protocols && this.peerStore.protoBook.set(peer.id, peer.protocols).catch(err => log.error(err))
   }
 
+  /**
+   * Tags the peers found by the bootstrap discovery service, so the
+   * connection manager keeps their connections over the ones of other peers.
+   *
+   * @private
+   * @param {{ id: PeerId }} peer
+   */
+  _onBootstrapPeer (peer) {
+    if (peer.id.toB58String() === this.peerId.toB58String()) {
+      return
+    }
+
+    this.connectionManager.tagPeer(peer.id, BOOTSTRAP_TAG, BOOTSTRAP_TAG_VALUE)
+  }
+
   /**
    * Will dial to the given `peerId` if the current number of
    * connected peers is less than the configured `ConnectionManager`
@@ -743,7 +848,7 @@ class Libp2p extends EventEmitter {
       if (minConnections > this.connectionManager.size) {
         log('connecting to discovered peer %s', peerId.toB58String())
         try {
-          await this.dialer.connectToPeer(peerId)
+          await this.dialer.connectToPeer(peerId, { priority: DIAL_PRIORITY.LOW })
         } catch (/** @type {any} */ err) {
           log.error(`could not connect to discovered peer ${peerId.toB58String()} with ${err}`)
         }
@@ -788,6 +893,7 @@ class Libp2p extends EventEmitter {
         }
 
         discoveryService.on('peer', this._onDiscoveryPeer)
+        DiscoveryService.tag === 'bootstrap' && discoveryService.on('peer', this._onBootstrapPeer)
         this._discovery.set(DiscoveryService.tag, discoveryService)
       }
     }
@@ -0,0 +1,208 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:peer-scoring'), {
+  error: debug('libp2p:peer-scoring:err')
+})
+
+const errcode = require('err-code')
+const PeerId = require('peer-id')
+const mergeOptions = require('merge-options')
+// @ts-ignore retimer does not have types
+const retimer = require('retimer')
+
+const { getIpAddress } = require('../connection-gater/cidr')
+const { CIRCUIT_PROTO_CODE } = require('../circuit/constants')
+const { codes } = require('../errors')
+
+/**
+ * @typedef {import('../')} Libp2p
+ * @typedef {import('multiaddr').Multiaddr} Multiaddr
+ */
+
+/**
+ * @typedef {'invalidIdentify'|'encryptionFailed'|'malformedMessage'|'invalidFetch'|'droppedStream'} PenaltyReason
+ *
+ * @typedef {Object} PeerScoringOptions
+ * @property {boolean} [enabled = false] - Whether misbehaving peers are scored and banned.
+ * @property {number} [threshold = -100] - The score below which a peer is disconnected and banned.
+ * @property {Partial<Record<PenaltyReason, number>>} [penalties] - How much each kind of misbehaviour lowers the score of a peer.
+ * @property {number} [decayInterval = 60000] - How often, in milliseconds, the scores decay.
+ * @property {number} [decayFactor = 0.8] - The factor, between 0 and 1, the scores are multiplied by every interval.
+ * @property {number} [banDuration = 600000] - How long, in milliseconds, a peer is banned at least.
+ * @property {number} [maxBanDuration = 86400000] - How long, in milliseconds, a peer is banned at most.
+ *
+ * @typedef {Object} PeerScore
+ * @property {PeerId|string} target - The scored peer, or IP address when the peer is not known
+ * @property {number} score
+ * @property {number} bannedUntil
+ */
+
+const defaultOptions = {
+  enabled: false,
+  threshold: -100,
+  penalties: {
+    invalidIdentify: 50,
+    encryptionFailed: 20,
+    malformedMessage: 50,
+    invalidFetch: 25,
+    droppedStream: 10
+  },
+  decayInterval: 60e3,
+  decayFactor: 0.8,
+  banDuration: 10 * 60e3,
+  maxBanDuration: 24 * 60 * 60e3
+}
+
+class PeerScoring {
+  /**
+   * Lowers the score of peers caught misbehaving, like sending malformed
+   * messages, failing the crypto handshake or dropping the streams they open.
+   * A peer whose score goes below the threshold is disconnected and banned
+   * through the connection gater until its score decays back above the
+   * threshold, so the lower the score, the longer the ban.
+   *
+   * @class
+   * @param {Libp2p} libp2p
+   * @param {PeerScoringOptions} [options]
+   */
+  constructor (libp2p, options = {}) {
+    this._libp2p = libp2p
+    this._options = mergeOptions(defaultOptions, options)
+
+    if (!(this._options.decayFactor >= 0 && this._options.decayFactor < 1) || !(this._options.threshold < 0)) {
+      throw errcode(new Error('peer scoring needs a negative threshold and a decay factor between 0 and 1'), codes.ERR_INVALID_PARAMETERS)
+    }
+
+    /**
+     * The scores of the penalized peers, by peer id or IP address.
+     *
+     * @type {Map<string, PeerScore>}
+     */
+    this._scores = new Map()
+    this._timer = null
+
+    this._decay = this._decay.bind(this)
+  }
+
+  /**
+   * Starts decaying the scores.
+   */
+  start () {
+    this._timer = this._timer || retimer(this._decay, this._options.decayInterval)
+  }
+
+  /**
+   * Stops decaying the scores.
+   */
+  stop () {
+    this._timer && this._timer.clear()
+    this._timer = null
+  }
+
+  /**
+   * Lowers the score of a peer for misbehaving, and bans it if its score goes
+   * below the threshold. Misbehaving peers whose id is not known yet, like
+   * the ones failing the crypto handshake, are scored by IP address. Relayed
+   * addresses are not scored, as their IP address is the one of the relay.
+   *
+   * @param {PeerId|Multiaddr} target - The peer, or the address of its connection
+   * @param {PenaltyReason} reason
+   * @returns {number} the new score of the peer
+   */
+  penalize (target, reason) {
+    const penalty = this._options.penalties[reason]
+
+    if (penalty === undefined) {
+      throw errcode(new Error(`unknown penalty reason ${reason}`), codes.ERR_INVALID_PARAMETERS)
+    }
+
+    const scored = this._getScoredTarget(target)
+
+    if (!this._options.enabled || !scored) {
+      return 0
+    }
+
+    const key = PeerId.isPeerId(scored) ? scored.toB58String() : scored
+    const peerScore = this._scores.get(key) || { target: scored, score: 0, bannedUntil: 0 }
+    peerScore.score -= penalty
+    this._scores.set(key, peerScore)
+
+    log('penalized %s by %d for %s, score is %d', key, penalty, reason, peerScore.score)
+
+    if (peerScore.score < this._options.threshold && peerScore.bannedUntil <= Date.now()) {
+      this._ban(key, peerScore)
+    }
+
+    return peerScore.score
+  }
+
+  /**
+   * The score of a peer, or IP address, 0 when it was not penalized.
+   *
+   * @param {PeerId|string} target
+   * @returns {number}
+   */
+  score (target) {
+    const peerScore = this._scores.get(PeerId.isPeerId(target) ? target.toB58String() : target)
+
+    return peerScore ? peerScore.score : 0
+  }
+
+  /**
+   * @private
+   * @param {PeerId|Multiaddr} target
+   * @returns {PeerId|string|undefined}
+   */
+  _getScoredTarget (target) {
+    if (PeerId.isPeerId(target)) {
+      return target
+    }
+
+    if (target.protoCodes().includes(CIRCUIT_PROTO_CODE)) {
+      return
+    }
+
+    return getIpAddress(target)
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   * @param {PeerScore} peerScore
+   */
+  _ban (key, peerScore) {
+    // How many decay intervals the score needs to get back above the threshold
+    const intervals = Math.ceil(Math.log(this._options.threshold / peerScore.score) / Math.log(this._options.decayFactor))
+    const duration = Math.min(Math.max(intervals * this._options.decayInterval, this._options.banDuration), this._options.maxBanDuration)
+    peerScore.bannedUntil = Date.now() + duration
+
+    log('banning %s with score %d for %dms', key, peerScore.score, duration)
+
+    this._libp2p.connectionGater.ban(peerScore.target, duration).catch(err => {
+      log.error('could not ban %s', key, err)
+    })
+  }
+
+  /**
+   * @private
+   */
+  _decay () {
+    try {
+      for (const [key, peerScore] of this._scores) {
+        peerScore.score *= this._options.decayFactor
+
+        // Forget peers whose score decayed back to 0, unless they are banned
+        if (peerScore.score > -1 && peerScore.bannedUntil <= Date.now()) {
+          this._scores.delete(key)
+        }
+      }
+    } catch (/** @type {any} */ err) {
+      log.error(err)
+    } finally {
+      this._timer = retimer(this._decay, this._options.decayInterval)
+    }
+  }
+}
+
+module.exports = PeerScoring
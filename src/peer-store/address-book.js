@@ -12,11 +12,14 @@ const all = require('it-all')
 const filter = require('it-filter')
 const map = require('it-map')
 const each = require('it-foreach')
+const { ADDRESS_TTL } = require('../constants')
 
 /**
  * @typedef {import('./types').PeerStore} PeerStore
  * @typedef {import('./types').Address} Address
  * @typedef {import('./types').AddressBook} AddressBook
+ * @typedef {import('./types').AddressSource} AddressSource
+ * @typedef {import('./types').AddressOptions} AddressOptions
  */
 
 const log = Object.assign(debug('libp2p:peer-store:address-book'), {
@@ -33,11 +36,28 @@ class PeerStoreAddressBook {
    * @param {PeerStore["emit"]} emit
    * @param {import('./types').Store} store
    * @param {(peerId: PeerId, multiaddr: Multiaddr) => Promise<boolean>} addressFilter
+   * @param {Record<AddressSource, number>} [addressTtl] - How long in ms addresses are kept, by source
    */
-  constructor (emit, store, addressFilter) {
+  constructor (emit, store, addressFilter, addressTtl = ADDRESS_TTL) {
     this._emit = emit
     this._store = store
     this._addressFilter = addressFilter
+    this._addressTtl = addressTtl
+  }
+
+  /**
+   * When addresses added with the given options expire.
+   *
+   * @param {AddressOptions} options
+   * @returns {number}
+   */
+  _getExpiry ({ source = 'manual', ttl }) {
+    if (ttl === undefined && !Object.prototype.hasOwnProperty.call(this._addressTtl, source)) {
+      log.error(`unknown address source ${source}`)
+      throw errcode(new Error(`unknown address source ${source}`), codes.ERR_INVALID_PARAMETERS)
+    }
+
+    return Date.now() + (ttl === undefined ? this._addressTtl[source] : ttl)
   }
 
   /**
@@ -92,10 +112,10 @@ class PeerStoreAddressBook {
         }
       }
 
-      // Replace unsigned addresses by the new ones from the record
-      // TODO: Once we have ttls for the addresses, we should merge these in
+      // Replace all addresses by the ones from the record, a newer record is authoritative
+      // and the addresses it no longer lists should not be dialed
       updatedPeer = await this._store.patchOrCreate(peerId, {
-        addresses: await filterMultiaddrs(peerId, multiaddrs, this._addressFilter, true),
+        addresses: await filterMultiaddrs(peerId, multiaddrs, this._addressFilter, this._getExpiry({ source: 'certified' }), true),
         peerRecordEnvelope: envelope.marshal()
       })
 
@@ -180,8 +200,9 @@ class PeerStoreAddressBook {
   /**
    * @param {PeerId} peerId
    * @param {Multiaddr[]} multiaddrs
+   * @param {AddressOptions} [options]
    */
-  async set (peerId, multiaddrs) {
+  async set (peerId, multiaddrs, options = {}) {
     if (!PeerId.isPeerId(peerId)) {
       log.error('peerId must be an instance of peer-id to store data')
       throw errcode(new Error('peerId must be an instance of peer-id'), codes.ERR_INVALID_PARAMETERS)
@@ -197,10 +218,11 @@ class PeerStoreAddressBook {
     log('set got write lock')
 
     let hasPeer = false
+    let changed = true
     let updatedPeer
 
     try {
-      const addresses = await filterMultiaddrs(peerId, multiaddrs, this._addressFilter)
+      const addresses = await filterMultiaddrs(peerId, multiaddrs, this._addressFilter, this._getExpiry(options))
 
       // No valid addresses found
       if (!addresses.length) {
@@ -211,10 +233,10 @@ class PeerStoreAddressBook {
         const peer = await this._store.load(peerId)
         hasPeer = true
 
-        if (new Set([
-          ...addresses.map(({ multiaddr }) => multiaddr.toString()),
-          ...peer.addresses.map(({ multiaddr }) => multiaddr.toString())
-        ]).size === peer.addresses.length && addresses.length === peer.addresses.length) {
+        const { added, extended } = compareAddresses(addresses, peer.addresses)
+        changed = added || addresses.length !== peer.addresses.length
+
+        if (!changed && !extended) {
           // not changing anything, no need to update
           return
         }
@@ -232,6 +254,11 @@ class PeerStoreAddressBook {
       release()
     }
 
+    // Only the expiry of the addresses was extended
+    if (!changed) {
+      return
+    }
+
     this._emit(EVENT_NAME, { peerId, multiaddrs: updatedPeer.addresses.map(addr => addr.multiaddr) })
 
     // Notify the existence of a new peer
@@ -243,8 +270,9 @@ class PeerStoreAddressBook {
   /**
    * @param {PeerId} peerId
    * @param {Multiaddr[]} multiaddrs
+   * @param {AddressOptions} [options]
    */
-  async add (peerId, multiaddrs) {
+  async add (peerId, multiaddrs, options = {}) {
     if (!PeerId.isPeerId(peerId)) {
       log.error('peerId must be an instance of peer-id to store data')
       throw errcode(new Error('peerId must be an instance of peer-id'), codes.ERR_INVALID_PARAMETERS)
@@ -260,10 +288,11 @@ class PeerStoreAddressBook {
     log('add got write lock')
 
     let hasPeer
+    let changed = true
     let updatedPeer
 
     try {
-      const addresses = await filterMultiaddrs(peerId, multiaddrs, this._addressFilter)
+      const addresses = await filterMultiaddrs(peerId, multiaddrs, this._addressFilter, this._getExpiry(options))
 
       // No valid addresses found
       if (!addresses.length) {
@@ -274,10 +303,10 @@ class PeerStoreAddressBook {
         const peer = await this._store.load(peerId)
         hasPeer = true
 
-        if (new Set([
-          ...addresses.map(({ multiaddr }) => multiaddr.toString()),
-          ...peer.addresses.map(({ multiaddr }) => multiaddr.toString())
-        ]).size === peer.addresses.length) {
+        const { added, extended } = compareAddresses(addresses, peer.addresses)
+        changed = added
+
+        if (!added && !extended) {
           return
         }
       } catch (/** @type {any} */ err) {
@@ -294,6 +323,11 @@ class PeerStoreAddressBook {
       release()
     }
 
+    // Only the expiry of the addresses was extended
+    if (!changed) {
+      return
+    }
+
     this._emit(EVENT_NAME, { peerId, multiaddrs: updatedPeer.addresses.map(addr => addr.multiaddr) })
 
     // Notify the existence of a new peer
@@ -353,13 +387,39 @@ class PeerStoreAddressBook {
   }
 }
 
+/**
+ * Whether some of the addresses are not known yet, and whether some of
+ * the known ones would be kept longer than they are now.
+ *
+ * @param {Address[]} addresses
+ * @param {Address[]} knownAddresses
+ */
+function compareAddresses (addresses, knownAddresses) {
+  const expiries = new Map(knownAddresses.map(({ multiaddr, expiry = Infinity }) => [multiaddr.toString(), expiry]))
+  let added = false
+  let extended = false
+
+  for (const { multiaddr, expiry = Infinity } of addresses) {
+    const knownExpiry = expiries.get(multiaddr.toString())
+
+    if (knownExpiry === undefined) {
+      added = true
+    } else if (expiry > knownExpiry) {
+      extended = true
+    }
+  }
+
+  return { added, extended }
+}
+
 /**
  * @param {PeerId} peerId
  * @param {Multiaddr[]} multiaddrs
  * @param {(peerId: PeerId, multiaddr: Multiaddr) => Promise<boolean>} addressFilter
+ * @param {number} expiry
  * @param {boolean} isCertified
  */
-function filterMultiaddrs (peerId, multiaddrs, addressFilter, isCertified = false) {
+function filterMultiaddrs (peerId, multiaddrs, addressFilter, expiry, isCertified = false) {
   return pipe(
     multiaddrs,
     (source) => each(source, (multiaddr) => {
@@ -372,7 +432,8 @@ function filterMultiaddrs (peerId, multiaddrs, addressFilter, isCertified = fals
     (source) => map(source, (multiaddr) => {
       return {
         multiaddr: new Multiaddr(multiaddr.toString()),
-        isCertified
+        isCertified,
+        expiry
       }
     }),
     (source) => all(source)
@@ -2,15 +2,19 @@
 
 const debug = require('debug')
 const { EventEmitter } = require('events')
+// @ts-ignore retimer does not have types
+const retimer = require('retimer')
 const AddressBook = require('./address-book')
 const KeyBook = require('./key-book')
 const MetadataBook = require('./metadata-book')
 const ProtoBook = require('./proto-book')
 const Store = require('./store')
+const { ADDRESS_TTL, ADDRESS_GC_INTERVAL } = require('../constants')
 
 /**
  * @typedef {import('./types').PeerStore} PeerStore
  * @typedef {import('./types').Peer} Peer
+ * @typedef {import('./types').AddressSource} AddressSource
  * @typedef {import('peer-id')} PeerId
  * @typedef {import('multiaddr').Multiaddr} Multiaddr
  */
@@ -30,19 +34,78 @@ class DefaultPeerStore extends EventEmitter {
    * @param {PeerId} properties.peerId
    * @param {import('interface-datastore').Datastore} properties.datastore
    * @param {(peerId: PeerId, multiaddr: Multiaddr) => Promise<boolean>} properties.addressFilter
+   * @param {Partial<Record<AddressSource, number>>} [properties.addressTtl] - How long in ms addresses are kept, by where they were learnt from
+   * @param {number} [properties.gcInterval] - How often in ms the expired addresses are removed
    */
-  constructor ({ peerId, datastore, addressFilter }) {
+  constructor ({ peerId, datastore, addressFilter, addressTtl = {}, gcInterval = ADDRESS_GC_INTERVAL }) {
     super()
 
     this._peerId = peerId
     this._store = new Store(datastore)
+    this._gcInterval = gcInterval
+    this._timer = null
 
-    this.addressBook = new AddressBook(this.emit.bind(this), this._store, addressFilter)
+    this._gc = this._gc.bind(this)
+
+    this.addressBook = new AddressBook(this.emit.bind(this), this._store, addressFilter, { ...ADDRESS_TTL, ...addressTtl })
     this.keyBook = new KeyBook(this.emit.bind(this), this._store)
     this.metadataBook = new MetadataBook(this.emit.bind(this), this._store)
     this.protoBook = new ProtoBook(this.emit.bind(this), this._store)
   }
 
+  /**
+   * Starts removing the expired addresses periodically
+   */
+  start () {
+    this._timer = this._timer || retimer(this._gc, this._gcInterval)
+  }
+
+  /**
+   * Stops removing the expired addresses
+   */
+  stop () {
+    this._timer && this._timer.clear()
+    this._timer = null
+  }
+
+  /**
+   * Removes the expired addresses, and the peers left without any data
+   */
+  async removeExpired () {
+    log('removeExpired await write lock')
+    const release = await this._store.lock.writeLock()
+    log('removeExpired got write lock')
+
+    let pruned
+
+    try {
+      pruned = await this._store.prune()
+    } finally {
+      log('removeExpired release write lock')
+      release()
+    }
+
+    for (const { peerId, multiaddrs, deleted } of pruned) {
+      log('removed expired addresses of %s%s', peerId.toB58String(), deleted ? ' and the peer' : '')
+      this.emit('change:multiaddrs', { peerId, multiaddrs })
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _gc () {
+    try {
+      await this.removeExpired()
+    } catch (/** @type {any} */ err) {
+      log.error('could not remove expired addresses', err)
+    } finally {
+      if (this._timer) {
+        this._timer = retimer(this._gc, this._gcInterval)
+      }
+    }
+  }
+
   async * getPeers () {
     log('getPeers await read lock')
     const release = await this._store.lock.readLock()
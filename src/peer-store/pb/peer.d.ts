@@ -96,6 +96,9 @@ export interface IAddress {
 
     /** Address isCertified */
     isCertified?: (boolean|null);
+
+    /** Address expiry */
+    expiry?: (number|null);
 }
 
 /** Represents an Address. */
@@ -113,9 +116,15 @@ export class Address implements IAddress {
     /** Address isCertified. */
     public isCertified?: (boolean|null);
 
+    /** Address expiry. */
+    public expiry?: (number|null);
+
     /** Address _isCertified. */
     public _isCertified?: "isCertified";
 
+    /** Address _expiry. */
+    public _expiry?: "expiry";
+
     /**
      * Encodes the specified Address message. Does not implicitly {@link Address.verify|verify} messages.
      * @param m Address message or plain object to encode
@@ -309,6 +309,7 @@ $root.Address = (function() {
      * @interface IAddress
      * @property {Uint8Array|null} [multiaddr] Address multiaddr
      * @property {boolean|null} [isCertified] Address isCertified
+     * @property {number|null} [expiry] Address expiry
      */
 
     /**
@@ -342,6 +343,14 @@ $root.Address = (function() {
      */
     Address.prototype.isCertified = null;
 
+    /**
+     * Address expiry.
+     * @member {number|null|undefined} expiry
+     * @memberof Address
+     * @instance
+     */
+    Address.prototype.expiry = null;
+
     // OneOf field names bound to virtual getters and setters
     var $oneOfFields;
 
@@ -356,6 +365,17 @@ $root.Address = (function() {
         set: $util.oneOfSetter($oneOfFields)
     });
 
+    /**
+     * Address _expiry.
+     * @member {"expiry"|undefined} _expiry
+     * @memberof Address
+     * @instance
+     */
+    Object.defineProperty(Address.prototype, "_expiry", {
+        get: $util.oneOfGetter($oneOfFields = ["expiry"]),
+        set: $util.oneOfSetter($oneOfFields)
+    });
+
     /**
      * Encodes the specified Address message. Does not implicitly {@link Address.verify|verify} messages.
      * @function encode
@@ -372,6 +392,8 @@ $root.Address = (function() {
             w.uint32(10).bytes(m.multiaddr);
         if (m.isCertified != null && Object.hasOwnProperty.call(m, "isCertified"))
             w.uint32(16).bool(m.isCertified);
+        if (m.expiry != null && Object.hasOwnProperty.call(m, "expiry"))
+            w.uint32(24).uint64(m.expiry);
         return w;
     };
 
@@ -399,6 +421,9 @@ $root.Address = (function() {
             case 2:
                 m.isCertified = r.bool();
                 break;
+            case 3:
+                m.expiry = r.uint64();
+                break;
             default:
                 r.skipType(t & 7);
                 break;
@@ -428,6 +453,16 @@ $root.Address = (function() {
         if (d.isCertified != null) {
             m.isCertified = Boolean(d.isCertified);
         }
+        if (d.expiry != null) {
+            if ($util.Long)
+                (m.expiry = $util.Long.fromValue(d.expiry)).unsigned = true;
+            else if (typeof d.expiry === "string")
+                m.expiry = parseInt(d.expiry, 10);
+            else if (typeof d.expiry === "number")
+                m.expiry = d.expiry;
+            else if (typeof d.expiry === "object")
+                m.expiry = new $util.LongBits(d.expiry.low >>> 0, d.expiry.high >>> 0).toNumber(true);
+        }
         return m;
     };
 
@@ -461,6 +496,14 @@ $root.Address = (function() {
             if (o.oneofs)
                 d._isCertified = "isCertified";
         }
+        if (m.expiry != null && m.hasOwnProperty("expiry")) {
+            if (typeof m.expiry === "number")
+                d.expiry = o.longs === String ? String(m.expiry) : m.expiry;
+            else
+                d.expiry = o.longs === String ? $util.Long.prototype.toString.call(m.expiry) : o.longs === Number ? new $util.LongBits(m.expiry.low >>> 0, m.expiry.high >>> 0).toNumber(true) : m.expiry;
+            if (o.oneofs)
+                d._expiry = "expiry";
+        }
         return d;
     };
 
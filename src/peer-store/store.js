@@ -71,6 +71,7 @@ class PersistentStore {
   async load (peerId) {
     const buf = await this._datastore.get(this._peerIdToDatastoreKey(peerId))
     const peer = PeerPB.decode(buf)
+    const now = Date.now()
     const pubKey = peer.pubKey ? unmarshalPublicKey(peer.pubKey) : peerId.pubKey
     const metadata = new Map()
 
@@ -82,10 +83,14 @@ class PersistentStore {
       ...peer,
       id: peerId,
       pubKey,
-      addresses: peer.addresses.map(({ multiaddr, isCertified }) => ({
-        multiaddr: new Multiaddr(multiaddr),
-        isCertified: isCertified || false
-      })),
+      addresses: peer.addresses
+        .map(({ multiaddr, isCertified, expiry }) => ({
+          multiaddr: new Multiaddr(multiaddr),
+          isCertified: isCertified || false,
+          // addresses stored without expiry never expire
+          expiry: expiry ? Number(expiry) : Infinity
+        }))
+        .filter(({ expiry }) => expiry > now),
       metadata,
       peerRecordEnvelope: peer.peerRecordEnvelope || undefined
     }
@@ -116,9 +121,10 @@ class PersistentStore {
         .sort((a, b) => {
           return a.multiaddr.toString().localeCompare(b.multiaddr.toString())
         })
-        .map(({ multiaddr, isCertified }) => ({
+        .map(({ multiaddr, isCertified, expiry }) => ({
           multiaddr: multiaddr.bytes,
-          isCertified
+          isCertified,
+          expiry: Number.isFinite(expiry) ? expiry : undefined
         })),
       protocols: peer.protocols.sort(),
       pubKey: peer.pubKey ? marshalPublicKey(peer.pubKey) : undefined,
@@ -213,25 +219,32 @@ class PersistentStore {
    */
   async _merge (peerId, data, peer) {
     // if the peer has certified addresses, use those in
-    // favour of the supplied versions
-    /** @type {Map<string, boolean>} */
+    // favour of the supplied versions, and keep the latest
+    // expiry of the addresses known already
+    /** @type {Map<string, { isCertified: boolean, expiry: number }>} */
     const addresses = new Map()
 
-    ;(data.addresses || []).forEach(addr => {
-      addresses.set(addr.multiaddr.toString(), addr.isCertified)
+    ;(data.addresses || []).forEach(({ multiaddr, isCertified, expiry = Infinity }) => {
+      addresses.set(multiaddr.toString(), { isCertified, expiry })
     })
 
-    peer.addresses.forEach(({ multiaddr, isCertified }) => {
+    peer.addresses.forEach(({ multiaddr, isCertified, expiry = Infinity }) => {
       const addrStr = multiaddr.toString()
-      addresses.set(addrStr, Boolean(addresses.get(addrStr) || isCertified))
+      const added = addresses.get(addrStr)
+
+      addresses.set(addrStr, {
+        isCertified: Boolean((added && added.isCertified) || isCertified),
+        expiry: Math.max(added ? added.expiry : 0, expiry)
+      })
     })
 
     return await this.save({
       id: peerId,
-      addresses: Array.from(addresses.entries()).map(([addrStr, isCertified]) => {
+      addresses: Array.from(addresses.entries()).map(([addrStr, { isCertified, expiry }]) => {
         return {
           multiaddr: new Multiaddr(addrStr),
-          isCertified
+          isCertified,
+          expiry
         }
       }),
       protocols: Array.from(new Set([
@@ -251,13 +264,63 @@ class PersistentStore {
     for await (const key of this._datastore.queryKeys({
       prefix: NAMESPACE_COMMON
     })) {
-      // /peers/${peer-id-as-libp2p-key-cid-string-in-base-32}
-      const base32Str = key.toString().split('/')[2]
-      const buf = base32.decode(base32Str)
+      yield this.load(datastoreKeyToPeerId(key))
+    }
+  }
+
+  /**
+   * Removes the expired addresses of the stored peers, and the peers
+   * left with no addresses, protocols, metadata or keys.
+   *
+   * @returns {Promise<import('./types').PrunedPeer[]>} the peers whose addresses expired
+   */
+  async prune () {
+    const now = Date.now()
+    /** @type {{ key: Key, peer: PeerPB }[]} */
+    const expired = []
+
+    for await (const { key, value } of this._datastore.query({
+      prefix: NAMESPACE_COMMON
+    })) {
+      const peer = PeerPB.decode(value)
 
-      yield this.load(PeerId.createFromBytes(buf))
+      if (peer.addresses.some(({ expiry }) => expiry && Number(expiry) <= now)) {
+        expired.push({ key, peer })
+      }
     }
+
+    /** @type {import('./types').PrunedPeer[]} */
+    const pruned = []
+
+    for (const { key, peer } of expired) {
+      const addresses = peer.addresses.filter(({ expiry }) => !expiry || Number(expiry) > now)
+      const deleted = !addresses.length && !peer.protocols.length && !peer.metadata.length &&
+        !(peer.pubKey && peer.pubKey.length) && !(peer.peerRecordEnvelope && peer.peerRecordEnvelope.length)
+
+      if (deleted) {
+        await this._datastore.delete(key)
+      } else {
+        await this._datastore.put(key, PeerPB.encode({ ...peer, addresses }).finish())
+      }
+
+      pruned.push({
+        peerId: datastoreKeyToPeerId(key),
+        multiaddrs: addresses.map(({ multiaddr }) => new Multiaddr(multiaddr)),
+        deleted
+      })
+    }
+
+    return pruned
   }
 }
 
+/**
+ * @param {Key} key - /peers/${peer-id-as-libp2p-key-cid-string-in-base-32}
+ */
+function datastoreKeyToPeerId (key) {
+  const base32Str = key.toString().split('/')[2]
+
+  return PeerId.createFromBytes(base32.decode(base32Str))
+}
+
 module.exports = PersistentStore
@@ -13,6 +13,46 @@ export interface Address {
    * Obtained from a signed peer record
    */
   isCertified: boolean
+
+  /**
+   * When the address expires, in milliseconds since the epoch, never when not set
+   */
+  expiry?: number
+}
+
+/**
+ * Where an address was learnt from, which determines how long it is kept:
+ * - certified: from a signed peer record
+ * - observed: a direct connection was opened to the peer on it
+ * - discovered: from peer discovery, routing, or the peer itself when not signed
+ * - manual: added by the user
+ */
+export type AddressSource = 'certified' | 'observed' | 'discovered' | 'manual'
+
+export interface AddressOptions {
+  /**
+   * Where the addresses were learnt from, 'manual' by default
+   */
+  source?: AddressSource
+
+  /**
+   * How long, in milliseconds, the addresses are kept, instead of the default of their source
+   */
+  ttl?: number
+}
+
+export interface PrunedPeer {
+  peerId: PeerId
+
+  /**
+   * The remaining multiaddrs of the peer
+   */
+  multiaddrs: Multiaddr[]
+
+  /**
+   * Whether the peer was removed as it had no data left
+   */
+  deleted: boolean
 }
 
 export interface Peer {
@@ -101,12 +141,12 @@ export interface AddressBook {
    * Add known addresses of a provided peer.
    * If the peer is not known, it is set with the given addresses.
    */
-  add: (peerId: PeerId, multiaddrs: Multiaddr[]) => Promise<void>
+  add: (peerId: PeerId, multiaddrs: Multiaddr[], options?: AddressOptions) => Promise<void>
 
   /**
    * Set the known addresses of a peer
    */
-  set: (peerId: PeerId, data: Multiaddr[]) => Promise<void>
+  set: (peerId: PeerId, data: Multiaddr[], options?: AddressOptions) => Promise<void>
 
   /**
    * Return the known addresses of a peer
@@ -217,6 +257,9 @@ export interface PeerStore {
   delete: (peerId: PeerId) => Promise<void>
   has: (peerId: PeerId) => Promise<boolean>
   get: (peerId: PeerId) => Promise<Peer>
+  start: () => void
+  stop: () => void
+  removeExpired: () => Promise<void>
   on: <U extends keyof PeerStoreEvents>(
     event: U, listener: PeerStoreEvents[U]
   ) => this
@@ -237,6 +280,7 @@ export interface Store {
   patch: (peerId: PeerId, data: Partial<Peer>) => Promise<Peer>
   patchOrCreate: (peerId: PeerId, data: Partial<Peer>) => Promise<Peer>
   all: () => AsyncIterable<Peer>
+  prune: () => Promise<PrunedPeer[]>
 
   lock: {
     readLock: () => Promise<() => void>
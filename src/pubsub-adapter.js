@@ -1,5 +1,8 @@
 'use strict'
 
+const PeerId = require('peer-id')
+const { PUBSUB_MESH_TAG, PUBSUB_MESH_TAG_VALUE } = require('./connection-manager/constants')
+
 // Pubsub adapter to keep API with handlers while not removed.
 /**
  * @typedef {import('libp2p-interfaces/src/pubsub').InMessage} InMessage
@@ -52,6 +55,41 @@ function pubsubAdapter (PubsubRouter, libp2p, options) {
     }
   }
 
+  /**
+   * Routers keeping a mesh of peers per topic, like gossipsub, rely on the
+   * connections to their mesh peers, so tag them to keep the connection
+   * manager from pruning them.
+   */
+  /** @type {Set<string>} */
+  let meshPeers = new Set()
+
+  function tagMeshPeers () {
+    /** @type {Map<string, Set<string>>} */
+    // @ts-ignore mesh is not part of the pubsub interface
+    const mesh = pubsub.mesh
+    /** @type {Set<string>} */
+    const peers = new Set()
+
+    for (const topicPeers of mesh.values()) {
+      topicPeers.forEach(id => peers.add(id))
+    }
+
+    for (const id of peers) {
+      !meshPeers.has(id) && libp2p.connectionManager.tagPeer(PeerId.createFromB58String(id), PUBSUB_MESH_TAG, PUBSUB_MESH_TAG_VALUE)
+    }
+
+    for (const id of meshPeers) {
+      !peers.has(id) && libp2p.connectionManager.untagPeer(PeerId.createFromB58String(id), PUBSUB_MESH_TAG)
+    }
+
+    meshPeers = peers
+  }
+
+  // @ts-ignore mesh is not part of the pubsub interface
+  if (pubsub.mesh instanceof Map) {
+    pubsub.on('gossipsub:heartbeat', tagMeshPeers)
+  }
+
   pubsub.subscribe = subscribe
   pubsub.unsubscribe = unsubscribe
 
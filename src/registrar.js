@@ -17,6 +17,7 @@ const Topology = require('libp2p-interfaces/src/topology')
  * @typedef {import('./connection-manager')} ConnectionManager
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  * @typedef {import('./').HandlerProps} HandlerProps
+ * @typedef {import('./').HandlerOptions} HandlerOptions
  */
 
 /**
@@ -46,7 +47,7 @@ class Registrar {
      */
     this.topologies = new Map()
 
-    /** @type {(protocols: string[]|string, handler: (props: HandlerProps) => void) => void} */
+    /** @type {(protocols: string[]|string, handler: (props: HandlerProps) => void, options?: HandlerOptions) => void} */
     // @ts-ignore handle is not optional
     this._handle = undefined
 
@@ -55,14 +56,14 @@ class Registrar {
   }
 
   /**
-   * @returns {(protocols: string[]|string, handler: (props: HandlerProps) => void) => void}
+   * @returns {(protocols: string[]|string, handler: (props: HandlerProps) => void, options?: HandlerOptions) => void}
    */
   get handle () {
     return this._handle
   }
 
   /**
-   * @param {(protocols: string[]|string, handler: (props: HandlerProps) => void) => void} handle
+   * @param {(protocols: string[]|string, handler: (props: HandlerProps) => void, options?: HandlerOptions) => void} handle
    */
   set handle (handle) {
     this._handle = handle
@@ -0,0 +1,354 @@
+'use strict'
+
+const debug = require('debug')
+const log = Object.assign(debug('libp2p:resource-manager'), {
+  error: debug('libp2p:resource-manager:err')
+})
+
+const mergeOptions = require('merge-options')
+
+const { ResourceScope, SpanScope } = require('./scope')
+
+/**
+ * @typedef {import('peer-id')} PeerId
+ * @typedef {import('./scope').Limits} Limits
+ * @typedef {import('./scope').Usage} Usage
+ * @typedef {import('./scope').Direction} Direction
+ */
+
+/**
+ * @typedef {Object} ResourceLimits
+ * @property {Limits} [system] - Limits of all of libp2p
+ * @property {Limits} [transient] - Limits of the connections whose peer is not known yet, and of the streams whose protocol is not negotiated yet
+ * @property {Limits} [peer] - Limits of every peer
+ * @property {Limits} [protocol] - Limits of every protocol
+ * @property {Limits} [connection] - Limits of every connection
+ * @property {Limits} [stream] - Limits of every stream
+ * @property {Record<string, Limits>} [peers] - Limits of given peers, by peer id, instead of the `peer` limits
+ * @property {Record<string, Limits>} [protocols] - Limits of given protocols instead of the `protocol` limits
+ *
+ * @typedef {Object} ResourceManagerOptions
+ * @property {ResourceLimits} [limits]
+ *
+ * @typedef {Object} ResourceStat
+ * @property {Usage} system
+ * @property {Usage} transient
+ * @property {Record<string, Usage>} peers
+ * @property {Record<string, Usage>} protocols
+ */
+
+const defaultOptions = {
+  limits: {
+    system: {},
+    transient: {},
+    peer: {},
+    protocol: {},
+    connection: {},
+    stream: {},
+    peers: {},
+    protocols: {}
+  }
+}
+
+class ConnectionScope extends SpanScope {
+  /**
+   * The scope of a connection. It is transient until the peer of the
+   * connection is known.
+   *
+   * @class
+   * @param {ResourceManager} resourceManager
+   * @param {Direction} direction
+   * @param {PeerId} [peerId]
+   */
+  constructor (resourceManager, direction, peerId) {
+    const peerScope = peerId && resourceManager._getPeerScope(peerId)
+
+    super('connection', resourceManager._limits.connection, [
+      peerScope || resourceManager._transient,
+      resourceManager._system
+    ])
+
+    this.direction = direction
+    this._resourceManager = resourceManager
+
+    /** @type {ResourceScope|undefined} */
+    this.peerScope = peerScope
+
+    try {
+      this._reserve(direction === 'inbound' ? { connectionsInbound: 1 } : { connectionsOutbound: 1 })
+    } catch (/** @type {any} */ err) {
+      resourceManager._removeIfEmpty(peerScope)
+      throw err
+    }
+  }
+
+  /**
+   * Moves the connection from the transient scope to the scope of its peer,
+   * once it is known.
+   *
+   * @param {PeerId} peerId
+   */
+  setPeer (peerId) {
+    if (this.peerScope) {
+      return
+    }
+
+    const peerScope = this._resourceManager._getPeerScope(peerId)
+
+    try {
+      this._moveParent(this._resourceManager._transient, peerScope)
+    } catch (/** @type {any} */ err) {
+      this._resourceManager._removeIfEmpty(peerScope)
+      throw err
+    }
+
+    this.peerScope = peerScope
+  }
+
+  done () {
+    super.done()
+    this._resourceManager._removeIfEmpty(this.peerScope)
+  }
+}
+
+class StreamScope extends SpanScope {
+  /**
+   * The scope of a stream of a connection. It is transient until the protocol
+   * of the stream is negotiated.
+   *
+   * @class
+   * @param {ResourceManager} resourceManager
+   * @param {ConnectionScope} connectionScope
+   * @param {Direction} direction
+   */
+  constructor (resourceManager, connectionScope, direction) {
+    super('stream', resourceManager._limits.stream, [
+      connectionScope,
+      ...(connectionScope.peerScope ? [connectionScope.peerScope] : []),
+      resourceManager._transient,
+      resourceManager._system
+    ])
+
+    this.direction = direction
+    this._resourceManager = resourceManager
+    this._connectionScope = connectionScope
+
+    /** @type {ResourceScope|undefined} */
+    this.protocolScope = undefined
+    this._reserve(direction === 'inbound' ? { streamsInbound: 1 } : { streamsOutbound: 1 })
+  }
+
+  /**
+   * Moves the stream from the transient scope to the scope of its protocol,
+   * once it is negotiated.
+   *
+   * @param {string} protocol
+   */
+  setProtocol (protocol) {
+    if (this.protocolScope) {
+      return
+    }
+
+    const protocolScope = this._resourceManager._getProtocolScope(protocol)
+
+    try {
+      this._moveParent(this._resourceManager._transient, protocolScope)
+    } catch (/** @type {any} */ err) {
+      this._resourceManager._removeIfEmpty(protocolScope)
+      throw err
+    }
+
+    this.protocolScope = protocolScope
+  }
+
+  done () {
+    super.done()
+    this._resourceManager._removeIfEmpty(this.protocolScope)
+    this._resourceManager._removeIfEmpty(this._connectionScope.peerScope)
+  }
+}
+
+class ResourceManager {
+  /**
+   * Accounts for the connections, streams and memory used by libp2p in
+   * hierarchical scopes, and denies reservations exceeding their limits.
+   * Every connection is accounted in the system scope, and in the transient
+   * scope until its peer is known, then in the scope of its peer. Every
+   * stream is accounted in the scopes of its connection and of its peer,
+   * and in the transient scope until its protocol is negotiated, then in the
+   * scope of its protocol.
+   *
+   * @class
+   * @param {ResourceManagerOptions} [options]
+   */
+  constructor (options = {}) {
+    const { limits } = mergeOptions(defaultOptions, options)
+    this._limits = limits
+
+    this._system = new ResourceScope('system', limits.system)
+    this._transient = new ResourceScope('transient', limits.transient)
+
+    /** @type {Map<string, ResourceScope>} */
+    this._peers = new Map()
+    /** @type {Map<string, ResourceScope>} */
+    this._protocols = new Map()
+
+    /**
+     * Outbound connections reserved by the dialer, by peer id, until the
+     * upgrader opens their connection scope.
+     *
+     * @type {Map<string, ConnectionScope[]>}
+     */
+    this._dialReservations = new Map()
+  }
+
+  /**
+   * Opens the scope of a new connection. Outbound connections to a peer
+   * take over a connection reserved by `reserveDial` for the peer, if any.
+   *
+   * @param {Direction} direction
+   * @param {object} [options]
+   * @param {PeerId} [options.peerId] - The peer of the connection, if known
+   * @returns {ConnectionScope}
+   */
+  openConnection (direction, { peerId } = {}) {
+    const reservations = direction === 'outbound' && peerId && this._dialReservations.get(peerId.toB58String())
+
+    if (reservations && reservations.length) {
+      const reservation = /** @type {ConnectionScope} */ (reservations.shift())
+      !reservations.length && this._dialReservations.delete(peerId.toB58String())
+      return reservation
+    }
+
+    const scope = new ConnectionScope(this, direction, peerId)
+    log('opened %s connection scope', direction)
+
+    return scope
+  }
+
+  /**
+   * Reserves an outbound connection to the peer while it is dialed, so the
+   * dial fails before dialing if the limits are exceeded. The upgraded
+   * connection takes over the reservation, `releaseDial` releases it if no
+   * connection took it over.
+   *
+   * @param {PeerId} peerId
+   * @returns {ConnectionScope}
+   */
+  reserveDial (peerId) {
+    const id = peerId.toB58String()
+    const scope = new ConnectionScope(this, 'outbound', peerId)
+    this._dialReservations.set(id, [...(this._dialReservations.get(id) || []), scope])
+
+    return scope
+  }
+
+  /**
+   * Releases a connection reserved by `reserveDial`, unless a connection
+   * took it over.
+   *
+   * @param {PeerId} peerId
+   * @param {ConnectionScope} scope
+   */
+  releaseDial (peerId, scope) {
+    const id = peerId.toB58String()
+    const reservations = (this._dialReservations.get(id) || []).filter(reservation => reservation !== scope)
+
+    if (reservations.length === (this._dialReservations.get(id) || []).length) {
+      return
+    }
+
+    reservations.length ? this._dialReservations.set(id, reservations) : this._dialReservations.delete(id)
+    scope.done()
+  }
+
+  /**
+   * Opens the scope of a new stream of a connection.
+   *
+   * @param {ConnectionScope} connectionScope
+   * @param {Direction} direction
+   * @returns {StreamScope}
+   */
+  openStream (connectionScope, direction) {
+    return new StreamScope(this, connectionScope, direction)
+  }
+
+  /**
+   * A read-only view of the current usage of the system, transient, peer
+   * and protocol scopes.
+   *
+   * @returns {ResourceStat}
+   */
+  stat () {
+    /** @type {Record<string, Usage>} */
+    const peers = {}
+    for (const [id, scope] of this._peers) {
+      peers[id] = scope.stat()
+    }
+
+    /** @type {Record<string, Usage>} */
+    const protocols = {}
+    for (const [protocol, scope] of this._protocols) {
+      protocols[protocol] = scope.stat()
+    }
+
+    return {
+      system: this._system.stat(),
+      transient: this._transient.stat(),
+      peers,
+      protocols
+    }
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @returns {ResourceScope}
+   */
+  _getPeerScope (peerId) {
+    const id = peerId.toB58String()
+    let scope = this._peers.get(id)
+
+    if (!scope) {
+      scope = new ResourceScope(`peer:${id}`, this._limits.peers[id] || this._limits.peer)
+      this._peers.set(id, scope)
+    }
+
+    return scope
+  }
+
+  /**
+   * @param {string} protocol
+   * @returns {ResourceScope}
+   */
+  _getProtocolScope (protocol) {
+    let scope = this._protocols.get(protocol)
+
+    if (!scope) {
+      scope = new ResourceScope(`protocol:${protocol}`, this._limits.protocols[protocol] || this._limits.protocol)
+      this._protocols.set(protocol, scope)
+    }
+
+    return scope
+  }
+
+  /**
+   * Forgets a peer or protocol scope once it uses no resources.
+   *
+   * @param {ResourceScope} [scope]
+   */
+  _removeIfEmpty (scope) {
+    if (!scope || !scope.isEmpty()) {
+      return
+    }
+
+    for (const scopes of [this._peers, this._protocols]) {
+      for (const [key, value] of scopes) {
+        value === scope && scopes.delete(key)
+      }
+    }
+  }
+}
+
+module.exports = ResourceManager
+module.exports.ConnectionScope = ConnectionScope
+module.exports.StreamScope = StreamScope
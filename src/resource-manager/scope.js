@@ -0,0 +1,255 @@
+'use strict'
+
+const errcode = require('err-code')
+
+const { codes } = require('../errors')
+
+/**
+ * @typedef {'inbound'|'outbound'} Direction
+ *
+ * @typedef {Object} Limits
+ * @property {number} [connections = Infinity] - The maximum number of connections, in both directions
+ * @property {number} [connectionsInbound = Infinity]
+ * @property {number} [connectionsOutbound = Infinity]
+ * @property {number} [streams = Infinity] - The maximum number of streams, in both directions
+ * @property {number} [streamsInbound = Infinity]
+ * @property {number} [streamsOutbound = Infinity]
+ * @property {number} [memory = Infinity] - The maximum reserved memory, in bytes
+ *
+ * @typedef {Object} Usage
+ * @property {number} connectionsInbound
+ * @property {number} connectionsOutbound
+ * @property {number} streamsInbound
+ * @property {number} streamsOutbound
+ * @property {number} memory
+ */
+
+/**
+ * @returns {Usage}
+ */
+function emptyUsage () {
+  return {
+    connectionsInbound: 0,
+    connectionsOutbound: 0,
+    streamsInbound: 0,
+    streamsOutbound: 0,
+    memory: 0
+  }
+}
+
+/**
+ * @param {Partial<Usage>} usage
+ * @returns {Partial<Usage>}
+ */
+function negate (usage) {
+  /** @type {Partial<Usage>} */
+  const negated = {}
+  for (const [key, value] of Object.entries(usage)) {
+    negated[/** @type {keyof Usage} */ (key)] = -(value || 0)
+  }
+
+  return negated
+}
+
+class ResourceScope {
+  /**
+   * Accounts for the resources used in a part of libp2p, within its limits.
+   *
+   * @class
+   * @param {string} name
+   * @param {Limits} [limits]
+   */
+  constructor (name, limits = {}) {
+    this.name = name
+    this.limits = limits
+    this._usage = emptyUsage()
+  }
+
+  /**
+   * The current usage of the scope.
+   *
+   * @returns {Usage}
+   */
+  stat () {
+    return { ...this._usage }
+  }
+
+  /**
+   * Whether the scope uses no resources.
+   *
+   * @returns {boolean}
+   */
+  isEmpty () {
+    return Object.values(this._usage).every(value => value === 0)
+  }
+
+  /**
+   * The name of the first limit exceeded when adding the given usage.
+   *
+   * @param {Partial<Usage>} usage
+   * @returns {string|undefined}
+   */
+  _exceededLimit (usage) {
+    /** @type {Usage} */
+    const next = { ...this._usage }
+    for (const [key, value] of Object.entries(usage)) {
+      next[/** @type {keyof Usage} */ (key)] += value || 0
+    }
+
+    /** @type {Array<[keyof Limits, number, number]>} */
+    const checks = [
+      ['connections', next.connectionsInbound + next.connectionsOutbound, (usage.connectionsInbound || 0) + (usage.connectionsOutbound || 0)],
+      ['connectionsInbound', next.connectionsInbound, usage.connectionsInbound || 0],
+      ['connectionsOutbound', next.connectionsOutbound, usage.connectionsOutbound || 0],
+      ['streams', next.streamsInbound + next.streamsOutbound, (usage.streamsInbound || 0) + (usage.streamsOutbound || 0)],
+      ['streamsInbound', next.streamsInbound, usage.streamsInbound || 0],
+      ['streamsOutbound', next.streamsOutbound, usage.streamsOutbound || 0],
+      ['memory', next.memory, usage.memory || 0]
+    ]
+
+    const exceeded = checks.find(([limit, value, added]) => added > 0 && value > (this.limits[limit] === undefined ? Infinity : Number(this.limits[limit])))
+
+    return exceeded && exceeded[0]
+  }
+
+  /**
+   * @param {Partial<Usage>} usage
+   */
+  _add (usage) {
+    for (const [key, value] of Object.entries(usage)) {
+      this._usage[/** @type {keyof Usage} */ (key)] += value || 0
+    }
+  }
+}
+
+/**
+ * Adds the usage to all the scopes, if none of their limits is exceeded.
+ *
+ * @param {ResourceScope[]} scopes
+ * @param {Partial<Usage>} usage
+ */
+function reserve (scopes, usage) {
+  for (const scope of scopes) {
+    const limit = scope._exceededLimit(usage)
+
+    if (limit) {
+      throw errcode(new Error(`The ${limit} limit of the ${scope.name} scope is exceeded`), codes.ERR_RESOURCE_LIMIT_EXCEEDED, {
+        scope: scope.name,
+        limit
+      })
+    }
+  }
+
+  scopes.forEach(scope => scope._add(usage))
+}
+
+/**
+ * Removes the usage from all the scopes.
+ *
+ * @param {ResourceScope[]} scopes
+ * @param {Partial<Usage>} usage
+ */
+function release (scopes, usage) {
+  const negated = negate(usage)
+  scopes.forEach(scope => scope._add(negated))
+}
+
+class SpanScope extends ResourceScope {
+  /**
+   * A short-lived scope, like the one of a connection or a stream. What it
+   * reserves is reserved in its parent scopes too, and released from all of
+   * them once it is done.
+   *
+   * @class
+   * @param {string} name
+   * @param {Limits} limits
+   * @param {ResourceScope[]} parents
+   */
+  constructor (name, limits, parents) {
+    super(name, limits)
+    this._parents = parents
+    this._done = false
+
+    /**
+     * What the span reserved itself, its child spans reserve in it too.
+     */
+    this._own = emptyUsage()
+  }
+
+  /**
+   * Reserves memory in the scope and its parents.
+   *
+   * @param {number} size - in bytes
+   */
+  reserveMemory (size) {
+    this._reserve({ memory: size })
+  }
+
+  /**
+   * Releases memory reserved with `reserveMemory`.
+   *
+   * @param {number} size - in bytes
+   */
+  releaseMemory (size) {
+    this._release({ memory: Math.min(size, this._own.memory) })
+  }
+
+  /**
+   * Releases everything the scope reserved.
+   */
+  done () {
+    if (this._done) {
+      return
+    }
+
+    this._done = true
+    this._release(this._own)
+  }
+
+  /**
+   * @protected
+   * @param {Partial<Usage>} usage
+   */
+  _reserve (usage) {
+    if (this._done) {
+      throw errcode(new Error(`The ${this.name} scope is done`), codes.ERR_RESOURCE_LIMIT_EXCEEDED, { scope: this.name })
+    }
+
+    reserve([this, ...this._parents], usage)
+    for (const [key, value] of Object.entries(usage)) {
+      this._own[/** @type {keyof Usage} */ (key)] += value || 0
+    }
+  }
+
+  /**
+   * @protected
+   * @param {Partial<Usage>} usage
+   */
+  _release (usage) {
+    const released = { ...usage }
+    release([this, ...this._parents], released)
+    for (const [key, value] of Object.entries(released)) {
+      this._own[/** @type {keyof Usage} */ (key)] -= value || 0
+    }
+  }
+
+  /**
+   * Moves what the span reserved from a parent scope to another.
+   *
+   * @protected
+   * @param {ResourceScope} from
+   * @param {ResourceScope} to
+   */
+  _moveParent (from, to) {
+    const own = { ...this._own }
+    reserve([to], own)
+    release([from], own)
+    this._parents = this._parents.map(parent => parent === from ? to : parent)
+  }
+}
+
+module.exports = {
+  ResourceScope,
+  SpanScope,
+  emptyUsage
+}
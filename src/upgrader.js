@@ -11,7 +11,10 @@ const PeerId = require('peer-id')
 const { pipe } = require('it-pipe')
 // @ts-ignore mutable-proxy does not export types
 const mutableProxy = require('mutable-proxy')
+// @ts-ignore retimer does not have types
+const retimer = require('retimer')
 
+const { UnexpectedPeerError } = require('libp2p-interfaces/src/crypto/errors')
 const { codes } = require('./errors')
 
 /**
@@ -23,6 +26,9 @@ const { codes } = require('./errors')
  * @typedef {import('libp2p-interfaces/src/connection').Connection} Connection
  * @typedef {import('multiaddr').Multiaddr} Multiaddr
  * @typedef {import('./types').ConnectionGater} ConnectionGater
+ * @typedef {import('./resource-manager').ConnectionScope} ConnectionScope
+ * @typedef {import('./resource-manager').StreamScope} StreamScope
+ * @typedef {import('./').HandlerOptions} HandlerOptions
  */
 
 /**
@@ -32,6 +38,31 @@ const { codes } = require('./errors')
  * @property {string} protocol
  */
 
+// The codes and messages of the handshake failures that are not the fault of the
+// remote peer. Crypto modules like noise only keep the message of the errors they wrap
+const NOT_VIOLATION_CODES = [
+  UnexpectedPeerError.code, codes.ERR_TIMEOUT, codes.ERR_ALREADY_ABORTED, 'ABORT_ERR', 'ERR_UNDER_READ', 'ECONNRESET', 'EPIPE'
+]
+const NOT_VIOLATION_MESSAGES = [
+  /aborted/i, /timed? ?out/i, /unexpected end of input/i, /doesn't match libp2p public key/i, /ECONNRESET|EPIPE/
+]
+
+/**
+ * Whether the crypto handshake failed because the remote peer broke the protocol.
+ * Handshakes aborted, timed out or cut short by the connection closing are not,
+ * nor are the ones with a peer other than the dialed one, as on a stale address.
+ *
+ * @param {any} err
+ * @returns {boolean}
+ */
+function isHandshakeViolation (err) {
+  if (NOT_VIOLATION_CODES.includes(err.code) || err.type === 'aborted' || err.name === 'AbortError' || err.name === 'TimeoutError') {
+    return false
+  }
+
+  return !NOT_VIOLATION_MESSAGES.some(message => message.test(String(err.message)))
+}
+
 class Upgrader {
   /**
    * @param {object} options
@@ -39,28 +70,42 @@ class Upgrader {
    * @param {ConnectionGater} options.connectionGater
    *
    * @param {import('./metrics')} [options.metrics]
+   * @param {import('./connection-manager')} [options.connectionManager] - Limits the inbound connections
+   * @param {import('./resource-manager')} [options.resourceManager] - Accounts for the connections and streams
+   * @param {import('./peer-scoring')} [options.peerScoring] - Penalizes the peers breaking the crypto handshake protocol, or dropping the streams they open
    * @param {Map<string, Crypto>} [options.cryptos]
    * @param {Map<string, MuxerFactory>} [options.muxers]
+   * @param {number} [options.streamIdleTimeout = Infinity] - How long, in milliseconds, a stream can go without traffic before it is aborted
    * @param {(connection: Connection) => void} options.onConnection - Called when a connection is upgraded
    * @param {(connection: Connection) => void} options.onConnectionEnd
    */
   constructor ({
     localPeer,
     metrics,
+    connectionManager,
+    resourceManager,
+    peerScoring,
     connectionGater,
     cryptos = new Map(),
     muxers = new Map(),
+    streamIdleTimeout = Infinity,
     onConnectionEnd = () => {},
     onConnection = () => {}
   }) {
     this.connectionGater = connectionGater
     this.localPeer = localPeer
     this.metrics = metrics
+    this.connectionManager = connectionManager
+    this.resourceManager = resourceManager
+    this.peerScoring = peerScoring
     this.cryptos = cryptos
     this.muxers = muxers
+    this.streamIdleTimeout = streamIdleTimeout
     /** @type {import("./pnet") | null} */
     this.protector = null
     this.protocols = new Map()
+    /** @type {Map<string, HandlerOptions>} */
+    this.protocolOptions = new Map()
     this.onConnection = onConnection
     this.onConnectionEnd = onConnectionEnd
   }
@@ -73,6 +118,33 @@ class Upgrader {
    * @returns {Promise<Connection>}
    */
   async upgradeInbound (maConn) {
+    if (this.connectionManager && !this.connectionManager.acceptIncomingConnection(maConn)) {
+      // Close the connection right away, without spending time on a handshake
+      maConn.close().catch(err => log.error(err))
+      throw errCode(new Error('The multiaddr connection is blocked by the connection manager inbound limits'), codes.ERR_CONNECTION_INTERCEPTED)
+    }
+
+    try {
+      const connectionScope = this._openConnectionScope(maConn, 'inbound')
+
+      try {
+        return await this._upgradeInbound(maConn, connectionScope)
+      } catch (/** @type {any} */ err) {
+        connectionScope && connectionScope.done()
+        throw err
+      }
+    } finally {
+      this.connectionManager && this.connectionManager.afterUpgradeInbound(maConn)
+    }
+  }
+
+  /**
+   * @private
+   * @param {MultiaddrConnection} maConn
+   * @param {ConnectionScope} [connectionScope]
+   * @returns {Promise<Connection>}
+   */
+  async _upgradeInbound (maConn, connectionScope) {
     let encryptedConn
     let remotePeer
     let upgradedConn
@@ -108,6 +180,8 @@ class Upgrader {
         protocol: cryptoProtocol
       } = await this._encryptInbound(this.localPeer, protectedConn, this.cryptos))
 
+      connectionScope && connectionScope.setPeer(remotePeer)
+
       if (await this.connectionGater.denyInboundEncryptedConnection(remotePeer, encryptedConn)) {
         throw errCode(new Error('The multiaddr connection is blocked by gater.acceptEncryptedConnection'), codes.ERR_CONNECTION_INTERCEPTED)
       }
@@ -120,6 +194,7 @@ class Upgrader {
       }
     } catch (/** @type {any} */ err) {
       log.error('Failed to upgrade inbound connection', err)
+      err.handshakeViolation && this.peerScoring && this.peerScoring.penalize(maConn.remoteAddr, 'encryptionFailed')
       await maConn.close(err)
       throw err
     }
@@ -141,7 +216,8 @@ class Upgrader {
       maConn,
       upgradedConn,
       Muxer,
-      remotePeer
+      remotePeer,
+      connectionScope
     })
   }
 
@@ -164,6 +240,24 @@ class Upgrader {
       throw errCode(new Error('The multiaddr connection is blocked by connectionGater.denyOutboundConnection'), codes.ERR_CONNECTION_INTERCEPTED)
     }
 
+    const connectionScope = this._openConnectionScope(maConn, 'outbound', remotePeerId)
+
+    try {
+      return await this._upgradeOutbound(maConn, remotePeerId, connectionScope)
+    } catch (/** @type {any} */ err) {
+      connectionScope && connectionScope.done()
+      throw err
+    }
+  }
+
+  /**
+   * @private
+   * @param {MultiaddrConnection} maConn
+   * @param {PeerId} remotePeerId
+   * @param {ConnectionScope} [connectionScope]
+   * @returns {Promise<Connection>}
+   */
+  async _upgradeOutbound (maConn, remotePeerId, connectionScope) {
     let encryptedConn
     let remotePeer
     let upgradedConn
@@ -207,6 +301,7 @@ class Upgrader {
       }
     } catch (/** @type {any} */ err) {
       log.error('Failed to upgrade outbound connection', err)
+      err.handshakeViolation && this.peerScoring && this.peerScoring.penalize(remotePeerId, 'encryptionFailed')
       await maConn.close(err)
       throw err
     }
@@ -228,10 +323,31 @@ class Upgrader {
       maConn,
       upgradedConn,
       Muxer,
-      remotePeer
+      remotePeer,
+      connectionScope
     })
   }
 
+  /**
+   * Opens the resource manager scope of a connection, closing the connection
+   * if the resource limits are exceeded.
+   *
+   * @private
+   * @param {MultiaddrConnection} maConn
+   * @param {'inbound' | 'outbound'} direction
+   * @param {PeerId} [peerId]
+   * @returns {ConnectionScope|undefined}
+   */
+  _openConnectionScope (maConn, direction, peerId) {
+    try {
+      return this.resourceManager && this.resourceManager.openConnection(direction, { peerId })
+    } catch (/** @type {any} */ err) {
+      log.error('%s connection denied by the resource manager', direction, err)
+      maConn.close().catch(err => log.error(err))
+      throw err
+    }
+  }
+
   /**
    * A convenience method for generating a new `Connection`
    *
@@ -243,6 +359,7 @@ class Upgrader {
    * @param {MuxedStream | MultiaddrConnection} options.upgradedConn - A duplex connection returned from multiplexer and/or crypto selection
    * @param {MuxerFactory} [options.Muxer] - The muxer to be used for muxing
    * @param {PeerId} options.remotePeer - The peer the connection is with
+   * @param {ConnectionScope} [options.connectionScope] - The resource manager scope of the connection
    * @returns {Connection}
    */
   _createConnection ({
@@ -251,7 +368,8 @@ class Upgrader {
     maConn,
     upgradedConn,
     Muxer,
-    remotePeer
+    remotePeer,
+    connectionScope
   }) {
     /** @type {import("libp2p-interfaces/src/stream-muxer/types").Muxer} */
     let muxer
@@ -259,6 +377,80 @@ class Upgrader {
     let newStream
     /** @type {Connection} */
     let connection // eslint-disable-line prefer-const
+    /**
+     * The resource manager scopes of the streams, by stream id
+     *
+     * @type {Map<string, StreamScope>}
+     */
+    const streamScopes = new Map()
+    const resourceManager = this.resourceManager
+    /**
+     * The protocol and direction of the streams, by stream id
+     *
+     * @type {Map<string, { protocol: string, direction: 'inbound' | 'outbound' }>}
+     */
+    const streamProtocols = new Map()
+    /**
+     * The idle timers of the streams, by stream id
+     *
+     * @type {Map<string, any>}
+     */
+    const idleTimers = new Map()
+
+    /**
+     * Aborts the muxed stream once nothing was read from or written to the
+     * negotiated stream for `streamIdleTimeout`.
+     *
+     * @param {MuxedStream} muxedStream
+     * @param {MuxedStream} stream - The stream negotiated on the muxed stream
+     * @returns {MuxedStream}
+     */
+    const withIdleTimeout = (muxedStream, stream) => {
+      const timeout = this.streamIdleTimeout
+      if (!(timeout > 0) || timeout === Infinity) {
+        return stream
+      }
+
+      const timer = retimer(() => {
+        log('%s: aborting stream %s, idle for %dms', direction, muxedStream.id, timeout)
+        muxedStream.abort()
+      }, timeout)
+      idleTimers.set(muxedStream.id, timer)
+
+      /**
+       * @param {AsyncIterable<any>|Iterable<any>} source
+       */
+      const touch = async function * (source) {
+        for await (const chunk of source) {
+          timer.reschedule(timeout)
+          yield chunk
+        }
+      }
+
+      return {
+        ...stream,
+        source: touch(stream.source),
+        sink: source => stream.sink(touch(source))
+      }
+    }
+
+    /**
+     * Whether the connection has as many streams of the protocol in the
+     * direction as allowed by the handler options of the protocol.
+     *
+     * @param {string} protocol
+     * @param {'inbound' | 'outbound'} direction
+     */
+    const isStreamLimitReached = (protocol, direction) => {
+      let count = 0
+      for (const stream of streamProtocols.values()) {
+        if (stream.protocol === protocol && stream.direction === direction) {
+          count++
+        }
+      }
+
+      return count >= this._getStreamLimit(protocol, direction)
+    }
 
     if (Muxer) {
       // Create the muxer
@@ -266,35 +458,111 @@ class Upgrader {
         // Run anytime a remote stream is created
         onStream: async muxedStream => {
           if (!connection) return
-          const mss = new Multistream.Listener(muxedStream)
+          // Peers start the protocol negotiation of the streams they open right away,
+          // the ones dropping streams before sending anything are penalized
+          let received = false
+          const mss = new Multistream.Listener({
+            ...muxedStream,
+            source: (async function * () {
+              for await (const chunk of muxedStream.source) {
+                received = true
+                yield chunk
+              }
+            })()
+          })
           try {
-            const { stream, protocol } = await mss.handle(Array.from(this.protocols.keys()))
+            const scope = connectionScope && resourceManager && resourceManager.openStream(connectionScope, 'inbound')
+            scope && streamScopes.set(muxedStream.id, scope)
+
+            let selected
+            try {
+              selected = await mss.handle(Array.from(this.protocols.keys()))
+            } catch (/** @type {any} */ err) {
+              !received && this.peerScoring && this.peerScoring.penalize(remotePeer, 'droppedStream')
+              throw err
+            }
+
+            const { stream, protocol } = selected
             log('%s: incoming stream opened on %s', direction, protocol)
+
+            if (isStreamLimitReached(protocol, 'inbound')) {
+              throw errCode(new Error(`Too many inbound streams of ${protocol} on the connection`), codes.ERR_TOO_MANY_INBOUND_PROTOCOL_STREAMS)
+            }
+
+            streamProtocols.set(muxedStream.id, { protocol, direction: 'inbound' })
+            scope && scope.setProtocol(protocol)
             if (this.metrics) this.metrics.trackStream({ stream, remotePeer, protocol })
             connection.addStream(muxedStream, { protocol })
-            this._onStream({ connection, stream: { ...muxedStream, ...stream }, protocol })
+            this.connectionManager && this.connectionManager.onStreamActivity(connection)
+            this._onStream({ connection, stream: { ...muxedStream, ...withIdleTimeout(muxedStream, stream) }, protocol, scope })
           } catch (/** @type {any} */ err) {
             log.error(err)
+
+            if (err.code === codes.ERR_RESOURCE_LIMIT_EXCEEDED || err.code === codes.ERR_TOO_MANY_INBOUND_PROTOCOL_STREAMS) {
+              muxedStream.abort()
+            }
           }
         },
         // Run anytime a stream closes
         onStreamEnd: muxedStream => {
           connection.removeStream(muxedStream.id)
+          this.connectionManager && this.connectionManager.onStreamActivity(connection)
+          streamProtocols.delete(muxedStream.id)
+
+          const timer = idleTimers.get(muxedStream.id)
+          timer && timer.clear()
+          idleTimers.delete(muxedStream.id)
+
+          const scope = streamScopes.get(muxedStream.id)
+          scope && scope.done()
+          streamScopes.delete(muxedStream.id)
         }
       })
 
       newStream = async (protocols) => {
         log('%s: starting new stream on %s', direction, protocols)
+
+        // Do not negotiate the protocols we cannot open more streams of
+        const available = (Array.isArray(protocols) ? protocols : [protocols])
+          .filter(protocol => !isStreamLimitReached(protocol, 'outbound'))
+
+        if (!available.length) {
+          const err = errCode(new Error(`Too many outbound streams of ${protocols} on the connection`), codes.ERR_TOO_MANY_OUTBOUND_PROTOCOL_STREAMS)
+          log.error('could not create new stream', err)
+          throw err
+        }
+
+        const scope = connectionScope && resourceManager && resourceManager.openStream(connectionScope, 'outbound')
         const muxedStream = muxer.newStream()
+        scope && streamScopes.set(muxedStream.id, scope)
         const mss = new Multistream.Dialer(muxedStream)
+        let selected
         try {
-          const { stream, protocol } = await mss.select(protocols)
-          if (this.metrics) this.metrics.trackStream({ stream, remotePeer, protocol })
-          return { stream: { ...muxedStream, ...stream }, protocol }
+          selected = await mss.select(available)
         } catch (/** @type {any} */ err) {
           log.error('could not create new stream', err)
+          scope && scope.done()
           throw errCode(err, codes.ERR_UNSUPPORTED_PROTOCOL)
         }
+
+        const { stream, protocol } = selected
+        try {
+          // Other streams of the protocol may have been opened during the negotiation
+          if (isStreamLimitReached(protocol, 'outbound')) {
+            throw errCode(new Error(`Too many outbound streams of ${protocol} on the connection`), codes.ERR_TOO_MANY_OUTBOUND_PROTOCOL_STREAMS)
+          }
+
+          streamProtocols.set(muxedStream.id, { protocol, direction: 'outbound' })
+          scope && scope.setProtocol(protocol)
+        } catch (/** @type {any} */ err) {
+          log.error('could not create new stream', err)
+          muxedStream.abort()
+          throw err
+        }
+
+        if (this.metrics) this.metrics.trackStream({ stream, remotePeer, protocol })
+        this.connectionManager && this.connectionManager.onStreamActivity(connection)
+        return { stream: { ...muxedStream, ...withIdleTimeout(muxedStream, stream) }, protocol }
       }
 
       // Pipe all data through the muxer
@@ -314,6 +582,11 @@ class Upgrader {
             } catch (/** @type {any} */ err) {
               log.error(err)
             } finally {
+              streamScopes.forEach(scope => scope.done())
+              streamScopes.clear()
+              idleTimers.forEach(timer => timer.clear())
+              idleTimers.clear()
+              connectionScope && connectionScope.done()
               this.onConnectionEnd(connection)
             }
           })().catch(err => {
@@ -359,6 +632,22 @@ class Upgrader {
     return connection
   }
 
+  /**
+   * The maximum number of streams of the protocol, in the direction, per
+   * connection.
+   *
+   * @private
+   * @param {string} protocol
+   * @param {'inbound' | 'outbound'} direction
+   * @returns {number}
+   */
+  _getStreamLimit (protocol, direction) {
+    const options = this.protocolOptions.get(protocol) || {}
+    const limit = direction === 'inbound' ? options.maxInboundStreams : options.maxOutboundStreams
+
+    return limit === undefined ? Infinity : limit
+  }
+
   /**
    * Routes incoming streams to the correct handler
    *
@@ -367,10 +656,11 @@ class Upgrader {
    * @param {Connection} options.connection - The connection the stream belongs to
    * @param {MuxedStream} options.stream
    * @param {string} options.protocol
+   * @param {StreamScope} [options.scope] - The resource manager scope of the stream
    */
-  _onStream ({ connection, stream, protocol }) {
+  _onStream ({ connection, stream, protocol, scope }) {
     const handler = this.protocols.get(protocol)
-    handler({ connection, stream, protocol })
+    handler({ connection, stream, protocol, scope })
   }
 
   /**
@@ -388,21 +678,28 @@ class Upgrader {
     const protocols = Array.from(cryptos.keys())
     log('handling inbound crypto protocol selection', protocols)
 
+    let selected
     try {
-      const { stream, protocol } = await mss.handle(protocols)
-      const crypto = cryptos.get(protocol)
-      log('encrypting inbound connection...')
+      selected = await mss.handle(protocols)
+    } catch (/** @type {any} */ err) {
+      throw errCode(err, codes.ERR_ENCRYPTION_FAILED)
+    }
 
-      if (!crypto) {
-        throw new Error(`no crypto module found for ${protocol}`)
-      }
+    const { stream, protocol } = selected
+    const crypto = cryptos.get(protocol)
+    log('encrypting inbound connection...')
+
+    if (!crypto) {
+      throw errCode(new Error(`no crypto module found for ${protocol}`), codes.ERR_ENCRYPTION_FAILED)
+    }
 
+    try {
       return {
         ...await crypto.secureInbound(localPeer, stream),
         protocol
       }
     } catch (/** @type {any} */ err) {
-      throw errCode(err, codes.ERR_ENCRYPTION_FAILED)
+      throw errCode(err, codes.ERR_ENCRYPTION_FAILED, { handshakeViolation: isHandshakeViolation(err) })
     }
   }
 
@@ -423,21 +720,28 @@ class Upgrader {
     const protocols = Array.from(cryptos.keys())
     log('selecting outbound crypto protocol', protocols)
 
+    let selected
     try {
-      const { stream, protocol } = await mss.select(protocols)
-      const crypto = cryptos.get(protocol)
-      log('encrypting outbound connection to %j', remotePeerId)
+      selected = await mss.select(protocols)
+    } catch (/** @type {any} */ err) {
+      throw errCode(err, codes.ERR_ENCRYPTION_FAILED)
+    }
 
-      if (!crypto) {
-        throw new Error(`no crypto module found for ${protocol}`)
-      }
+    const { stream, protocol } = selected
+    const crypto = cryptos.get(protocol)
+    log('encrypting outbound connection to %j', remotePeerId)
+
+    if (!crypto) {
+      throw errCode(new Error(`no crypto module found for ${protocol}`), codes.ERR_ENCRYPTION_FAILED)
+    }
 
+    try {
       return {
         ...await crypto.secureOutbound(localPeer, stream, remotePeerId),
         protocol
       }
     } catch (/** @type {any} */ err) {
-      throw errCode(err, codes.ERR_ENCRYPTION_FAILED)
+      throw errCode(err, codes.ERR_ENCRYPTION_FAILED, { handshakeViolation: isHandshakeViolation(err) })
     }
   }
 
@@ -2,6 +2,7 @@
 /* eslint-env mocha */
 
 const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
 const { Multiaddr } = require('multiaddr')
 const PeerId = require('peer-id')
 
@@ -123,6 +124,117 @@ describe('Address Manager', () => {
     expect(am.observed).to.have.property('size', 1)
     expect(am.observed).to.include(ma)
   })
+
+  it('should only confirm observed addresses', () => {
+    const ma = '/ip4/123.123.123.123/tcp/39201'
+    const am = new AddressManager(peerId)
+    let eventCount = 0
+
+    am.on('change:addresses', () => {
+      eventCount++
+    })
+
+    am.confirmObservedAddr(ma)
+    expect(am.getConfirmedObservedAddrs()).to.be.empty()
+
+    am.addObservedAddr(ma)
+    am.confirmObservedAddr(ma)
+    am.confirmObservedAddr(new Multiaddr(ma))
+
+    expect(am.getConfirmedObservedAddrs().map(addr => addr.toString())).to.deep.equal([ma])
+    expect(eventCount).to.equal(2)
+  })
+
+  describe('observed addresses reported by peers', () => {
+    const ma = '/ip4/123.123.123.123/tcp/39201'
+    let peerIds
+
+    before(async () => {
+      peerIds = await peerUtils.createPeerId({ number: 3 })
+    })
+
+    afterEach(() => {
+      sinon.restore()
+    })
+
+    it('should only announce addresses reported from enough ip groups', () => {
+      const am = new AddressManager(peerId, { observedAddrThreshold: 2 })
+      let eventCount = 0
+
+      am.on('change:addresses', () => {
+        eventCount++
+      })
+
+      am.addObservedAddr(ma, { peerId: peerIds[0], addr: new Multiaddr('/ip4/1.2.3.4/tcp/4001') })
+      expect(am.getObservedAddrs()).to.be.empty()
+      expect(eventCount).to.equal(0)
+
+      // same /16 as the first observer
+      am.addObservedAddr(ma, { peerId: peerIds[1], addr: new Multiaddr('/ip4/1.2.200.200/tcp/4001') })
+      expect(am.getObservedAddrs()).to.be.empty()
+
+      am.addObservedAddr(ma, { peerId: peerIds[2], addr: new Multiaddr('/ip6/2001:db8::1/tcp/4001') })
+      expect(am.getObservedAddrs().map(addr => addr.toString())).to.deep.equal([ma])
+      expect(eventCount).to.equal(1)
+    })
+
+    it('should count each peer once', () => {
+      const am = new AddressManager(peerId, { observedAddrThreshold: 2 })
+
+      am.addObservedAddr(ma, { peerId: peerIds[0], addr: new Multiaddr('/ip4/1.2.3.4/tcp/4001') })
+      am.addObservedAddr(ma, { peerId: peerIds[0], addr: new Multiaddr('/ip4/5.6.7.8/tcp/4001') })
+
+      const [candidate] = am.getObservedAddrCandidates()
+      expect(candidate.multiaddr.toString()).to.equal(ma)
+      expect(candidate.score).to.equal(1)
+      expect(am.getObservedAddrs()).to.be.empty()
+    })
+
+    it('should list candidate addresses with their score', () => {
+      const am = new AddressManager(peerId)
+      const otherMa = '/ip4/123.123.123.123/tcp/39202'
+
+      am.addObservedAddr(ma, { peerId: peerIds[0], addr: new Multiaddr('/ip4/1.2.3.4/tcp/4001') })
+      am.addObservedAddr(ma, { peerId: peerIds[1], addr: new Multiaddr('/ip4/5.6.7.8/tcp/4001') })
+      am.addObservedAddr(otherMa)
+
+      expect(am.getObservedAddrCandidates().map(({ multiaddr, score }) => [multiaddr.toString(), score]))
+        .to.deep.equal([[ma, 2], [otherMa, Infinity]])
+    })
+
+    it('should expire addresses no peer reported within the ttl', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      const am = new AddressManager(peerId, { observedAddrThreshold: 1, observedAddrTtl: 1000, observedAddrGcInterval: 200 })
+      const changeSpy = sinon.spy()
+      am.on('change:addresses', changeSpy)
+      am.start()
+
+      am.addObservedAddr(ma, { peerId: peerIds[0], addr: new Multiaddr('/ip4/1.2.3.4/tcp/4001') })
+      clock.tick(600)
+      am.addObservedAddr(ma, { peerId: peerIds[0], addr: new Multiaddr('/ip4/1.2.3.4/tcp/4001') })
+      clock.tick(600)
+      expect(am.getObservedAddrs().map(addr => addr.toString())).to.deep.equal([ma])
+      expect(changeSpy.callCount).to.equal(1)
+
+      clock.tick(600)
+      expect(am.getObservedAddrs()).to.be.empty()
+      expect(am.getObservedAddrCandidates()).to.be.empty()
+      expect(changeSpy.callCount).to.equal(2)
+
+      am.stop()
+    })
+
+    it('should not expire addresses once stopped', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      const am = new AddressManager(peerId, { observedAddrThreshold: 1, observedAddrTtl: 1000, observedAddrGcInterval: 200 })
+      am.start()
+      am.stop()
+
+      am.addObservedAddr(ma, { peerId: peerIds[0], addr: new Multiaddr('/ip4/1.2.3.4/tcp/4001') })
+      clock.tick(2000)
+      expect(am.getObservedAddrs().map(addr => addr.toString())).to.deep.equal([ma])
+    })
+  })
 })
 
 describe('libp2p.addressManager', () => {
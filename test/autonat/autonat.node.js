@@ -0,0 +1,184 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const pWaitFor = require('p-wait-for')
+const sinon = require('sinon')
+const { Multiaddr } = require('multiaddr')
+
+const { createPeerId } = require('../utils/creators/peer')
+const baseOptions = require('../utils/base-options')
+const Libp2p = require('../../src')
+const AutoNAT = require('../../src/autonat')
+
+const listenAddr = '/ip4/0.0.0.0/tcp/0'
+
+/**
+ * @param {Libp2p} node
+ * @param {Libp2p} peer
+ */
+async function supportsAutoNAT (node, peer) {
+  await pWaitFor(async () => {
+    const protocols = await node.peerStore.protoBook.get(peer.peerId)
+    return protocols.includes(AutoNAT.PROTOCOL)
+  })
+}
+
+/**
+ * @param {Libp2p} node
+ * @param {Libp2p} peer
+ */
+function connect (node, peer) {
+  return node.dial(peer.transportManager.getAddrs()[0].encapsulate(`/p2p/${peer.peerId.toB58String()}`))
+}
+
+describe('AutoNAT', () => {
+  let libp2p
+  let serverLibp2p
+
+  beforeEach(async () => {
+    const peerIds = await createPeerId({ number: 2 })
+    ;[libp2p, serverLibp2p] = peerIds.map(peerId => new Libp2p({
+      ...baseOptions,
+      config: {
+        ...baseOptions.config,
+        autoNat: {
+          enabled: true,
+          threshold: 1
+        }
+      },
+      addresses: {
+        listen: [listenAddr]
+      },
+      peerId
+    }))
+
+    await Promise.all([libp2p, serverLibp2p].map(node => node.start()))
+  })
+
+  afterEach(() => {
+    sinon.restore()
+    return Promise.all([libp2p, serverLibp2p].map(node => node.stop()))
+  })
+
+  it('should start with an unknown reachability', () => {
+    expect(libp2p.autoNat.reachability).to.equal(AutoNAT.Reachability.UNKNOWN)
+  })
+
+  it('should be public if peers can dial back', async () => {
+    const spy = sinon.spy()
+    libp2p.autoNat.on('change:reachability', spy)
+
+    await connect(libp2p, serverLibp2p)
+    await supportsAutoNAT(libp2p, serverLibp2p)
+
+    await expect(libp2p.autoNat.checkReachability()).to.eventually.equal(AutoNAT.Reachability.PUBLIC)
+    expect(spy.calledOnceWith(AutoNAT.Reachability.PUBLIC)).to.be.true()
+  })
+
+  it('should be private if peers cannot dial back', async () => {
+    sinon.stub(serverLibp2p.transportManager, 'dial').rejects(new Error('could not dial'))
+
+    await connect(libp2p, serverLibp2p)
+    await supportsAutoNAT(libp2p, serverLibp2p)
+
+    await expect(libp2p.autoNat.checkReachability()).to.eventually.equal(AutoNAT.Reachability.PRIVATE)
+  })
+
+  it('should not dial back addresses on another ip address than the peer', async () => {
+    const dialSpy = sinon.spy(serverLibp2p.transportManager, 'dial')
+    sinon.stub(libp2p.transportManager, 'getAddrs').returns([new Multiaddr('/ip4/93.184.216.34/tcp/4001')])
+    sinon.stub(libp2p.addressManager, 'getObservedAddrCandidates').returns([])
+
+    await connect(libp2p, serverLibp2p)
+    await supportsAutoNAT(libp2p, serverLibp2p)
+
+    await expect(libp2p.autoNat.checkReachability()).to.eventually.equal(AutoNAT.Reachability.UNKNOWN)
+    expect(dialSpy.called).to.be.false()
+  })
+
+  it('should only announce observed addresses once confirmed', async () => {
+    const reachableAddr = libp2p.transportManager.getAddrs()
+      .find(addr => addr.toOptions().host === '127.0.0.1')
+    const unreachableAddr = new Multiaddr('/ip4/127.0.0.1/tcp/1')
+    libp2p.addressManager.addObservedAddr(reachableAddr)
+    libp2p.addressManager.addObservedAddr(unreachableAddr)
+
+    expect(libp2p.addressManager.getConfirmedObservedAddrs()).to.be.empty()
+    expect(libp2p.multiaddrs.map(addr => addr.toString())).to.not.include(unreachableAddr.toString())
+
+    await connect(libp2p, serverLibp2p)
+    await supportsAutoNAT(libp2p, serverLibp2p)
+    await libp2p.autoNat.checkReachability()
+
+    expect(libp2p.addressManager.getConfirmedObservedAddrs().map(addr => addr.toString())).to.deep.equal([reachableAddr.toString()])
+    expect(libp2p.multiaddrs.map(addr => addr.toString())).to.not.include(unreachableAddr.toString())
+  })
+})
+
+describe('AutoNAT with auto relay', () => {
+  let libp2p
+  let relayLibp2p
+
+  beforeEach(async () => {
+    const peerIds = await createPeerId({ number: 2 })
+    ;[libp2p, relayLibp2p] = peerIds.map((peerId, index) => new Libp2p({
+      ...baseOptions,
+      config: {
+        ...baseOptions.config,
+        relay: {
+          hop: {
+            enabled: index === 1
+          },
+          autoRelay: {
+            enabled: index === 0,
+            maxListeners: 1
+          }
+        },
+        autoNat: {
+          enabled: true
+        }
+      },
+      addresses: {
+        listen: [listenAddr]
+      },
+      peerId
+    }))
+
+    await Promise.all([libp2p, relayLibp2p].map(node => node.start()))
+  })
+
+  afterEach(() => {
+    return Promise.all([libp2p, relayLibp2p].map(node => node.stop()))
+  })
+
+  it('should only listen on relays once private', async () => {
+    const isRelayed = () => libp2p.multiaddrs.some(addr => addr.toString().includes('/p2p-circuit'))
+
+    await connect(libp2p, relayLibp2p)
+    await supportsAutoNAT(libp2p, relayLibp2p)
+    expect(isRelayed()).to.be.false()
+
+    libp2p.autoNat._setReachability(AutoNAT.Reachability.PRIVATE)
+
+    await pWaitFor(isRelayed)
+  })
+
+  it('should release the relays once public', async () => {
+    const isRelayed = () => libp2p.multiaddrs.some(addr => addr.toString().includes('/p2p-circuit'))
+
+    await connect(libp2p, relayLibp2p)
+    await supportsAutoNAT(libp2p, relayLibp2p)
+
+    libp2p.autoNat._setReachability(AutoNAT.Reachability.PRIVATE)
+    // The relay is protected once listening on it has fully completed
+    await pWaitFor(() => isRelayed() && libp2p.connectionManager.isProtected(relayLibp2p.peerId, 'relay'))
+    expect(relayLibp2p.relay.reservationStore.hasReservation(libp2p.peerId)).to.be.true()
+
+    libp2p.autoNat._setReachability(AutoNAT.Reachability.PUBLIC)
+    await pWaitFor(() => !isRelayed())
+
+    expect(libp2p.connectionManager.isProtected(relayLibp2p.peerId, 'relay')).to.be.false()
+    await pWaitFor(() => !relayLibp2p.relay.reservationStore.hasReservation(libp2p.peerId))
+  })
+})
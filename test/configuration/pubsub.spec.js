@@ -127,3 +127,43 @@ describe('Pubsub subscription handlers adapter', () => {
     await delay(100)
   })
 })
+
+describe('Pubsub mesh peers', () => {
+  let libp2p
+
+  beforeEach(async () => {
+    const [peerId] = await peerUtils.createPeerId()
+
+    class MeshPubsub extends pubsubSubsystemOptions.modules.pubsub {
+      constructor (...args) {
+        super(...args)
+        this.mesh = new Map()
+      }
+    }
+
+    libp2p = await create(mergeOptions(pubsubSubsystemOptions, {
+      peerId,
+      modules: {
+        pubsub: MeshPubsub
+      }
+    }))
+  })
+
+  it('should tag the peers in the mesh on heartbeat', async () => {
+    const [peerId1, peerId2] = await peerUtils.createPeerId({ number: 2, fixture: false })
+    const getTag = (peerId) => libp2p.connectionManager.getPeerTags(peerId).get('pubsub-mesh')
+
+    libp2p.pubsub.mesh.set('topic-a', new Set([peerId1.toB58String()]))
+    libp2p.pubsub.mesh.set('topic-b', new Set([peerId1.toB58String(), peerId2.toB58String()]))
+    libp2p.pubsub.emit('gossipsub:heartbeat')
+
+    expect(getTag(peerId1)).to.equal(20)
+    expect(getTag(peerId2)).to.equal(20)
+
+    libp2p.pubsub.mesh.delete('topic-b')
+    libp2p.pubsub.emit('gossipsub:heartbeat')
+
+    expect(getTag(peerId1)).to.equal(20)
+    expect(getTag(peerId2)).to.be.undefined()
+  })
+})
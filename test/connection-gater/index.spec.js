@@ -0,0 +1,190 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const { Multiaddr } = require('multiaddr')
+const { MemoryDatastore } = require('datastore-core/memory')
+const delay = require('delay')
+
+const peerUtils = require('../utils/creators/peer')
+const mockConnection = require('../utils/mockConnection')
+const ConnectionGater = require('../../src/connection-gater')
+const { parseCidr, cidrContains } = require('../../src/connection-gater/cidr')
+const { codes } = require('../../src/errors')
+
+describe('Connection Gater', () => {
+  let peerId1, peerId2
+  let libp2p
+
+  before(async () => {
+    [peerId1, peerId2] = await peerUtils.createPeerId({ number: 2 })
+  })
+
+  beforeEach(() => {
+    libp2p = {
+      datastore: new MemoryDatastore(),
+      connectionManager: { connections: new Map() }
+    }
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  /**
+   * @param {string} ip
+   */
+  const maConn = (ip) => ({ remoteAddr: new Multiaddr(`${ip}/tcp/4001`) })
+
+  it('should match IP addresses with CIDR ranges', () => {
+    expect(cidrContains(parseCidr('10.0.0.0/8'), '10.200.3.4')).to.be.true()
+    expect(cidrContains(parseCidr('10.0.0.0/8'), '11.0.0.1')).to.be.false()
+    expect(cidrContains(parseCidr('192.168.1.128/25'), '192.168.1.200')).to.be.true()
+    expect(cidrContains(parseCidr('192.168.1.128/25'), '192.168.1.100')).to.be.false()
+    expect(cidrContains(parseCidr('1.2.3.4'), '1.2.3.4')).to.be.true()
+    expect(cidrContains(parseCidr('2001:db8::/32'), '2001:db8:1::1')).to.be.true()
+    expect(cidrContains(parseCidr('2001:db8::/32'), '2001:db9::1')).to.be.false()
+    expect(cidrContains(parseCidr('::ffff:0:0/96'), '::ffff:1.2.3.4')).to.be.true()
+    expect(cidrContains(parseCidr('0.0.0.0/0'), '::1')).to.be.false()
+
+    for (const invalid of ['10.0.0.0/33', '10.0.0/8', '1::2::3', 'example.com', '10.0.0.0/']) {
+      expect(() => parseCidr(invalid)).to.throw().with.property('code', codes.ERR_INVALID_PARAMETERS)
+    }
+  })
+
+  it('should deny the peers of the deny list and outside of the allow list', async () => {
+    const gater = new ConnectionGater(libp2p, { denyPeers: [peerId1.toB58String()] })
+    expect(await gater.denyDialPeer(peerId1)).to.be.true()
+    expect(await gater.denyInboundEncryptedConnection(peerId1, maConn('/ip4/1.2.3.4'))).to.be.true()
+    expect(await gater.denyDialPeer(peerId2)).to.be.false()
+
+    const allowGater = new ConnectionGater(libp2p, { allowPeers: [peerId1.toB58String()] })
+    expect(await allowGater.denyDialPeer(peerId1)).to.be.false()
+    expect(await allowGater.denyDialPeer(peerId2)).to.be.true()
+  })
+
+  it('should deny the IP addresses of the denied CIDR ranges and outside of the allowed ones', async () => {
+    const gater = new ConnectionGater(libp2p, {
+      allowCidrs: ['10.0.0.0/8', 'fd00::/8'],
+      denyCidrs: ['10.1.0.0/16']
+    })
+
+    expect(await gater.denyInboundConnection(maConn('/ip4/10.2.3.4'))).to.be.false()
+    expect(await gater.denyInboundConnection(maConn('/ip6/fd12::1'))).to.be.false()
+    expect(await gater.denyInboundConnection(maConn('/ip4/10.1.3.4'))).to.be.true()
+    expect(await gater.denyInboundConnection(maConn('/ip4/8.8.8.8'))).to.be.true()
+    expect(await gater.denyDialMultiaddr(peerId1, new Multiaddr('/ip4/8.8.8.8/tcp/4001'))).to.be.true()
+
+    // multiaddrs without IP address are not subject to the CIDR rules
+    expect(await gater.denyDialMultiaddr(peerId1, new Multiaddr('/dns4/example.com/tcp/4001'))).to.be.false()
+  })
+
+  it('should deny the multiaddrs of the denied transports and outside of the allowed ones', async () => {
+    const gater = new ConnectionGater(libp2p, { denyTransports: ['p2p-circuit'] })
+    expect(await gater.denyDialMultiaddr(peerId1, new Multiaddr('/ip4/1.2.3.4/tcp/4001/p2p-circuit'))).to.be.true()
+    expect(await gater.denyDialMultiaddr(peerId1, new Multiaddr('/ip4/1.2.3.4/tcp/4001'))).to.be.false()
+
+    const allowGater = new ConnectionGater(libp2p, { allowTransports: ['ws', 'wss'] })
+    expect(await allowGater.denyDialMultiaddr(peerId1, new Multiaddr('/ip4/1.2.3.4/tcp/4001/ws'))).to.be.false()
+    expect(await allowGater.denyDialMultiaddr(peerId1, new Multiaddr('/ip4/1.2.3.4/tcp/4001'))).to.be.true()
+  })
+
+  it('should call the configured callbacks of the connections allowed by the rules', async () => {
+    const denyDialPeer = sinon.stub().returns(true)
+    const filterMultiaddrForPeer = sinon.stub().returns(false)
+    const gater = new ConnectionGater(libp2p, {
+      denyPeers: [peerId1.toB58String()],
+      denyDialPeer,
+      filterMultiaddrForPeer
+    })
+
+    expect(await gater.denyDialPeer(peerId1)).to.be.true()
+    expect(denyDialPeer.called).to.be.false()
+    expect(await gater.denyDialPeer(peerId2)).to.be.true()
+    expect(denyDialPeer.calledWith(peerId2)).to.be.true()
+    expect(await gater.filterMultiaddrForPeer(peerId2, new Multiaddr('/ip4/1.2.3.4/tcp/4001'))).to.be.false()
+  })
+
+  it('should ban peers until the ban expires and close their connections', async () => {
+    const clock = sinon.useFakeTimers(Date.now())
+    const connection = await mockConnection()
+    const closeSpy = sinon.spy(connection, 'close')
+    libp2p.connectionManager.connections.set(connection.remotePeer.toB58String(), [connection])
+
+    const gater = new ConnectionGater(libp2p)
+    await gater.ban(connection.remotePeer, 1000)
+
+    expect(closeSpy.calledOnce).to.be.true()
+    expect(await gater.denyDialPeer(connection.remotePeer)).to.be.true()
+    expect(gater.getBans()).to.eql([{ type: 'peer', target: connection.remotePeer.toB58String(), expires: Date.now() + 1000 }])
+
+    clock.tick(1000)
+    expect(await gater.denyDialPeer(connection.remotePeer)).to.be.false()
+    expect(gater.getBans()).to.be.empty()
+  })
+
+  it('should ban CIDR ranges and close the connections from their IP addresses', async () => {
+    const connection = await mockConnection({ remoteAddr: new Multiaddr('/ip4/10.1.2.3/tcp/4001') })
+    const otherConnection = await mockConnection()
+    const closeSpy = sinon.spy(connection, 'close')
+    const otherCloseSpy = sinon.spy(otherConnection, 'close')
+    libp2p.connectionManager.connections.set(peerId1.toB58String(), [connection, otherConnection])
+
+    const gater = new ConnectionGater(libp2p)
+    await gater.ban('10.1.0.0/16')
+
+    expect(closeSpy.calledOnce).to.be.true()
+    expect(otherCloseSpy.called).to.be.false()
+    expect(await gater.denyInboundConnection(maConn('/ip4/10.1.200.1'))).to.be.true()
+
+    await gater.unban('10.1.0.0/16')
+    expect(await gater.denyInboundConnection(maConn('/ip4/10.1.200.1'))).to.be.false()
+
+    await expect(gater.ban('10.1.0.0/16', 0)).to.eventually.be.rejected()
+      .with.property('code', codes.ERR_INVALID_PARAMETERS)
+  })
+
+  it('should persist the bans in the datastore when configured to', async () => {
+    const gater = new ConnectionGater(libp2p, { persistBans: true })
+    await gater.ban(peerId1)
+    await gater.ban('10.0.0.0/8', 1000)
+    await gater.ban(peerId2, 1)
+
+    await delay(10)
+
+    const restarted = new ConnectionGater(libp2p, { persistBans: true })
+    await restarted.start()
+
+    expect(await restarted.denyDialPeer(peerId1)).to.be.true()
+    expect(await restarted.denyDialPeer(peerId2)).to.be.false()
+    expect(await restarted.denyInboundConnection(maConn('/ip4/10.1.2.3'))).to.be.true()
+    expect(restarted.getBans()).to.have.length(2)
+
+    await restarted.unban(peerId1)
+    const other = new ConnectionGater(libp2p, { persistBans: true })
+    await other.start()
+    expect(other.getBans().map(ban => ban.target)).to.eql(['10.0.0.0/8'])
+
+    const notPersisted = new ConnectionGater(libp2p)
+    await notPersisted.start()
+    expect(notPersisted.getBans()).to.be.empty()
+  })
+
+  it('should reload the persisted bans when restarted', async () => {
+    const gater = new ConnectionGater(libp2p, { persistBans: true })
+    await gater.start()
+    await gater.ban(peerId1)
+
+    gater.stop()
+    expect(gater.getBans()).to.be.empty()
+
+    await gater.start()
+    expect(await gater.denyDialPeer(peerId1)).to.be.true()
+
+    const notPersisted = new ConnectionGater(libp2p)
+    await notPersisted.ban(peerId1)
+    notPersisted.stop()
+    expect(await notPersisted.denyDialPeer(peerId1)).to.be.true()
+  })
+})
@@ -3,10 +3,17 @@
 
 const { expect } = require('aegir/utils/chai')
 const sinon = require('sinon')
+const { EventEmitter } = require('events')
+const { Multiaddr } = require('multiaddr')
 const AutoDialler = require('../../src/connection-manager/auto-dialler')
 const pWaitFor = require('p-wait-for')
 const PeerId = require('peer-id')
 const delay = require('delay')
+const pDefer = require('p-defer')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+const { namespaceToCid } = require('../../src/circuit/utils')
+
+const { scorePeer } = AutoDialler
 
 describe('Auto-dialler', () => {
   let autoDialler
@@ -44,11 +51,13 @@ describe('Auto-dialler', () => {
     libp2p.peerStore = {
       getPeers: sinon.stub().returns([self, other])
     }
-    libp2p.connectionManager = {
+    libp2p.connectionManager = Object.assign(new EventEmitter(), {
       get: () => {}
-    }
+    })
     libp2p.dialer = {
-      connectToPeer: sinon.stub().resolves()
+      connectToPeer: sinon.stub().resolves(),
+      isBackedOff: () => false,
+      getFailedDials: () => 0
     }
 
     await autoDialler.start()
@@ -61,4 +70,170 @@ describe('Auto-dialler', () => {
     expect(libp2p.dialer.connectToPeer.callCount).to.equal(1)
     expect(libp2p.dialer.connectToPeer.calledWith(self.id)).to.be.false()
   })
+
+  it('should score peers on what is known about them and on their failed dials', async () => {
+    const id = await PeerId.create()
+    const now = Date.now()
+    const unknown = { id: await PeerId.createFromB58String(id.toB58String()), addresses: [], protocols: [] }
+    const known = {
+      id,
+      addresses: [{ multiaddr: new Multiaddr('/ip4/1.2.3.4/tcp/4001'), isCertified: true }],
+      protocols: ['/foo/bar']
+    }
+
+    expect(scorePeer(unknown, { failedDials: 0, now })).to.equal(0)
+    expect(scorePeer(known, { failedDials: 0, now })).to.equal(4)
+    expect(scorePeer(known, { lastConnected: now - 1000, failedDials: 0, now })).to.equal(6)
+    expect(scorePeer(known, { lastConnected: now - 48 * 60 * 60e3, failedDials: 0, now })).to.equal(5)
+    expect(scorePeer(known, { failedDials: 3, now })).to.equal(1)
+  })
+
+  it('should dial the peers with the highest scores first, skipping the connected and backed off ones', async () => {
+    const [best, recent, failed, backedOff, connected] = await Promise.all(Array.from({ length: 5 }, async () => ({
+      id: await PeerId.createFromB58String((await PeerId.create()).toB58String()),
+      addresses: [],
+      protocols: ['/foo/bar']
+    })))
+    best.addresses = [{ multiaddr: new Multiaddr('/ip4/1.2.3.4/tcp/4001'), isCertified: true }]
+    recent.protocols = []
+
+    autoDialler = new AutoDialler(libp2p, { minConnections: 10, autoDialConcurrency: 1 })
+    libp2p.peerId = await PeerId.create()
+    libp2p.peerStore = {
+      getPeers: sinon.stub().returns([connected, backedOff, failed, recent, best])
+    }
+    libp2p.connectionManager = Object.assign(new EventEmitter(), {
+      get: (peerId) => peerId === connected.id
+    })
+    libp2p.dialer = {
+      connectToPeer: sinon.stub().resolves(),
+      isBackedOff: (peerId) => peerId === backedOff.id,
+      getFailedDials: (peerId) => peerId === failed.id ? 2 : 0
+    }
+
+    // Start with enough connections, so the peers are not dialed yet
+    libp2p.connections = { size: 10 }
+    await autoDialler.start()
+    libp2p.connectionManager.emit('peer:connect', { remotePeer: recent.id })
+
+    libp2p.connections = { size: 1 }
+    await autoDialler._autoDial()
+    await autoDialler.stop()
+
+    expect(libp2p.dialer.connectToPeer.args.map(([peerId]) => peerId)).to.eql([best.id, recent.id, failed.id])
+  })
+
+  it('should dial peers in parallel up to the concurrency', async () => {
+    const peers = await Promise.all(Array.from({ length: 5 }, async () => ({ id: await PeerId.create(), protocols: [] })))
+    const deferred = pDefer()
+
+    autoDialler = new AutoDialler(libp2p, { minConnections: 10, autoDialConcurrency: 2 })
+    libp2p.peerId = await PeerId.create()
+    libp2p.connections = { size: 0 }
+    libp2p.peerStore = {
+      getPeers: sinon.stub().returns(peers)
+    }
+    libp2p.connectionManager = Object.assign(new EventEmitter(), {
+      get: () => {}
+    })
+    libp2p.dialer = {
+      connectToPeer: sinon.stub().returns(deferred.promise),
+      isBackedOff: () => false,
+      getFailedDials: () => 0
+    }
+
+    await autoDialler.start()
+    await pWaitFor(() => libp2p.dialer.connectToPeer.callCount === 2)
+    await delay(100)
+    expect(libp2p.dialer.connectToPeer.callCount).to.equal(2)
+
+    deferred.resolve()
+    await pWaitFor(() => libp2p.dialer.connectToPeer.callCount === 5)
+    await autoDialler.stop()
+  })
+
+  it('should keep enough connections to peers speaking the given protocols', async () => {
+    const [connectedMesh, mesh1, mesh2, relay, hopRelay, other] = await Promise.all(Array.from({ length: 6 }, async () => ({
+      id: await PeerId.create(),
+      protocols: ['/meshsub/1.1.0'],
+      metadata: new Map()
+    })))
+    relay.protocols = hopRelay.protocols = ['/libp2p/circuit/relay/0.1.0']
+    hopRelay.metadata.set('hop_relay', uint8ArrayFromString('true'))
+    other.protocols = ['/foo/bar']
+
+    autoDialler = new AutoDialler(libp2p, {
+      minConnections: 0,
+      autoDialProtocols: {
+        '/meshsub/1.1.0': { minConnections: 2 },
+        '/libp2p/circuit/relay/0.1.0': { minConnections: 1, metadata: { hop_relay: 'true' } }
+      }
+    })
+    libp2p.peerId = await PeerId.create()
+    libp2p.connections = { size: 1 }
+    libp2p.peerStore = {
+      getPeers: sinon.stub().returns([connectedMesh, mesh1, mesh2, relay, hopRelay, other])
+    }
+    libp2p.connectionManager = Object.assign(new EventEmitter(), {
+      get: (peerId) => peerId === connectedMesh.id
+    })
+    libp2p.dialer = {
+      connectToPeer: sinon.stub().resolves(),
+      isBackedOff: () => false,
+      getFailedDials: () => 0
+    }
+
+    await autoDialler.start()
+    await pWaitFor(() => libp2p.dialer.connectToPeer.callCount === 2)
+    await delay(100)
+    await autoDialler.stop()
+
+    const dialed = libp2p.dialer.connectToPeer.args.map(([peerId]) => peerId)
+    expect(dialed).to.have.length(2)
+    expect(dialed).to.include(hopRelay.id)
+    expect([mesh1.id, mesh2.id]).to.include(dialed.find(peerId => peerId !== hopRelay.id))
+  })
+
+  it('should dial the providers of the protocol namespace when the stored peers run out', async () => {
+    const providers = await Promise.all(Array.from({ length: 5 }, async () => ({
+      id: await PeerId.create(),
+      multiaddrs: [new Multiaddr('/ip4/1.2.3.4/tcp/4001')]
+    })))
+
+    autoDialler = new AutoDialler(libp2p, {
+      minConnections: 0,
+      autoDialProtocols: {
+        '/libp2p/circuit/relay/0.2.0/hop': { minConnections: 2, namespace: '/libp2p/relay' }
+      }
+    })
+    libp2p.peerId = await PeerId.create()
+    libp2p.connections = { size: 0 }
+    libp2p.peerStore = {
+      getPeers: sinon.stub().returns([]),
+      addressBook: { add: sinon.stub().resolves() }
+    }
+    libp2p.contentRouting = {
+      findProviders: sinon.stub().callsFake(async function * () {
+        yield * providers
+      })
+    }
+    libp2p.connectionManager = Object.assign(new EventEmitter(), {
+      get: () => {}
+    })
+    libp2p.dialer = {
+      connectToPeer: sinon.stub().resolves(),
+      isBackedOff: () => false,
+      getFailedDials: () => 0
+    }
+
+    await autoDialler.start()
+    await pWaitFor(() => libp2p.dialer.connectToPeer.callCount === 2)
+    await delay(100)
+    await autoDialler.stop()
+
+    expect(libp2p.contentRouting.findProviders.firstCall.args[0].equals(await namespaceToCid('/libp2p/relay'))).to.be.true()
+    expect(libp2p.peerStore.addressBook.add.callCount).to.equal(4)
+    expect(libp2p.dialer.connectToPeer.callCount).to.equal(2)
+    expect(libp2p.dialer.connectToPeer.args.map(([peerId]) => peerId)).to.eql([providers[0].id, providers[1].id])
+  })
 })
@@ -0,0 +1,148 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+
+const peerUtils = require('../utils/creators/peer')
+const baseOptions = require('../utils/base-options.browser')
+const { decayFunctions } = require('../../src/connection-manager/decaying-tag')
+
+describe('Connection Manager decaying tags', () => {
+  let libp2p
+  let connectionManager
+  let peerId1, peerId2
+  let clock
+
+  beforeEach(async () => {
+    [peerId1, peerId2] = await peerUtils.createPeerId({ number: 2 })
+
+    // The PeerStore locks taken by the node constructor arm timers, they must be
+    // cleared by the same clock that set them
+    clock = sinon.useFakeTimers()
+    ;[libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules
+      },
+      started: false
+    })
+
+    // Wait for the protocols the node handles to be written to the PeerStore
+    await libp2p.peerStore.protoBook.get(libp2p.peerId)
+
+    connectionManager = libp2p.connectionManager
+    connectionManager.setPeerValue(peerId1, 0)
+    connectionManager.setPeerValue(peerId2, 0)
+  })
+
+  afterEach(() => {
+    for (const tag of connectionManager._decayingTags.values()) {
+      tag.close()
+    }
+
+    sinon.restore()
+  })
+
+  it('should bump values up to the cap', () => {
+    const tag = connectionManager.registerDecayingTag('blocks', {
+      interval: 1000,
+      decay: decayFunctions.linear(1),
+      cap: 10
+    })
+
+    expect(tag.bump(peerId1, 6)).to.equal(6)
+    expect(tag.bump(peerId1, 6)).to.equal(10)
+    expect(connectionManager.getPeerTags(peerId1).get('blocks')).to.equal(10)
+    expect(connectionManager.getPeerValue(peerId1)).to.equal(10)
+  })
+
+  it('should decay values linearly and remove the tag at 0', () => {
+    const tag = connectionManager.registerDecayingTag('blocks', {
+      interval: 1000,
+      decay: decayFunctions.linear(2)
+    })
+    tag.start()
+
+    tag.bump(peerId1, 5)
+    clock.tick(1000)
+    expect(tag.value(peerId1)).to.equal(3)
+    clock.tick(1000)
+    expect(tag.value(peerId1)).to.equal(1)
+    clock.tick(1000)
+    expect(connectionManager.getPeerTags(peerId1).has('blocks')).to.be.false()
+  })
+
+  it('should decay values exponentially', () => {
+    const tag = connectionManager.registerDecayingTag('blocks', {
+      interval: 1000,
+      decay: decayFunctions.exponential(0.5)
+    })
+    tag.start()
+
+    tag.bump(peerId1, 8)
+    clock.tick(2000)
+    expect(tag.value(peerId1)).to.equal(2)
+  })
+
+  it('should not decay fixed values', () => {
+    const tag = connectionManager.registerDecayingTag('blocks', {
+      interval: 1000,
+      decay: decayFunctions.fixed()
+    })
+    tag.start()
+
+    tag.bump(peerId1, 8)
+    clock.tick(5000)
+    expect(tag.value(peerId1)).to.equal(8)
+
+    tag.remove(peerId1)
+    expect(connectionManager.getPeerTags(peerId1).has('blocks')).to.be.false()
+  })
+
+  it('should rank peers by their decayed values', () => {
+    const fast = connectionManager.registerDecayingTag('fast', {
+      interval: 1000,
+      decay: decayFunctions.linear(5)
+    })
+    const slow = connectionManager.registerDecayingTag('slow', {
+      interval: 1000,
+      decay: decayFunctions.linear(1)
+    })
+    fast.start()
+    slow.start()
+
+    fast.bump(peerId1, 20)
+    slow.bump(peerId2, 10)
+    expect(connectionManager.getPeerValue(peerId1)).to.be.above(connectionManager.getPeerValue(peerId2))
+
+    clock.tick(3000)
+    expect(connectionManager.getPeerValue(peerId1)).to.equal(5)
+    expect(connectionManager.getPeerValue(peerId2)).to.equal(7)
+  })
+
+  it('should not register a tag twice', () => {
+    const options = { interval: 1000, decay: decayFunctions.fixed() }
+    connectionManager.registerDecayingTag('blocks', options)
+
+    expect(() => connectionManager.registerDecayingTag('blocks', options)).to.throw().with.property('code', 'ERR_INVALID_PARAMETERS')
+    expect(() => connectionManager.registerDecayingTag('other', { interval: 0, decay: decayFunctions.fixed() })).to.throw().with.property('code', 'ERR_INVALID_PARAMETERS')
+  })
+
+  it('should untag every peer when closed', () => {
+    const tag = connectionManager.registerDecayingTag('blocks', {
+      interval: 1000,
+      decay: decayFunctions.fixed()
+    })
+
+    tag.bump(peerId1, 1)
+    tag.bump(peerId2, 1)
+    tag.close()
+
+    expect(connectionManager.getPeerTags(peerId1).size).to.equal(0)
+    expect(connectionManager.getPeerTags(peerId2).size).to.equal(0)
+    expect(() => connectionManager.registerDecayingTag('blocks', {
+      interval: 1000,
+      decay: decayFunctions.fixed()
+    })).to.not.throw()
+  })
+})
@@ -393,11 +393,16 @@ describe('libp2p.connections', () => {
 
       await libp2p.dialer.connectToPeer(fullMultiaddr)
 
-      expect(filterMultiaddrForPeer.callCount).to.equal(2)
+      // the dialed multiaddr, then the address the peer was reached on once connected
+      await pWaitFor(() => filterMultiaddrForPeer.callCount === 3)
 
       const args = filterMultiaddrForPeer.getCall(1).args
       expect(args[0].toString()).to.equal(remoteLibp2p.peerId.toString())
       expect(args[1].toString()).to.equal(fullMultiaddr.toString())
+
+      const observedArgs = filterMultiaddrForPeer.getCall(2).args
+      expect(observedArgs[0].toString()).to.equal(remoteLibp2p.peerId.toString())
+      expect(observedArgs[1].toString()).to.equal(remoteLibp2p.multiaddrs[0].toString())
     })
 
     it('intercept accept inbound connection', async () => {
@@ -529,5 +534,25 @@ describe('libp2p.connections', () => {
       expect(denyOutboundUpgradedConnection.called).to.be.true()
       expect(denyOutboundUpgradedConnection.getCall(0)).to.have.nested.property('args[0].id').that.equalBytes(remoteLibp2p.peerId.id)
     })
+
+    it('ban peers, closing their connections', async () => {
+      [libp2p] = await peerUtils.createPeer({
+        config: {
+          peerId: peerIds[0],
+          addresses: {
+            listen: ['/ip4/127.0.0.1/tcp/0/ws']
+          },
+          modules: baseOptions.modules
+        }
+      })
+      await libp2p.peerStore.addressBook.set(remoteLibp2p.peerId, remoteLibp2p.multiaddrs)
+      const connection = await libp2p.dial(remoteLibp2p.peerId)
+
+      await libp2p.connectionGater.ban(remoteLibp2p.peerId, 60000)
+
+      expect(connection.stat.status).to.equal(CLOSED)
+      await expect(libp2p.dial(remoteLibp2p.peerId))
+        .to.eventually.be.rejected().with.property('code', codes.ERR_PEER_DIAL_INTERCEPTED)
+    })
   })
 })
@@ -3,6 +3,9 @@
 
 const { expect } = require('aegir/utils/chai')
 const sinon = require('sinon')
+const { Multiaddr } = require('multiaddr')
+const delay = require('delay')
+const pWaitFor = require('p-wait-for')
 
 const peerUtils = require('../utils/creators/peer')
 const mockConnection = require('../utils/mockConnection')
@@ -56,7 +59,8 @@ describe('Connection Manager', () => {
         modules: baseOptions.modules,
         connectionManager: {
           maxConnections: max,
-          minConnections: 2
+          minConnections: 2,
+          gracePeriod: 0
         }
       },
       started: false
@@ -95,7 +99,8 @@ describe('Connection Manager', () => {
         modules: baseOptions.modules,
         connectionManager: {
           maxConnections: max,
-          minConnections: 0
+          minConnections: 0,
+          gracePeriod: 0
         }
       },
       started: false
@@ -117,6 +122,413 @@ describe('Connection Manager', () => {
     expect(spy).to.have.property('callCount', 1)
   })
 
+  it('should not close the connections of protected peers', async () => {
+    const max = 5
+    ;[libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules,
+        connectionManager: {
+          maxConnections: max,
+          minConnections: 2,
+          gracePeriod: 0
+        }
+      },
+      started: false
+    })
+
+    await libp2p.start()
+
+    // Add 1 too many connections, the lowest valued peer being protected
+    const spies = []
+    await Promise.all([...new Array(max + 1)].map(async (_, index) => {
+      const connection = await mockConnection()
+      spies[index] = sinon.spy(connection, 'close')
+      sinon.stub(connection.remotePeer, 'toB58String').returns(`peer-${index}`)
+      libp2p.connectionManager.setPeerValue(connection.remotePeer, index / 10)
+      index === 0 && libp2p.connectionManager.protect(connection.remotePeer, 'test')
+      await libp2p.connectionManager.onConnect(connection)
+    }))
+
+    expect(spies[0]).to.have.property('callCount', 0)
+    expect(spies[1]).to.have.property('callCount', 1)
+  })
+
+  it('should add the values of the tags of a peer to its value', async () => {
+    const max = 5
+    ;[libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules,
+        connectionManager: {
+          maxConnections: max,
+          minConnections: 2,
+          gracePeriod: 0
+        }
+      },
+      started: false
+    })
+
+    await libp2p.start()
+
+    // Add 1 too many connections, the lowest valued peer being tagged
+    const spies = []
+    await Promise.all([...new Array(max + 1)].map(async (_, index) => {
+      const connection = await mockConnection()
+      spies[index] = sinon.spy(connection, 'close')
+      sinon.stub(connection.remotePeer, 'toB58String').returns(`peer-${index}`)
+      libp2p.connectionManager.setPeerValue(connection.remotePeer, index / 10)
+      index === 0 && libp2p.connectionManager.tagPeer(connection.remotePeer, 'test', 1)
+      await libp2p.connectionManager.onConnect(connection)
+    }))
+
+    expect(spies[0]).to.have.property('callCount', 0)
+    expect(spies[1]).to.have.property('callCount', 1)
+  })
+
+  it('should tag and protect peers', async () => {
+    [libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules
+      },
+      started: false
+    })
+    const [peerId] = await peerUtils.createPeerId()
+    const connectionManager = libp2p.connectionManager
+
+    connectionManager.setPeerValue(peerId, 0.5)
+    connectionManager.tagPeer(peerId, 'a', 10)
+    connectionManager.tagPeer(peerId, 'b', 20)
+    connectionManager.tagPeer(peerId, 'b', 5)
+    expect(connectionManager.getPeerValue(peerId)).to.equal(15.5)
+    expect(connectionManager.getPeerTags(peerId)).to.eql(new Map([['a', 10], ['b', 5]]))
+
+    connectionManager.untagPeer(peerId, 'a')
+    connectionManager.untagPeer(peerId, 'b')
+    expect(connectionManager.getPeerValue(peerId)).to.equal(0.5)
+    expect(connectionManager.getPeerTags(peerId).size).to.equal(0)
+    expect(() => connectionManager.tagPeer(peerId, 'a', 'high')).to.throw().with.property('code', 'ERR_INVALID_PARAMETERS')
+
+    connectionManager.protect(peerId, 'a')
+    connectionManager.protect(peerId, 'b')
+    expect(connectionManager.isProtected(peerId)).to.be.true()
+    expect(connectionManager.isProtected(peerId, 'c')).to.be.false()
+    expect(connectionManager.unprotect(peerId, 'a')).to.be.true()
+    expect(connectionManager.unprotect(peerId, 'b')).to.be.false()
+    expect(connectionManager.isProtected(peerId)).to.be.false()
+  })
+
+  it('should trim connections down to the low watermark in one pass', async () => {
+    const max = 5
+    ;[libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules,
+        connectionManager: {
+          maxConnections: max,
+          minConnections: 1,
+          lowWatermark: 3,
+          gracePeriod: 0
+        }
+      },
+      started: false
+    })
+
+    await libp2p.start()
+
+    const trimSpy = sinon.spy()
+    libp2p.connectionManager.on('trim', trimSpy)
+
+    // Add 1 too many connections, the last one being the lowest valued
+    const spies = []
+    for (let index = 0; index <= max; index++) {
+      const connection = await mockConnection()
+      spies[index] = sinon.spy(connection, 'close')
+      sinon.stub(connection.remotePeer, 'toB58String').returns(`peer-${index}`)
+      libp2p.connectionManager.setPeerValue(connection.remotePeer, 1 - index / 10)
+      await libp2p.connectionManager.onConnect(connection)
+    }
+
+    expect(libp2p.connectionManager.size).to.equal(3)
+    expect(spies.map(spy => spy.callCount)).to.eql([0, 0, 0, 1, 1, 1])
+    expect(trimSpy).to.have.property('callCount', 1)
+
+    const event = trimSpy.getCall(0).args[0]
+    expect(event).to.have.property('reason', 'maxConnections')
+    expect(event.peers.map(peer => peer.peerId.toB58String())).to.eql(['peer-5', 'peer-4', 'peer-3'])
+    expect(event.peers[0]).to.include({ value: 0.5, connections: 1 })
+  })
+
+  it('should not trim connections younger than the grace period', async () => {
+    const max = 5
+    ;[libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules,
+        connectionManager: {
+          maxConnections: max,
+          minConnections: 0,
+          gracePeriod: 1000
+        }
+      },
+      started: false
+    })
+
+    await libp2p.start()
+
+    // Add 1 too many connections, the lowest valued one being new
+    const spies = []
+    for (let index = 0; index <= max; index++) {
+      const connection = await mockConnection()
+      connection.stat.timeline.open = index === 0 ? Date.now() : Date.now() - 2000
+      spies[index] = sinon.spy(connection, 'close')
+      sinon.stub(connection.remotePeer, 'toB58String').returns(`peer-${index}`)
+      libp2p.connectionManager.setPeerValue(connection.remotePeer, index / 10)
+      await libp2p.connectionManager.onConnect(connection)
+    }
+
+    expect(spies[0]).to.have.property('callCount', 0)
+    expect(spies[1]).to.have.property('callCount', 1)
+  })
+
+  it('should fail if the low watermark is not between the connection limits', async () => {
+    await expect(peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules,
+        connectionManager: {
+          maxConnections: 5,
+          minConnections: 2,
+          lowWatermark: 6
+        }
+      },
+      started: false
+    })).to.eventually.rejected('lowWatermark must be between')
+  })
+
+  it('should close the connections without streams to unprotected peers once idle', async () => {
+    [libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules,
+        connectionManager: {
+          connectionIdleTimeout: 200
+        }
+      },
+      started: false
+    })
+
+    await libp2p.start()
+
+    const spies = {}
+    for (const name of ['idle', 'busy', 'protected']) {
+      const connection = await mockConnection({
+        getStreams: () => name === 'busy' ? [{ id: 'stream' }] : []
+      })
+      spies[name] = sinon.spy(connection, 'close')
+      sinon.stub(connection.remotePeer, 'toB58String').returns(name)
+      name === 'protected' && libp2p.connectionManager.protect(connection.remotePeer, 'test')
+      await libp2p.connectionManager.onConnect(connection)
+    }
+
+    await delay(50)
+    expect(spies.idle).to.have.property('callCount', 0)
+
+    await pWaitFor(() => spies.idle.callCount > 0)
+    expect(spies.busy).to.have.property('callCount', 0)
+    expect(spies.protected).to.have.property('callCount', 0)
+  })
+
+  it('should count the idle time of connections from when their last stream closed', async () => {
+    [libp2p] = await peerUtils.createPeer({
+      config: {
+        modules: baseOptions.modules,
+        connectionManager: {
+          connectionIdleTimeout: 300,
+          pollInterval: 50
+        }
+      },
+      started: false
+    })
+
+    await libp2p.start()
+
+    const connection = await mockConnection({ getStreams: () => [] })
+    const closeSpy = sinon.spy(connection, 'close')
+    await libp2p.connectionManager.onConnect(connection)
+
+    // A stream opened and closed between two polls
+    await delay(200)
+    libp2p.connectionManager.onStreamActivity(connection)
+    await delay(200)
+    expect(closeSpy).to.have.property('callCount', 0)
+
+    await pWaitFor(() => closeSpy.callCount > 0)
+  })
+
+  describe('inbound connection limits', () => {
+    /**
+     * @param {string} addr
+     */
+    const mockMaConn = (addr) => ({ remoteAddr: new Multiaddr(addr) })
+
+    beforeEach(async () => {
+      [libp2p] = await peerUtils.createPeer({
+        config: {
+          modules: baseOptions.modules,
+          connectionManager: {
+            maxInboundConnectionsPerIp: 2,
+            maxInboundConnectionsPerSubnet: 3,
+            inboundAllowlist: ['/ip4/10.0.0.9/tcp/4001/p2p/QmcgpsyWgH8Y8ajJz1Cu72KnS5uo2Aa2LpzU7kinSupNKC']
+          }
+        },
+        started: false
+      })
+
+      await libp2p.start()
+    })
+
+    it('should limit the inbound connections from an ip address', () => {
+      const connectionManager = libp2p.connectionManager
+
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/2'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/3'))).to.be.false()
+
+      // Once an upgrade is over, its connection is counted if it was established
+      connectionManager.afterUpgradeInbound(mockMaConn('/ip4/10.0.0.1/tcp/1'))
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/3'))).to.be.true()
+    })
+
+    it('should limit the inbound connections from a subnet', () => {
+      const connectionManager = libp2p.connectionManager
+
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.2/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.3/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.4/tcp/1'))).to.be.false()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.1.1/tcp/1'))).to.be.true()
+
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip6/2001:db8::1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip6/2001:db8:0:1::1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip6/2001:db8:0:ffff::1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip6/2001:db8::2/tcp/1'))).to.be.false()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip6/2001:db9::1/tcp/1'))).to.be.true()
+    })
+
+    it('should count the established inbound connections', async () => {
+      const connectionManager = libp2p.connectionManager
+
+      for (const direction of ['inbound', 'inbound', 'outbound']) {
+        const connection = await mockConnection()
+        connection.stat.direction = direction
+        sinon.stub(connection, 'remoteAddr').value(new Multiaddr('/ip4/10.0.0.1/tcp/1'))
+        sinon.stub(connection.remotePeer, 'toB58String').returns(`peer-${Math.random()}`)
+        await connectionManager.onConnect(connection)
+      }
+
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/2'))).to.be.false()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.2/tcp/1'))).to.be.true()
+    })
+
+    it('should not limit the allowlisted ip addresses and connections without ip address', () => {
+      const connectionManager = libp2p.connectionManager
+
+      for (let i = 0; i < 5; i++) {
+        expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.9/tcp/1'))).to.be.true()
+        expect(connectionManager.acceptIncomingConnection(mockMaConn('/p2p-circuit/p2p/QmcgpsyWgH8Y8ajJz1Cu72KnS5uo2Aa2LpzU7kinSupNKC'))).to.be.true()
+      }
+    })
+
+    it('should not count relayed connections against the ip address of the relay', async () => {
+      const connectionManager = libp2p.connectionManager
+      const relayedAddr = '/ip4/10.0.0.1/tcp/1/p2p/QmcgpsyWgH8Y8ajJz1Cu72KnS5uo2Aa2LpzU7kinSupNKC/p2p-circuit/p2p/QmNnooDu7bfjPFoTZYxMNLWUQJyrVwtbZg5gBMjTezGAJN'
+
+      const connection = await mockConnection()
+      connection.stat.direction = 'inbound'
+      sinon.stub(connection, 'remoteAddr').value(new Multiaddr(relayedAddr))
+      await connectionManager.onConnect(connection)
+
+      for (let i = 0; i < 5; i++) {
+        expect(connectionManager.acceptIncomingConnection(mockMaConn(relayedAddr))).to.be.true()
+      }
+
+      // The relay itself can still connect
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/2'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/3'))).to.be.true()
+    })
+  })
+
+  describe('inbound connection rate limits', () => {
+    /**
+     * @param {string} addr
+     */
+    const mockMaConn = (addr) => ({ remoteAddr: new Multiaddr(addr) })
+    let clock
+
+    /**
+     * @param {object} connectionManager
+     */
+    const createNode = async (connectionManager) => {
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+      ;[libp2p] = await peerUtils.createPeer({
+        config: {
+          modules: baseOptions.modules,
+          connectionManager,
+          metrics: {
+            enabled: true
+          }
+        },
+        started: false
+      })
+
+      await libp2p.start()
+    }
+
+    it('should rate limit the inbound connections', async () => {
+      await createNode({ inboundConnectionRate: 2 })
+      const connectionManager = libp2p.connectionManager
+
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.1.1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/p2p-circuit/p2p/QmcgpsyWgH8Y8ajJz1Cu72KnS5uo2Aa2LpzU7kinSupNKC'))).to.be.false()
+
+      clock.tick(500)
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.2.1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.3.1/tcp/1'))).to.be.false()
+    })
+
+    it('should rate limit the inbound connections per ip address', async () => {
+      await createNode({ inboundConnectionRatePerIp: 0.5, inboundConnectionBurstPerIp: 2 })
+      const connectionManager = libp2p.connectionManager
+
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/1'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/2'))).to.be.true()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/3'))).to.be.false()
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.2/tcp/1'))).to.be.true()
+
+      clock.tick(2000)
+      expect(connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/3'))).to.be.true()
+    })
+
+    it('should count the rate limited connections in the metrics', async () => {
+      await createNode({ inboundConnectionRate: 1 })
+      const spy = sinon.spy(libp2p.metrics, 'updateComponentMetric')
+
+      libp2p.connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/1'))
+      libp2p.connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/2'))
+      libp2p.connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.1/tcp/3'))
+
+      expect(spy.calledWith({
+        component: 'connection-manager',
+        metric: 'inbound-connections-rate-limited',
+        value: 2
+      })).to.be.true()
+    })
+
+    it('should not rate limit the allowlisted ip addresses', async () => {
+      await createNode({ inboundConnectionRate: 1, inboundAllowlist: ['/ip4/10.0.0.9/tcp/4001'] })
+
+      for (let i = 0; i < 5; i++) {
+        expect(libp2p.connectionManager.acceptIncomingConnection(mockMaConn('/ip4/10.0.0.9/tcp/1'))).to.be.true()
+      }
+    })
+  })
+
   it('should fail if the connection manager has mismatched connection limit options', async () => {
     await expect(peerUtils.createPeer({
       config: {
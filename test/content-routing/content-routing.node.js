@@ -295,7 +295,10 @@ describe('content-routing', () => {
 
       await drain(node.contentRouting.findProviders('a cid'))
 
-      expect(await node.peerStore.addressBook.get(providerPeerId)).to.deep.include({
+      // Ignore the expiry of the addresses
+      const addresses = (await node.peerStore.addressBook.get(providerPeerId))
+        .map(({ multiaddr, isCertified }) => ({ multiaddr, isCertified }))
+      expect(addresses).to.deep.include({
         isCertified: false,
         multiaddr: result.multiaddrs[0]
       })
@@ -377,7 +380,10 @@ describe('content-routing', () => {
 
       await drain(node.contentRouting.findProviders('a cid'))
 
-      expect(await node.peerStore.addressBook.get(providerPeerId)).to.deep.include({
+      // Ignore the expiry of the addresses
+      const addresses = (await node.peerStore.addressBook.get(providerPeerId))
+        .map(({ multiaddr, isCertified }) => ({ multiaddr, isCertified }))
+      expect(addresses).to.deep.include({
         isCertified: false,
         multiaddr: result1.multiaddrs[0]
       }).and.to.deep.include({
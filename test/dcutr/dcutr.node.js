@@ -0,0 +1,135 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const pDefer = require('p-defer')
+const pWaitFor = require('p-wait-for')
+const { Multiaddr } = require('multiaddr')
+
+const { createPeerId } = require('../utils/creators/peer')
+const baseOptions = require('../utils/base-options')
+const Libp2p = require('../../src')
+const DCUtR = require('../../src/dcutr')
+const { codes } = require('../../src/errors')
+const { CIRCUIT_PROTO_CODE } = require('../../src/circuit/constants')
+
+const listenAddr = '/ip4/0.0.0.0/tcp/0'
+
+/**
+ * @param {Libp2p} node
+ * @param {Libp2p} peer
+ */
+function getConnections (node, peer) {
+  const connections = node.connectionManager.getAll(peer.peerId)
+
+  return {
+    relayed: connections.filter(conn => conn.remoteAddr.protoCodes().includes(CIRCUIT_PROTO_CODE)),
+    direct: connections.filter(conn => !conn.remoteAddr.protoCodes().includes(CIRCUIT_PROTO_CODE))
+  }
+}
+
+describe('DCUtR', () => {
+  let srcLibp2p
+  let relayLibp2p
+  let dstLibp2p
+
+  /**
+   * @param {boolean[]} dcutrEnabled - whether src, relay and dst upgrade relayed connections
+   */
+  async function createNodes (dcutrEnabled) {
+    const peerIds = await createPeerId({ number: 3 })
+    // Create 3 nodes, and turn HOP on for the relay
+    ;[srcLibp2p, relayLibp2p, dstLibp2p] = peerIds.map((peerId, index) => new Libp2p({
+      ...baseOptions,
+      config: {
+        ...baseOptions.config,
+        relay: {
+          enabled: true,
+          hop: {
+            enabled: index === 1
+          }
+        },
+        dcutr: {
+          enabled: dcutrEnabled[index]
+        }
+      },
+      addresses: {
+        listen: [listenAddr]
+      },
+      peerId
+    }))
+
+    await Promise.all([srcLibp2p, relayLibp2p, dstLibp2p].map(libp2p => libp2p.start()))
+
+    const relayAddr = relayLibp2p.transportManager.getAddrs()[0].encapsulate(`/p2p/${relayLibp2p.peerId.toB58String()}`)
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${relayAddr}/p2p-circuit`)])
+
+    return relayAddr.encapsulate(`/p2p-circuit/p2p/${dstLibp2p.peerId.toB58String()}`)
+  }
+
+  afterEach(() => {
+    // Stop each node
+    return Promise.all([srcLibp2p, relayLibp2p, dstLibp2p].map(libp2p => libp2p.stop()))
+  })
+
+  it('should replace a relayed connection with a direct one', async () => {
+    const dialAddr = await createNodes([true, false, true])
+
+    const connection = await srcLibp2p.dial(dialAddr)
+    expect(connection.remoteAddr.protoCodes()).to.include(CIRCUIT_PROTO_CODE)
+
+    await pWaitFor(() => {
+      const { relayed, direct } = getConnections(srcLibp2p, dstLibp2p)
+      return direct.length > 0 && relayed.length === 0
+    }, { timeout: 10000 })
+
+    await pWaitFor(() => {
+      const { relayed, direct } = getConnections(dstLibp2p, srcLibp2p)
+      return direct.length > 0 && relayed.length === 0
+    }, { timeout: 10000 })
+  })
+
+  it('should keep the relayed connection if the remote peer does not support DCUtR', async () => {
+    const dialAddr = await createNodes([false, false, false])
+
+    await srcLibp2p.dial(dialAddr)
+    const dcutr = new DCUtR({ libp2p: dstLibp2p })
+
+    await pWaitFor(() => getConnections(dstLibp2p, srcLibp2p).relayed.length > 0)
+    const [relayedConnection] = getConnections(dstLibp2p, srcLibp2p).relayed
+
+    await expect(dcutr.upgrade(relayedConnection))
+      .to.eventually.be.rejected()
+      .with.property('code', codes.ERR_UNSUPPORTED_PROTOCOL)
+
+    expect(relayedConnection.stat.status).to.equal('open')
+    expect(getConnections(dstLibp2p, srcLibp2p).direct).to.be.empty()
+  })
+
+  it('should abort the direct dials that lost and close the extra connections', async () => {
+    const [peerId] = await createPeerId()
+    const winner = { close: sinon.stub().resolves() }
+    const loser = { close: sinon.stub().resolves() }
+    const lateDial = pDefer()
+    const dial = sinon.stub()
+    dial.onFirstCall().resolves(winner)
+    dial.onSecondCall().returns(lateDial.promise)
+
+    const dcutr = new DCUtR({
+      libp2p: /** @type {any} */ ({
+        transportManager: { dial, transportForMultiaddr: () => true },
+        connectionGater: { denyDialMultiaddr: async () => false }
+      })
+    })
+    const addrs = ['/ip4/1.2.3.4/tcp/4001', '/ip4/5.6.7.8/tcp/4001'].map(addr => new Multiaddr(addr).bytes)
+
+    expect(await dcutr._dialDirect(peerId, addrs)).to.equal(winner)
+    expect(dial.firstCall.args[1].signal.aborted).to.be.false()
+    expect(dial.secondCall.args[1].signal.aborted).to.be.true()
+
+    lateDial.resolve(loser)
+    await pWaitFor(() => loser.close.called)
+    expect(winner.close.called).to.be.false()
+  })
+})
@@ -0,0 +1,92 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+
+const DialBackoff = require('../../src/dialer/dial-backoff')
+
+describe('Dial Backoff', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(Date.now())
+    // Always wait for the whole backoff
+    sinon.stub(Math, 'random').returns(1)
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should back off until the backoff expires', () => {
+    const backoff = new DialBackoff({ base: 1000, max: 10000 })
+    expect(backoff.isBackedOff('peer')).to.be.false()
+
+    backoff.fail('peer')
+    expect(backoff.isBackedOff('peer')).to.be.true()
+    expect(backoff.isBackedOff('other-peer')).to.be.false()
+
+    clock.tick(1000)
+    expect(backoff.isBackedOff('peer')).to.be.false()
+  })
+
+  it('should double the backoff with each failure up to the max', () => {
+    const backoff = new DialBackoff({ base: 1000, max: 3000 })
+
+    for (const expected of [1000, 2000, 3000, 3000]) {
+      backoff.fail('peer')
+      clock.tick(expected - 1)
+      expect(backoff.isBackedOff('peer')).to.be.true()
+      clock.tick(1)
+      expect(backoff.isBackedOff('peer')).to.be.false()
+    }
+  })
+
+  it('should jitter the backoff', () => {
+    Math.random.returns(0)
+    const backoff = new DialBackoff({ base: 1000, max: 10000 })
+
+    backoff.fail('peer')
+    clock.tick(500)
+    expect(backoff.isBackedOff('peer')).to.be.false()
+  })
+
+  it('should count the consecutive failures', () => {
+    const backoff = new DialBackoff({ base: 1000, max: 10000 })
+    expect(backoff.attempts('peer')).to.equal(0)
+
+    backoff.fail('peer')
+    backoff.fail('peer')
+    expect(backoff.attempts('peer')).to.equal(2)
+
+    backoff.clear('peer')
+    expect(backoff.attempts('peer')).to.equal(0)
+  })
+
+  it('should start over once cleared', () => {
+    const backoff = new DialBackoff({ base: 1000, max: 10000 })
+
+    backoff.fail('peer')
+    backoff.fail('peer')
+    backoff.clear('peer')
+    expect(backoff.isBackedOff('peer')).to.be.false()
+
+    backoff.fail('peer')
+    clock.tick(1000)
+    expect(backoff.isBackedOff('peer')).to.be.false()
+  })
+
+  it('should track backed off keys in the metrics', () => {
+    const metrics = { updateComponentMetric: sinon.spy() }
+    const backoff = new DialBackoff({ metric: 'backoff-peers', metrics })
+
+    backoff.fail('peer')
+
+    expect(metrics.updateComponentMetric.calledWith(sinon.match({
+      component: 'dialler',
+      metric: 'backoff-peers',
+      value: 1
+    }))).to.be.true()
+  })
+})
@@ -9,6 +9,7 @@ const AggregateError = require('aggregate-error')
 const pDefer = require('p-defer')
 const delay = require('delay')
 
+const { Multiaddr } = require('multiaddr')
 const DialRequest = require('../../src/dialer/dial-request')
 const createMockConnection = require('../utils/mockConnection')
 const error = new Error('dial failes')
@@ -26,6 +27,7 @@ describe('Dial Request', () => {
     const controller = new AbortController()
     const dialer = {
       getTokens: () => [...tokens],
+      acquireTokens (num) { return Promise.resolve(this.getTokens(num)) },
       releaseToken: () => {}
     }
 
@@ -61,6 +63,7 @@ describe('Dial Request', () => {
     const controller = new AbortController()
     const dialer = {
       getTokens: () => [...tokens],
+      acquireTokens (num) { return Promise.resolve(this.getTokens(num)) },
       releaseToken: () => {}
     }
 
@@ -106,6 +109,7 @@ describe('Dial Request', () => {
     const controller = new AbortController()
     const dialer = {
       getTokens: () => [...tokens],
+      acquireTokens (num) { return Promise.resolve(this.getTokens(num)) },
       releaseToken: () => {}
     }
 
@@ -148,6 +152,7 @@ describe('Dial Request', () => {
     const controller = new AbortController()
     const dialer = {
       getTokens: () => [...tokens],
+      acquireTokens (num) { return Promise.resolve(this.getTokens(num)) },
       releaseToken: () => {}
     }
 
@@ -192,6 +197,7 @@ describe('Dial Request', () => {
     const controller = new AbortController()
     const dialer = {
       getTokens: () => [...tokens],
+      acquireTokens (num) { return Promise.resolve(this.getTokens(num)) },
       releaseToken: () => {}
     }
 
@@ -221,4 +227,113 @@ describe('Dial Request', () => {
     expect(dialer.getTokens.calledWith(addrs.length)).to.equal(true)
     expect(dialer.releaseToken).to.have.property('callCount', tokens.length)
   })
+
+  describe('staggered', () => {
+    const dialer = {
+      getTokens: (num) => [...new Array(num)].map((_, index) => index),
+      acquireTokens (num) { return Promise.resolve(this.getTokens(num)) },
+      releaseToken: () => {}
+    }
+    const addrs = [
+      new Multiaddr('/ip4/127.0.0.1/tcp/4001'),
+      new Multiaddr('/ip4/127.0.0.1/tcp/4002'),
+      new Multiaddr('/ip4/127.0.0.1/tcp/4003')
+    ]
+
+    it('should start the next dial after the stagger delay', async () => {
+      const mockConnection = await createMockConnection()
+      const deferred = pDefer()
+      const dialAction = sinon.stub().returns(deferred.promise)
+
+      const dialRequest = new DialRequest({
+        addrs,
+        dialer,
+        dialAction,
+        staggerDelay: 50
+      })
+
+      const result = dialRequest.run()
+      await delay(10)
+      expect(dialAction).to.have.property('callCount', 1)
+
+      await delay(50)
+      expect(dialAction).to.have.property('callCount', 2)
+
+      deferred.resolve(mockConnection)
+      await expect(result).to.eventually.equal(mockConnection)
+
+      await delay(60)
+      expect(dialAction).to.have.property('callCount', 2)
+      expect(dialAction.getCall(0).args[0]).to.equal(addrs[0])
+      expect(dialAction.getCall(1).args[0]).to.equal(addrs[1])
+    })
+
+    it('should start the next dial once the previous one failed', async () => {
+      const mockConnection = await createMockConnection()
+      const dialAction = sinon.stub()
+      dialAction.onCall(0).rejects(error)
+      dialAction.onCall(1).resolves(mockConnection)
+
+      const dialRequest = new DialRequest({
+        addrs,
+        dialer,
+        dialAction,
+        staggerDelay: 10000
+      })
+
+      await expect(dialRequest.run()).to.eventually.equal(mockConnection)
+      expect(dialAction).to.have.property('callCount', 2)
+    })
+
+    it('should throw an AggregateError if all dials fail', async () => {
+      const dialAction = sinon.stub().rejects(error)
+
+      const dialRequest = new DialRequest({
+        addrs,
+        dialer,
+        dialAction,
+        staggerDelay: 10000
+      })
+
+      await expect(dialRequest.run()).to.eventually.be.rejectedWith(AggregateError)
+      expect(dialAction).to.have.property('callCount', addrs.length)
+    })
+
+    it('should interleave addresses ahead of relayed addresses', async () => {
+      const dialAction = sinon.stub().rejects(error)
+      const tcp4 = new Multiaddr('/ip4/127.0.0.1/tcp/4001')
+      const otherTcp4 = new Multiaddr('/ip4/127.0.0.1/tcp/4002')
+      const tcp6 = new Multiaddr('/ip6/::1/tcp/4001')
+      const quic4 = new Multiaddr('/ip4/127.0.0.1/udp/4001/quic')
+      const relayed = new Multiaddr('/ip6/::1/tcp/4002/p2p/QmckxVrJw1Yo8LqvmDJNUmdAsKtSbiKWmrXJFyKmUraBoN/p2p-circuit')
+
+      const dialRequest = new DialRequest({
+        addrs: [relayed, tcp4, otherTcp4, tcp6, quic4],
+        dialer,
+        dialAction,
+        staggerDelay: 10000
+      })
+
+      await expect(dialRequest.run()).to.eventually.be.rejectedWith(AggregateError)
+      expect(dialAction.getCalls().map(call => call.args[0])).to.eql([tcp6, quic4, tcp4, otherTcp4, relayed])
+    })
+
+    it('should not start staggered dials once aborted', async () => {
+      const dialAction = sinon.stub().callsFake((addr, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new AbortError()))
+      }))
+      const controller = new AbortController()
+
+      const dialRequest = new DialRequest({
+        addrs,
+        dialer,
+        dialAction,
+        staggerDelay: 10000
+      })
+
+      setTimeout(() => controller.abort(), 10)
+      await expect(dialRequest.run({ signal: controller.signal })).to.eventually.be.rejectedWith(AggregateError)
+      expect(dialAction).to.have.property('callCount', 1)
+    })
+  })
 })
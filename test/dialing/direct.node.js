@@ -24,6 +24,7 @@ const Dialer = require('../../src/dialer')
 const AddressManager = require('../../src/address-manager')
 const PeerStore = require('../../src/peer-store')
 const TransportManager = require('../../src/transport-manager')
+const ResourceManager = require('../../src/resource-manager')
 const { codes: ErrorCodes } = require('../../src/errors')
 const Protector = require('../../src/pnet')
 const swarmKeyBuffer = uint8ArrayFromString(require('../fixtures/swarm.key'))
@@ -156,6 +157,43 @@ describe('Dialing (direct, TCP)', () => {
     await connection.close()
   })
 
+  it('should reserve an outbound connection in the resource manager while dialing', async () => {
+    const peerId = await PeerId.createFromJSON(Peers[0])
+    const peerStore = {
+      addressBook: {
+        add: () => {},
+        getMultiaddrsForPeer: () => remoteTM.getAddrs()
+      }
+    }
+    const resourceManager = new ResourceManager({ limits: { system: { connectionsOutbound: 0 } } })
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore,
+      connectionGater,
+      resourceManager
+    })
+
+    sinon.spy(localTM, 'dial')
+    await expect(dialer.connectToPeer(peerId)).to.eventually.be.rejected()
+      .with.property('code', ErrorCodes.ERR_RESOURCE_LIMIT_EXCEEDED)
+    expect(localTM.dial.called).to.be.false()
+
+    const otherResourceManager = new ResourceManager()
+    const otherDialer = new Dialer({
+      transportManager: localTM,
+      peerStore,
+      connectionGater,
+      resourceManager: otherResourceManager
+    })
+    sinon.spy(otherResourceManager, 'releaseDial')
+
+    // The mock upgrader does not take over the reservation, so it is released
+    const connection = await otherDialer.connectToPeer(peerId)
+    expect(otherResourceManager.releaseDial.calledOnce).to.be.true()
+    expect(otherResourceManager.stat().system.connectionsOutbound).to.equal(0)
+    await connection.close()
+  })
+
   it('should fail to connect to a given peer with unsupported addresses', async () => {
     const dialer = new Dialer({
       transportManager: localTM,
@@ -548,9 +586,10 @@ describe('Dialing (direct, TCP)', () => {
       sinon.stub(libp2p.transportManager, 'dial').callsFake(() => Promise.reject(error))
 
       await libp2p.peerStore.addressBook.set(remotePeerId, remoteLibp2p.multiaddrs)
+      // Dials started once the first one failed would otherwise be backed off
       const dialResults = await pSettle([...new Array(dials)].map((_, index) => {
-        if (index % 2 === 0) return libp2p.dial(remoteLibp2p.peerId)
-        return libp2p.dial(remoteAddr)
+        if (index % 2 === 0) return libp2p.dial(remoteLibp2p.peerId, { force: true })
+        return libp2p.dial(remoteAddr, { force: true })
       }))
 
       // All should succeed and we should have ten results
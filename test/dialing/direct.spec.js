@@ -17,6 +17,7 @@ const { MemoryDatastore } = require('datastore-core/memory')
 const { codes: ErrorCodes } = require('../../src/errors')
 const Constants = require('../../src/constants')
 const Dialer = require('../../src/dialer')
+const DialError = require('../../src/dialer/dial-error')
 const addressSort = require('libp2p-utils/src/address-sort')
 const PeerStore = require('../../src/peer-store')
 const TransportManager = require('../../src/transport-manager')
@@ -104,6 +105,84 @@ describe('Dialing (direct, WebSockets)', () => {
     expect(dialer.tokens).to.have.length(Constants.MAX_PARALLEL_DIALS)
   })
 
+  it('should give released tokens to the queued dials with the highest priority first', async () => {
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore,
+      connectionGater,
+      maxParallelDials: 1
+    })
+    const [token] = dialer.getTokens(1)
+    const started = []
+
+    const lowPriorityDial = dialer.acquireTokens(1, { priority: Constants.DIAL_PRIORITY.LOW })
+      .then(tokens => { started.push('low'); return tokens })
+    const highPriorityDial = dialer.acquireTokens(1, { priority: Constants.DIAL_PRIORITY.HIGH })
+      .then(tokens => { started.push('high'); return tokens })
+
+    dialer.releaseToken(token)
+    const [highPriorityToken] = await highPriorityDial
+    expect(started).to.eql(['high'])
+
+    dialer.releaseToken(highPriorityToken)
+    await lowPriorityDial
+    expect(started).to.eql(['high', 'low'])
+  })
+
+  it('should stop waiting for tokens once the dial is aborted', async () => {
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore,
+      connectionGater,
+      maxParallelDials: 1
+    })
+    const [token] = dialer.getTokens(1)
+    const controller = new AbortController()
+
+    const queuedDial = dialer.acquireTokens(1, { signal: controller.signal })
+    controller.abort()
+
+    await expect(queuedDial)
+      .to.eventually.be.rejected()
+      .with.property('code', ErrorCodes.ERR_ALREADY_ABORTED)
+
+    // The token is not given to the aborted dial
+    dialer.releaseToken(token)
+    expect(dialer.tokens).to.have.length(1)
+  })
+
+  it('should track the dial queue of each priority in the metrics', async () => {
+    const metrics = { updateComponentMetric: sinon.spy() }
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore,
+      connectionGater,
+      maxParallelDials: 1,
+      metrics
+    })
+    const [token] = dialer.getTokens(1)
+    const queuedDial = dialer.acquireTokens(1, { priority: Constants.DIAL_PRIORITY.LOW })
+
+    expect(metrics.updateComponentMetric.calledWith(sinon.match({
+      component: 'dialler',
+      metric: `dial-queue-${Constants.DIAL_PRIORITY.LOW}`,
+      value: 1
+    }))).to.be.true()
+
+    dialer.releaseToken(token)
+    await queuedDial
+
+    expect(metrics.updateComponentMetric.calledWith(sinon.match({
+      component: 'dialler',
+      metric: `dial-queue-${Constants.DIAL_PRIORITY.LOW}`,
+      value: 0
+    }))).to.be.true()
+    expect(metrics.updateComponentMetric.calledWith(sinon.match({
+      component: 'dialler',
+      metric: `dial-queue-wait-${Constants.DIAL_PRIORITY.LOW}`
+    }))).to.be.true()
+  })
+
   it('should be able to connect to a remote node via its multiaddr', async () => {
     const dialer = new Dialer({
       transportManager: localTM,
@@ -208,6 +287,143 @@ describe('Dialing (direct, WebSockets)', () => {
       .and.to.have.property('code', ErrorCodes.ERR_TIMEOUT)
   })
 
+  it('should back off a peer after a failed dial', async () => {
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore: {
+        addressBook: {
+          add: () => {},
+          getMultiaddrsForPeer: () => [remoteAddr]
+        }
+      },
+      connectionGater
+    })
+    sinon.stub(localTM, 'dial').rejects(new Error('could not dial'))
+
+    await expect(dialer.connectToPeer(peerId))
+      .to.eventually.be.rejectedWith(AggregateError)
+    await expect(dialer.connectToPeer(peerId))
+      .to.eventually.be.rejected()
+      .and.to.have.property('code', ErrorCodes.ERR_DIAL_BACKOFF)
+    expect(localTM.dial.callCount).to.equal(1)
+
+    // Dials ignore the backoff when forced
+    await expect(dialer.connectToPeer(peerId, { force: true }))
+      .to.eventually.be.rejectedWith(AggregateError)
+    expect(localTM.dial.callCount).to.equal(2)
+  })
+
+  it('should back off a peer once when concurrent dials share a failed dial', async () => {
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore: {
+        addressBook: {
+          add: () => {},
+          getMultiaddrsForPeer: () => [remoteAddr]
+        }
+      },
+      connectionGater
+    })
+    sinon.stub(localTM, 'dial').callsFake(async () => {
+      await delay(10)
+      throw new Error('could not dial')
+    })
+
+    const results = await Promise.allSettled([
+      dialer.connectToPeer(peerId),
+      dialer.connectToPeer(peerId),
+      dialer.connectToPeer(peerId)
+    ])
+
+    expect(results.every(({ status }) => status === 'rejected')).to.be.true()
+    expect(localTM.dial.callCount).to.equal(1)
+    expect(dialer.getFailedDials(peerId)).to.equal(1)
+  })
+
+  it('should not dial backed off addresses', async () => {
+    const otherAddr = new Multiaddr('/ip4/127.0.0.1/tcp/15002/ws/p2p/12D3KooWHFKTMzwerBtsVmtz4ZZEQy2heafxzWw6wNn5PPYkBxJ5')
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore: {
+        addressBook: {
+          add: () => {},
+          getMultiaddrsForPeer: () => [remoteAddr, otherAddr]
+        }
+      },
+      connectionGater
+    })
+    const connection = await createMockConnection()
+    sinon.stub(localTM, 'dial').callsFake(async (addr) => {
+      if (addr.equals(remoteAddr)) {
+        throw new Error('could not dial')
+      }
+
+      return connection
+    })
+
+    await dialer.connectToPeer(peerId)
+    expect(localTM.dial.callCount).to.equal(2)
+
+    await dialer.connectToPeer(peerId)
+    expect(localTM.dial.callCount).to.equal(3)
+    expect(localTM.dial.getCall(2).args[0].equals(otherAddr)).to.be.true()
+  })
+
+  it('should tell why each address was not connected to when a dial fails', async () => {
+    const deniedAddr = new Multiaddr('/ip4/127.0.0.1/tcp/15002/ws/p2p/12D3KooWHFKTMzwerBtsVmtz4ZZEQy2heafxzWw6wNn5PPYkBxJ5')
+    const tcpAddr = new Multiaddr('/ip4/127.0.0.1/tcp/15003/p2p/12D3KooWHFKTMzwerBtsVmtz4ZZEQy2heafxzWw6wNn5PPYkBxJ5')
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore: {
+        addressBook: {
+          add: () => {},
+          getMultiaddrsForPeer: () => [remoteAddr, deniedAddr, tcpAddr]
+        }
+      },
+      connectionGater: {
+        ...connectionGater,
+        denyDialMultiaddr: async (_, multiaddr) => multiaddr.equals(deniedAddr)
+      }
+    })
+    const dialErr = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' })
+    sinon.stub(localTM, 'dial').rejects(dialErr)
+
+    const err = await dialer.connectToPeer(peerId).then(() => expect.fail('should have failed'), err => err)
+
+    expect(err).to.be.an.instanceof(DialError)
+    expect(err).to.be.an.instanceof(AggregateError)
+    expect(err).to.have.property('code', ErrorCodes.ERR_DIAL_FAILED)
+    expect([...err]).to.eql([dialErr])
+    expect(err.attempts.map(({ multiaddr, status, code }) => ({ multiaddr: multiaddr.toString(), status, code }))).to.eql([
+      { multiaddr: deniedAddr.toString(), status: 'denied', code: undefined },
+      { multiaddr: tcpAddr.toString(), status: 'unsupported', code: undefined },
+      { multiaddr: remoteAddr.toString(), status: 'failed', code: 'ECONNREFUSED' }
+    ])
+    expect(err.attempts[2].duration).to.be.a('number')
+    expect(err.message).to.include(`${remoteAddr}: failed (ECONNREFUSED`)
+  })
+
+  it('should tell why no address could be dialed', async () => {
+    const tcpAddr = new Multiaddr('/ip4/127.0.0.1/tcp/15003/p2p/12D3KooWHFKTMzwerBtsVmtz4ZZEQy2heafxzWw6wNn5PPYkBxJ5')
+    const dialer = new Dialer({
+      transportManager: localTM,
+      peerStore: {
+        addressBook: {
+          add: () => {},
+          getMultiaddrsForPeer: () => [tcpAddr]
+        }
+      },
+      connectionGater
+    })
+
+    const err = await dialer.connectToPeer(peerId).then(() => expect.fail('should have failed'), err => err)
+
+    expect(err).to.be.an.instanceof(DialError)
+    expect(err).to.have.property('code', ErrorCodes.ERR_NO_VALID_ADDRESSES)
+    expect(err.attempts).to.have.length(1)
+    expect(err.attempts[0]).to.include({ multiaddr: tcpAddr, status: 'unsupported' })
+  })
+
   it('should throw when a peer advertises more than the allowed number of peers', async () => {
     const spy = sinon.spy()
     const dialer = new Dialer({
@@ -421,7 +637,8 @@ describe('Dialing (direct, WebSockets)', () => {
         dialer: {
           maxParallelDials: 10,
           maxDialsPerPeer: 1,
-          dialTimeout: 1e3 // 30 second dial timeout per peer
+          dialTimeout: 1e3, // 30 second dial timeout per peer
+          dialStaggerDelay: 250
         },
         config: {
           transport: {
@@ -437,6 +654,7 @@ describe('Dialing (direct, WebSockets)', () => {
       expect(libp2p.dialer.maxParallelDials).to.equal(config.dialer.maxParallelDials)
       expect(libp2p.dialer.maxDialsPerPeer).to.equal(config.dialer.maxDialsPerPeer)
       expect(libp2p.dialer.timeout).to.equal(config.dialer.dialTimeout)
+      expect(libp2p.dialer.dialStaggerDelay).to.equal(config.dialer.dialStaggerDelay)
     })
 
     it('should use the dialer for connecting', async () => {
@@ -0,0 +1,122 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const { Multiaddr } = require('multiaddr')
+
+const ResolverCache = require('../../src/dialer/resolver-cache')
+
+const addr = new Multiaddr('/dnsaddr/bootstrap.libp2p.io')
+const resolvedAddrs = ['/ip4/1.2.3.4/tcp/4001', '/ip4/5.6.7.8/tcp/4001']
+
+describe('Resolver Cache', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(Date.now())
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should cache resolutions for the ttl', async () => {
+    const cache = new ResolverCache({ ttl: 1000 })
+    const resolver = sinon.stub().resolves(resolvedAddrs)
+
+    await expect(cache.resolve(addr, resolver)).to.eventually.eql(resolvedAddrs)
+    await expect(cache.resolve(addr, resolver)).to.eventually.eql(resolvedAddrs)
+    expect(resolver.callCount).to.equal(1)
+
+    clock.tick(1000)
+    await cache.resolve(addr, resolver)
+    expect(resolver.callCount).to.equal(2)
+  })
+
+  it('should honour the ttl reported by the resolver', async () => {
+    const cache = new ResolverCache({ ttl: 1000 })
+    const resolver = sinon.stub().resolves(Object.assign([...resolvedAddrs], { ttl: 10 }))
+
+    await cache.resolve(addr, resolver)
+    clock.tick(9999)
+    await cache.resolve(addr, resolver)
+    expect(resolver.callCount).to.equal(1)
+
+    clock.tick(1)
+    await cache.resolve(addr, resolver)
+    expect(resolver.callCount).to.equal(2)
+  })
+
+  it('should cache failed resolutions for the negative ttl', async () => {
+    const cache = new ResolverCache({ ttl: 10000, negativeTtl: 1000 })
+    const resolver = sinon.stub().rejects(new Error('could not resolve'))
+
+    await expect(cache.resolve(addr, resolver)).to.eventually.be.rejectedWith('could not resolve')
+    await expect(cache.resolve(addr, resolver)).to.eventually.be.rejectedWith('could not resolve')
+    expect(resolver.callCount).to.equal(1)
+
+    clock.tick(1000)
+    resolver.resolves(resolvedAddrs)
+    await expect(cache.resolve(addr, resolver)).to.eventually.eql(resolvedAddrs)
+    expect(resolver.callCount).to.equal(2)
+  })
+
+  it('should merge concurrent resolutions of the same multiaddr', async () => {
+    const cache = new ResolverCache()
+    const resolver = sinon.stub().resolves(resolvedAddrs)
+
+    const results = await Promise.all([
+      cache.resolve(addr, resolver),
+      cache.resolve(addr, resolver),
+      cache.resolve(new Multiaddr('/dnsaddr/other.libp2p.io'), resolver)
+    ])
+
+    expect(results).to.eql([resolvedAddrs, resolvedAddrs, resolvedAddrs])
+    expect(resolver.callCount).to.equal(2)
+  })
+
+  it('should be inspectable and clearable', async () => {
+    const cache = new ResolverCache({ ttl: 1000 })
+    const resolver = sinon.stub().resolves(resolvedAddrs)
+
+    await cache.resolve(addr, resolver)
+    const entries = cache.entries()
+    expect(entries.size).to.equal(1)
+    expect(entries.get(addr.toString())).to.deep.include({ addrs: resolvedAddrs, expires: Date.now() + 1000 })
+
+    cache.clear(addr)
+    expect(cache.entries().size).to.equal(0)
+
+    await cache.resolve(addr, resolver)
+    cache.clear()
+    expect(cache.entries().size).to.equal(0)
+    expect(resolver.callCount).to.equal(2)
+  })
+
+  it('should track hits and misses in the metrics', async () => {
+    const metrics = { updateComponentMetric: sinon.spy() }
+    const cache = new ResolverCache({ metrics })
+    const resolver = sinon.stub().resolves(resolvedAddrs)
+
+    await cache.resolve(addr, resolver)
+    await cache.resolve(addr, resolver)
+    await cache.resolve(addr, resolver)
+
+    expect(metrics.updateComponentMetric.calledWith({
+      component: 'dialler',
+      metric: 'resolver-cache-misses',
+      value: 1
+    })).to.be.true()
+    expect(metrics.updateComponentMetric.calledWith({
+      component: 'dialler',
+      metric: 'resolver-cache-hits',
+      value: 2
+    })).to.be.true()
+    expect(metrics.updateComponentMetric.calledWith(sinon.match({
+      component: 'dialler',
+      metric: 'resolver-cache',
+      value: 1
+    }))).to.be.true()
+  })
+})
@@ -8,6 +8,7 @@ const { Multiaddr } = require('multiaddr')
 const Resolver = require('multiaddr/src/resolvers/dns')
 
 const { codes: ErrorCodes } = require('../../src/errors')
+const { dnsResolver, dns4Resolver, dns6Resolver } = require('../../src/dialer/resolvers')
 
 const peerUtils = require('../utils/creators/peer')
 const baseOptions = require('../utils/base-options.browser')
@@ -113,9 +114,8 @@ describe('Dialing (resolvable addresses)', () => {
     expect(dialArgs[0].equals(relayedAddrFetched)).to.eql(true)
   })
 
-  // TODO: Temporary solution does not resolve dns4/dns6
-  // Resolver just returns the received multiaddrs
-  it('stops recursive resolve if finds dns4/dns6 and dials it', async () => {
+  // The hostname of wss multiaddrs is needed to verify the certificate of the remote peer
+  it('stops recursive resolve if finds dns4/dns6 with wss and dials it', async () => {
     const remoteId = remoteLibp2p.peerId.toB58String()
     const dialAddr = new Multiaddr(`/dnsaddr/remote.libp2p.io/p2p/${remoteId}`)
 
@@ -160,6 +160,66 @@ describe('Dialing (resolvable addresses)', () => {
     expect(dialArgs[0].equals(relayedAddrFetched)).to.eql(true)
   })
 
+  it('resolves dns4 to ip4 addresses before dialing', async () => {
+    const remoteId = remoteLibp2p.peerId.toB58String()
+    const dialAddr = new Multiaddr(relayedAddr(remoteId).replace('/ip4/127.0.0.1/', '/dns4/relay.libp2p.io/'))
+    const relayedAddrFetched = new Multiaddr(relayedAddr(remoteId))
+
+    // Transport spy
+    const transport = libp2p.transportManager._transports.get('Circuit')
+    sinon.spy(transport, 'dial')
+
+    // Resolver stub
+    const stub = sinon.stub(Resolver.prototype, 'resolve4').resolves(['127.0.0.1'])
+
+    const connection = await libp2p.dial(dialAddr)
+    expect(connection).to.exist()
+    expect(stub.calledWith('relay.libp2p.io')).to.be.true()
+
+    const dialArgs = transport.dial.firstCall.args
+    expect(dialArgs[0].equals(relayedAddrFetched)).to.eql(true)
+  })
+
+  it('checks the resolved ip addresses with the connection gater', async () => {
+    const remoteId = remoteLibp2p.peerId.toB58String()
+    const dialAddr = new Multiaddr(`/dnsaddr/remote.libp2p.io/p2p/${remoteId}`)
+    const dnsMa = new Multiaddr(relayedAddr(remoteId).replace('/ip4/127.0.0.1/', '/dns4/relay.libp2p.io/'))
+
+    // Resolver stubs
+    sinon.stub(Resolver.prototype, 'resolveTxt').resolves([[`dnsaddr=${dnsMa}`]])
+    sinon.stub(Resolver.prototype, 'resolve4').resolves(['127.0.0.1'])
+
+    // Deny the resolved ip address
+    const gaterStub = sinon.stub(libp2p.connectionGater, 'denyDialMultiaddr')
+      .callsFake(async (_, multiaddr) => multiaddr.toOptions().host === '127.0.0.1')
+
+    // Transport spy
+    const transport = libp2p.transportManager._transports.get('Circuit')
+    const spy = sinon.spy(transport, 'dial')
+
+    await expect(libp2p.dial(dialAddr))
+      .to.eventually.be.rejected()
+      .and.to.have.property('code', ErrorCodes.ERR_NO_VALID_ADDRESSES)
+    expect(gaterStub.calledWith(sinon.match.any, sinon.match(ma => ma.equals(new Multiaddr(relayedAddr(remoteId)))))).to.be.true()
+    expect(spy.callCount).to.eql(0)
+  })
+
+  it('does not resolve a dnsaddr again while it is cached', async () => {
+    const remoteId = remoteLibp2p.peerId.toB58String()
+    const dialAddr = new Multiaddr(`/dnsaddr/remote.libp2p.io/p2p/${remoteId}`)
+
+    // Resolver stub
+    const stub = sinon.stub(Resolver.prototype, 'resolveTxt')
+    stub.callsFake(() => Promise.resolve(getDnsRelayedAddrStub(remoteId)))
+
+    await libp2p.dial(dialAddr)
+    await libp2p.hangUp(remoteLibp2p.peerId)
+    await libp2p.dial(dialAddr)
+
+    expect(stub.callCount).to.equal(1)
+    expect(libp2p.dialer.resolverCache.entries().has(dialAddr.toString())).to.be.true()
+  })
+
   it('fails to dial if resolve fails and there are no addresses to dial', async () => {
     const remoteId = remoteLibp2p.peerId.toB58String()
     const dialAddr = new Multiaddr(`/dnsaddr/remote.libp2p.io/p2p/${remoteId}`)
@@ -178,3 +238,77 @@ describe('Dialing (resolvable addresses)', () => {
     expect(spy.callCount).to.eql(0)
   })
 })
+
+describe('DNS resolvers', () => {
+  const peerId = '12D3KooWHFKTMzwerBtsVmtz4ZZEQy2heafxzWw6wNn5PPYkBxJ5'
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('resolves dns4 multiaddrs to ip4 multiaddrs', async () => {
+    sinon.stub(Resolver.prototype, 'resolve4').resolves(['1.2.3.4', '5.6.7.8'])
+
+    const addrs = await dns4Resolver(new Multiaddr(`/dns4/libp2p.io/tcp/4001/p2p/${peerId}`))
+
+    expect(addrs).to.eql([
+      `/ip4/1.2.3.4/tcp/4001/p2p/${peerId}`,
+      `/ip4/5.6.7.8/tcp/4001/p2p/${peerId}`
+    ])
+  })
+
+  it('reports the lowest ttl of the dns records', async () => {
+    sinon.stub(Resolver.prototype, 'resolve4').resolves([
+      { address: '1.2.3.4', ttl: 300 },
+      { address: '5.6.7.8', ttl: 60 }
+    ])
+
+    const addrs = await dns4Resolver(new Multiaddr('/dns4/libp2p.io/tcp/4001'))
+
+    expect([...addrs]).to.eql(['/ip4/1.2.3.4/tcp/4001', '/ip4/5.6.7.8/tcp/4001'])
+    expect(addrs).to.have.property('ttl', 60)
+  })
+
+  it('resolves dns6 multiaddrs to ip6 multiaddrs', async () => {
+    sinon.stub(Resolver.prototype, 'resolve6').resolves(['2001:db8::1'])
+
+    const addrs = await dns6Resolver(new Multiaddr('/dns6/libp2p.io/tcp/4001'))
+
+    expect(addrs).to.eql(['/ip6/2001:db8::1/tcp/4001'])
+  })
+
+  it('resolves dns multiaddrs to ip6 and ip4 multiaddrs', async () => {
+    sinon.stub(Resolver.prototype, 'resolve6').resolves(['2001:db8::1'])
+    sinon.stub(Resolver.prototype, 'resolve4').resolves(['1.2.3.4'])
+
+    const addrs = await dnsResolver(new Multiaddr('/dns/libp2p.io/tcp/4001'))
+
+    expect(addrs).to.eql(['/ip6/2001:db8::1/tcp/4001', '/ip4/1.2.3.4/tcp/4001'])
+  })
+
+  it('resolves dns multiaddrs if only one address family resolves', async () => {
+    sinon.stub(Resolver.prototype, 'resolve6').rejects(new Error('no AAAA records'))
+    sinon.stub(Resolver.prototype, 'resolve4').resolves(['1.2.3.4'])
+
+    const addrs = await dnsResolver(new Multiaddr('/dns/libp2p.io/tcp/4001'))
+
+    expect(addrs).to.eql(['/ip4/1.2.3.4/tcp/4001'])
+  })
+
+  it('fails to resolve if no address family resolves', async () => {
+    sinon.stub(Resolver.prototype, 'resolve6').rejects(new Error('no AAAA records'))
+    sinon.stub(Resolver.prototype, 'resolve4').rejects(new Error('no A records'))
+
+    await expect(dnsResolver(new Multiaddr('/dns/libp2p.io/tcp/4001')))
+      .to.eventually.be.rejectedWith('no A records')
+  })
+
+  it('resolves localhost to the loopback addresses', async () => {
+    const stub = sinon.stub(Resolver.prototype, 'resolve4')
+
+    const addrs = await dnsResolver(new Multiaddr('/dns/localhost/tcp/4001'))
+
+    expect(addrs).to.eql(['/ip6/::1/tcp/4001', '/ip4/127.0.0.1/tcp/4001'])
+    expect(stub.called).to.be.false()
+  })
+})
@@ -66,6 +66,7 @@ describe('Identify', () => {
       libp2p: {
         peerId: localPeer,
         connectionManager: new EventEmitter(),
+        addressManager: localAddressManager,
         peerStore: localPeerStore,
         multiaddrs: listenMaddrs,
         isStarted: () => true,
@@ -86,7 +87,7 @@ describe('Identify', () => {
     })
 
     const observedAddr = new Multiaddr('/ip4/127.0.0.1/tcp/1234')
-    const localConnectionMock = { newStream: () => {}, remotePeer }
+    const localConnectionMock = { newStream: () => {}, remotePeer, remoteAddr: listenMaddrs[0] }
     const remoteConnectionMock = { remoteAddr: observedAddr }
 
     const [local, remote] = duplexPair()
@@ -117,6 +118,11 @@ describe('Identify', () => {
     expect(addresses).have.lengthOf(listenMaddrs.length)
     expect(addresses.map((a) => a.multiaddr)[0].equals(listenMaddrs[0]))
     expect(addresses.map((a) => a.isCertified)[0]).to.eql(true)
+
+    // Validate our observed address is reported by the remote peer
+    const [candidate] = localAddressManager.getObservedAddrCandidates()
+    expect(candidate.multiaddr.equals(observedAddr)).to.be.true()
+    expect(candidate.score).to.equal(1)
   })
 
   // LEGACY
@@ -149,7 +155,7 @@ describe('Identify', () => {
     })
 
     const observedAddr = new Multiaddr('/ip4/127.0.0.1/tcp/1234')
-    const localConnectionMock = { newStream: () => {}, remotePeer }
+    const localConnectionMock = { newStream: () => {}, remotePeer, remoteAddr: listenMaddrs[0] }
     const remoteConnectionMock = { remoteAddr: observedAddr }
 
     const [local, remote] = duplexPair()
@@ -187,11 +193,13 @@ describe('Identify', () => {
   })
 
   it('should throw if identified peer is the wrong peer', async () => {
+    const peerScoring = { penalize: sinon.spy() }
     const localIdentify = new IdentifyService({
       libp2p: {
         peerId: localPeer,
         connectionManager: new EventEmitter(),
         peerStore: localPeerStore,
+        peerScoring,
         multiaddrs: [],
         _options: { host: {} },
         _config: { protocolPrefix: 'ipfs' }
@@ -228,6 +236,7 @@ describe('Identify', () => {
     await expect(identifyPromise)
       .to.eventually.be.rejected()
       .and.to.have.property('code', Errors.ERR_INVALID_PEER)
+    expect(peerScoring.penalize.calledOnceWith(localPeer, 'invalidIdentify')).to.be.true()
   })
 
   it('should store host data and protocol version into metadataBook', async () => {
@@ -428,6 +437,39 @@ describe('Identify', () => {
       expect(peerId2.bytes).to.eql(localPeer.bytes)
       expect(protocols).to.eql(Array.from(localProtocols))
     })
+
+    it('should only penalize peers pushing malformed messages', async () => {
+      const peerScoring = { penalize: sinon.spy() }
+      const remoteIdentify = new IdentifyService({
+        libp2p: {
+          peerId: remotePeer,
+          connectionManager: new EventEmitter(),
+          peerStore: remotePeerStore,
+          peerScoring,
+          multiaddrs: [],
+          _options: { host: {} },
+          _config: { protocolPrefix: 'ipfs' }
+        }
+      })
+      const connection = { remotePeer: localPeer }
+
+      // Streams closed without, or before the end of, a message
+      for (const source of [[], [Uint8Array.from([10, 1])]]) {
+        await remoteIdentify.handleMessage({
+          connection,
+          stream: { source, sink: async () => {} },
+          protocol: multicodecs.IDENTIFY_PUSH
+        })
+      }
+      expect(peerScoring.penalize.called).to.be.false()
+
+      await remoteIdentify.handleMessage({
+        connection,
+        stream: { source: [Uint8Array.from([2, 255, 255])], sink: async () => {} },
+        protocol: multicodecs.IDENTIFY_PUSH
+      })
+      expect(peerScoring.penalize.calledOnceWith(localPeer, 'invalidIdentify')).to.be.true()
+    })
   })
 
   describe('libp2p.dialer.identifyService', () => {
@@ -465,8 +507,8 @@ describe('Identify', () => {
       expect(connection).to.exist()
 
       // Wait for peer store to be updated
-      // Dialer._createDialTarget (add), Identify (consume)
-      await pWaitFor(() => peerStoreSpyConsumeRecord.callCount === 1 && peerStoreSpyAdd.callCount === 1)
+      // Dialer._createDialTarget (add), the observed address (add), Identify (consume)
+      await pWaitFor(() => peerStoreSpyConsumeRecord.callCount === 1 && peerStoreSpyAdd.callCount === 2)
       expect(libp2p.identifyService.identify.callCount).to.equal(1)
 
       // The connection should have no open streams
@@ -490,8 +532,8 @@ describe('Identify', () => {
       expect(connection).to.exist()
 
       // Wait for peer store to be updated
-      // Dialer._createDialTarget (add), Identify (consume)
-      await pWaitFor(() => peerStoreSpyConsumeRecord.callCount === 1 && peerStoreSpyAdd.callCount === 1)
+      // Dialer._createDialTarget (add), the observed address (add), Identify (consume)
+      await pWaitFor(() => peerStoreSpyConsumeRecord.callCount === 1 && peerStoreSpyAdd.callCount === 2)
       expect(libp2p.identifyService.identify.callCount).to.equal(1)
 
       // The connection should have no open streams
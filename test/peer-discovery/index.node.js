@@ -89,7 +89,11 @@ describe('peer discovery scenarios', () => {
 
     await libp2p.start()
 
-    return deferred.promise
+    await deferred.promise
+
+    // Bootstrap peers are valued over other peers
+    expect(libp2p.connectionManager.getPeerTags(remotePeerId1).get('bootstrap')).to.equal(50)
+    expect(libp2p.connectionManager.getPeerTags(remotePeerId2).get('bootstrap')).to.equal(50)
   })
 
   it('MulticastDNS should discover all peers on the local network', async () => {
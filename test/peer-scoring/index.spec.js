@@ -0,0 +1,105 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const { Multiaddr } = require('multiaddr')
+
+const peerUtils = require('../utils/creators/peer')
+const PeerScoring = require('../../src/peer-scoring')
+const { codes } = require('../../src/errors')
+
+describe('Peer Scoring', () => {
+  let peerId
+  let libp2p
+
+  before(async () => {
+    [peerId] = await peerUtils.createPeerId()
+  })
+
+  beforeEach(() => {
+    libp2p = {
+      connectionGater: { ban: sinon.stub().resolves() }
+    }
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  it('should ban peers whose score goes below the threshold', () => {
+    const peerScoring = new PeerScoring(libp2p, {
+      enabled: true,
+      threshold: -100,
+      penalties: { invalidIdentify: 60 },
+      decayInterval: 100,
+      banDuration: 1000
+    })
+
+    expect(peerScoring.penalize(peerId, 'invalidIdentify')).to.equal(-60)
+    expect(libp2p.connectionGater.ban.called).to.be.false()
+
+    expect(peerScoring.penalize(peerId, 'invalidIdentify')).to.equal(-120)
+    expect(peerScoring.score(peerId)).to.equal(-120)
+    // The score decays back above the threshold in one interval, shorter than the ban duration
+    expect(libp2p.connectionGater.ban.calledOnceWith(peerId, 1000)).to.be.true()
+
+    // Banned peers are not banned again until their ban expires
+    peerScoring.penalize(peerId, 'invalidIdentify')
+    expect(libp2p.connectionGater.ban.calledOnce).to.be.true()
+
+    expect(() => peerScoring.penalize(peerId, /** @type {any} */ ('unknown'))).to.throw()
+      .with.property('code', codes.ERR_INVALID_PARAMETERS)
+  })
+
+  it('should score the IP addresses of unknown peers, but not relayed addresses', () => {
+    const peerScoring = new PeerScoring(libp2p, { enabled: true, penalties: { encryptionFailed: 200 } })
+
+    peerScoring.penalize(new Multiaddr('/ip4/1.2.3.4/tcp/4001'), 'encryptionFailed')
+    expect(peerScoring.score('1.2.3.4')).to.equal(-200)
+    expect(libp2p.connectionGater.ban.calledOnceWith('1.2.3.4')).to.be.true()
+
+    expect(peerScoring.penalize(new Multiaddr('/ip4/5.6.7.8/tcp/4001/p2p-circuit'), 'encryptionFailed')).to.equal(0)
+    expect(peerScoring.score('5.6.7.8')).to.equal(0)
+  })
+
+  it('should decay the scores and ban peers until their score decays above the threshold', () => {
+    const clock = sinon.useFakeTimers(Date.now())
+    const peerScoring = new PeerScoring(libp2p, {
+      enabled: true,
+      threshold: -100,
+      penalties: { malformedMessage: 150, invalidFetch: 1000 },
+      decayInterval: 1000,
+      decayFactor: 0.5,
+      banDuration: 500,
+      maxBanDuration: 3000
+    })
+    peerScoring.start()
+
+    peerScoring.penalize(peerId, 'malformedMessage')
+    expect(libp2p.connectionGater.ban.firstCall.calledWith(peerId, 1000)).to.be.true()
+    clock.tick(1000)
+    expect(peerScoring.score(peerId)).to.equal(-75)
+
+    // The ban expired, but the score was not forgotten yet, -225 takes two intervals to decay
+    peerScoring.penalize(peerId, 'malformedMessage')
+    expect(libp2p.connectionGater.ban.secondCall.calledWith(peerId, 2000)).to.be.true()
+
+    // Bans are capped
+    clock.tick(2000)
+    peerScoring.penalize(peerId, 'invalidFetch')
+    expect(libp2p.connectionGater.ban.thirdCall.calledWith(peerId, 3000)).to.be.true()
+
+    clock.tick(20000)
+    expect(peerScoring.score(peerId)).to.equal(0)
+
+    peerScoring.stop()
+  })
+
+  it('should not penalize peers when disabled, as by default', () => {
+    const peerScoring = new PeerScoring(libp2p)
+
+    expect(peerScoring.penalize(peerId, 'invalidFetch')).to.equal(0)
+    expect(peerScoring.score(peerId)).to.equal(0)
+  })
+})
@@ -3,6 +3,7 @@
 /* eslint max-nested-callbacks: ["error", 6] */
 
 const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
 const { Buffer } = require('buffer')
 const { Multiaddr } = require('multiaddr')
 const arrayEquals = require('libp2p-utils/src/array-equals')
@@ -10,9 +11,12 @@ const addressSort = require('libp2p-utils/src/address-sort')
 const PeerId = require('peer-id')
 const pDefer = require('p-defer')
 const { MemoryDatastore } = require('datastore-core/memory')
+const { Key } = require('interface-datastore/key')
 const PeerStore = require('../../src/peer-store')
 const Envelope = require('../../src/record/envelope')
 const PeerRecord = require('../../src/record/peer-record')
+const { Peer: PeerPB } = require('../../src/peer-store/pb/peer')
+const { ADDRESS_TTL } = require('../../src/constants')
 const { mockConnectionGater } = require('../utils/mock-connection-gater')
 const peerUtils = require('../utils/creators/peer')
 const {
@@ -474,6 +478,78 @@ describe('addressBook', () => {
     })
   })
 
+  describe('address expiry', () => {
+    /** @type {PeerStore} */
+    let peerStore
+    /** @type {AddressBook} */
+    let ab
+    let datastore
+    let clock
+    let now
+
+    beforeEach(() => {
+      now = Date.now()
+      clock = sinon.useFakeTimers(now)
+      datastore = new MemoryDatastore()
+      peerStore = new PeerStore({
+        peerId,
+        datastore,
+        addressFilter: connectionGater.filterMultiaddrForPeer,
+        addressTtl: { manual: 5000 }
+      })
+      ab = peerStore.addressBook
+    })
+
+    afterEach(() => {
+      peerStore.removeAllListeners()
+      sinon.restore()
+    })
+
+    it('expires the addresses after the ttl of their source', async () => {
+      await ab.add(peerId, [addr1])
+      await ab.add(peerId, [addr2], { source: 'discovered' })
+      await ab.add(peerId, [addr3], { source: 'discovered', ttl: 1000 })
+
+      const addresses = await ab.get(peerId)
+      expect(addresses.map(({ multiaddr, expiry }) => [multiaddr.toString(), expiry])).to.have.deep.members([
+        [addr1.toString(), now + 5000],
+        [addr2.toString(), now + ADDRESS_TTL.discovered],
+        [addr3.toString(), now + 1000]
+      ])
+
+      await expect(ab.add(peerId, [addr1], { source: /** @type {any} */ ('unknown') })).to.eventually.be.rejected()
+        .with.property('code', ERR_INVALID_PARAMETERS)
+    })
+
+    it('extends the expiry of known addresses without emitting a change', async () => {
+      const spy = sinon.spy()
+      await ab.add(peerId, [addr1], { ttl: 1000 })
+      peerStore.on('change:multiaddrs', spy)
+
+      await ab.add(peerId, [addr1], { ttl: 3000 })
+      await ab.add(peerId, [addr1], { ttl: 2000 })
+      await ab.set(peerId, [addr1], { ttl: 500 })
+
+      const addresses = await ab.get(peerId)
+      expect(addresses).to.have.lengthOf(1)
+      expect(addresses[0].expiry).to.equal(now + 3000)
+      expect(spy.called).to.be.false()
+    })
+
+    it('never expires the addresses stored without expiry', async () => {
+      // addresses stored before they had an expiry
+      await datastore.put(new Key(`/peers/${peerId.toString()}`), PeerPB.encode({
+        addresses: [{ multiaddr: addr1.bytes }]
+      }).finish())
+
+      clock.tick(ADDRESS_TTL.certified * 10)
+
+      const addresses = await ab.get(peerId)
+      expect(addresses).to.have.lengthOf(1)
+      expect(addresses[0].expiry).to.equal(Infinity)
+    })
+  })
+
   describe('certified records', () => {
     /** @type {PeerStore} */
     let peerStore
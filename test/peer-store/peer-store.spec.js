@@ -2,6 +2,7 @@
 /* eslint-env mocha */
 
 const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
 const all = require('it-all')
 const PeerStore = require('../../src/peer-store')
 const { Multiaddr } = require('multiaddr')
@@ -224,4 +225,61 @@ describe('peer-store', () => {
       expect(peerData.metadata.get(metadataKey)).to.equalBytes(metadataValue)
     })
   })
+
+  describe('peerStore.removeExpired', () => {
+    /** @type {PeerStore} */
+    let peerStore
+
+    beforeEach(() => {
+      peerStore = new PeerStore({
+        peerId: peerIds[4],
+        datastore: new MemoryDatastore(),
+        addressFilter: connectionGater.filterMultiaddrForPeer,
+        gcInterval: 1000
+      })
+    })
+
+    afterEach(() => {
+      peerStore.stop()
+      sinon.restore()
+    })
+
+    it('removes the expired addresses and the peers left without data', async () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      await peerStore.addressBook.add(peerIds[0], [addr1], { ttl: 1000 })
+      await peerStore.addressBook.add(peerIds[1], [addr1], { ttl: 1000 })
+      await peerStore.addressBook.add(peerIds[1], [addr2], { ttl: 5000 })
+      await peerStore.addressBook.add(peerIds[2], [addr3], { ttl: 1000 })
+      await peerStore.protoBook.set(peerIds[2], [proto1])
+
+      clock.tick(1000)
+
+      // expired addresses are not returned even before they are removed
+      expect(await peerStore.addressBook.get(peerIds[0])).to.be.empty()
+
+      const changes = []
+      peerStore.on('change:multiaddrs', (event) => changes.push(event))
+      await peerStore.removeExpired()
+
+      expect(await peerStore.has(peerIds[0])).to.be.false()
+      expect((await peerStore.get(peerIds[1])).addresses.map(({ multiaddr }) => multiaddr)).to.eql([addr2])
+      expect(await peerStore.has(peerIds[2])).to.be.true()
+      expect((await peerStore.get(peerIds[2])).protocols).to.eql([proto1])
+      expect(changes.map(({ peerId }) => peerId.toB58String())).to.have.members(
+        [peerIds[0], peerIds[1], peerIds[2]].map(peerId => peerId.toB58String()))
+    })
+
+    it('removes the expired addresses periodically once started', () => {
+      const clock = sinon.useFakeTimers(Date.now())
+      const removeExpiredStub = sinon.stub(peerStore, 'removeExpired').resolves()
+
+      peerStore.start()
+      clock.tick(1000)
+      expect(removeExpiredStub.calledOnce).to.be.true()
+
+      peerStore.stop()
+      clock.tick(1000)
+      expect(removeExpiredStub.calledOnce).to.be.true()
+    })
+  })
 })
@@ -245,6 +245,23 @@ describe('auto-relay', () => {
       })).to.eventually.be.rejected()
     })
 
+    it('should protect the connection to the relays it listens on', async () => {
+      const isProtected = () => relayLibp2p1.connectionManager.isProtected(relayLibp2p2.peerId, 'relay')
+
+      // Discover one relay and connect
+      await relayLibp2p1.peerStore.addressBook.add(relayLibp2p2.peerId, relayLibp2p2.multiaddrs)
+      await relayLibp2p1.dial(relayLibp2p2.peerId)
+      await discoveredRelayConfig(relayLibp2p1, relayLibp2p2)
+
+      // Wait for listening on the relay
+      await usingAsRelay(relayLibp2p1, relayLibp2p2)
+      await pWaitFor(isProtected)
+
+      // Disconnect from peer used for relay
+      await relayLibp2p1.hangUp(relayLibp2p2.peerId)
+      await pWaitFor(() => !isProtected())
+    })
+
     it('should try to listen on other connected peers relayed address if one used relay disconnects', async () => {
       // Discover one relay and connect
       await relayLibp2p1.peerStore.addressBook.add(relayLibp2p2.peerId, relayLibp2p2.multiaddrs)
@@ -0,0 +1,62 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const { Multiaddr } = require('multiaddr')
+
+const { createPeerId } = require('../utils/creators/peer')
+const CircuitTracker = require('../../src/circuit/circuit-tracker')
+
+describe('Circuit tracker', () => {
+  let peerIds
+
+  before(async () => {
+    peerIds = await createPeerId({ number: 2 })
+  })
+
+  /**
+   * @param {import('peer-id')} remotePeer
+   * @param {string} remoteAddr
+   */
+  function mockConnection (remotePeer, remoteAddr) {
+    return {
+      remotePeer,
+      remoteAddr: new Multiaddr(remoteAddr)
+    }
+  }
+
+  it('should refuse circuits over the total limit', () => {
+    const tracker = new CircuitTracker({ maxCircuits: 1 })
+
+    expect(tracker.open(mockConnection(peerIds[0], '/ip4/10.0.0.1/tcp/4001'))).to.exist()
+    expect(tracker.open(mockConnection(peerIds[1], '/ip4/10.0.0.2/tcp/4001'))).to.not.exist()
+    expect(tracker.size).to.equal(1)
+  })
+
+  it('should refuse circuits over the per peer limit', () => {
+    const tracker = new CircuitTracker({ maxCircuitsPerPeer: 1 })
+
+    expect(tracker.open(mockConnection(peerIds[0], '/ip4/10.0.0.1/tcp/4001'))).to.exist()
+    expect(tracker.open(mockConnection(peerIds[0], '/ip4/10.0.0.2/tcp/4001'))).to.not.exist()
+    expect(tracker.open(mockConnection(peerIds[1], '/ip4/10.0.0.2/tcp/4001'))).to.exist()
+  })
+
+  it('should refuse circuits over the per ip limit', () => {
+    const tracker = new CircuitTracker({ maxCircuitsPerIp: 1 })
+
+    expect(tracker.open(mockConnection(peerIds[0], '/ip4/10.0.0.1/tcp/4001'))).to.exist()
+    expect(tracker.open(mockConnection(peerIds[1], '/ip4/10.0.0.1/tcp/4002'))).to.not.exist()
+    expect(tracker.open(mockConnection(peerIds[1], '/ip4/10.0.0.2/tcp/4001'))).to.exist()
+  })
+
+  it('should accept new circuits once open ones are closed', () => {
+    const tracker = new CircuitTracker({ maxCircuitsPerPeer: 1 })
+
+    const id = tracker.open(mockConnection(peerIds[0], '/ip4/10.0.0.1/tcp/4001'))
+    expect(id).to.exist()
+    tracker.close(id)
+
+    expect(tracker.size).to.equal(0)
+    expect(tracker.open(mockConnection(peerIds[0], '/ip4/10.0.0.1/tcp/4001'))).to.exist()
+  })
+})
@@ -0,0 +1,246 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const pWaitFor = require('p-wait-for')
+const delay = require('delay')
+const { Multiaddr } = require('multiaddr')
+const { collect } = require('streaming-iterables')
+const pipe = require('it-pipe')
+const lp = require('it-length-prefixed')
+const AggregateError = require('aggregate-error')
+const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
+
+const { createPeerId } = require('../utils/creators/peer')
+const baseOptions = require('../utils/base-options')
+const Libp2p = require('../../src')
+const { codes: Errors } = require('../../src/errors')
+const { reserve, hop } = require('../../src/circuit/v2/hop')
+const { HopMessage } = require('../../src/circuit/v2/protocol')
+const { relayV2Hop, relayV2Stop } = require('../../src/circuit/multicodec')
+
+const listenAddr = '/ip4/0.0.0.0/tcp/0'
+
+describe('Dialing (via relay v2, TCP)', () => {
+  let srcLibp2p
+  let relayLibp2p
+  let dstLibp2p
+
+  /**
+   * @param {object} [hop] - hop options of the relay
+   */
+  async function createNodes (hop = {}) {
+    const peerIds = await createPeerId({ number: 3 })
+    // Create 3 nodes, and turn HOP on for the relay
+    ;[srcLibp2p, relayLibp2p, dstLibp2p] = peerIds.map((peerId, index) => new Libp2p({
+      ...baseOptions,
+      config: {
+        ...baseOptions.config,
+        relay: {
+          enabled: true,
+          hop: {
+            ...hop,
+            enabled: index === 1
+          }
+        }
+      },
+      addresses: {
+        listen: [listenAddr]
+      },
+      metrics: {
+        enabled: true
+      },
+      peerId
+    }))
+
+    dstLibp2p.handle('/echo/1.0.0', ({ stream }) => pipe(stream, stream))
+
+    await Promise.all([srcLibp2p, relayLibp2p, dstLibp2p].map(libp2p => libp2p.start()))
+  }
+
+  function getRelayAddr () {
+    return relayLibp2p.transportManager.getAddrs()[0].encapsulate(`/p2p/${relayLibp2p.peerId.toB58String()}`)
+  }
+
+  function getDialAddr () {
+    return getRelayAddr().encapsulate(`/p2p-circuit/p2p/${dstLibp2p.peerId.toB58String()}`)
+  }
+
+  afterEach(() => {
+    // Stop each node
+    return Promise.all([srcLibp2p, relayLibp2p, dstLibp2p].map(libp2p => libp2p.stop()))
+  })
+
+  it('should make a reservation when listening on a relay', async () => {
+    await createNodes()
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    expect(relayLibp2p.relay.reservationStore.hasReservation(dstLibp2p.peerId)).to.be.true()
+    expect(relayLibp2p.metrics.getComponentMetrics().get('libp2p').get('relay').get('reservations')).to.equal(1)
+  })
+
+  it('should be able to connect to a peer with a reservation', async () => {
+    await createNodes()
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    const connection = await srcLibp2p.dial(getDialAddr())
+    expect(connection.remotePeer.toBytes()).to.eql(dstLibp2p.peerId.toBytes())
+    expect(connection.remoteAddr).to.eql(getDialAddr())
+
+    const { stream: echoStream } = await connection.newStream('/echo/1.0.0')
+    const input = uint8ArrayFromString('hello')
+    const [output] = await pipe(
+      [input],
+      echoStream,
+      collect
+    )
+
+    expect(output.slice()).to.eql(input)
+  })
+
+  it('should fail to connect to a peer without a reservation', async () => {
+    await createNodes({ v1: { enabled: false } })
+    await dstLibp2p.dial(getRelayAddr())
+
+    await expect(srcLibp2p.dial(getDialAddr()))
+      .to.eventually.be.rejectedWith(AggregateError)
+      .and.to.have.nested.property('._errors[0].code', Errors.ERR_HOP_REQUEST_FAILED)
+  })
+
+  it('should connect with v1 to a v1 only peer listening through a dual-stack relay', async () => {
+    await createNodes()
+    // A v1 only listener makes no reservation and does not speak the v2 STOP protocol
+    await dstLibp2p.unhandle(relayV2Stop)
+    await dstLibp2p.dial(getRelayAddr())
+
+    const connection = await srcLibp2p.dial(getDialAddr())
+    expect(connection.remotePeer.toBytes()).to.eql(dstLibp2p.peerId.toBytes())
+
+    const { stream: echoStream } = await connection.newStream('/echo/1.0.0')
+    const input = uint8ArrayFromString('hello')
+    const [output] = await pipe(
+      [input],
+      echoStream,
+      collect
+    )
+
+    expect(output.slice()).to.eql(input)
+  })
+
+  it('should refuse reservations once the limit is reached', async () => {
+    await createNodes({ v2: { maxReservations: 1 } })
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    const connection = await srcLibp2p.dial(getRelayAddr())
+
+    await expect(reserve({ connection }))
+      .to.eventually.be.rejected()
+      .with.property('code', Errors.ERR_HOP_REQUEST_FAILED)
+  })
+
+  it('should not count expired reservations against the limit', async () => {
+    await createNodes({ v2: { maxReservations: 1 } })
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    // Expire the reservation before the periodic clear runs
+    relayLibp2p.relay.reservationStore._reservations.get(dstLibp2p.peerId.toB58String()).expire = Date.now() - 1
+
+    const connection = await srcLibp2p.dial(getRelayAddr())
+    await reserve({ connection })
+
+    expect(relayLibp2p.relay.reservationStore.hasReservation(srcLibp2p.peerId)).to.be.true()
+  })
+
+  it('should remove the reservation when the peer disconnects', async () => {
+    await createNodes()
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    await dstLibp2p.hangUp(relayLibp2p.peerId)
+
+    await pWaitFor(() => !relayLibp2p.relay.reservationStore.hasReservation(dstLibp2p.peerId))
+  })
+
+  it('should close relayed connections once the duration limit is reached', async () => {
+    await createNodes({ v2: { limit: { duration: 500 } } })
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    const connection = await srcLibp2p.dial(getDialAddr())
+
+    await pWaitFor(() => connection.stat.status === 'closed', { timeout: 5000 })
+  })
+
+  it('should relay at most the rate limit', async () => {
+    await createNodes({ limit: { rate: 8192 } })
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    const connection = await srcLibp2p.dial(getDialAddr())
+    const { stream: echoStream } = await connection.newStream('/echo/1.0.0')
+
+    const start = Date.now()
+    const output = await pipe(
+      (async function * () {
+        for (let i = 0; i < 3; i++) {
+          yield new Uint8Array(8192)
+          await delay(10)
+        }
+      })(),
+      echoStream,
+      collect
+    )
+
+    expect(output.reduce((length, buf) => length + buf.length, 0)).to.equal(3 * 8192)
+    // Each 8192 bytes take a second to be relayed
+    expect(Date.now() - start).to.be.at.least(1500)
+  })
+
+  it('should track relayed circuits in the metrics', async () => {
+    await createNodes({ v2: { limit: { duration: 500 } } })
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    await srcLibp2p.dial(getDialAddr())
+    const relayMetrics = relayLibp2p.metrics.getComponentMetrics().get('libp2p').get('relay')
+    expect(relayMetrics.get('circuits')).to.equal(1)
+    expect(relayMetrics.get('circuit-peers')).to.equal(1)
+
+    // The circuit is no longer tracked once it reaches its duration limit
+    await pWaitFor(() => relayMetrics.get('circuits') === 0, { timeout: 5000 })
+    expect(relayMetrics.get('circuit-peers')).to.equal(0)
+  })
+
+  it('should refuse circuits once the limit is reached', async () => {
+    await createNodes({ maxCircuitsPerPeer: 1 })
+    await dstLibp2p.transportManager.listen([new Multiaddr(`${getRelayAddr()}/p2p-circuit`)])
+
+    await srcLibp2p.dial(getDialAddr())
+
+    const relayConnection = srcLibp2p.connectionManager.get(relayLibp2p.peerId)
+    await expect(hop({
+      connection: relayConnection,
+      request: {
+        type: HopMessage.Type.CONNECT,
+        peer: {
+          id: dstLibp2p.peerId.toBytes(),
+          addrs: []
+        }
+      }
+    }))
+      .to.eventually.be.rejected()
+      .with.property('code', Errors.ERR_HOP_REQUEST_FAILED)
+  })
+
+  it('should close the stream of a malformed HOP request', async () => {
+    await createNodes()
+
+    const connection = await srcLibp2p.dial(getRelayAddr())
+    const { stream } = await connection.newStream(relayV2Hop)
+    const response = await pipe(
+      [Uint8Array.from([0xff, 0xff, 0xff])],
+      lp.encode(),
+      stream,
+      collect
+    )
+
+    expect(response).to.be.empty()
+    expect(relayLibp2p.isStarted()).to.be.true()
+  })
+})
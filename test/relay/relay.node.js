@@ -8,12 +8,15 @@ const { Multiaddr } = require('multiaddr')
 const { collect } = require('streaming-iterables')
 const pipe = require('it-pipe')
 const AggregateError = require('aggregate-error')
+const pWaitFor = require('p-wait-for')
 const { fromString: uint8ArrayFromString } = require('uint8arrays/from-string')
 
 const { createPeerId } = require('../utils/creators/peer')
 const baseOptions = require('../utils/base-options')
 const Libp2p = require('../../src')
 const { codes: Errors } = require('../../src/errors')
+const { relayV2Hop } = require('../../src/circuit/multicodec')
+const { CircuitRelay: CircuitPB } = require('../../src/circuit/protocol')
 
 const listenAddr = '/ip4/0.0.0.0/tcp/0'
 
@@ -46,6 +49,8 @@ describe('Dialing (via relay, TCP)', () => {
   })
 
   afterEach(async () => {
+    sinon.restore()
+
     // Stop each node
     return Promise.all([srcLibp2p, relayLibp2p, dstLibp2p].map(libp2p => libp2p.stop()))
   })
@@ -87,6 +92,28 @@ describe('Dialing (via relay, TCP)', () => {
     expect(output.slice()).to.eql(input)
   })
 
+  it('should only record the addresses of direct connections as observed', async () => {
+    const relayAddr = relayLibp2p.transportManager.getAddrs()[0]
+    const relayIdString = relayLibp2p.peerId.toB58String()
+
+    const dialAddr = relayAddr
+      .encapsulate(`/p2p/${relayIdString}`)
+      .encapsulate(`/p2p-circuit/p2p/${dstLibp2p.peerId.toB58String()}`)
+
+    await dstLibp2p.dial(relayAddr.encapsulate(`/p2p/${relayIdString}`))
+
+    const addSpy = sinon.spy(srcLibp2p.peerStore.addressBook, 'add')
+    await srcLibp2p.dial(dialAddr)
+
+    const observedPeers = () => addSpy.getCalls()
+      .filter(call => call.args[2] && call.args[2].source === 'observed')
+      .map(call => call.args[0].toB58String())
+
+    // The relay is reached directly, the destination peer over the relay
+    await pWaitFor(() => observedPeers().includes(relayIdString))
+    expect(observedPeers()).to.not.include(dstLibp2p.peerId.toB58String())
+  })
+
   it('should fail to connect to a peer over a relay with inactive connections', async () => {
     const relayAddr = relayLibp2p.transportManager.getAddrs()[0]
     const relayIdString = relayLibp2p.peerId.toB58String()
@@ -100,6 +127,75 @@ describe('Dialing (via relay, TCP)', () => {
       .and.to.have.nested.property('._errors[0].code', Errors.ERR_HOP_REQUEST_FAILED)
   })
 
+  it('should connect to a peer over an active relay that is not connected to it', async () => {
+    const relayIdString = relayLibp2p.peerId.toB58String()
+    const relayAddr = relayLibp2p.transportManager.getAddrs()[0].encapsulate(`/p2p/${relayIdString}`)
+    const dstAddr = dstLibp2p.transportManager.getAddrs()[0].encapsulate(`/p2p/${dstLibp2p.peerId.toB58String()}`)
+
+    // Only relay over v1, as v2 requires a reservation
+    await relayLibp2p.unhandle(relayV2Hop)
+    sinon.stub(relayLibp2p._config.relay.hop, 'active').value(true)
+
+    const connection = await srcLibp2p.dial(relayAddr.encapsulate(`/p2p-circuit${dstAddr}`))
+    expect(connection.remotePeer.toBytes()).to.eql(dstLibp2p.peerId.toBytes())
+
+    // The relay dialed the destination peer using the address from the HOP request
+    const relayToDstConn = relayLibp2p.connectionManager.get(dstLibp2p.peerId)
+    expect(relayToDstConn).to.exist()
+
+    const { stream: echoStream } = await connection.newStream('/echo/1.0.0')
+    const input = uint8ArrayFromString('hello')
+    const [output] = await pipe(
+      [input],
+      echoStream,
+      collect
+    )
+
+    expect(output.slice()).to.eql(input)
+  })
+
+  it('should fail to connect to a peer over an active relay that cannot dial it', async () => {
+    const relayIdString = relayLibp2p.peerId.toB58String()
+    const relayAddr = relayLibp2p.transportManager.getAddrs()[0].encapsulate(`/p2p/${relayIdString}`)
+
+    await relayLibp2p.unhandle(relayV2Hop)
+    sinon.stub(relayLibp2p._config.relay.hop, 'active').value(true)
+
+    await expect(srcLibp2p.dial(relayAddr.encapsulate(`/p2p-circuit/ip4/127.0.0.1/tcp/1/p2p/${dstLibp2p.peerId.toB58String()}`)))
+      .to.eventually.be.rejectedWith(AggregateError)
+      .and.to.have.nested.property('._errors[0].code', Errors.ERR_HOP_REQUEST_FAILED)
+
+    expect(relayLibp2p.connectionManager.get(dstLibp2p.peerId)).to.not.exist()
+    // The addresses of the HOP request are not trusted, they are not stored
+    expect(await relayLibp2p.peerStore.addressBook.get(dstLibp2p.peerId)).to.be.empty()
+  })
+
+  it('should refuse v1 circuits with HOP_CANT_OPEN_DST_STREAM once the circuit limit is reached', async () => {
+    const relayIdString = relayLibp2p.peerId.toB58String()
+    const relayAddr = relayLibp2p.transportManager.getAddrs()[0].encapsulate(`/p2p/${relayIdString}`)
+
+    await relayLibp2p.unhandle(relayV2Hop)
+    await dstLibp2p.dial(relayAddr)
+    sinon.stub(relayLibp2p.relay.circuitTracker, 'open').returns(undefined)
+
+    await expect(srcLibp2p.dial(relayAddr.encapsulate(`/p2p-circuit/p2p/${dstLibp2p.peerId.toB58String()}`)))
+      .to.eventually.be.rejectedWith(AggregateError)
+      .and.to.have.nested.property('._errors[0].message', `HOP request failed with code ${CircuitPB.Status.HOP_CANT_OPEN_DST_STREAM}`)
+  })
+
+  it('should answer with a status when the relay cannot open a stream to the destination peer', async () => {
+    const relayIdString = relayLibp2p.peerId.toB58String()
+    const relayAddr = relayLibp2p.transportManager.getAddrs()[0].encapsulate(`/p2p/${relayIdString}`)
+
+    await relayLibp2p.unhandle(relayV2Hop)
+    await dstLibp2p.dial(relayAddr)
+    sinon.stub(relayLibp2p.connectionManager.get(dstLibp2p.peerId), 'newStream').rejects(new Error('stream reset'))
+
+    await expect(srcLibp2p.dial(relayAddr.encapsulate(`/p2p-circuit/p2p/${dstLibp2p.peerId.toB58String()}`)))
+      .to.eventually.be.rejectedWith(AggregateError)
+      .and.to.have.nested.property('._errors[0].message', `HOP request failed with code ${CircuitPB.Status.HOP_CANT_OPEN_DST_STREAM}`)
+  })
+
   it('should not stay connected to a relay when not already connected and HOP fails', async () => {
     const relayAddr = relayLibp2p.transportManager.getAddrs()[0]
     const relayIdString = relayLibp2p.peerId.toB58String()
@@ -142,6 +238,9 @@ describe('Dialing (via relay, TCP)', () => {
     const dialAddr = relayAddr
       .encapsulate(`/p2p-circuit/p2p/${dstLibp2p.peerId.toB58String()}`)
 
+    // Only relay over v1, which sends our multiaddrs in the circuit message
+    await relayLibp2p.unhandle(relayV2Hop)
+
     // Connect the destination peer and the relay
     const tcpAddrs = dstLibp2p.transportManager.getAddrs()
     sinon.stub(dstLibp2p.addressManager, 'getListenAddrs').returns([new Multiaddr(`${relayAddr}/p2p-circuit`)])
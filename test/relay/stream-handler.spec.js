@@ -0,0 +1,56 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+const sinon = require('sinon')
+const duplexPair = require('it-pair/duplex')
+
+const peerUtils = require('../utils/creators/peer')
+const ResourceManager = require('../../src/resource-manager')
+const StreamHandler = require('../../src/circuit/circuit/stream-handler')
+const { CircuitRelay } = require('../../src/circuit/protocol')
+
+describe('Circuit stream handler', () => {
+  let peerId
+
+  before(async () => {
+    [peerId] = await peerUtils.createPeerId()
+  })
+
+  /**
+   * @param {object} limits
+   */
+  function createStreamScope (limits) {
+    const resourceManager = new ResourceManager({ limits })
+    const connectionScope = resourceManager.openConnection('inbound', { peerId })
+
+    return { resourceManager, scope: resourceManager.openStream(connectionScope, 'inbound') }
+  }
+
+  it('should reserve the memory of a message while reading it', async () => {
+    const { resourceManager, scope } = createStreamScope({ stream: { memory: 4096 } })
+    const [local, remote] = duplexPair()
+
+    const streamHandler = new StreamHandler({ stream: remote, scope })
+    const reading = streamHandler.read()
+    expect(resourceManager.stat().system.memory).to.equal(4096)
+
+    new StreamHandler({ stream: local }).write({ type: CircuitRelay.Type.HOP })
+
+    const message = await reading
+    expect(message).to.have.property('type', CircuitRelay.Type.HOP)
+    expect(resourceManager.stat().system.memory).to.equal(0)
+  })
+
+  it('should reset the stream when the memory of a message cannot be reserved', async () => {
+    const { resourceManager, scope } = createStreamScope({ stream: { memory: 1024 } })
+    const [, remote] = duplexPair()
+    const stream = { ...remote, abort: sinon.spy() }
+
+    const streamHandler = new StreamHandler({ stream, scope })
+
+    expect(await streamHandler.read()).to.be.undefined()
+    expect(stream.abort.calledOnce).to.be.true()
+    expect(resourceManager.stat().system.memory).to.equal(0)
+  })
+})
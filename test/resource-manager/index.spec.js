@@ -0,0 +1,141 @@
+'use strict'
+/* eslint-env mocha */
+
+const { expect } = require('aegir/utils/chai')
+
+const peerUtils = require('../utils/creators/peer')
+const ResourceManager = require('../../src/resource-manager')
+const { codes } = require('../../src/errors')
+
+describe('Resource Manager', () => {
+  let peerId1, peerId2
+
+  before(async () => {
+    [peerId1, peerId2] = await peerUtils.createPeerId({ number: 2 })
+  })
+
+  it('should enforce the limits of every scope a connection is accounted in', () => {
+    const resourceManager = new ResourceManager({
+      limits: {
+        system: { connections: 3 },
+        peer: { connectionsInbound: 1 }
+      }
+    })
+
+    resourceManager.openConnection('inbound', { peerId: peerId1 })
+    expect(() => resourceManager.openConnection('inbound', { peerId: peerId1 })).to.throw()
+      .with.property('code', codes.ERR_RESOURCE_LIMIT_EXCEEDED)
+
+    resourceManager.openConnection('outbound', { peerId: peerId1 })
+    resourceManager.openConnection('inbound', { peerId: peerId2 })
+    expect(() => resourceManager.openConnection('outbound')).to.throw()
+      .with.property('limit', 'connections')
+
+    expect(resourceManager.stat().system).to.include({ connectionsInbound: 2, connectionsOutbound: 1 })
+  })
+
+  it('should move connections from the transient scope to the scope of their peer', () => {
+    const resourceManager = new ResourceManager({
+      limits: { peers: { [peerId1.toB58String()]: { connections: 0 } } }
+    })
+
+    const scope = resourceManager.openConnection('inbound')
+    expect(resourceManager.stat().transient.connectionsInbound).to.equal(1)
+
+    expect(() => scope.setPeer(peerId1)).to.throw()
+      .with.property('scope', `peer:${peerId1.toB58String()}`)
+    expect(resourceManager.stat().transient.connectionsInbound).to.equal(1)
+
+    scope.setPeer(peerId2)
+    expect(resourceManager.stat()).to.deep.include({
+      peers: {
+        [peerId2.toB58String()]: {
+          connectionsInbound: 1,
+          connectionsOutbound: 0,
+          streamsInbound: 0,
+          streamsOutbound: 0,
+          memory: 0
+        }
+      }
+    })
+    expect(resourceManager.stat().transient.connectionsInbound).to.equal(0)
+
+    scope.done()
+    expect(resourceManager.stat().peers).to.eql({})
+    expect(resourceManager.stat().system.connectionsInbound).to.equal(0)
+  })
+
+  it('should move streams from the transient scope to the scope of their protocol', () => {
+    const resourceManager = new ResourceManager({
+      limits: {
+        connection: { streams: 2 },
+        protocol: { streamsInbound: 1 }
+      }
+    })
+
+    const connectionScope = resourceManager.openConnection('inbound', { peerId: peerId1 })
+    const streamScope = resourceManager.openStream(connectionScope, 'inbound')
+    streamScope.setProtocol('/echo/1.0.0')
+
+    const otherStreamScope = resourceManager.openStream(connectionScope, 'inbound')
+    expect(() => otherStreamScope.setProtocol('/echo/1.0.0')).to.throw()
+      .with.property('limit', 'streamsInbound')
+    expect(() => resourceManager.openStream(connectionScope, 'outbound')).to.throw()
+      .with.property('scope', 'connection')
+
+    const stat = resourceManager.stat()
+    expect(stat.protocols['/echo/1.0.0'].streamsInbound).to.equal(1)
+    expect(stat.transient.streamsInbound).to.equal(1)
+    expect(stat.peers[peerId1.toB58String()].streamsInbound).to.equal(2)
+
+    otherStreamScope.done()
+    streamScope.done()
+    expect(resourceManager.stat().protocols).to.eql({})
+    expect(resourceManager.stat().system.streamsInbound).to.equal(0)
+  })
+
+  it('should reserve and release memory up the scopes', () => {
+    const resourceManager = new ResourceManager({
+      limits: { peer: { memory: 1024 } }
+    })
+
+    const connectionScope = resourceManager.openConnection('outbound', { peerId: peerId1 })
+    const streamScope = resourceManager.openStream(connectionScope, 'outbound')
+
+    streamScope.reserveMemory(1000)
+    expect(() => connectionScope.reserveMemory(100)).to.throw()
+      .with.property('limit', 'memory')
+    expect(resourceManager.stat().peers[peerId1.toB58String()].memory).to.equal(1000)
+
+    streamScope.releaseMemory(600)
+    connectionScope.reserveMemory(100)
+    expect(resourceManager.stat().system.memory).to.equal(500)
+
+    connectionScope.done()
+    streamScope.done()
+    expect(resourceManager.stat().system.memory).to.equal(0)
+    expect(() => streamScope.reserveMemory(1)).to.throw()
+      .with.property('code', codes.ERR_RESOURCE_LIMIT_EXCEEDED)
+  })
+
+  it('should let outbound connections take over the connections reserved by dials', () => {
+    const resourceManager = new ResourceManager({
+      limits: { system: { connectionsOutbound: 1 } }
+    })
+
+    const reservation = resourceManager.reserveDial(peerId1)
+    expect(() => resourceManager.reserveDial(peerId2)).to.throw()
+      .with.property('code', codes.ERR_RESOURCE_LIMIT_EXCEEDED)
+
+    const scope = resourceManager.openConnection('outbound', { peerId: peerId1 })
+    expect(scope).to.equal(reservation)
+
+    resourceManager.releaseDial(peerId1, reservation)
+    expect(resourceManager.stat().system.connectionsOutbound).to.equal(1)
+
+    scope.done()
+    const otherReservation = resourceManager.reserveDial(peerId2)
+    resourceManager.releaseDial(peerId2, otherReservation)
+    expect(resourceManager.stat().system.connectionsOutbound).to.equal(0)
+  })
+})
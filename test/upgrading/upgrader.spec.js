@@ -4,11 +4,14 @@
 const { expect } = require('aegir/utils/chai')
 const sinon = require('sinon')
 const Muxer = require('libp2p-mplex')
+const Multistream = require('multistream-select')
 const { Multiaddr } = require('multiaddr')
 const PeerId = require('peer-id')
 const pipe = require('it-pipe')
 const { collect } = require('streaming-iterables')
 const pSettle = require('p-settle')
+const pWaitFor = require('p-wait-for')
+const delay = require('delay')
 const Transport = require('libp2p-websockets')
 const { NOISE: Crypto } = require('@chainsafe/libp2p-noise')
 const Protector = require('../../src/pnet')
@@ -17,7 +20,9 @@ const swarmKeyBuffer = uint8ArrayFromString(require('../fixtures/swarm.key'))
 
 const Libp2p = require('../../src')
 const Upgrader = require('../../src/upgrader')
+const ResourceManager = require('../../src/resource-manager')
 const { codes } = require('../../src/errors')
+const { UnexpectedPeerError } = require('libp2p-interfaces/src/crypto/errors')
 const { mockConnectionGater } = require('../utils/mock-connection-gater')
 const mockMultiaddrConnPair = require('../utils/mockMultiaddrConn')
 const Peers = require('../fixtures/peers')
@@ -40,7 +45,10 @@ describe('Upgrader', () => {
       acceptConnection: async () => true,
       acceptEncryptedConnection: async () => true,
       acceptUpgradedConnection: async () => true
-    }
+    },
+    acceptIncomingConnection: () => true,
+    afterUpgradeInbound: () => {},
+    onStreamActivity: () => {}
   }
 
   before(async () => {
@@ -107,6 +115,45 @@ describe('Upgrader', () => {
     expect(result).to.eql([hello])
   })
 
+  it('should penalize the peers dropping the streams they open before negotiating a protocol', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const muxers = new Map([[Muxer.multicodec, Muxer]])
+    sinon.stub(localUpgrader, 'muxers').value(muxers)
+    sinon.stub(remoteUpgrader, 'muxers').value(muxers)
+
+    const cryptos = new Map([[Crypto.protocol, Crypto]])
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(cryptos)
+
+    const remotePeerScoring = { penalize: sinon.spy() }
+    sinon.stub(remoteUpgrader, 'peerScoring').value(remotePeerScoring)
+
+    const connections = await Promise.all([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    // Streams negotiating a protocol, even an unsupported one, are not penalized
+    const { stream } = await connections[0].newStream('/echo/1.0.0')
+    await pipe([uint8ArrayFromString('hello')], stream, collect)
+    await expect(connections[0].newStream('/unsupported/1.0.0')).to.eventually.be.rejected()
+    expect(remotePeerScoring.penalize.called).to.be.false()
+
+    // Close the stream without sending anything
+    sinon.stub(Multistream.Dialer.prototype, 'select').callsFake(async function () {
+      await this._stream.sink([])
+      throw new Error('dropped')
+    })
+    await expect(connections[0].newStream('/echo/1.0.0')).to.eventually.be.rejected()
+
+    await pWaitFor(() => remotePeerScoring.penalize.called)
+    expect(remotePeerScoring.penalize.firstCall.args[0].toB58String()).to.equal(localPeer.toB58String())
+    expect(remotePeerScoring.penalize.firstCall.args[1]).to.equal('droppedStream')
+
+    await Promise.all(connections.map(conn => conn.close()))
+  })
+
   it('should upgrade with only crypto', async () => {
     const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
 
@@ -209,6 +256,92 @@ describe('Upgrader', () => {
     })
   })
 
+  it('should penalize the peers failing the crypto handshake', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const crypto = {
+      tag: '/insecure',
+      // Let the outbound side finish the protocol negotiation before the connection closes
+      secureInbound: async () => {
+        await delay(100)
+        throw new Error('Boom')
+      },
+      secureOutbound: () => { throw new Error('Boom') }
+    }
+
+    const cryptos = new Map([[crypto.tag, crypto]])
+    const localPeerScoring = { penalize: sinon.spy() }
+    const remotePeerScoring = { penalize: sinon.spy() }
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(localUpgrader, 'peerScoring').value(localPeerScoring)
+    sinon.stub(remoteUpgrader, 'peerScoring').value(remotePeerScoring)
+
+    await pSettle([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    // The outbound side knows the peer it dialed, the inbound side only its address
+    expect(localPeerScoring.penalize.calledOnce).to.be.true()
+    expect(localPeerScoring.penalize.firstCall.args[0].toB58String()).to.equal(remotePeer.toB58String())
+    expect(localPeerScoring.penalize.firstCall.args[1]).to.equal('encryptionFailed')
+    expect(remotePeerScoring.penalize.calledOnceWith(inbound.remoteAddr, 'encryptionFailed')).to.be.true()
+  })
+
+  it('should not penalize the peers failing the crypto handshake through no fault of theirs', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const crypto = {
+      tag: '/insecure',
+      secureInbound: async () => {
+        await delay(100)
+        throw new Error('Error occurred during XX handshake: unexpected end of input')
+      },
+      secureOutbound: () => { throw new UnexpectedPeerError() }
+    }
+
+    const cryptos = new Map([[crypto.tag, crypto]])
+    const localPeerScoring = { penalize: sinon.spy() }
+    const remotePeerScoring = { penalize: sinon.spy() }
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(localUpgrader, 'peerScoring').value(localPeerScoring)
+    sinon.stub(remoteUpgrader, 'peerScoring').value(remotePeerScoring)
+
+    const results = await pSettle([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    results.forEach(result => {
+      expect(result.isRejected).to.equal(true)
+      expect(result.reason.code).to.equal(codes.ERR_ENCRYPTION_FAILED)
+    })
+    expect(results[0].reason).to.be.an.instanceOf(UnexpectedPeerError)
+    expect(localPeerScoring.penalize.called).to.be.false()
+    expect(remotePeerScoring.penalize.called).to.be.false()
+  })
+
+  it('should not penalize the peers supporting no common crypto protocol', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const localPeerScoring = { penalize: sinon.spy() }
+    const remotePeerScoring = { penalize: sinon.spy() }
+    sinon.stub(localUpgrader, 'cryptos').value(new Map([['/crypto-local', Crypto]]))
+    sinon.stub(remoteUpgrader, 'cryptos').value(new Map([['/crypto-remote', Crypto]]))
+    sinon.stub(localUpgrader, 'peerScoring').value(localPeerScoring)
+    sinon.stub(remoteUpgrader, 'peerScoring').value(remotePeerScoring)
+
+    await pSettle([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    expect(localPeerScoring.penalize.called).to.be.false()
+    expect(remotePeerScoring.penalize.called).to.be.false()
+  })
+
   it('should fail if muxers do not match', async () => {
     const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
 
@@ -331,6 +464,182 @@ describe('Upgrader', () => {
       expect(result.reason.code).to.equal(codes.ERR_UNSUPPORTED_PROTOCOL)
     })
   })
+
+  it('should reset inbound streams over the limit of their protocol', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const muxers = new Map([[Muxer.multicodec, Muxer]])
+    sinon.stub(localUpgrader, 'muxers').value(muxers)
+    sinon.stub(remoteUpgrader, 'muxers').value(muxers)
+
+    const cryptos = new Map([[Crypto.protocol, Crypto]])
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(cryptos)
+
+    const handler = sinon.spy(({ stream }) => pipe(stream, stream))
+    sinon.stub(remoteUpgrader, 'protocols').value(new Map([['/echo/1.0.0', handler]]))
+    sinon.stub(remoteUpgrader, 'protocolOptions').value(new Map([['/echo/1.0.0', { maxInboundStreams: 1 }]]))
+
+    const connections = await Promise.all([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    await connections[0].newStream('/echo/1.0.0')
+    const { stream } = await connections[0].newStream('/echo/1.0.0')
+
+    await expect(pipe([uint8ArrayFromString('hello')], stream, collect)).to.eventually.be.rejected()
+      .with.property('code', 'ERR_MPLEX_STREAM_RESET')
+    expect(handler.callCount).to.equal(1)
+
+    await Promise.all(connections.map(conn => conn.close()))
+  })
+
+  it('should fail to create outbound streams over the limit of their protocol', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const muxers = new Map([[Muxer.multicodec, Muxer]])
+    sinon.stub(localUpgrader, 'muxers').value(muxers)
+    sinon.stub(remoteUpgrader, 'muxers').value(muxers)
+
+    const cryptos = new Map([[Crypto.protocol, Crypto]])
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(cryptos)
+
+    sinon.stub(localUpgrader, 'protocolOptions').value(new Map([['/echo/1.0.0', { maxOutboundStreams: 1 }]]))
+
+    const connections = await Promise.all([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    const { stream } = await connections[0].newStream('/echo/1.0.0')
+
+    // The limit is checked before opening a stream to negotiate the protocol
+    const newMuxedStreamSpy = sinon.spy(Muxer.prototype, 'newStream')
+    await expect(connections[0].newStream('/echo/1.0.0')).to.eventually.be.rejected()
+      .with.property('code', codes.ERR_TOO_MANY_OUTBOUND_PROTOCOL_STREAMS)
+    expect(newMuxedStreamSpy.called).to.be.false()
+
+    // Closed streams do not count towards the limit
+    stream.reset()
+    await pWaitFor(() => connections[0].streams.length === 0)
+    await connections[0].newStream('/echo/1.0.0')
+
+    await Promise.all(connections.map(conn => conn.close()))
+  })
+
+  it('should abort streams without traffic for the idle timeout', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const muxers = new Map([[Muxer.multicodec, Muxer]])
+    sinon.stub(localUpgrader, 'muxers').value(muxers)
+    sinon.stub(remoteUpgrader, 'muxers').value(muxers)
+
+    const cryptos = new Map([[Crypto.protocol, Crypto]])
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(cryptos)
+
+    sinon.stub(localUpgrader, 'streamIdleTimeout').value(100)
+
+    const connections = await Promise.all([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    const { stream } = await connections[0].newStream('/echo/1.0.0')
+    const start = Date.now()
+    await expect(pipe(stream, collect)).to.eventually.eql([])
+    expect(Date.now() - start).to.be.at.least(90)
+
+    // The remote end is reset too
+    await pWaitFor(() => connections[0].streams.length === 0 && connections[1].streams.length === 0)
+    await Promise.all(connections.map(conn => conn.close()))
+  })
+
+  it('should fail if the connection manager denies the inbound connection', async () => {
+    const { inbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    sinon.stub(mockConnectionManager, 'acceptIncomingConnection').returns(false)
+    const afterUpgradeSpy = sinon.spy(mockConnectionManager, 'afterUpgradeInbound')
+    const closeSpy = sinon.spy(inbound, 'close')
+    const encryptSpy = sinon.spy(remoteUpgrader, '_encryptInbound')
+
+    await expect(remoteUpgrader.upgradeInbound(inbound)).to.eventually.be.rejected()
+      .with.property('code', codes.ERR_CONNECTION_INTERCEPTED)
+    expect(afterUpgradeSpy.called).to.be.false()
+    expect(closeSpy.called).to.be.true()
+    expect(encryptSpy.called).to.be.false()
+  })
+
+  it('should tell the connection manager when an inbound upgrade is over', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const cryptos = new Map([[Crypto.protocol, Crypto]])
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(new Map())
+    const afterUpgradeSpy = sinon.spy(mockConnectionManager, 'afterUpgradeInbound')
+
+    await pSettle([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    expect(afterUpgradeSpy.calledOnceWith(inbound)).to.be.true()
+  })
+
+  it('should fail if the resource manager denies the inbound connection', async () => {
+    const { inbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const resourceManager = new ResourceManager({ limits: { system: { connectionsInbound: 0 } } })
+    sinon.stub(remoteUpgrader, 'resourceManager').value(resourceManager)
+    const afterUpgradeSpy = sinon.spy(mockConnectionManager, 'afterUpgradeInbound')
+    const closeSpy = sinon.spy(inbound, 'close')
+
+    await expect(remoteUpgrader.upgradeInbound(inbound)).to.eventually.be.rejected()
+      .with.property('code', codes.ERR_RESOURCE_LIMIT_EXCEEDED)
+    expect(afterUpgradeSpy.calledOnceWith(inbound)).to.be.true()
+    expect(closeSpy.called).to.be.true()
+    expect(resourceManager.stat().system.connectionsInbound).to.equal(0)
+  })
+
+  it('should account for connections and streams in the resource manager', async () => {
+    const { inbound, outbound } = mockMultiaddrConnPair({ addrs, remotePeer })
+
+    const muxers = new Map([[Muxer.multicodec, Muxer]])
+    sinon.stub(localUpgrader, 'muxers').value(muxers)
+    sinon.stub(remoteUpgrader, 'muxers').value(muxers)
+
+    const cryptos = new Map([[Crypto.protocol, Crypto]])
+    sinon.stub(localUpgrader, 'cryptos').value(cryptos)
+    sinon.stub(remoteUpgrader, 'cryptos').value(cryptos)
+
+    const resourceManager = new ResourceManager({
+      limits: { protocols: { '/echo/1.0.0': { streamsOutbound: 1 } } }
+    })
+    sinon.stub(localUpgrader, 'resourceManager').value(resourceManager)
+
+    const connections = await Promise.all([
+      localUpgrader.upgradeOutbound(outbound),
+      remoteUpgrader.upgradeInbound(inbound)
+    ])
+
+    expect(resourceManager.stat().peers[remotePeer.toB58String()]).to.include({ connectionsOutbound: 1 })
+
+    await connections[0].newStream('/echo/1.0.0')
+    await expect(connections[0].newStream('/echo/1.0.0')).to.eventually.be.rejected()
+      .with.property('code', codes.ERR_RESOURCE_LIMIT_EXCEEDED)
+
+    const stat = resourceManager.stat()
+    expect(stat.protocols['/echo/1.0.0']).to.include({ streamsOutbound: 1 })
+    expect(stat.peers[remotePeer.toB58String()]).to.include({ streamsOutbound: 1 })
+    expect(stat.transient.streamsOutbound).to.equal(0)
+
+    await Promise.all(connections.map(conn => conn.close()))
+
+    expect(resourceManager.stat()).to.deep.include({ peers: {}, protocols: {} })
+    expect(resourceManager.stat().system).to.include({ connectionsOutbound: 0, streamsOutbound: 0 })
+  })
 })
 
 describe('libp2p.upgrader', () => {
@@ -21,7 +21,7 @@ module.exports = function mockMultiaddrConnPair ({ addrs, remotePeer }) {
   outbound.timeline = {
     open: Date.now()
   }
-  outbound.close = () => {
+  outbound.close = async () => {
     outbound.timeline.close = Date.now()
     controller.abort()
   }
@@ -31,7 +31,7 @@ module.exports = function mockMultiaddrConnPair ({ addrs, remotePeer }) {
   inbound.timeline = {
     open: Date.now()
   }
-  inbound.close = () => {
+  inbound.close = async () => {
     inbound.timeline.close = Date.now()
     controller.abort()
   }